@@ -0,0 +1,97 @@
+import express from 'express';
+import cors from 'cors';
+import bodyParser from 'body-parser';
+import { createLogger } from './utils/logger.js';
+import { authenticate, requireRole } from './middleware/auth.js';
+import { requestContext } from './utils/requestContext.js';
+import { ApiError, errorHandler } from './utils/errors.js';
+import { METRICS_ENABLED, httpMetrics, renderMetrics } from './utils/metrics.js';
+
+// Import routes
+import adminRoutes from './routes/admin.js';
+import showsRoutes from './routes/shows.js';
+import bookingRoutes from './routes/booking.js';
+import healthRoutes from './routes/health.js';
+
+const logger = createLogger('server');
+
+// GET /metrics is only served when METRICS_ENABLED=true. With
+// METRICS_TOKEN set, scrapers must send it as a bearer token.
+const METRICS_TOKEN = process.env.METRICS_TOKEN;
+
+// Bulk show imports are far bigger than any other request body
+const IMPORT_PATH = '/admin/shows/import';
+const IMPORT_BODY_LIMIT = process.env.IMPORT_BODY_LIMIT || '5mb';
+
+/**
+ * Build the Express app: middleware, routes and error handling, but no
+ * listening socket and no background jobs. src/index.js serves it; the
+ * test suite starts its own copy on a spare port. Routes reach the
+ * database through getStore() (see repositories/index.js), so whichever
+ * store is set when a request comes in is the one it uses.
+ */
+export function createApp() {
+  const app = express();
+
+  // Middleware
+  app.use(cors({ exposedHeaders: ['X-Request-Id'] })); // Enable CORS for frontend communication
+  if (METRICS_ENABLED) {
+    app.use(httpMetrics);
+  }
+  app.use(IMPORT_PATH,
+    bodyParser.json({ limit: IMPORT_BODY_LIMIT }),
+    bodyParser.text({ type: 'text/csv', limit: IMPORT_BODY_LIMIT })
+  );
+  app.use(bodyParser.json()); // Parse JSON request bodies
+  app.use(bodyParser.urlencoded({ extended: true }));
+  app.use(requestContext); // After the body parsers - see utils/requestContext.js
+
+  // Request logging middleware. Emails and other LOG_REDACT_FIELDS in the
+  // body are masked by the logger.
+  app.use((req, res, next) => {
+    logger.info(`${req.method} ${req.path}`, {
+      body: req.method !== 'GET' && req.path !== IMPORT_PATH ? req.body : undefined,
+      query: Object.keys(req.query).length > 0 ? req.query : undefined
+    });
+    next();
+  });
+
+  // While draining, ask keep-alive clients not to send more requests on
+  // this connection
+  app.use((req, res, next) => {
+    if (app.locals.shuttingDown) {
+      res.set('Connection', 'close');
+    }
+    next();
+  });
+
+  // Health and readiness checks (GET /health, GET /ready)
+  app.use(healthRoutes);
+
+  // Prometheus metrics (see utils/metrics.js)
+  if (METRICS_ENABLED) {
+    app.get('/metrics', (req, res, next) => {
+      if (METRICS_TOKEN && req.get('Authorization') !== `Bearer ${METRICS_TOKEN}`) {
+        return next(new ApiError('AUTHENTICATION_REQUIRED', 'Invalid or missing metrics token'));
+      }
+
+      res.type('text/plain; version=0.0.4').send(renderMetrics());
+    });
+  }
+
+  // API Routes
+  app.use('/admin', authenticate, requireRole('admin'), adminRoutes);
+  app.use('/shows', showsRoutes);
+  app.use('/booking', bookingRoutes);
+
+  // 404 handler
+  app.use((req, res, next) => {
+    next(new ApiError('ROUTE_NOT_FOUND', 'Route not found'));
+  });
+
+  // Every error response - from validation, routes, auth or the body
+  // parsers - goes out through here (see utils/errors.js)
+  app.use(errorHandler);
+
+  return app;
+}
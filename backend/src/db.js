@@ -1,7 +1,11 @@
 import pkg from 'pg';
 const { Pool } = pkg;
 import dotenv from 'dotenv';
-import { logger } from './utils/logger.js';
+import { createLogger } from './utils/logger.js';
+import { histogram, gauge } from './utils/metrics.js';
+import { isRetryableError, retryTransaction } from './repositories/retry.js';
+
+const logger = createLogger('db');
 
 dotenv.config();
 
@@ -19,53 +23,163 @@ pool.on('connect', () => {
   logger.info('Database connected successfully');
 });
 
+// An idle client lost its connection (e.g. Postgres restarted). The pool
+// has already dropped that client and opens new ones as needed, so this is
+// only worth logging; /health and /ready report whether the database is
+// reachable.
 pool.on('error', (err) => {
-  logger.error('Unexpected database error:', err);
-  process.exit(-1);
+  logger.error('Idle database client error:', { error: err.message, code: err.code });
+});
+
+const queryDuration = histogram({
+  name: 'db_query_duration_seconds',
+  help: 'Duration of queries, through query() or a getClient() client',
+  labelNames: ['outcome']
 });
 
+gauge({ name: 'db_pool_total_clients', help: 'Clients in the pool', collect: () => pool.totalCount });
+gauge({ name: 'db_pool_idle_clients', help: 'Idle clients in the pool', collect: () => pool.idleCount });
+gauge({ name: 'db_pool_waiting_clients', help: 'Requests waiting for a pool client', collect: () => pool.waitingCount });
+
+// Queries are logged on one line. Parameters are never logged; they can
+// hold emails.
+const compactSql = (text) => text.replace(/\s+/g, ' ').trim();
+
 /**
- * Execute a query with automatic connection handling.
- * For simple queries that don't need transaction control.
+ * Run `text` through `run` (the pool's or a client's query), timed and
+ * logged. The logger tags each line with the request ID of the request
+ * being served, if any. Serialization failures and deadlocks are only
+ * warnings: the transaction is retried (see repositories/retry.js).
  */
-export const query = async (text, params) => {
+async function loggedQuery(run, text, params) {
   const start = Date.now();
+  const stopTimer = queryDuration.startTimer();
   try {
-    const res = await pool.query(text, params);
+    const res = await run(text, params);
     const duration = Date.now() - start;
-    logger.debug('Executed query', { text, duration, rows: res.rowCount });
+    stopTimer({ outcome: 'ok' });
+    logger.debug('Executed query', { text: compactSql(text), duration, rows: res.rowCount });
     return res;
   } catch (error) {
-    logger.error('Query error:', { text, error: error.message });
+    stopTimer({ outcome: 'error' });
+    const log = isRetryableError(error) ? logger.warn : logger.error;
+    log('Query error:', { text: compactSql(text), error: error.message });
     throw error;
   }
-};
+}
+
+/**
+ * Execute a query with automatic connection handling.
+ * For simple queries that don't need transaction control.
+ */
+export const query = (text, params) => loggedQuery((...args) => pool.query(...args), text, params);
+
+// How long a transaction may keep its client before the watchdog in
+// getClient() takes it back
+const TRANSACTION_TIMEOUT_MS = 30000;
 
 /**
  * Get a client from the pool for transaction control.
  * This is crucial for our concurrency-safe booking logic.
  * Remember to release the client after use!
+ *
+ * With `timeoutMs`, a client still checked out after that long is
+ * destroyed (its open transaction rolls back with the connection) so a
+ * hung transaction can't hold locks forever. That's only for work that
+ * should be quick: the export cursor and the job lock keep their client
+ * as long as the download or the job runs, so they don't pass one.
+ * Releasing more than once is harmless. Its queries are logged like
+ * query()'s.
  */
-export const getClient = async () => {
+export const getClient = async ({ timeoutMs = null } = {}) => {
   const client = await pool.connect();
   const originalQuery = client.query.bind(client);
   const originalRelease = client.release.bind(client);
+  let released = false;
 
-  // Add timeout to prevent hanging transactions
-  const timeout = setTimeout(() => {
-    logger.error('Client checkout timeout - releasing');
-    client.release();
-  }, 30000);
+  client.query = (text, params) => loggedQuery(originalQuery, text, params);
 
-  // Override release to clear timeout
-  client.release = () => {
+  const timeout = timeoutMs && setTimeout(() => {
+    logger.error(`Client checked out for more than ${timeoutMs}ms - closing it`);
+    client.release(new Error('Client checkout timeout'));
+  }, timeoutMs);
+
+  client.release = (error) => {
+    if (released) {
+      return;
+    }
+    released = true;
     clearTimeout(timeout);
     client.query = originalQuery;
     client.release = originalRelease;
-    return originalRelease();
+    return originalRelease(error);
   };
 
   return client;
 };
 
+/**
+ * Run `work(client)` in a transaction, retrying it from the top when it
+ * fails with a serialization failure or deadlock (see
+ * repositories/retry.js). Because the whole function may run more than
+ * once, it must not send responses or have other side effects outside the
+ * database.
+ *
+ * The transaction commits when `work` returns, unless it returns an object
+ * with `rollback: true` (a rejected request that shouldn't keep anything it
+ * did). Any other error rolls back and is rethrown.
+ *
+ * Resolves to { result, attempts }. Application code goes through
+ * store.transaction() (see repositories/postgres/index.js) rather than
+ * calling this directly.
+ */
+export const withTransaction = (work, { isolationLevel = 'READ COMMITTED', label = 'transaction' } = {}) =>
+  retryTransaction(async () => {
+    const client = await getClient({ timeoutMs: TRANSACTION_TIMEOUT_MS });
+
+    try {
+      await client.query(`BEGIN TRANSACTION ISOLATION LEVEL ${isolationLevel}`);
+      const result = await work(client);
+      await client.query(result?.rollback ? 'ROLLBACK' : 'COMMIT');
+      return result;
+
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+
+    } finally {
+      client.release();
+    }
+  }, { label });
+
+/**
+ * Run a SELECT through a server-side cursor and hand the rows to
+ * `handleBatch` `batchSize` at a time, so large results never sit in
+ * memory all at once. The cursor lives in a READ ONLY transaction; every
+ * batch comes from the same snapshot. `handleBatch` can return false to
+ * stop early (e.g. when the client reading an export has gone away).
+ */
+export const forEachBatch = async (text, params, handleBatch, { batchSize = 500 } = {}) => {
+  const client = await getClient();
+
+  try {
+    await client.query('BEGIN READ ONLY');
+    await client.query(`DECLARE batch_cursor NO SCROLL CURSOR FOR ${text}`, params);
+
+    for (;;) {
+      const result = await client.query(`FETCH ${batchSize} FROM batch_cursor`);
+      if (result.rows.length === 0 || (await handleBatch(result.rows)) === false) {
+        break;
+      }
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
 export default pool;
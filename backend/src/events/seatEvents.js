@@ -0,0 +1,183 @@
+import { getStore } from '../repositories/index.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('seat-events');
+
+/**
+ * Seat status change notifications over the store's LISTEN/NOTIFY
+ * (PostgreSQL's, with the Postgres store).
+ *
+ * Code paths that change seat status call notifySeatChanges() with the
+ * `tx` of their open transaction. Notifications are transactional, so they
+ * only go out if the transaction commits - a rolled back booking never
+ * shows up on anyone's seat map.
+ *
+ * Each API instance keeps one subscription (with Postgres, a dedicated
+ * LISTEN connection outside the pool) and fans notifications out to the
+ * SSE streams of GET /shows/:id/events. Because it goes through Postgres,
+ * a change made on one instance reaches clients connected to any other
+ * instance.
+ */
+
+const CHANNEL = 'seat_status';
+
+// NOTIFY payloads are limited to 8000 bytes, so large batches (e.g. the
+// expiration job releasing many seats) are split up.
+const SEATS_PER_NOTIFICATION = 150;
+
+const RECONNECT_DELAY_MS = 3000;
+
+const subscribers = new Map(); // showId -> Set of { listener, onClose }
+let listening = null; // { store, subscription }
+let connecting = null;
+let closed = false;
+
+/**
+ * Queue a notification for each batch of changed seats.
+ * `seats` is an array of { id, status } rows (as returned by
+ * UPDATE ... RETURNING id, status).
+ */
+export async function notifySeatChanges(tx, showId, seats) {
+  for (let i = 0; i < seats.length; i += SEATS_PER_NOTIFICATION) {
+    const batch = seats.slice(i, i + SEATS_PER_NOTIFICATION);
+    await tx.notify(CHANNEL, JSON.stringify({
+      show_id: Number(showId),
+      seats: batch.map(seat => ({ id: seat.id, status: seat.status }))
+    }));
+  }
+}
+
+function dispatch(message) {
+  let payload;
+  try {
+    payload = JSON.parse(message);
+  } catch (error) {
+    logger.warn('Ignoring malformed seat notification', { payload: message });
+    return;
+  }
+
+  const listeners = subscribers.get(payload.show_id);
+  if (!listeners) {
+    return;
+  }
+
+  for (const { listener } of listeners) {
+    listener(payload.seats);
+  }
+}
+
+function scheduleReconnect() {
+  listening = null;
+  setTimeout(() => {
+    if (subscribers.size > 0 && !closed) {
+      ensureListening().catch(() => {});
+    }
+  }, RECONNECT_DELAY_MS);
+}
+
+/**
+ * Subscribe to the store's notifications if that isn't done yet (or was
+ * done on a store that has since been replaced, as tests do).
+ * If the subscription drops, it's re-opened while anyone is still
+ * subscribed.
+ */
+async function ensureListening() {
+  const store = getStore();
+  if (listening?.store === store) {
+    return;
+  }
+  if (connecting) {
+    return connecting;
+  }
+
+  connecting = (async () => {
+    if (listening) {
+      await listening.subscription.close();
+      listening = null;
+    }
+
+    try {
+      const subscription = await store.listen(CHANNEL, {
+        onNotification: dispatch,
+        onError: (error) => {
+          logger.error('Seat event listener error:', { error: error.message });
+          if (listening?.subscription === subscription) {
+            scheduleReconnect();
+          }
+        }
+      });
+      listening = { store, subscription };
+      logger.info(`Listening for seat status changes on ${CHANNEL}`);
+    } catch (error) {
+      logger.error('Could not start seat event listener:', { error: error.message });
+      scheduleReconnect();
+      throw error;
+    }
+  })();
+
+  try {
+    await connecting;
+  } finally {
+    connecting = null;
+  }
+}
+
+/**
+ * Subscribe to seat changes for one show. The listener is called with an
+ * array of { id, status }; `onClose` is called if the server shuts the
+ * feed down (see closeSeatEvents()). Returns an unsubscribe function.
+ */
+export async function subscribeToShow(showId, listener, { onClose } = {}) {
+  if (closed) {
+    throw new Error('Seat events have been shut down');
+  }
+
+  const subscriber = { listener, onClose };
+
+  if (!subscribers.has(showId)) {
+    subscribers.set(showId, new Set());
+  }
+  subscribers.get(showId).add(subscriber);
+
+  const unsubscribe = () => {
+    const listeners = subscribers.get(showId);
+    if (!listeners) {
+      return;
+    }
+    listeners.delete(subscriber);
+    if (listeners.size === 0) {
+      subscribers.delete(showId);
+    }
+  };
+
+  try {
+    await ensureListening();
+  } catch (error) {
+    unsubscribe();
+    throw error;
+  }
+
+  return unsubscribe;
+}
+
+/**
+ * Stop delivering seat events, for server shutdown: every subscriber's
+ * onClose is called (so open SSE streams end and don't hold up the
+ * shutdown) and the subscription is closed.
+ */
+export async function closeSeatEvents() {
+  closed = true;
+
+  for (const listeners of subscribers.values()) {
+    for (const { onClose } of listeners) {
+      onClose?.();
+    }
+  }
+  subscribers.clear();
+
+  if (listening) {
+    const { subscription } = listening;
+    listening = null;
+    await subscription.close();
+  }
+}
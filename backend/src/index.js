@@ -1,79 +1,118 @@
-import express from 'express';
-import cors from 'cors';
-import bodyParser from 'body-parser';
 import dotenv from 'dotenv';
-import { logger } from './utils/logger.js';
+import { createApp } from './app.js';
+import { createLogger } from './utils/logger.js';
+import { registerJob, startScheduler, stopScheduler } from './jobs/scheduler.js';
+import expirePendingBookings from './jobs/expireBookings.js';
+import cleanupIdempotencyKeys from './jobs/cleanupIdempotencyKeys.js';
+import dispatchNotifications from './jobs/dispatchNotifications.js';
+import { closeSeatEvents } from './events/seatEvents.js';
+import { getStore } from './repositories/index.js';
 
-// Import routes
-import adminRoutes from './routes/admin.js';
-import showsRoutes from './routes/shows.js';
-import bookingRoutes from './routes/booking.js';
+const logger = createLogger('server');
 
 // Load environment variables
 dotenv.config();
 
-const app = express();
+const app = createApp();
 const PORT = process.env.PORT || 4000;
 
-// Middleware
-app.use(cors()); // Enable CORS for frontend communication
-app.use(bodyParser.json()); // Parse JSON request bodies
-app.use(bodyParser.urlencoded({ extended: true }));
+// Background jobs run inside the API process unless explicitly turned off
+// (e.g. when an external cron runs `npm run job` instead)
+const JOBS_ENABLED = process.env.JOBS_ENABLED !== 'false';
+const EXPIRE_JOB_INTERVAL_SECONDS = parseInt(process.env.EXPIRE_JOB_INTERVAL_SECONDS) || 30;
+const IDEMPOTENCY_CLEANUP_INTERVAL_SECONDS = 15 * 60;
+const NOTIFICATION_DISPATCH_INTERVAL_SECONDS = parseInt(process.env.NOTIFICATION_DISPATCH_INTERVAL_SECONDS) || 15;
 
-// Request logging middleware
-app.use((req, res, next) => {
-  logger.info(`${req.method} ${req.path}`, {
-    body: req.method !== 'GET' ? req.body : undefined,
-    query: Object.keys(req.query).length > 0 ? req.query : undefined
-  });
-  next();
-});
-
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.json({
-    status: 'healthy',
-    timestamp: new Date().toISOString(),
-    uptime: process.uptime()
-  });
-});
-
-// API Routes
-app.use('/admin', adminRoutes);
-app.use('/shows', showsRoutes);
-app.use('/booking', bookingRoutes);
+// On SIGTERM/SIGINT, requests already in flight get this long to finish
+// before their connections are cut
+const SHUTDOWN_TIMEOUT_MS = parseInt(process.env.SHUTDOWN_TIMEOUT_MS) || 10000;
+// and the store this long to close once they have
+const STORE_CLOSE_TIMEOUT_MS = 5000;
 
-// 404 handler
-app.use((req, res) => {
-  res.status(404).json({
-    success: false,
-    error: 'Route not found'
-  });
-});
-
-// Global error handler
-app.use((err, req, res, next) => {
-  logger.error('Unhandled error:', err);
-  res.status(500).json({
-    success: false,
-    error: 'Internal server error'
-  });
-});
+// Whether `promise` settles within `ms`
+function settlesWithin(promise, ms) {
+  return Promise.race([
+    promise.then(() => true),
+    new Promise(resolve => setTimeout(() => resolve(false), ms))
+  ]);
+}
 
 // Start server
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   logger.info(`🚀 Modex Booking System API running on port ${PORT}`);
   logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
   logger.info(`Health check: http://localhost:${PORT}/health`);
-});
 
-// Graceful shutdown
-process.on('SIGTERM', () => {
-  logger.info('SIGTERM received, shutting down gracefully...');
-  process.exit(0);
+  if (JOBS_ENABLED) {
+    registerJob({
+      name: 'expire-bookings',
+      intervalMs: EXPIRE_JOB_INTERVAL_SECONDS * 1000,
+      run: expirePendingBookings
+    });
+    registerJob({
+      name: 'cleanup-idempotency-keys',
+      intervalMs: IDEMPOTENCY_CLEANUP_INTERVAL_SECONDS * 1000,
+      run: cleanupIdempotencyKeys
+    });
+    registerJob({
+      name: 'dispatch-notifications',
+      intervalMs: NOTIFICATION_DISPATCH_INTERVAL_SECONDS * 1000,
+      run: dispatchNotifications
+    });
+    startScheduler();
+  }
 });
 
-process.on('SIGINT', () => {
-  logger.info('SIGINT received, shutting down gracefully...');
-  process.exit(0);
-});
+/**
+ * Graceful shutdown: stop accepting connections, let the requests and job
+ * runs in flight finish (up to SHUTDOWN_TIMEOUT_MS each), then close the
+ * store's connections.
+ * /ready answers 503 from the start so load balancers stop sending traffic.
+ * A transaction cut off by the deadline is rolled back by Postgres when its
+ * connection goes away, so nothing half-done is committed.
+ */
+async function shutdown(signal) {
+  if (app.locals.shuttingDown) {
+    return;
+  }
+  app.locals.shuttingDown = true;
+  logger.info(`${signal} received, shutting down gracefully...`);
+
+  // Running jobs (expiry, waitlist offers, notification dispatch) finish
+  // alongside the requests
+  const jobsStopped = stopScheduler();
+  // Live seat streams never finish on their own
+  await closeSeatEvents();
+
+  const drained = await new Promise((resolve) => {
+    const deadline = setTimeout(() => resolve(false), SHUTDOWN_TIMEOUT_MS);
+    server.close(() => {
+      clearTimeout(deadline);
+      resolve(true);
+    });
+    server.closeIdleConnections();
+  });
+
+  if (!drained) {
+    logger.warn(`Requests still running after ${SHUTDOWN_TIMEOUT_MS}ms, closing their connections`);
+    server.closeAllConnections();
+  }
+
+  const jobsFinished = await settlesWithin(jobsStopped, SHUTDOWN_TIMEOUT_MS);
+
+  if (!jobsFinished) {
+    logger.warn(`Jobs still running after ${SHUTDOWN_TIMEOUT_MS}ms, closing the store under them`);
+  }
+
+  const storeClosed = await settlesWithin(getStore().close(), STORE_CLOSE_TIMEOUT_MS);
+
+  if (!storeClosed) {
+    logger.warn('Database connections did not close in time');
+  }
+
+  logger.info('Shutdown complete');
+  process.exit(drained && jobsFinished && storeClosed ? 0 : 1);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
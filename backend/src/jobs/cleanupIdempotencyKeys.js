@@ -0,0 +1,24 @@
+import { getStore } from '../repositories/index.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('cleanup-idempotency-keys');
+
+// Keys older than this are deleted; a retry after that runs as a new request.
+const IDEMPOTENCY_KEY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24;
+
+/**
+ * Background job to delete stored Idempotency-Key responses once they're
+ * older than IDEMPOTENCY_KEY_TTL_HOURS. Scheduled by the API server through
+ * jobs/scheduler.js.
+ */
+async function cleanupIdempotencyKeys() {
+  const deleted = await getStore().idempotencyKeys.deleteOlderThan(IDEMPOTENCY_KEY_TTL_HOURS);
+
+  if (deleted > 0) {
+    logger.info(`Deleted ${deleted} expired idempotency keys`);
+  }
+
+  return { deleted_keys: deleted };
+}
+
+export default cleanupIdempotencyKeys;
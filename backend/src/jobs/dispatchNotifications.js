@@ -0,0 +1,105 @@
+import { getStore } from '../repositories/index.js';
+import { createLogger } from '../utils/logger.js';
+import { renderEmail } from '../notifications/templates.js';
+import { getTransport, MAIL_FROM } from '../notifications/transports.js';
+import { runWithContext } from '../utils/requestContext.js';
+import { notificationsDispatched } from '../utils/metrics.js';
+import dotenv from 'dotenv';
+
+const logger = createLogger('dispatch-notifications');
+
+dotenv.config();
+
+// Messages sent per run; the rest wait for the next one
+const BATCH_SIZE = parseInt(process.env.NOTIFICATION_BATCH_SIZE) || 20;
+// A message that has failed this many times is marked DEAD
+export const NOTIFICATION_MAX_ATTEMPTS = parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS) || 8;
+// Wait before retrying: 30s after the first failure, doubling up to an hour
+const RETRY_BASE_SECONDS = parseInt(process.env.NOTIFICATION_RETRY_BASE_SECONDS) || 30;
+const RETRY_MAX_SECONDS = 60 * 60;
+// How long a claimed message is kept from other dispatchers. Longer than
+// any send takes, so only a crashed dispatcher's messages are picked up again.
+const CLAIM_LEASE_SECONDS = 5 * 60;
+
+/**
+ * Seconds to wait before attempt `attempts + 1`.
+ */
+export function retryDelaySeconds(attempts) {
+  return Math.min(RETRY_BASE_SECONDS * 2 ** (attempts - 1), RETRY_MAX_SECONDS);
+}
+
+/**
+ * Background job delivering the notification outbox (see
+ * services/notifications.js). Scheduled by the API server through
+ * jobs/scheduler.js; `npm run notify` runs it once by hand.
+ *
+ * Each run claims up to BATCH_SIZE due messages, renders them
+ * (notifications/templates.js) and hands them to the configured transport
+ * (notifications/transports.js). A message that fails is tried again after
+ * an exponential backoff, and marked DEAD once it has failed
+ * NOTIFICATION_MAX_ATTEMPTS times or the failure is permanent (an unknown
+ * template, a 5xx SMTP reply). POST /admin/notifications/:id/retry
+ * revives a DEAD message.
+ *
+ * Delivery is at least once: if the process dies between sending and
+ * marking a message SENT, it's sent again once its claim runs out. Each
+ * message keeps the same Message-ID across attempts.
+ *
+ * Resolves to { sent, retried, dead }.
+ */
+async function dispatchNotifications() {
+  const store = getStore();
+  const transport = getTransport();
+  const counts = { sent: 0, retried: 0, dead: 0 };
+
+  const messages = await store.notifications.claimDue(BATCH_SIZE, CLAIM_LEASE_SECONDS);
+
+  for (const message of messages) {
+    try {
+      const email = renderEmail(message, { from: MAIL_FROM });
+      await transport.send(email);
+      await store.notifications.markSent(message.id);
+
+      counts.sent += 1;
+      notificationsDispatched.inc({ template: message.template, outcome: 'sent' });
+      logger.debug(`Sent ${message.template} email ${message.id} via ${transport.name}`);
+
+    } catch (error) {
+      const giveUp = error.permanent === true || message.attempts >= NOTIFICATION_MAX_ATTEMPTS;
+      const retryIn = giveUp ? null : retryDelaySeconds(message.attempts);
+
+      await store.notifications.markFailed(message.id, error.message, retryIn);
+
+      const outcome = giveUp ? 'dead' : 'retried';
+      counts[outcome] += 1;
+      notificationsDispatched.inc({ template: message.template, outcome });
+
+      if (giveUp) {
+        logger.error(`Gave up on ${message.template} email ${message.id} after ${message.attempts} attempt(s): ${error.message}`);
+      } else {
+        logger.warn(`Sending ${message.template} email ${message.id} failed (attempt ${message.attempts}), retrying in ${retryIn}s: ${error.message}`);
+      }
+    }
+  }
+
+  if (messages.length > 0) {
+    logger.info(`Dispatched ${messages.length} notification(s)`, counts);
+  }
+
+  return counts;
+}
+
+// If this script is run directly (not imported), execute the job
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runWithContext({ actor: { type: 'job', id: 'dispatch-notifications' } }, dispatchNotifications)
+    .then((result) => {
+      logger.info('Notification dispatch completed', result);
+      process.exit(0);
+    })
+    .catch((error) => {
+      logger.error('Notification dispatch failed:', error);
+      process.exit(1);
+    });
+}
+
+export default dispatchNotifications;
@@ -1,91 +1,107 @@
-import { getClient } from '../db.js';
-import { logger } from './logger.js';
+import { getStore } from '../repositories/index.js';
+import { createLogger } from '../utils/logger.js';
+import { notifySeatChanges } from '../events/seatEvents.js';
+import { offerReleasedSeats } from '../services/waitlist.js';
+import { recordSeatEvents } from '../services/audit.js';
+import { queueBookingEmail } from '../services/notifications.js';
+import { runWithContext } from '../utils/requestContext.js';
+import { holdsExpired } from '../utils/metrics.js';
 import dotenv from 'dotenv';
 
+const logger = createLogger('expire-bookings');
+
 dotenv.config();
 
 /**
- * Background job to expire PENDING bookings after 2 minutes.
+ * Background job to expire PENDING bookings (seat holds) once their
+ * expires_at has passed.
  * 
- * I'm running this as a cron-like job that can be triggered periodically
- * (e.g., every minute via a scheduler like node-cron or external cron).
+ * The API server runs this periodically through jobs/scheduler.js, and it
+ * can still be triggered by hand with `npm run job`.
  * 
  * The job:
  * 1. Finds PENDING bookings that have exceeded their expiration time
  * 2. Marks them as FAILED
- * 3. Releases the associated seats back to AVAILABLE status
- * 
- * In production, you'd run this with a proper job scheduler or 
- * use PostgreSQL's pg_cron extension.
+ * 3. Ends their booking_seats rows and releases the seats back to AVAILABLE,
+ *    recording an 'expire' event for each seat in the audit trail
+ * 4. Queues a hold_expired email for each booking (see
+ *    services/notifications.js)
+ * 5. Offers the released seats to each show's waitlist (an expired
+ *    waitlist offer passes its seats on to the next person in line)
+ *
+ * Resolves to { expired_bookings, released_seats, waitlist_offers } so the
+ * scheduler can report what each run did.
  */
 async function expirePendingBookings() {
-  const client = await getClient();
+  logger.info('Starting booking expiration job...');
 
   try {
-    logger.info('Starting booking expiration job...');
-
-    // Start a transaction
-    await client.query('BEGIN');
-
-    // Find expired PENDING bookings
-    const expiredBookingsResult = await client.query(
-      `SELECT id, seat_ids, show_id 
-       FROM bookings 
-       WHERE status = 'PENDING' 
-       AND expires_at < CURRENT_TIMESTAMP
-       FOR UPDATE`
-    );
-
-    const expiredBookings = expiredBookingsResult.rows;
-
-    if (expiredBookings.length === 0) {
-      logger.info('No expired bookings found.');
-      await client.query('COMMIT');
-      return;
-    }
-
-    logger.info(`Found ${expiredBookings.length} expired bookings to process`);
-
-    // Mark bookings as FAILED
-    const bookingIds = expiredBookings.map(b => b.id);
-    await client.query(
-      `UPDATE bookings 
-       SET status = 'FAILED' 
-       WHERE id = ANY($1::int[])`,
-      [bookingIds]
-    );
-
-    // Release all associated seats back to AVAILABLE
-    for (const booking of expiredBookings) {
-      await client.query(
-        `UPDATE seats 
-         SET status = 'AVAILABLE', updated_at = CURRENT_TIMESTAMP 
-         WHERE id = ANY($1::int[]) AND status = 'RESERVED'`,
-        [booking.seat_ids]
-      );
-      
-      logger.info(`Released seats for booking ${booking.id}: ${booking.seat_ids.join(',')}`);
+    const { result } = await getStore().transaction(async (tx) => {
+      // Find expired PENDING bookings
+      const expiredBookings = await tx.bookings.lockExpired();
+
+      if (expiredBookings.length === 0) {
+        logger.info('No expired bookings found.');
+        return { expired_bookings: 0, released_seats: 0, waitlist_offers: 0 };
+      }
+
+      logger.info(`Found ${expiredBookings.length} expired bookings to process`);
+
+      // Mark bookings as FAILED
+      const bookingIds = expiredBookings.map(b => b.id);
+      await tx.bookings.fail(bookingIds);
+      await tx.waitlist.expireOffers(bookingIds);
+
+      // Release all associated seats back to AVAILABLE
+      let releasedSeats = 0;
+      for (const booking of expiredBookings) {
+        const bookingSeats = await tx.bookings.releaseSeats(booking.id);
+        const seatIds = bookingSeats.map(row => row.seat_id);
+
+        const released = await tx.seats.setStatus(seatIds, 'AVAILABLE', { from: 'RESERVED' });
+        releasedSeats += released.length;
+        await notifySeatChanges(tx, booking.show_id, released);
+        await recordSeatEvents(tx, booking.show_id, released, {
+          action: 'expire',
+          fromStatus: 'RESERVED',
+          bookingId: booking.id
+        });
+        await queueBookingEmail(tx, 'hold_expired', booking, seatIds);
+
+        logger.info(`Released seats for booking ${booking.id}: ${seatIds.join(',')}`);
+      }
+
+      let waitlistOffers = 0;
+      for (const showId of new Set(expiredBookings.map(b => b.show_id))) {
+        const offers = await offerReleasedSeats(tx, showId);
+        waitlistOffers += offers.length;
+      }
+
+      return {
+        expired_bookings: expiredBookings.length,
+        released_seats: releasedSeats,
+        waitlist_offers: waitlistOffers
+      };
+    }, { label: 'Hold expiration' });
+
+    if (result.expired_bookings > 0) {
+      holdsExpired.inc({ source: 'job' }, result.expired_bookings);
+      logger.info(`Successfully expired ${result.expired_bookings} bookings`);
     }
 
-    await client.query('COMMIT');
-
-    logger.info(`Successfully expired ${expiredBookings.length} bookings`);
+    return result;
 
   } catch (error) {
-    await client.query('ROLLBACK');
     logger.error('Error in expiration job:', error);
     throw error;
-
-  } finally {
-    client.release();
   }
 }
 
 // If this script is run directly (not imported), execute the job
 if (import.meta.url === `file://${process.argv[1]}`) {
-  expirePendingBookings()
-    .then(() => {
-      logger.info('Expiration job completed successfully');
+  runWithContext({ actor: { type: 'job', id: 'expire-bookings' } }, expirePendingBookings)
+    .then((result) => {
+      logger.info('Expiration job completed successfully', result);
       process.exit(0);
     })
     .catch((error) => {
@@ -0,0 +1,165 @@
+import os from 'os';
+import { getStore } from '../repositories/index.js';
+import { createLogger } from '../utils/logger.js';
+import { runWithContext } from '../utils/requestContext.js';
+
+const logger = createLogger('scheduler');
+
+/**
+ * In-process job scheduler for the API server.
+ *
+ * Each registered job runs on its own interval. Before every run I take the
+ * store's job lock for the job name (a PostgreSQL session-level advisory
+ * lock), so when the API is scaled out to several instances only one of
+ * them actually runs a given job at a time - the others see the lock taken
+ * and skip that tick.
+ *
+ * Every instance keeps the status of its own runs in memory, which is what
+ * GET /admin/jobs reports.
+ */
+
+const jobs = new Map();
+let started = false;
+
+/**
+ * Register a job. `run` must return a promise; whatever it resolves to is
+ * kept as the job's last_result.
+ */
+export function registerJob({ name, intervalMs, run }) {
+  jobs.set(name, {
+    name,
+    intervalMs,
+    run,
+    timer: null,
+    running: false,
+    // The run in progress, for stopScheduler() to wait on
+    currentRun: null,
+    status: {
+      name,
+      interval_ms: intervalMs,
+      running: false,
+      last_run_at: null,
+      last_finished_at: null,
+      last_duration_ms: null,
+      last_result: null,
+      last_error: null,
+      last_error_at: null,
+      last_skipped_at: null,
+      runs: 0,
+      skipped_runs: 0,
+      failed_runs: 0
+    }
+  });
+}
+
+/**
+ * Run a job once, guarded by the job lock.
+ * Errors are recorded in the job status rather than thrown, so a failing
+ * job never takes the API process down with it.
+ */
+async function runJob(job) {
+  // Never overlap runs of the same job within this process
+  if (job.running) {
+    return;
+  }
+
+  job.running = true;
+  job.status.running = true;
+
+  let release = null;
+  try {
+    release = await getStore().tryJobLock(job.name);
+
+    if (!release) {
+      job.status.skipped_runs += 1;
+      job.status.last_skipped_at = new Date().toISOString();
+      logger.debug(`Job ${job.name} skipped: lock held by another instance`);
+      return;
+    }
+
+    const startedAt = Date.now();
+    job.status.last_run_at = new Date(startedAt).toISOString();
+
+    try {
+      // Anything the job writes to the seat audit trail is attributed to it
+      const result = await runWithContext({ actor: { type: 'job', id: job.name } }, job.run);
+
+      job.status.runs += 1;
+      job.status.last_result = result ?? null;
+      job.status.last_error = null;
+    } catch (error) {
+      job.status.failed_runs += 1;
+      job.status.last_error = error.message;
+      job.status.last_error_at = new Date().toISOString();
+      logger.error(`Job ${job.name} failed:`, { error: error.message });
+    } finally {
+      job.status.last_finished_at = new Date().toISOString();
+      job.status.last_duration_ms = Date.now() - startedAt;
+    }
+
+  } catch (error) {
+    // Couldn't even get a connection or the lock - record it and try next tick
+    job.status.failed_runs += 1;
+    job.status.last_error = error.message;
+    job.status.last_error_at = new Date().toISOString();
+    logger.error(`Job ${job.name} could not run:`, { error: error.message });
+
+  } finally {
+    if (release) {
+      await release().catch(error =>
+        logger.warn(`Could not release the lock of job ${job.name}`, { error: error.message }));
+    }
+    job.running = false;
+    job.status.running = false;
+  }
+}
+
+/**
+ * Start every registered job. Each job runs once straight away (to catch
+ * up on anything that lapsed while the server was down) and then on its
+ * interval. I chain setTimeout rather than using setInterval so a slow run
+ * can't pile up behind itself.
+ */
+export function startScheduler() {
+  started = true;
+
+  for (const job of jobs.values()) {
+    const tick = async () => {
+      job.currentRun = runJob(job);
+      await job.currentRun;
+      job.currentRun = null;
+      if (started) {
+        job.timer = setTimeout(tick, job.intervalMs);
+      }
+    };
+
+    job.timer = setTimeout(tick, 0);
+    logger.info(`Scheduled job ${job.name} every ${job.intervalMs}ms`);
+  }
+}
+
+/**
+ * Stop all scheduled jobs. Runs already in progress are left to finish;
+ * the returned promise resolves once they have (runJob() never rejects),
+ * so shutdown can wait for them before closing the store under them.
+ */
+export async function stopScheduler() {
+  started = false;
+
+  for (const job of jobs.values()) {
+    clearTimeout(job.timer);
+    job.timer = null;
+  }
+
+  await Promise.all([...jobs.values()].map(job => job.currentRun));
+}
+
+/**
+ * Snapshot of every job's status on this instance.
+ */
+export function getJobStatuses() {
+  return {
+    instance: `${os.hostname()}:${process.pid}`,
+    jobs: [...jobs.values()].map(job => ({ ...job.status }))
+  };
+}
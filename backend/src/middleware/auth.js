@@ -0,0 +1,79 @@
+import { getStore } from '../repositories/index.js';
+import { createLogger } from '../utils/logger.js';
+import { hashApiKey } from '../utils/apiKeys.js';
+import { setActor } from '../utils/requestContext.js';
+import { ApiError } from '../utils/errors.js';
+
+const logger = createLogger('auth');
+
+/**
+ * API key authentication and role checks.
+ *
+ * Clients send their key as `Authorization: Bearer <key>` (or in an
+ * X-API-Key header). authenticate() resolves it to req.user =
+ * { id, role, email }; requireRole() then decides who may continue.
+ */
+
+function readApiKey(req) {
+  const header = req.get('Authorization');
+  if (header && header.startsWith('Bearer ')) {
+    return header.slice('Bearer '.length).trim();
+  }
+  return req.get('X-API-Key') || null;
+}
+
+/**
+ * Resolve the API key on the request, if any. Requests without a key pass
+ * through with req.user = null; a key that doesn't match an active one is
+ * rejected with 401 rather than silently treated as anonymous.
+ */
+export async function authenticate(req, res, next) {
+  const apiKey = readApiKey(req);
+
+  if (!apiKey) {
+    req.user = null;
+    return next();
+  }
+
+  try {
+    const store = getStore();
+    const user = await store.apiKeys.findActive(hashApiKey(apiKey));
+
+    if (!user) {
+      return next(new ApiError('INVALID_API_KEY', 'Invalid or revoked API key'));
+    }
+
+    req.user = user;
+    setActor({
+      type: req.user.role === 'admin' ? 'admin' : 'user',
+      id: `api_key:${req.user.id}`
+    });
+
+    // Bookkeeping only - don't hold up the request for it
+    store.apiKeys.touch(req.user.id)
+      .catch((error) => logger.warn('Failed to update API key last_used_at', { error: error.message }));
+
+    next();
+
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Only let requests through whose authenticated role is one of `roles`.
+ * Must run after authenticate().
+ */
+export function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return next(new ApiError('AUTHENTICATION_REQUIRED', 'Authentication required'));
+    }
+
+    if (!roles.includes(req.user.role)) {
+      return next(new ApiError('FORBIDDEN', 'You do not have access to this resource'));
+    }
+
+    next();
+  };
+}
@@ -0,0 +1,131 @@
+import crypto from 'crypto';
+import { getStore } from '../repositories/index.js';
+import { createLogger } from '../utils/logger.js';
+import { ApiError } from '../utils/errors.js';
+
+const logger = createLogger('idempotency');
+
+/**
+ * Idempotency-Key support for write endpoints.
+ *
+ * When a client sends an Idempotency-Key header, I claim the key in the
+ * idempotency_keys table before the handler runs and store the response
+ * once it's sent. A retry with the same key and the same request gets the
+ * stored response back (with an Idempotent-Replayed: true header) instead
+ * of running the handler again. Reusing a key for a different request is
+ * rejected with 422.
+ *
+ * Requests without the header are passed straight through.
+ */
+
+// A key whose request never finished (e.g. the process died mid-request)
+// can be taken over by a retry after this long.
+const STALE_CLAIM_SECONDS = 60;
+
+const MAX_KEY_LENGTH = 255;
+
+function hashRequest(req) {
+  return crypto
+    .createHash('sha256')
+    .update(`${req.method} ${req.originalUrl}\n${JSON.stringify(req.body ?? null)}`)
+    .digest('hex');
+}
+
+/**
+ * Try to claim the key for this request.
+ * Returns true if the handler should run, or the existing row otherwise.
+ */
+async function claimKey(scope, key, requestHash) {
+  const { idempotencyKeys } = getStore();
+
+  if (await idempotencyKeys.claim(scope, key, requestHash)) {
+    return true;
+  }
+
+  // Take over an abandoned claim for the same request
+  if (await idempotencyKeys.takeOverStale(scope, key, requestHash, STALE_CLAIM_SECONDS)) {
+    return true;
+  }
+
+  return idempotencyKeys.find(scope, key);
+}
+
+async function storeResponse(scope, key, status, body, retryable) {
+  const { idempotencyKeys } = getStore();
+
+  // Server errors and transient conflicts aren't final results - drop the
+  // claim so a retry with the same key actually runs again.
+  if (status >= 500 || retryable) {
+    await idempotencyKeys.remove(scope, key);
+    return;
+  }
+
+  await idempotencyKeys.complete(scope, key, status, body);
+}
+
+/**
+ * Build the middleware for one endpoint. `scope` namespaces the keys so the
+ * same key can't collide across different endpoints.
+ *
+ * Handlers can set res.locals.retryable = true on a response that the
+ * client is expected to retry (e.g. a serialization conflict) so it isn't
+ * stored as the final result.
+ */
+export function idempotency(scope) {
+  return async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+
+    if (key === undefined) {
+      return next();
+    }
+
+    if (key.length === 0 || key.length > MAX_KEY_LENGTH) {
+      const message = `Idempotency-Key must be between 1 and ${MAX_KEY_LENGTH} characters`;
+      return next(new ApiError('VALIDATION_FAILED', message, {
+        details: [{ field: 'Idempotency-Key', location: 'header', message }]
+      }));
+    }
+
+    const requestHash = hashRequest(req);
+
+    try {
+      const claim = await claimKey(scope, key, requestHash);
+
+      if (claim !== true) {
+        if (!claim) {
+          // Deleted between our insert and select (failed original request)
+          return next(new ApiError('IDEMPOTENCY_KEY_IN_PROGRESS', 'Request with this Idempotency-Key could not be processed. Please retry.'));
+        }
+
+        if (claim.request_hash !== requestHash) {
+          return next(new ApiError('IDEMPOTENCY_KEY_REUSED', 'Idempotency-Key has already been used with a different request'));
+        }
+
+        if (claim.response_status === null) {
+          return next(new ApiError('IDEMPOTENCY_KEY_IN_PROGRESS', 'A request with this Idempotency-Key is still being processed'));
+        }
+
+        logger.info(`Replaying response for Idempotency-Key ${key} (${scope})`);
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(claim.response_status).json(claim.response_body);
+      }
+
+    } catch (error) {
+      return next(error);
+    }
+
+    // Store the response before it goes out, so a retry arriving right after
+    // this response always finds it.
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      storeResponse(scope, key, res.statusCode, body, res.locals.retryable)
+        .catch((error) => {
+          logger.error('Failed to store idempotent response:', { key, scope, error: error.message });
+        })
+        .finally(() => originalJson(body));
+      return res;
+    };
+
+    next();
+  };
+}
@@ -2,11 +2,6 @@
 -- I'm creating tables for shows, seats, and bookings with proper constraints
 -- and indexes to ensure data integrity and query performance.
 
--- Drop tables if they exist (for clean re-runs)
-DROP TABLE IF EXISTS bookings CASCADE;
-DROP TABLE IF EXISTS seats CASCADE;
-DROP TABLE IF EXISTS shows CASCADE;
-
 -- Shows table: stores information about events/shows/trips
 CREATE TABLE shows (
     id SERIAL PRIMARY KEY,
@@ -53,23 +48,3 @@ CREATE INDEX idx_bookings_status_expires ON bookings(status, expires_at);
 
 -- Index for finding bookings by show
 CREATE INDEX idx_bookings_show ON bookings(show_id);
-
--- Insert a sample show with 40 seats for testing
-INSERT INTO shows (name, start_time, total_seats) 
-VALUES ('Sample Concert - The Amazing Band', CURRENT_TIMESTAMP + INTERVAL '7 days', 40);
-
--- Create 40 seats for the sample show (show_id = 1)
-INSERT INTO seats (show_id, seat_number, status)
-SELECT 1, generate_series(1, 40), 'AVAILABLE';
-
--- Add a second show for more testing scenarios
-INSERT INTO shows (name, start_time, total_seats) 
-VALUES ('Movie Premiere - Blockbuster 2025', CURRENT_TIMESTAMP + INTERVAL '14 days', 60);
-
--- Create 60 seats for the second show (show_id = 2)
-INSERT INTO seats (show_id, seat_number, status)
-SELECT 2, generate_series(1, 60), 'AVAILABLE';
-
--- Verification queries (optional - comment out for production)
--- SELECT 'Shows created:', COUNT(*) FROM shows;
--- SELECT 'Seats created:', COUNT(*) FROM seats;
@@ -0,0 +1,9 @@
+-- Booking cancellation
+-- Adds the CANCELLED booking status and records when a booking was cancelled.
+-- Partially cancelled bookings stay CONFIRMED with a shorter seat_ids array.
+
+ALTER TABLE bookings DROP CONSTRAINT IF EXISTS bookings_status_check;
+ALTER TABLE bookings ADD CONSTRAINT bookings_status_check
+    CHECK (status IN ('PENDING', 'CONFIRMED', 'FAILED', 'CANCELLED'));
+
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMP;
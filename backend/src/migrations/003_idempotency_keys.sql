@@ -0,0 +1,18 @@
+-- Idempotency keys
+-- Stores the Idempotency-Key sent with a request together with a hash of
+-- the request and the response we gave, so a retried request gets the
+-- original result back instead of being executed twice.
+
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+    scope VARCHAR(100) NOT NULL, -- Which endpoint the key belongs to
+    key VARCHAR(255) NOT NULL,
+    request_hash CHAR(64) NOT NULL, -- SHA-256 of method, URL and body
+    response_status INTEGER, -- NULL while the original request is still running
+    response_body JSONB,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP,
+    PRIMARY KEY (scope, key)
+);
+
+-- Index for the cleanup job, which deletes keys older than the TTL
+CREATE INDEX IF NOT EXISTS idx_idempotency_keys_created ON idempotency_keys(created_at);
@@ -0,0 +1,29 @@
+-- Structured seat maps
+-- Shows created with a seat map get named sections, and every seat gets a
+-- row label, a seat label, a position on the layout grid and attributes
+-- such as wheelchair access. Shows created with just total_seats keep a
+-- flat 1..N layout and leave these columns empty.
+
+CREATE TABLE IF NOT EXISTS seat_sections (
+    id SERIAL PRIMARY KEY,
+    show_id INTEGER NOT NULL REFERENCES shows(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    sort_order INTEGER NOT NULL DEFAULT 0,
+    UNIQUE(show_id, name)
+);
+
+ALTER TABLE seats ADD COLUMN IF NOT EXISTS section_id INTEGER REFERENCES seat_sections(id) ON DELETE CASCADE;
+ALTER TABLE seats ADD COLUMN IF NOT EXISTS row_label VARCHAR(20);
+ALTER TABLE seats ADD COLUMN IF NOT EXISTS seat_label VARCHAR(20);
+ALTER TABLE seats ADD COLUMN IF NOT EXISTS grid_row INTEGER CHECK (grid_row > 0);
+ALTER TABLE seats ADD COLUMN IF NOT EXISTS grid_col INTEGER CHECK (grid_col > 0);
+-- e.g. {wheelchair, restricted_view}
+ALTER TABLE seats ADD COLUMN IF NOT EXISTS attributes TEXT[] NOT NULL DEFAULT '{}';
+
+-- Index for loading the seats of a section
+CREATE INDEX IF NOT EXISTS idx_seats_section ON seats(section_id);
+
+-- Two seats of a show can't occupy the same grid cell
+CREATE UNIQUE INDEX IF NOT EXISTS idx_seats_show_grid
+    ON seats(show_id, grid_row, grid_col)
+    WHERE grid_row IS NOT NULL;
@@ -0,0 +1,37 @@
+-- Pricing
+-- Each show can define price tiers; every seat points at the tier it's
+-- sold at. Amounts are integers in the currency's minor unit (cents for
+-- USD, pence for GBP, ...) next to an ISO 4217 currency code.
+--
+-- Bookings capture the price of every seat in booking_items at booking
+-- time, so later price changes never rewrite existing bookings.
+
+CREATE TABLE IF NOT EXISTS price_tiers (
+    id SERIAL PRIMARY KEY,
+    show_id INTEGER NOT NULL REFERENCES shows(id) ON DELETE CASCADE,
+    code VARCHAR(50) NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    amount_minor INTEGER NOT NULL CHECK (amount_minor >= 0),
+    currency CHAR(3) NOT NULL,
+    UNIQUE(show_id, code)
+);
+
+ALTER TABLE seats ADD COLUMN IF NOT EXISTS price_tier_id INTEGER REFERENCES price_tiers(id) ON DELETE SET NULL;
+
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS total_amount_minor INTEGER CHECK (total_amount_minor >= 0);
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS currency CHAR(3);
+
+-- One row per seat in a booking with the price it was booked at
+CREATE TABLE IF NOT EXISTS booking_items (
+    id SERIAL PRIMARY KEY,
+    booking_id INTEGER NOT NULL REFERENCES bookings(id) ON DELETE CASCADE,
+    seat_id INTEGER NOT NULL REFERENCES seats(id) ON DELETE CASCADE,
+    price_tier_id INTEGER REFERENCES price_tiers(id) ON DELETE SET NULL,
+    price_tier_name VARCHAR(100) NOT NULL, -- Kept in case the tier is renamed or removed
+    amount_minor INTEGER NOT NULL CHECK (amount_minor >= 0),
+    currency CHAR(3) NOT NULL,
+    cancelled_at TIMESTAMP, -- Set when the seat is dropped by a (partial) cancellation
+    UNIQUE(booking_id, seat_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_booking_items_booking ON booking_items(booking_id);
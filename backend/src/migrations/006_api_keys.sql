@@ -0,0 +1,20 @@
+-- Authentication
+-- API keys with a role. Only a SHA-256 hash of each key is stored; the key
+-- itself is shown once when it's created (npm run create-api-key).
+-- Customer keys are tied to an email and can only read that email's bookings.
+
+CREATE TABLE IF NOT EXISTS api_keys (
+    id SERIAL PRIMARY KEY,
+    key_hash CHAR(64) NOT NULL UNIQUE,
+    key_prefix VARCHAR(16) NOT NULL, -- First characters of the key, to tell keys apart
+    role VARCHAR(20) NOT NULL CHECK (role IN ('admin', 'customer')),
+    email VARCHAR(255),
+    label VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_used_at TIMESTAMP,
+    revoked_at TIMESTAMP,
+    CHECK (role <> 'customer' OR email IS NOT NULL)
+);
+
+-- Index for listing a customer's bookings (emails are matched case-insensitively)
+CREATE INDEX IF NOT EXISTS idx_bookings_user_email ON bookings(lower(user_email));
@@ -0,0 +1,70 @@
+-- Booking seats
+-- Replaces bookings.seat_ids (an INTEGER[] with no foreign keys) and
+-- booking_items with one row per seat in a booking.
+--
+-- A row is "active" while its booking holds the seat: PENDING or
+-- CONFIRMED, and the seat not dropped by a partial cancellation. Once the
+-- hold lapses or is released, the booking is cancelled, or the seat is
+-- dropped, released_at is set. The partial unique index below allows at
+-- most one active row per seat, so the database itself refuses a second
+-- booking for a seat no matter which code path writes it.
+
+CREATE TABLE IF NOT EXISTS booking_seats (
+    id SERIAL PRIMARY KEY,
+    booking_id INTEGER NOT NULL REFERENCES bookings(id) ON DELETE CASCADE,
+    show_id INTEGER NOT NULL REFERENCES shows(id) ON DELETE CASCADE,
+    seat_id INTEGER NOT NULL REFERENCES seats(id) ON DELETE CASCADE,
+    -- Price captured at booking time; null for shows without pricing
+    price_tier_id INTEGER REFERENCES price_tiers(id) ON DELETE SET NULL,
+    price_tier_name VARCHAR(100),
+    amount_minor INTEGER CHECK (amount_minor >= 0),
+    currency CHAR(3),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    released_at TIMESTAMP, -- Set when the booking stops holding the seat
+    cancelled_at TIMESTAMP, -- Set when the seat is dropped by a partial cancellation
+    UNIQUE(booking_id, seat_id)
+);
+
+-- Seats priced at booking time: copy booking_items. Before this migration
+-- a full cancellation also stamped every item's cancelled_at, so only
+-- items cancelled before the booking itself count as dropped seats.
+INSERT INTO booking_seats (
+    booking_id, show_id, seat_id, price_tier_id, price_tier_name, amount_minor, currency,
+    created_at, released_at, cancelled_at
+)
+SELECT
+    b.id, b.show_id, bi.seat_id, bi.price_tier_id, bi.price_tier_name, bi.amount_minor, bi.currency,
+    b.created_at,
+    CASE
+        WHEN b.status IN ('PENDING', 'CONFIRMED') AND bi.cancelled_at IS NULL THEN NULL
+        ELSE COALESCE(bi.cancelled_at, b.cancelled_at, b.expires_at, b.created_at)
+    END,
+    CASE
+        WHEN b.status = 'CANCELLED' AND bi.cancelled_at >= b.cancelled_at THEN NULL
+        ELSE bi.cancelled_at
+    END
+FROM booking_items bi
+JOIN bookings b ON bi.booking_id = b.id;
+
+-- Everything else in the seat_ids arrays (unpriced bookings)
+INSERT INTO booking_seats (booking_id, show_id, seat_id, created_at, released_at)
+SELECT
+    b.id, b.show_id, st.id, b.created_at,
+    CASE
+        WHEN b.status IN ('PENDING', 'CONFIRMED') THEN NULL
+        ELSE COALESCE(b.cancelled_at, b.expires_at, b.created_at)
+    END
+FROM bookings b
+CROSS JOIN LATERAL unnest(b.seat_ids) AS booked(seat_id)
+JOIN seats st ON st.id = booked.seat_id
+ON CONFLICT (booking_id, seat_id) DO NOTHING;
+
+-- Created after the backfill: if existing data already double-books a
+-- seat, the migration fails here and rolls back instead of hiding it.
+CREATE UNIQUE INDEX IF NOT EXISTS idx_booking_seats_active_seat
+    ON booking_seats(seat_id) WHERE released_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_booking_seats_booking ON booking_seats(booking_id);
+
+DROP TABLE booking_items;
+ALTER TABLE bookings DROP COLUMN seat_ids;
@@ -0,0 +1,35 @@
+-- Waitlist
+-- People who couldn't get seats for a show queue up with the number of
+-- seats they want. When seats are released, the oldest entry that the
+-- free seats can satisfy is offered them as a hold (a PENDING booking with
+-- its own expiry) that only they can confirm.
+--
+-- Entry status:
+--   WAITING   - in the queue
+--   OFFERED   - holding the seats in booking_id until that hold expires
+--   ACCEPTED  - the offered hold was confirmed
+--   EXPIRED   - the offer lapsed or was released without being confirmed
+
+CREATE TABLE IF NOT EXISTS waitlist_entries (
+    id SERIAL PRIMARY KEY,
+    show_id INTEGER NOT NULL REFERENCES shows(id) ON DELETE CASCADE,
+    email VARCHAR(255) NOT NULL,
+    quantity INTEGER NOT NULL CHECK (quantity > 0),
+    status VARCHAR(20) NOT NULL DEFAULT 'WAITING' CHECK (status IN ('WAITING', 'OFFERED', 'ACCEPTED', 'EXPIRED')),
+    booking_id INTEGER REFERENCES bookings(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    offered_at TIMESTAMP
+);
+
+-- Finding the next entry to offer seats to (oldest WAITING first)
+CREATE INDEX IF NOT EXISTS idx_waitlist_queue
+    ON waitlist_entries(show_id, created_at, id)
+    WHERE status = 'WAITING';
+
+-- Settling an offer when its hold is confirmed, released or expires
+CREATE INDEX IF NOT EXISTS idx_waitlist_booking ON waitlist_entries(booking_id);
+
+-- One place in the queue per person per show
+CREATE UNIQUE INDEX IF NOT EXISTS idx_waitlist_active_email
+    ON waitlist_entries(show_id, lower(email))
+    WHERE status IN ('WAITING', 'OFFERED');
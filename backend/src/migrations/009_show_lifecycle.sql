@@ -0,0 +1,16 @@
+-- Show lifecycle
+-- Shows can be edited and cancelled. Cancelling a show cancels all of its
+-- holds and bookings in the same transaction; the reason is kept on the
+-- show and on every booking it cancelled.
+
+ALTER TABLE shows ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'SCHEDULED'
+    CHECK (status IN ('SCHEDULED', 'CANCELLED'));
+ALTER TABLE shows ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMP;
+ALTER TABLE shows ADD COLUMN IF NOT EXISTS cancellation_reason TEXT;
+ALTER TABLE shows ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+
+-- Why a booking was cancelled, when it wasn't the customer's own request
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS cancellation_reason TEXT;
+
+-- GET /shows lists upcoming scheduled shows by default
+CREATE INDEX IF NOT EXISTS idx_shows_status_start ON shows(status, start_time);
@@ -0,0 +1,12 @@
+-- Show listing
+-- GET /shows filters by date range, name and availability, sorts by start
+-- time or name, and pages with a (sort key, id) cursor. These indexes back
+-- each of those; availability checks use idx_seats_show_status.
+
+-- Name search with ILIKE '%...%'
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+CREATE INDEX IF NOT EXISTS idx_shows_name_trgm ON shows USING gin (name gin_trgm_ops);
+
+-- Keyset pagination in either direction, and date ranges
+CREATE INDEX IF NOT EXISTS idx_shows_start_time_id ON shows(start_time, id);
+CREATE INDEX IF NOT EXISTS idx_shows_name_id ON shows(name, id);
@@ -0,0 +1,7 @@
+-- Reports
+-- The admin reports select bookings by when they were made, confirmed and
+-- cancelled.
+
+CREATE INDEX IF NOT EXISTS idx_bookings_created_at ON bookings(created_at);
+CREATE INDEX IF NOT EXISTS idx_bookings_confirmed_at ON bookings(confirmed_at) WHERE confirmed_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_bookings_cancelled_at ON bookings(cancelled_at) WHERE cancelled_at IS NOT NULL;
@@ -0,0 +1,36 @@
+-- Seat audit trail
+-- One row per seat status transition, written in the same transaction as
+-- the change. Rows are never updated or deleted, and there are no foreign
+-- keys, so the history outlives seats removed by a capacity change.
+--
+-- action: hold, waitlist_offer, confirm, release, expire, cancel,
+--         show_cancel, seat_added, seat_removed
+-- actor_type: user, admin, job or system (scripts run by hand)
+
+CREATE TABLE IF NOT EXISTS seat_events (
+    id BIGSERIAL PRIMARY KEY,
+    show_id INTEGER NOT NULL,
+    seat_id INTEGER NOT NULL,
+    booking_id INTEGER,
+    action VARCHAR(30) NOT NULL,
+    old_status VARCHAR(20), -- NULL for a seat that was just added
+    new_status VARCHAR(20), -- NULL for a seat that was removed
+    actor_type VARCHAR(20) NOT NULL CHECK (actor_type IN ('user', 'admin', 'job', 'system')),
+    actor_id VARCHAR(100),
+    request_id VARCHAR(100),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_seat_events_seat ON seat_events(seat_id, id);
+CREATE INDEX IF NOT EXISTS idx_seat_events_booking ON seat_events(booking_id);
+
+CREATE OR REPLACE FUNCTION seat_events_append_only() RETURNS trigger AS $$
+BEGIN
+    RAISE EXCEPTION 'seat_events is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS seat_events_append_only ON seat_events;
+CREATE TRIGGER seat_events_append_only
+    BEFORE UPDATE OR DELETE ON seat_events
+    FOR EACH ROW EXECUTE FUNCTION seat_events_append_only();
@@ -0,0 +1,29 @@
+-- Notification outbox
+-- Emails to customers, written in the same transaction as the booking
+-- change they describe, so a message exists exactly when the change
+-- committed. The dispatcher job (jobs/dispatchNotifications.js) sends
+-- them afterwards.
+--
+-- template: booking_confirmed, booking_cancelled, hold_expired
+-- status: PENDING until sent (SENT) or given up on after repeated
+-- failures (DEAD). A PENDING message is due once next_attempt_at has
+-- passed; the dispatcher pushes it forward while it sends, so a crashed
+-- dispatcher's messages are picked up again later.
+
+CREATE TABLE IF NOT EXISTS notification_outbox (
+    id SERIAL PRIMARY KEY,
+    template VARCHAR(50) NOT NULL,
+    recipient VARCHAR(255) NOT NULL,
+    payload JSONB NOT NULL,
+    booking_id INTEGER REFERENCES bookings(id),
+    status VARCHAR(20) NOT NULL DEFAULT 'PENDING' CHECK (status IN ('PENDING', 'SENT', 'DEAD')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    last_error TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    sent_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_notification_outbox_due
+    ON notification_outbox(next_attempt_at, id) WHERE status = 'PENDING';
+CREATE INDEX IF NOT EXISTS idx_notification_outbox_booking ON notification_outbox(booking_id);
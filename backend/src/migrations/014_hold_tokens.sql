@@ -0,0 +1,13 @@
+-- Hold tokens
+-- Holds are confirmed and released through POST /booking/:id/confirm and
+-- /release, and booking IDs are sequential. A hold is now tied to whoever
+-- placed it by a secret token handed out once, when the hold is placed (or
+-- the waitlist joined); only its SHA-256 hash is kept. Holds from before
+-- this migration have no token and can only be settled with the owning
+-- customer's key or an admin key.
+
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS hold_token_hash VARCHAR(64);
+
+-- A waitlist entry's token; the hold offered to the entry gets the same
+-- hash, so the token that follows the entry also confirms the offer
+ALTER TABLE waitlist_entries ADD COLUMN IF NOT EXISTS token_hash VARCHAR(64);
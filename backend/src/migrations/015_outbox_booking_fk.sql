@@ -0,0 +1,13 @@
+-- Notification outbox booking link
+-- 013 left notification_outbox.booking_id without an ON DELETE rule, so a
+-- show deleted by hand (its bookings cascade with it) was blocked by the
+-- emails about those bookings. A message keeps everything it needs in its
+-- payload, so it outlives its booking: the link is cleared, like
+-- waitlist_entries.booking_id, and the message is still sent or kept as
+-- a record of what the customer was told.
+-- The app itself never deletes bookings, so the in-memory store has no
+-- twin of this rule.
+
+ALTER TABLE notification_outbox DROP CONSTRAINT IF EXISTS notification_outbox_booking_id_fkey;
+ALTER TABLE notification_outbox ADD CONSTRAINT notification_outbox_booking_id_fkey
+    FOREIGN KEY (booking_id) REFERENCES bookings(id) ON DELETE SET NULL;
@@ -0,0 +1,90 @@
+import { readFile } from 'fs/promises';
+import path from 'path';
+import { getStore } from '../repositories/index.js';
+import { createLogger } from '../utils/logger.js';
+import { parseShowImport, showsFromCsv, importShows } from '../services/shows.js';
+
+const logger = createLogger('import-shows');
+
+/**
+ * Bulk show import CLI, the command-line twin of POST /admin/shows/import.
+ *
+ *   npm run import-shows -- shows.csv
+ *   npm run import-shows -- shows.json
+ *   npm run import-shows -- shows.json --dry-run     Validate only
+ *
+ * CSV files have the columns name, start_time, total_seats and optionally
+ * currency, price_minor. JSON files hold an array of POST /admin/shows
+ * bodies (or { "shows": [...] }). Every show is validated before anything
+ * is written, and all of them are created in one transaction, so a failed
+ * import leaves the database untouched. Exits non-zero on any error.
+ */
+
+async function readShows(file) {
+  const text = await readFile(file, 'utf8');
+
+  if (path.extname(file).toLowerCase() === '.csv') {
+    return showsFromCsv(text);
+  }
+
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    return { error: `Invalid JSON: ${error.message}` };
+  }
+
+  return { shows: Array.isArray(data) ? data : data?.shows };
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const file = args.find(arg => !arg.startsWith('--'));
+  const dryRun = args.includes('--dry-run');
+
+  if (!file) {
+    console.error('Usage: npm run import-shows -- <file.csv|file.json> [--dry-run]');
+    return 2;
+  }
+
+  const parsed = await readShows(file);
+  if (parsed.error) {
+    console.error(parsed.error);
+    return 1;
+  }
+
+  const validated = parseShowImport(parsed.shows);
+  if (validated.error) {
+    console.error(validated.error);
+    for (const { row, error } of validated.errors ?? []) {
+      console.error(`  row ${row}: ${error}`);
+    }
+    return 1;
+  }
+
+  if (dryRun) {
+    console.log(`${validated.inputs.length} show(s) are valid; nothing was imported (--dry-run).`);
+    return 0;
+  }
+
+  const { result } = await getStore().transaction(
+    tx => importShows(tx, validated.inputs),
+    { label: 'Show import' }
+  );
+
+  for (const show of result) {
+    console.log(`#${show.id}  ${show.name}  (${show.total_seats} seats)`);
+  }
+  logger.info(`Imported ${result.length} show(s) from ${file}`);
+  return 0;
+}
+
+main()
+  .then(code => {
+    process.exitCode = code;
+  })
+  .catch(error => {
+    logger.error('Import failed:', { error: error.message });
+    process.exitCode = 1;
+  })
+  .finally(() => getStore().close());
@@ -1,33 +1,89 @@
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
 import pool from '../db.js';
-import { logger } from '../utils/logger.js';
+import { createLogger } from '../utils/logger.js';
+import { migrateUp, getMigrationStatus, baseline, runSeeds } from './runner.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+const logger = createLogger('migrations');
 
 /**
- * Simple migration runner that executes the SQL file.
- * In production, you'd use a proper migration tool like node-pg-migrate or Flyway.
- * But for this demo, I'm keeping it simple and straightforward.
+ * Migration CLI (see runner.js for how migrations are tracked).
+ *
+ *   npm run migrate                 Apply pending migrations
+ *   npm run migrate -- status       List applied / pending migrations
+ *   npm run migrate -- baseline     Mark 001 as applied (legacy databases only);
+ *                                   `baseline NNN` marks 001 to NNN instead
+ *   npm run seed                    Insert the sample shows (opt-in)
+ *
+ * Exits non-zero if anything fails, including a checksum mismatch.
  */
-async function runMigration() {
-  logger.info('Starting database migration...');
-  
+
+const commands = {
+  async up(client) {
+    logger.info('Starting database migration...');
+    const applied = await migrateUp(client);
+
+    if (applied.length === 0) {
+      logger.info('Database is up to date.');
+    } else {
+      logger.info(`Migration completed successfully! Applied ${applied.length} migration(s).`);
+    }
+    return 0;
+  },
+
+  async status(client) {
+    const status = await getMigrationStatus(client);
+
+    for (const entry of status) {
+      const appliedAt = entry.applied_at ? `  ${entry.applied_at.toISOString()}` : '';
+      console.log(`${entry.state.toUpperCase().padEnd(9)} ${entry.name}${appliedAt}`);
+    }
+
+    const pending = status.filter(entry => entry.state === 'pending').length;
+    const broken = status.filter(entry => entry.state === 'modified' || entry.state === 'missing');
+
+    console.log();
+    console.log(`${status.length - pending - broken.length} applied, ${pending} pending, ${broken.length} modified or missing`);
+
+    return broken.length > 0 ? 1 : 0;
+  },
+
+  async baseline(client) {
+    const recorded = await baseline(client, { through: process.argv[3] ?? '001' });
+    logger.info(`Recorded ${recorded.join(', ')} as already applied. Run \`npm run migrate\` to apply the rest.`);
+    return 0;
+  },
+
+  async seed(client) {
+    const seeded = await runSeeds(client);
+    logger.info(`Seeded ${seeded.length} file(s). Sample shows and seats have been created.`);
+    return 0;
+  }
+};
+
+async function main() {
+  const name = process.argv[2] || 'up';
+  const command = commands[name];
+
+  if (!command) {
+    console.error(`Unknown command "${name}". Use one of: ${Object.keys(commands).join(', ')}`);
+    process.exit(2);
+  }
+
+  const client = await pool.connect();
+  let exitCode = 1;
+
   try {
-    const sqlPath = path.join(__dirname, '001_create_tables.sql');
-    const sql = fs.readFileSync(sqlPath, 'utf8');
-    
-    await pool.query(sql);
-    
-    logger.info('Migration completed successfully!');
-    logger.info('Sample shows and seats have been created.');
-    process.exit(0);
+    exitCode = await command(client);
   } catch (error) {
-    logger.error('Migration failed:', error);
-    process.exit(1);
+    logger.error(`Migration ${name} failed:`, { error: error.message });
+  } finally {
+    client.release();
+    await pool.end();
   }
+
+  process.exit(exitCode);
 }
 
-runMigration();
+main().catch((error) => {
+  logger.error('Migration failed:', { error: error.message });
+  process.exit(1);
+});
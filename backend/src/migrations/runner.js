@@ -0,0 +1,243 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('migrations');
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const SEEDS_DIR = path.join(__dirname, 'seeds');
+
+// Serializes migration runs across processes (e.g. two releases at once)
+const MIGRATION_LOCK = 'modex:migrations';
+
+/**
+ * Forward-only, versioned migrations.
+ *
+ * Every NNN_description.sql file in this directory is a migration with
+ * version NNN. Applied migrations are recorded in schema_migrations with a
+ * SHA-256 checksum of the file, so:
+ * - each file runs exactly once, in version order, in its own transaction
+ * - editing a file after it has been applied is detected and refused
+ *   (write a new migration instead)
+ */
+
+function checksum(sql) {
+  return crypto.createHash('sha256').update(sql).digest('hex');
+}
+
+/**
+ * All migration files on disk, sorted by version.
+ */
+export function loadMigrations(dir = __dirname) {
+  const migrations = fs.readdirSync(dir)
+    .filter(file => /^\d+_.*\.sql$/.test(file))
+    .sort()
+    .map(file => {
+      const sql = fs.readFileSync(path.join(dir, file), 'utf8');
+      return {
+        version: file.split('_')[0],
+        name: file,
+        sql,
+        checksum: checksum(sql)
+      };
+    });
+
+  const seen = new Set();
+  for (const migration of migrations) {
+    if (seen.has(migration.version)) {
+      throw new Error(`Two migration files share version ${migration.version}`);
+    }
+    seen.add(migration.version);
+  }
+
+  return migrations;
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version VARCHAR(20) PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      checksum CHAR(64) NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+/**
+ * Applied migrations keyed by version. Returns an empty Map when the
+ * schema_migrations table doesn't exist yet.
+ */
+export async function getAppliedMigrations(client) {
+  const exists = await client.query(
+    "SELECT to_regclass('public.schema_migrations') IS NOT NULL AS exists"
+  );
+  if (!exists.rows[0].exists) {
+    return new Map();
+  }
+
+  const result = await client.query(
+    'SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version'
+  );
+  return new Map(result.rows.map(row => [row.version, row]));
+}
+
+/**
+ * Compare what's on disk with what's been applied.
+ * Returns one entry per migration with state 'applied', 'pending' or
+ * 'modified', plus 'missing' entries for applied versions whose file is gone.
+ */
+export async function getMigrationStatus(client) {
+  const migrations = loadMigrations();
+  const applied = await getAppliedMigrations(client);
+
+  const status = migrations.map(migration => {
+    const row = applied.get(migration.version);
+    if (!row) {
+      return { version: migration.version, name: migration.name, state: 'pending' };
+    }
+    return {
+      version: migration.version,
+      name: migration.name,
+      state: row.checksum === migration.checksum ? 'applied' : 'modified',
+      applied_at: row.applied_at
+    };
+  });
+
+  for (const row of applied.values()) {
+    if (!migrations.some(migration => migration.version === row.version)) {
+      status.push({ version: row.version, name: row.name, state: 'missing', applied_at: row.applied_at });
+    }
+  }
+
+  return status.sort((a, b) => a.version.localeCompare(b.version));
+}
+
+function assertUnchanged(status) {
+  const problems = status.filter(entry => entry.state === 'modified' || entry.state === 'missing');
+  if (problems.length > 0) {
+    const details = problems.map(entry => `${entry.name} (${entry.state})`).join(', ');
+    throw new Error(`Applied migrations don't match the files on disk: ${details}. Add a new migration instead of editing an applied one.`);
+  }
+}
+
+/**
+ * Apply every pending migration in order, each in its own transaction.
+ * Returns the names of the migrations applied.
+ */
+export async function migrateUp(client) {
+  await client.query('SELECT pg_advisory_lock(hashtext($1))', [MIGRATION_LOCK]);
+
+  try {
+    const applied = await getAppliedMigrations(client);
+
+    // A database set up by the old run-everything script has tables but no
+    // history; applying 001 again would fail halfway, so ask for a baseline.
+    if (applied.size === 0) {
+      const legacy = await client.query("SELECT to_regclass('public.shows') IS NOT NULL AS exists");
+      if (legacy.rows[0].exists) {
+        throw new Error('Database has tables but no schema_migrations history. Run `npm run migrate -- baseline` once to record the original schema (001) as applied, then `npm run migrate` to apply the rest.');
+      }
+    }
+
+    await ensureMigrationsTable(client);
+
+    const status = await getMigrationStatus(client);
+    assertUnchanged(status);
+
+    const pending = new Set(status.filter(entry => entry.state === 'pending').map(entry => entry.version));
+    const appliedNow = [];
+
+    for (const migration of loadMigrations()) {
+      if (!pending.has(migration.version)) {
+        continue;
+      }
+
+      try {
+        await client.query('BEGIN');
+        await client.query(migration.sql);
+        await client.query(
+          'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+          [migration.version, migration.name, migration.checksum]
+        );
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw new Error(`Migration ${migration.name} failed: ${error.message}`);
+      }
+
+      logger.info(`Applied ${migration.name}`);
+      appliedNow.push(migration.name);
+    }
+
+    return appliedNow;
+
+  } finally {
+    await client.query('SELECT pg_advisory_unlock(hashtext($1))', [MIGRATION_LOCK]);
+  }
+}
+
+/**
+ * Record migrations up to and including version `through` as applied
+ * without running them; later ones stay pending for migrateUp().
+ * Only for databases created before schema_migrations existed. Those were
+ * built from the original schema, 001, so that's the default; pass a
+ * later version only for a database whose schema is known to match it.
+ */
+export async function baseline(client, { through = '001' } = {}) {
+  const applied = await getAppliedMigrations(client);
+  if (applied.size > 0) {
+    throw new Error('schema_migrations already has entries; baseline is only for databases without migration history');
+  }
+
+  const onDisk = loadMigrations();
+  const last = onDisk.findIndex(migration => Number(migration.version) === Number(through));
+  if (last === -1) {
+    throw new Error(`No migration with version ${through}`);
+  }
+  const migrations = onDisk.slice(0, last + 1);
+
+  await ensureMigrationsTable(client);
+
+  await client.query('BEGIN');
+  try {
+    for (const migration of migrations) {
+      await client.query(
+        'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+        [migration.version, migration.name, migration.checksum]
+      );
+    }
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+
+  return migrations.map(migration => migration.name);
+}
+
+/**
+ * Run the seed files (sample data). Seeds aren't tracked, so running this
+ * twice inserts the sample data twice.
+ */
+export async function runSeeds(client) {
+  const seeds = loadMigrations(SEEDS_DIR);
+
+  for (const seed of seeds) {
+    try {
+      await client.query('BEGIN');
+      await client.query(seed.sql);
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw new Error(`Seed ${seed.name} failed: ${error.message}`);
+    }
+    logger.info(`Seeded ${seed.name}`);
+  }
+
+  return seeds.map(seed => seed.name);
+}
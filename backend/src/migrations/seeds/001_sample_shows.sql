@@ -0,0 +1,22 @@
+-- Sample shows for local development and demos.
+-- Applied only by `npm run seed`, never by `npm run migrate`.
+
+-- A sample show with 40 seats for testing
+WITH show AS (
+    INSERT INTO shows (name, start_time, total_seats)
+    VALUES ('Sample Concert - The Amazing Band', CURRENT_TIMESTAMP + INTERVAL '7 days', 40)
+    RETURNING id
+)
+INSERT INTO seats (show_id, seat_number, status)
+SELECT show.id, generate_series(1, 40), 'AVAILABLE'
+FROM show;
+
+-- A second show for more testing scenarios
+WITH show AS (
+    INSERT INTO shows (name, start_time, total_seats)
+    VALUES ('Movie Premiere - Blockbuster 2025', CURRENT_TIMESTAMP + INTERVAL '14 days', 60)
+    RETURNING id
+)
+INSERT INTO seats (show_id, seat_number, status)
+SELECT show.id, generate_series(1, 60), 'AVAILABLE'
+FROM show;
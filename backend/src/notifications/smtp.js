@@ -0,0 +1,285 @@
+import net from 'net';
+import tls from 'tls';
+import os from 'os';
+import { addressOf } from './templates.js';
+
+/**
+ * A small SMTP client (RFC 5321) for the notification dispatcher: one
+ * connection per message, EHLO, STARTTLS when the server offers it, AUTH
+ * PLAIN or LOGIN when a user is configured, then MAIL/RCPT/DATA and QUIT.
+ * That's all a relay or a local stand-in such as Mailpit or MailHog needs.
+ *
+ * Errors carry `permanent: true` when the server answered with a 5xx
+ * reply (bad recipient, message refused), which the dispatcher doesn't
+ * retry. Connection failures, timeouts and 4xx replies are temporary.
+ */
+
+const DEFAULT_TIMEOUT_MS = 10000;
+
+// RFC 5322 caps lines at 998 characters; base64 lines are kept to 76
+const MAX_LINE_LENGTH = 998;
+const BASE64_LINE_LENGTH = 76;
+
+function smtpError(message, reply) {
+  return Object.assign(new Error(message), {
+    code: 'SMTP_ERROR',
+    smtp_code: reply?.code ?? null,
+    permanent: reply ? reply.code >= 500 : false
+  });
+}
+
+function isAscii(text) {
+  return /^[\x00-\x7F]*$/.test(text);
+}
+
+/**
+ * A header value on one line, as an RFC 2047 encoded-word if it isn't
+ * plain ASCII. Line breaks are dropped so a show name can't add headers.
+ */
+function encodeHeader(value) {
+  const flat = String(value).replace(/[\r\n]+/g, ' ');
+  return isAscii(flat) ? flat : `=?UTF-8?B?${Buffer.from(flat).toString('base64')}?=`;
+}
+
+/**
+ * An email ({ messageId, from, to, subject, text }, see renderEmail() in
+ * templates.js) as an RFC 5322 message with CRLF line endings. Bodies that
+ * aren't plain ASCII, or have over-long lines, are sent in base64.
+ */
+export function formatMessage(email, { date = new Date() } = {}) {
+  const text = email.text.replace(/\r?\n/g, '\r\n');
+  const plain = isAscii(text) && text.split('\r\n').every(line => line.length <= MAX_LINE_LENGTH);
+
+  const body = plain
+    ? text
+    : Buffer.from(text).toString('base64').match(new RegExp(`.{1,${BASE64_LINE_LENGTH}}`, 'g')).join('\r\n');
+
+  return [
+    `From: ${encodeHeader(email.from)}`,
+    `To: ${encodeHeader(email.to)}`,
+    `Subject: ${encodeHeader(email.subject)}`,
+    `Date: ${date.toUTCString()}`,
+    `Message-ID: ${email.messageId}`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    `Content-Transfer-Encoding: ${plain ? '7bit' : 'base64'}`,
+    '',
+    body
+  ].join('\r\n');
+}
+
+/**
+ * Read SMTP replies off a socket. next() resolves to the next complete
+ * reply, { code, lines }, joining multiline replies ("250-...", "250 ...").
+ */
+function replyReader(socket) {
+  let buffer = '';
+  const lines = [];
+  let failure = null;
+  let waiting = null;
+
+  function deliver() {
+    if (!waiting) {
+      return;
+    }
+
+    const last = lines.findIndex(line => line.charAt(3) !== '-');
+    if (last >= 0) {
+      const reply = lines.splice(0, last + 1);
+      const { resolve } = waiting;
+      waiting = null;
+      resolve({ code: parseInt(reply[0].slice(0, 3), 10), lines: reply.map(line => line.slice(4)) });
+    } else if (failure) {
+      const { reject } = waiting;
+      waiting = null;
+      reject(failure);
+    }
+  }
+
+  const onData = (chunk) => {
+    buffer += chunk.toString('utf8');
+    const parts = buffer.split('\r\n');
+    buffer = parts.pop();
+    lines.push(...parts);
+    deliver();
+  };
+  const onError = (error) => {
+    failure = smtpError(`SMTP connection failed: ${error.message}`);
+    deliver();
+  };
+  const onClose = () => {
+    failure ??= smtpError('SMTP server closed the connection');
+    deliver();
+  };
+
+  socket.on('data', onData);
+  socket.on('error', onError);
+  socket.on('close', onClose);
+
+  return {
+    next() {
+      return new Promise((resolve, reject) => {
+        waiting = { resolve, reject };
+        deliver();
+      });
+    },
+
+    // Stop reading, before the socket is handed over to TLS
+    detach() {
+      socket.off('data', onData);
+      socket.off('error', onError);
+      socket.off('close', onClose);
+    }
+  };
+}
+
+function connect({ host, port, secure, rejectUnauthorized, timeoutMs }) {
+  return new Promise((resolve, reject) => {
+    const socket = secure
+      ? tls.connect({ host, port, servername: host, rejectUnauthorized })
+      : net.connect({ host, port });
+
+    const onError = (error) => {
+      socket.destroy();
+      reject(smtpError(`Could not connect to SMTP server ${host}:${port}: ${error.message}`));
+    };
+
+    socket.setTimeout(timeoutMs, () => socket.destroy(new Error(`no response within ${timeoutMs}ms`)));
+    socket.once('error', onError);
+    socket.once(secure ? 'secureConnect' : 'connect', () => {
+      socket.off('error', onError);
+      resolve(socket);
+    });
+  });
+}
+
+function upgradeToTls(socket, { host, rejectUnauthorized, timeoutMs }) {
+  return new Promise((resolve, reject) => {
+    const secured = tls.connect({ socket, servername: host, rejectUnauthorized });
+    // Errors on the plain socket surface on the TLS one
+    socket.on('error', () => {});
+
+    secured.setTimeout(timeoutMs, () => secured.destroy(new Error(`no response within ${timeoutMs}ms`)));
+    secured.once('error', (error) => {
+      secured.destroy();
+      reject(smtpError(`STARTTLS failed: ${error.message}`));
+    });
+    secured.once('secureConnect', () => {
+      secured.removeAllListeners('error');
+      resolve(secured);
+    });
+  });
+}
+
+/**
+ * Extensions from an EHLO reply, keyed by upper-case name:
+ * "250-AUTH PLAIN LOGIN" -> AUTH: ['PLAIN', 'LOGIN'].
+ */
+function parseExtensions(reply) {
+  return new Map(reply.lines.slice(1).map((line) => {
+    const [name, ...params] = line.trim().split(/\s+/);
+    return [name.toUpperCase(), params.map(param => param.toUpperCase())];
+  }));
+}
+
+/**
+ * SMTP transport for the dispatcher. `secure` is for implicit TLS (port
+ * 465); on other ports the connection is upgraded with STARTTLS whenever
+ * the server advertises it, unless `starttls` is false. Certificates are
+ * verified unless `rejectUnauthorized` is false, e.g. for a local relay
+ * with a self-signed one.
+ */
+export function createSmtpTransport({
+  host,
+  port = 25,
+  secure = false,
+  starttls = true,
+  rejectUnauthorized = true,
+  user = null,
+  password = null,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  clientName = os.hostname()
+}) {
+  if (!host) {
+    throw new Error('SMTP transport needs a host');
+  }
+
+  async function session(email) {
+    let socket = await connect({ host, port, secure, rejectUnauthorized, timeoutMs });
+    let replies = replyReader(socket);
+
+    const command = async (line, expected, description = line.split(' ')[0]) => {
+      if (line !== null) {
+        socket.write(`${line}\r\n`);
+      }
+      const reply = await replies.next();
+      if (!expected.includes(reply.code)) {
+        throw smtpError(`SMTP ${description} refused: ${reply.code} ${reply.lines.join(' ')}`, reply);
+      }
+      return reply;
+    };
+
+    try {
+      await command(null, [220], 'greeting');
+
+      const hello = async () => {
+        try {
+          return parseExtensions(await command(`EHLO ${clientName}`, [250]));
+        } catch (error) {
+          // Servers that don't speak ESMTP
+          if (!error.permanent) {
+            throw error;
+          }
+          await command(`HELO ${clientName}`, [250]);
+          return new Map();
+        }
+      };
+
+      let extensions = await hello();
+
+      if (!secure && starttls && extensions.has('STARTTLS')) {
+        await command('STARTTLS', [220]);
+        replies.detach();
+        socket = await upgradeToTls(socket, { host, rejectUnauthorized, timeoutMs });
+        replies = replyReader(socket);
+        extensions = await hello();
+      }
+
+      if (user) {
+        const mechanisms = extensions.get('AUTH') ?? [];
+
+        if (mechanisms.includes('PLAIN')) {
+          const credentials = Buffer.from(`\0${user}\0${password ?? ''}`).toString('base64');
+          await command(`AUTH PLAIN ${credentials}`, [235], 'AUTH');
+        } else if (mechanisms.includes('LOGIN')) {
+          await command('AUTH LOGIN', [334], 'AUTH');
+          await command(Buffer.from(user).toString('base64'), [334], 'AUTH');
+          await command(Buffer.from(password ?? '').toString('base64'), [235], 'AUTH');
+        } else {
+          throw Object.assign(smtpError('SMTP server offers no supported AUTH mechanism'), { permanent: true });
+        }
+      }
+
+      await command(`MAIL FROM:<${addressOf(email.from)}>`, [250]);
+      await command(`RCPT TO:<${addressOf(email.to)}>`, [250, 251]);
+      await command('DATA', [354]);
+
+      // Dot-stuffing: a line starting with "." gets another one, so it
+      // can't end the message early
+      const data = formatMessage(email).replace(/^\./gm, '..');
+      const accepted = await command(`${data}\r\n.`, [250], 'message');
+
+      await command('QUIT', [221]).catch(() => {});
+
+      return { response: `${accepted.code} ${accepted.lines.join(' ')}` };
+    } finally {
+      socket.end();
+      socket.destroy();
+    }
+  }
+
+  return {
+    name: 'smtp',
+    send: session
+  };
+}
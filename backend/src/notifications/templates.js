@@ -0,0 +1,155 @@
+/**
+ * Email templates for the notification outbox.
+ *
+ * Each template turns the payload queued by services/notifications.js into
+ * { subject, text }. Payloads are snapshots taken when the booking
+ * changed, so a message says what was true then, even if it's sent later.
+ * Times are given in UTC, since that's how shows are stored.
+ */
+
+const dateFormat = new Intl.DateTimeFormat('en-GB', {
+  dateStyle: 'full',
+  timeStyle: 'short',
+  timeZone: 'UTC'
+});
+
+function formatTime(value) {
+  return `${dateFormat.format(new Date(value))} UTC`;
+}
+
+/**
+ * Minor units in the currency's own number of decimals (2500 USD ->
+ * "$25.00", 2500 JPY -> "¥2,500").
+ */
+export function formatMoney(amountMinor, currency) {
+  const format = new Intl.NumberFormat('en-US', { style: 'currency', currency });
+  const digits = format.resolvedOptions().maximumFractionDigits;
+  return format.format(amountMinor / 10 ** digits);
+}
+
+function seatLines(seats) {
+  return seats.map(seat => `  - ${seat}`);
+}
+
+function footer(payload) {
+  return [
+    '',
+    `Booking reference: #${payload.booking_id}`,
+    '',
+    'Modex Tickets'
+  ];
+}
+
+const TEMPLATES = {
+  booking_confirmed(payload) {
+    const lines = [
+      'Your booking is confirmed.',
+      '',
+      `Show: ${payload.show_name}`,
+      `When: ${formatTime(payload.show_start_time)}`,
+      `Seats (${payload.seats.length}):`,
+      ...seatLines(payload.seats)
+    ];
+
+    if (payload.total_amount_minor !== null && payload.currency) {
+      lines.push(`Total: ${formatMoney(payload.total_amount_minor, payload.currency)}`);
+    }
+
+    return {
+      subject: `Booking confirmed: ${payload.show_name}`,
+      text: [...lines, ...footer(payload)].join('\n')
+    };
+  },
+
+  booking_cancelled(payload) {
+    const partial = payload.remaining_seats > 0;
+    const lines = [
+      payload.reason
+        ? `${payload.show_name} has been cancelled, and your booking with it.`
+        : partial
+          ? 'Part of your booking has been cancelled.'
+          : 'Your booking has been cancelled.',
+      ''
+    ];
+
+    if (payload.reason) {
+      lines.push(`Reason: ${payload.reason}`);
+    }
+
+    lines.push(
+      `Show: ${payload.show_name}`,
+      `When: ${formatTime(payload.show_start_time)}`,
+      `Cancelled seats (${payload.seats.length}):`,
+      ...seatLines(payload.seats)
+    );
+
+    if (partial) {
+      lines.push(`Your other ${payload.remaining_seats} seat(s) are still booked.`);
+    }
+
+    if (payload.refund_amount_minor && payload.currency) {
+      lines.push(`Refund: ${formatMoney(payload.refund_amount_minor, payload.currency)}`);
+    }
+
+    return {
+      subject: payload.reason
+        ? `Show cancelled: ${payload.show_name}`
+        : `Booking cancelled: ${payload.show_name}`,
+      text: [...lines, ...footer(payload)].join('\n')
+    };
+  },
+
+  hold_expired(payload) {
+    const lines = [
+      'The seats held for you were not confirmed in time, so they have been released.',
+      '',
+      `Show: ${payload.show_name}`,
+      `When: ${formatTime(payload.show_start_time)}`,
+      `Seats (${payload.seats.length}):`,
+      ...seatLines(payload.seats),
+      '',
+      'If you still want to go, you can book again while seats are available.'
+    ];
+
+    return {
+      subject: `Your held seats were released: ${payload.show_name}`,
+      text: [...lines, ...footer(payload)].join('\n')
+    };
+  }
+};
+
+export const NOTIFICATION_TEMPLATES = Object.keys(TEMPLATES);
+
+/**
+ * Render an outbox message ({ id, template, recipient, payload }) into the
+ * email handed to a transport: { messageId, from, to, subject, text }.
+ *
+ * The Message-ID is derived from the outbox ID, so every attempt at the
+ * same message carries the same one and receivers can drop duplicates.
+ * An unknown template throws an error marked `permanent`: retrying
+ * won't help.
+ */
+export function renderEmail(message, { from }) {
+  const template = TEMPLATES[message.template];
+
+  if (!template) {
+    throw Object.assign(new Error(`Unknown notification template "${message.template}"`), { permanent: true });
+  }
+
+  const domain = addressOf(from).split('@')[1] || 'localhost';
+
+  return {
+    messageId: `<notification-${message.id}@${domain}>`,
+    from,
+    to: message.recipient,
+    ...template(message.payload)
+  };
+}
+
+/**
+ * The bare address of "Name <user@example.com>" or "user@example.com".
+ */
+export function addressOf(mailbox) {
+  const match = /<([^>]+)>/.exec(mailbox);
+  return (match ? match[1] : mailbox).trim();
+}
@@ -0,0 +1,130 @@
+import fs from 'fs/promises';
+import path from 'path';
+import dotenv from 'dotenv';
+import { createLogger } from '../utils/logger.js';
+import { createSmtpTransport, formatMessage } from './smtp.js';
+
+dotenv.config();
+
+const logger = createLogger('notifications');
+
+/**
+ * Where the notification dispatcher sends emails. A transport is
+ * { name, send(email) }, where `email` is what renderEmail() in
+ * templates.js returns; send() resolves once the message is handed over
+ * and rejects if it wasn't. An error with `permanent: true` won't be
+ * retried.
+ *
+ * NOTIFICATION_TRANSPORT picks one:
+ * - smtp: a real mail server or a local stand-in (SMTP_HOST, SMTP_PORT...)
+ * - file: one .eml file per message in NOTIFICATION_FILE_DIR
+ * - console: the message is logged (the default, for development)
+ * Tests use createTestTransport() through setTransport().
+ */
+
+export const MAIL_FROM = process.env.MAIL_FROM || 'Modex Tickets <no-reply@modex.local>';
+
+/**
+ * Write each message to `dir` as <outbox id>.eml, which any
+ * mail client opens. Retries overwrite the same file.
+ */
+export function createFileTransport({ dir }) {
+  return {
+    name: 'file',
+
+    async send(email) {
+      await fs.mkdir(dir, { recursive: true });
+      const id = /notification-(\d+)@/.exec(email.messageId)?.[1] ?? Date.now();
+      const file = path.join(dir, `${id}.eml`);
+      await fs.writeFile(file, formatMessage(email));
+      return { file };
+    }
+  };
+}
+
+/**
+ * Log each message instead of sending it.
+ */
+export function createConsoleTransport() {
+  return {
+    name: 'console',
+
+    async send(email) {
+      logger.info(`Email "${email.subject}" (not sent: console transport)\n${email.text}`);
+      return {};
+    }
+  };
+}
+
+/**
+ * Keep messages in `sent` for tests to inspect. failNext(count, options)
+ * makes the next `count` sends throw, with `permanent` if asked.
+ */
+export function createTestTransport() {
+  let failures = 0;
+  let permanent = false;
+
+  return {
+    name: 'test',
+    sent: [],
+
+    failNext(count = 1, options = {}) {
+      failures = count;
+      permanent = options.permanent === true;
+    },
+
+    async send(email) {
+      if (failures > 0) {
+        failures -= 1;
+        throw Object.assign(new Error('Test transport failure'), { permanent });
+      }
+      this.sent.push(email);
+      return {};
+    }
+  };
+}
+
+/**
+ * The transport configured by the environment.
+ */
+export function createTransportFromEnv(env = process.env) {
+  const name = (env.NOTIFICATION_TRANSPORT || 'console').toLowerCase();
+
+  switch (name) {
+    case 'smtp':
+      return createSmtpTransport({
+        host: env.SMTP_HOST || 'localhost',
+        port: parseInt(env.SMTP_PORT) || 25,
+        secure: env.SMTP_SECURE === 'true',
+        starttls: env.SMTP_STARTTLS !== 'false',
+        rejectUnauthorized: env.SMTP_TLS_REJECT_UNAUTHORIZED !== 'false',
+        user: env.SMTP_USER || null,
+        password: env.SMTP_PASSWORD || null,
+        timeoutMs: parseInt(env.SMTP_TIMEOUT_MS) || undefined
+      });
+    case 'file':
+      return createFileTransport({ dir: env.NOTIFICATION_FILE_DIR || 'tmp/emails' });
+    case 'console':
+      return createConsoleTransport();
+    default:
+      throw new Error(`Unknown NOTIFICATION_TRANSPORT "${name}" (use smtp, file or console)`);
+  }
+}
+
+let transport = null;
+
+/**
+ * The transport the dispatcher uses, created from the environment on
+ * first use.
+ */
+export function getTransport() {
+  transport ??= createTransportFromEnv();
+  return transport;
+}
+
+/**
+ * Replace the transport, e.g. with a test transport.
+ */
+export function setTransport(next) {
+  transport = next;
+}
@@ -0,0 +1,54 @@
+import { createPostgresStore } from './postgres/index.js';
+import { createMemoryStore } from './memory/index.js';
+
+/**
+ * The storage layer. Routes, services and jobs never write SQL or touch
+ * the pool; they go through a store, which comes in two adapters with the
+ * same interface and the same locking behaviour:
+ *
+ * - postgres (postgres/): the real thing, used by the server and the CLIs
+ * - memory (memory/): everything in process memory, for the test suite
+ *
+ * A store has:
+ *
+ * - repositories - shows, seats, bookings, waitlist, seatEvents,
+ *   idempotencyKeys, apiKeys, reports and notifications - whose calls
+ *   each run on their own (autocommit)
+ * - transaction(work, { isolationLevel, label }): runs `work(tx)` in a
+ *   transaction and resolves to { result, attempts }. `tx` has the same
+ *   repositories, bound to the transaction, plus notify(channel, payload),
+ *   delivered to listeners only if the transaction commits. It commits
+ *   unless `work` throws or returns a result with `rollback: true`, and
+ *   is re-run on deadlocks and serialization failures (see retry.js).
+ * - listen(channel, { onNotification, onError }): resolves to { close() }
+ * - ping() and appliedMigrations(), for the health checks
+ * - tryJobLock(name): resolves to a release function, or null if another
+ *   instance is running that job
+ * - close(): closes its connections, listen() subscriptions included
+ *
+ * Constraint violations surface as Postgres-style errors from both
+ * adapters (code 23505 with the index name as `constraint`), so callers
+ * handle them one way.
+ */
+
+let store = null;
+
+/**
+ * The store the app uses; the Postgres one unless setStore() said
+ * otherwise.
+ */
+export function getStore() {
+  if (!store) {
+    store = createPostgresStore();
+  }
+  return store;
+}
+
+/**
+ * Use `next` from now on (tests swap in a memory store).
+ */
+export function setStore(next) {
+  store = next;
+}
+
+export { createPostgresStore, createMemoryStore };
@@ -0,0 +1,33 @@
+/**
+ * API keys - the in-memory twin of postgres/apiKeys.js.
+ */
+export function createApiKeyRepository({ tables, run }) {
+  return {
+    create({ keyHash, keyPrefix, role, email, label }) {
+      return run(async tx => {
+        const apiKey = await tables.api_keys.insert(tx, {
+          key_hash: keyHash,
+          key_prefix: keyPrefix,
+          role,
+          email: email || null,
+          label: label || null
+        });
+        return apiKey.id;
+      });
+    },
+
+    findActive(keyHash) {
+      return run(tx => {
+        const apiKey = tables.api_keys.rows(tx)
+          .find(row => row.key_hash === keyHash && row.revoked_at === null);
+        return apiKey ? { id: apiKey.id, role: apiKey.role, email: apiKey.email } : null;
+      });
+    },
+
+    touch(keyId) {
+      return run(async tx => {
+        await tables.api_keys.update(tx, keyId, { last_used_at: tx.now });
+      });
+    }
+  };
+}
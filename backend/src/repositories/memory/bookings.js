@@ -0,0 +1,267 @@
+import { orderBy } from './ordering.js';
+
+/**
+ * Bookings and their seats - the in-memory twin of postgres/bookings.js.
+ */
+
+const pick = (row, columns) => Object.fromEntries(columns.map(column => [column, row[column]]));
+
+const ITEM_COLUMNS = ['seat_id', 'price_tier_name', 'amount_minor', 'currency', 'cancelled_at'];
+
+export function createBookingRepository({ tables, run }) {
+  const itemsOf = (tx, bookingId) =>
+    tables.booking_seats.rows(tx).filter(item => item.booking_id === bookingId);
+
+  // The seat_ids column of BOOKING_SEAT_IDS
+  const seatIdsOf = (tx, bookingId) => itemsOf(tx, bookingId)
+    .filter(item => item.cancelled_at === null)
+    .map(item => item.seat_id)
+    .sort((a, b) => a - b);
+
+  const withSeatIds = (tx, booking) => ({ ...booking, seat_ids: seatIdsOf(tx, booking.id) });
+
+  const withoutTokenHash = ({ hold_token_hash, ...booking }) => booking;
+
+  const withShow = (tx, booking) => {
+    const show = tables.shows.get(tx, booking.show_id);
+    return { ...withSeatIds(tx, withoutTokenHash(booking)), show_name: show.name, show_start_time: show.start_time };
+  };
+
+  // Lock the bookings matching `matches`, then keep those that still do
+  async function lockWhere(tx, matches) {
+    const candidates = tables.bookings.rows(tx).filter(matches).map(booking => booking.id);
+    const locked = await tables.bookings.lock(tx, candidates, 'update');
+    return locked.filter(matches);
+  }
+
+  async function updateEach(tx, bookingIds, changes) {
+    const updated = [];
+    for (const bookingId of bookingIds) {
+      const booking = await tables.bookings.update(tx, bookingId, changes);
+      if (booking) {
+        updated.push(booking);
+      }
+    }
+    return updated;
+  }
+
+  // Set released_at on the live booking_seats rows matching `matches`
+  async function releaseWhere(tx, matches) {
+    const released = [];
+    for (const item of tables.booking_seats.rows(tx).filter(matches)) {
+      const row = await tables.booking_seats.update(tx, item.id, current =>
+        (current.released_at === null && matches(current) ? { released_at: tx.now } : null));
+      if (row) {
+        released.push(row);
+      }
+    }
+    return released;
+  }
+
+  return {
+    create({ showId, userEmail, ttlSeconds, holdTokenHash = null }) {
+      return run(tx => tables.bookings.insert(tx, {
+        show_id: showId,
+        user_email: userEmail || null,
+        status: 'PENDING',
+        expires_at: new Date(tx.now.getTime() + ttlSeconds * 1000),
+        hold_token_hash: holdTokenHash
+      }));
+    },
+
+    setTotal(bookingId, totalMinor, currency) {
+      return run(tx => tables.bookings.update(tx, bookingId, { total_amount_minor: totalMinor, currency }));
+    },
+
+    addSeats(bookingId, seatIds) {
+      return run(async tx => {
+        const items = [];
+        for (const seatId of [...seatIds].sort((a, b) => a - b)) {
+          const seat = tables.seats.get(tx, seatId);
+          if (!seat) {
+            continue;
+          }
+          const tier = seat.price_tier_id && tables.price_tiers.get(tx, seat.price_tier_id);
+          const item = await tables.booking_seats.insert(tx, {
+            booking_id: bookingId,
+            show_id: seat.show_id,
+            seat_id: seat.id,
+            price_tier_id: tier?.id ?? null,
+            price_tier_name: tier?.name ?? null,
+            amount_minor: tier?.amount_minor ?? null,
+            currency: tier?.currency ?? null
+          });
+          items.push(pick(item, ITEM_COLUMNS));
+        }
+        return items;
+      });
+    },
+
+    items(bookingId) {
+      return run(tx => orderBy(
+        itemsOf(tx, bookingId).filter(item => item.amount_minor !== null),
+        item => item.seat_id
+      ).map(item => pick(item, ITEM_COLUMNS)));
+    },
+
+    releaseSeats(bookingId, seatIds = null) {
+      return run(async tx => {
+        const released = await releaseWhere(tx, item =>
+          item.booking_id === bookingId && (seatIds === null || seatIds.includes(item.seat_id)));
+        return released.map(item => pick(item, ['seat_id', 'amount_minor']));
+      });
+    },
+
+    releaseSeatsOf(bookingIds) {
+      return run(async tx => {
+        const released = await releaseWhere(tx, item => bookingIds.includes(item.booking_id));
+        return released.map(item => pick(item, ['booking_id', 'seat_id']));
+      });
+    },
+
+    markSeatsCancelled(bookingId, seatIds) {
+      return run(async tx => {
+        const items = itemsOf(tx, bookingId).filter(item => seatIds.includes(item.seat_id));
+        for (const item of items) {
+          await tables.booking_seats.update(tx, item.id, { cancelled_at: tx.now });
+        }
+      });
+    },
+
+    lock(bookingId) {
+      return run(async tx => {
+        const [booking] = await tables.bookings.lock(tx, [bookingId], 'update');
+        if (!booking) {
+          return null;
+        }
+        return {
+          ...withSeatIds(tx, booking),
+          is_expired: booking.expires_at !== null && booking.expires_at <= tx.now
+        };
+      });
+    },
+
+    lockForCancellation(bookingId, cutoffMinutes) {
+      return run(async tx => {
+        const [booking] = await tables.bookings.lock(tx, [bookingId], 'update');
+        if (!booking) {
+          return null;
+        }
+        const show = tables.shows.get(tx, booking.show_id);
+        return {
+          ...withSeatIds(tx, booking),
+          past_cutoff: show.start_time.getTime() - cutoffMinutes * 60_000 <= tx.now.getTime()
+        };
+      });
+    },
+
+    lockActiveForShow(showId) {
+      return run(async tx => {
+        const bookings = await lockWhere(tx, booking =>
+          booking.show_id === showId && ['PENDING', 'CONFIRMED'].includes(booking.status));
+        return bookings.map(booking => pick(booking, ['id', 'status', 'user_email', 'total_amount_minor', 'currency']));
+      });
+    },
+
+    lockExpired() {
+      return run(async tx => {
+        const bookings = await lockWhere(tx, booking =>
+          booking.status === 'PENDING' && booking.expires_at < tx.now);
+        return bookings.map(booking => pick(booking, ['id', 'show_id', 'user_email']));
+      });
+    },
+
+    confirm(bookingId) {
+      return run(tx => tables.bookings.update(tx, bookingId, { status: 'CONFIRMED', confirmed_at: tx.now }));
+    },
+
+    fail(bookingIds) {
+      return run(async tx => {
+        await updateEach(tx, bookingIds, { status: 'FAILED' });
+      });
+    },
+
+    cancel(bookingId) {
+      return run(tx => tables.bookings.update(tx, bookingId, { status: 'CANCELLED', cancelled_at: tx.now }));
+    },
+
+    cancelMany(bookingIds, reason) {
+      return run(async tx => {
+        await updateEach(tx, bookingIds, {
+          status: 'CANCELLED',
+          cancelled_at: tx.now,
+          cancellation_reason: reason
+        });
+      });
+    },
+
+    reduceTotal(bookingId, amountMinor) {
+      return run(tx => tables.bookings.update(tx, bookingId, booking => ({
+        total_amount_minor: booking.total_amount_minor === null ? null : booking.total_amount_minor - amountMinor
+      })));
+    },
+
+    findWithShow(bookingId) {
+      return run(tx => {
+        const booking = tables.bookings.get(tx, bookingId);
+        return booking ? withShow(tx, booking) : null;
+      });
+    },
+
+    listForEmail(email) {
+      return run(tx => orderBy(
+        tables.bookings.rows(tx).filter(booking => booking.user_email?.toLowerCase() === email.toLowerCase()),
+        [booking => booking.created_at, 'DESC']
+      ).map(booking => withShow(tx, booking)));
+    },
+
+    listForShow(showId) {
+      return run(tx => orderBy(
+        tables.bookings.rows(tx).filter(booking => booking.show_id === showId),
+        [booking => booking.created_at, 'DESC']
+      ).map(booking => withSeatIds(tx, withoutTokenHash(booking))));
+    },
+
+    /**
+     * Read the whole attendee list first (in one go, like the cursor's
+     * snapshot), then hand it to `handleBatch` a batch at a time.
+     */
+    async exportForShow(showId, statuses, handleBatch, { batchSize = 500 } = {}) {
+      const rows = await run(tx => {
+        const bookings = tables.bookings.rows(tx)
+          .filter(booking => booking.show_id === showId && statuses.includes(booking.status));
+
+        const attendees = bookings.flatMap(booking => itemsOf(tx, booking.id)
+          .filter(item => item.cancelled_at === null)
+          .map(item => {
+            const seat = tables.seats.get(tx, item.seat_id);
+            const section = seat.section_id && tables.seat_sections.get(tx, seat.section_id);
+            return {
+              booking_id: booking.id,
+              booking_status: booking.status,
+              user_email: booking.user_email,
+              booked_at: booking.created_at,
+              confirmed_at: booking.confirmed_at,
+              cancelled_at: booking.cancelled_at,
+              seat_id: seat.id,
+              seat_number: seat.seat_number,
+              section: section?.name ?? null,
+              row_label: seat.row_label,
+              seat_label: seat.seat_label,
+              price_tier: item.price_tier_name,
+              amount_minor: item.amount_minor,
+              currency: item.currency
+            };
+          }));
+
+        return orderBy(attendees, row => row.booking_id, row => row.seat_number);
+      });
+
+      for (let start = 0; start < rows.length; start += batchSize) {
+        if ((await handleBatch(rows.slice(start, start + batchSize))) === false) {
+          break;
+        }
+      }
+    }
+  };
+}
@@ -0,0 +1,424 @@
+/**
+ * Tables, transactions and row locks for the in-memory store.
+ *
+ * This reproduces the parts of Postgres the booking code relies on, at
+ * READ COMMITTED:
+ *
+ * - Every row has a committed version, plus a pending one while a
+ *   transaction that changed it is open. Other transactions keep reading
+ *   the committed version until that transaction commits; rolled back
+ *   changes (inserts included) disappear.
+ * - Row locks in two modes, 'share' (FOR SHARE) and 'update' (FOR UPDATE,
+ *   also taken by every write), held until the transaction ends. A
+ *   transaction that needs a lock someone else holds waits for them,
+ *   unless it asked to skip locked rows (SKIP LOCKED).
+ * - A wait that would close a cycle fails at once with a 40P01 deadlock
+ *   error, which store.transaction() retries like a Postgres deadlock.
+ * - Unique indexes, partial ones included. A duplicate fails with 23505
+ *   and the index name as `constraint`, like Postgres; a duplicate written
+ *   by a transaction still open waits for it to end first.
+ *
+ * What it doesn't do: snapshots beyond a single call (every read sees the
+ * latest committed data) or serialization failures, so SERIALIZABLE runs
+ * like READ COMMITTED, with the row locks doing the work.
+ */
+
+function storeError(code, message, fields = {}) {
+  return Object.assign(new Error(message), { code, ...fields });
+}
+
+// Rows handed out are copies, so callers can't change stored versions
+function copyRow(row) {
+  const copy = { ...row };
+  for (const [column, value] of Object.entries(copy)) {
+    if (Array.isArray(value)) {
+      copy[column] = [...value];
+    }
+  }
+  return copy;
+}
+
+// Does `from` (transitively) wait for `target`?
+function waitsFor(from, target, seen = new Set()) {
+  if (from === target) {
+    return true;
+  }
+  if (seen.has(from) || !from.waitingFor) {
+    return false;
+  }
+  seen.add(from);
+  return from.waitingFor.some(next => waitsFor(next, target, seen));
+}
+
+export function createEngine() {
+  let nextTransactionId = 1;
+  const channels = new Map(); // channel -> Set of listeners
+
+  /**
+   * Start a transaction. Its `now` plays CURRENT_TIMESTAMP, fixed for the
+   * whole transaction.
+   */
+  function begin() {
+    let markFinished;
+
+    const tx = {
+      id: nextTransactionId++,
+      now: new Date(),
+      active: true,
+      locks: new Set(),
+      writes: new Set(),
+      notifications: [],
+      waitingFor: null,
+      finished: new Promise(resolve => {
+        markFinished = resolve;
+      }),
+
+      assertActive() {
+        if (!tx.active) {
+          throw new Error(`Transaction ${tx.id} has already ended`);
+        }
+      },
+
+      /**
+       * Wait until one of `blockers` ends, unless they are (through
+       * others) waiting for this transaction.
+       */
+      async waitFor(blockers) {
+        if (blockers.some(blocker => waitsFor(blocker, tx))) {
+          throw storeError('40P01', 'deadlock detected');
+        }
+
+        tx.waitingFor = blockers;
+        try {
+          await Promise.race(blockers.map(blocker => blocker.finished));
+        } finally {
+          tx.waitingFor = null;
+        }
+      },
+
+      notify(channel, payload) {
+        tx.notifications.push({ channel, payload });
+      },
+
+      commit() {
+        end(true);
+      },
+
+      rollback() {
+        end(false);
+      }
+    };
+
+    function end(commit) {
+      if (!tx.active) {
+        return;
+      }
+      tx.active = false;
+
+      for (const record of tx.writes) {
+        record.table.settle(record, commit);
+      }
+      for (const record of tx.locks) {
+        if (record.exclusive === tx) {
+          record.exclusive = null;
+        }
+        record.shared.delete(tx);
+      }
+      markFinished();
+
+      // Like NOTIFY, delivered only on commit and never synchronously
+      if (commit) {
+        for (const { channel, payload } of tx.notifications) {
+          for (const listener of channels.get(channel) ?? []) {
+            setImmediate(() => listener(payload));
+          }
+        }
+      }
+    }
+
+    return tx;
+  }
+
+  /**
+   * Run `fn(tx)` in a transaction of its own, for statements outside any
+   * transaction.
+   */
+  async function autocommit(fn) {
+    const tx = begin();
+    try {
+      const result = await fn(tx);
+      tx.commit();
+      return result;
+    } catch (error) {
+      tx.rollback();
+      throw error;
+    }
+  }
+
+  /**
+   * Call `listener(payload)` for every notification committed on
+   * `channel`. Returns a function that stops it.
+   */
+  function listen(channel, listener) {
+    if (!channels.has(channel)) {
+      channels.set(channel, new Set());
+    }
+    channels.get(channel).add(listener);
+
+    return () => channels.get(channel)?.delete(listener);
+  }
+
+  /**
+   * Define a table. `columns(tx)` gives a new row's defaults, in column
+   * order. Rows are numbered in `id` like a SERIAL column (numbers are
+   * never reused, even after a rollback). `uniqueIndexes` are
+   * [{ name, key: row => string, or null to leave the row out }].
+   */
+  function createTable({ columns, uniqueIndexes = [] }) {
+    const records = new Map(); // row number -> record
+    const indexes = uniqueIndexes.map(index => ({ ...index, entries: new Map() }));
+    let nextId = 1;
+
+    const visible = (record, tx) =>
+      record.writer === tx && record.pending !== undefined ? record.pending : record.committed;
+
+    // Index every version of the row, so a duplicate of a pending version
+    // is noticed too
+    function reindex(record) {
+      for (const index of indexes) {
+        const keys = new Set(
+          [record.committed, record.pending]
+            .filter(Boolean)
+            .map(index.key)
+            .filter(key => key !== null && key !== undefined)
+        );
+        const previous = record.keys.get(index.name) ?? new Set();
+
+        for (const key of previous) {
+          if (!keys.has(key)) {
+            const entry = index.entries.get(key);
+            entry.delete(record);
+            if (entry.size === 0) {
+              index.entries.delete(key);
+            }
+          }
+        }
+        for (const key of keys) {
+          if (!previous.has(key)) {
+            if (!index.entries.has(key)) {
+              index.entries.set(key, new Set());
+            }
+            index.entries.get(key).add(record);
+          }
+        }
+        record.keys.set(index.name, keys);
+      }
+    }
+
+    async function checkUnique(tx, self, row) {
+      for (const index of indexes) {
+        const key = index.key(row);
+        if (key === null || key === undefined) {
+          continue;
+        }
+
+        for (;;) {
+          let writer = null;
+
+          for (const other of index.entries.get(key) ?? []) {
+            if (other === self) {
+              continue;
+            }
+            if (other.writer && other.writer !== tx) {
+              writer = other.writer;
+              break;
+            }
+            const version = visible(other, tx);
+            if (version && index.key(version) === key) {
+              throw storeError('23505', `duplicate key value violates unique constraint "${index.name}"`, {
+                constraint: index.name
+              });
+            }
+          }
+
+          if (!writer) {
+            break;
+          }
+          // Whether it's a duplicate depends on how that transaction ends
+          await tx.waitFor([writer]);
+        }
+      }
+    }
+
+    async function acquire(tx, record, mode, skipLocked) {
+      for (;;) {
+        tx.assertActive();
+
+        const blockers = [];
+        if (record.exclusive && record.exclusive !== tx) {
+          blockers.push(record.exclusive);
+        }
+        if (mode === 'update') {
+          blockers.push(...[...record.shared].filter(holder => holder !== tx));
+        }
+
+        if (blockers.length === 0) {
+          if (mode === 'update') {
+            record.exclusive = tx;
+          } else {
+            record.shared.add(tx);
+          }
+          tx.locks.add(record);
+          return true;
+        }
+
+        if (skipLocked) {
+          return false;
+        }
+        await tx.waitFor(blockers);
+      }
+    }
+
+    const table = {
+      /**
+       * Every row `tx` can see.
+       */
+      rows(tx) {
+        const rows = [];
+        for (const record of records.values()) {
+          const row = visible(record, tx);
+          if (row) {
+            rows.push(copyRow(row));
+          }
+        }
+        return rows;
+      },
+
+      get(tx, rowId) {
+        const record = records.get(rowId);
+        const row = record && visible(record, tx);
+        return row ? copyRow(row) : null;
+      },
+
+      /**
+       * Lock rows in `mode` ('share' or 'update'), in ID order, waiting
+       * for other transactions unless `skipLocked`. Returns the locked
+       * rows as they are once locked, leaving out rows deleted meanwhile
+       * (and with skipLocked, rows someone else has locked).
+       */
+      async lock(tx, rowIds, mode, { skipLocked = false } = {}) {
+        const locked = [];
+
+        for (const rowId of [...new Set(rowIds)].sort((a, b) => a - b)) {
+          const record = records.get(rowId);
+          if (!record || !(await acquire(tx, record, mode, skipLocked))) {
+            continue;
+          }
+          const row = visible(record, tx);
+          if (row) {
+            locked.push(copyRow(row));
+          }
+        }
+
+        return locked;
+      },
+
+      async insert(tx, values) {
+        tx.assertActive();
+
+        const rowId = nextId++;
+        const row = { ...columns(tx), ...values, id: rowId };
+
+        await checkUnique(tx, null, row);
+
+        const record = {
+          table: { settle },
+          rowId,
+          committed: null,
+          pending: row,
+          writer: tx,
+          exclusive: tx,
+          shared: new Set(),
+          keys: new Map()
+        };
+        records.set(rowId, record);
+        reindex(record);
+        tx.locks.add(record);
+        tx.writes.add(record);
+
+        return copyRow(row);
+      },
+
+      /**
+       * Lock a row and change it. `change` is the new column values, or a
+       * function of the current row returning them (or null to leave the
+       * row alone). Returns the changed row, or null if the row is gone
+       * or was left alone.
+       */
+      async update(tx, rowId, change) {
+        const record = records.get(rowId);
+        if (!record) {
+          return null;
+        }
+
+        await acquire(tx, record, 'update', false);
+
+        const current = visible(record, tx);
+        const changes = current && (typeof change === 'function' ? change(copyRow(current)) : change);
+        if (!changes) {
+          return null;
+        }
+
+        const row = { ...current, ...changes };
+        await checkUnique(tx, record, row);
+
+        record.pending = row;
+        record.writer = tx;
+        tx.writes.add(record);
+        reindex(record);
+
+        return copyRow(row);
+      },
+
+      /**
+       * Lock a row and delete it. Returns whether there was a row.
+       */
+      async remove(tx, rowId) {
+        const record = records.get(rowId);
+        if (!record) {
+          return false;
+        }
+
+        await acquire(tx, record, 'update', false);
+
+        if (!visible(record, tx)) {
+          return false;
+        }
+
+        record.pending = null;
+        record.writer = tx;
+        tx.writes.add(record);
+        reindex(record);
+        return true;
+      }
+    };
+
+    // Make a transaction's version of the row final, or drop it
+    function settle(record, commit) {
+      if (commit) {
+        record.committed = record.pending;
+      }
+      record.pending = undefined;
+      record.writer = null;
+      reindex(record);
+
+      if (!record.committed) {
+        records.delete(record.rowId);
+      }
+    }
+
+    return table;
+  }
+
+  return { begin, autocommit, listen, createTable };
+}
@@ -0,0 +1,85 @@
+/**
+ * Idempotency-Key claims - the in-memory twin of
+ * postgres/idempotencyKeys.js.
+ */
+export function createIdempotencyKeyRepository({ tables, run }) {
+  const findRow = (tx, scope, key) =>
+    tables.idempotency_keys.rows(tx).find(row => row.scope === scope && row.key === key) ?? null;
+
+  return {
+    claim(scope, key, requestHash) {
+      return run(async tx => {
+        try {
+          await tables.idempotency_keys.insert(tx, { scope, key, request_hash: requestHash });
+          return true;
+        } catch (error) {
+          if (error.code === '23505') {
+            return false;
+          }
+          throw error;
+        }
+      });
+    },
+
+    takeOverStale(scope, key, requestHash, staleSeconds) {
+      return run(async tx => {
+        const row = findRow(tx, scope, key);
+        if (!row) {
+          return false;
+        }
+        const updated = await tables.idempotency_keys.update(tx, row.id, current =>
+          (current.request_hash === requestHash
+            && current.response_status === null
+            && current.created_at.getTime() < tx.now.getTime() - staleSeconds * 1000
+            ? { created_at: tx.now }
+            : null));
+        return updated !== null;
+      });
+    },
+
+    find(scope, key) {
+      return run(tx => {
+        const row = findRow(tx, scope, key);
+        return row
+          ? { request_hash: row.request_hash, response_status: row.response_status, response_body: row.response_body }
+          : null;
+      });
+    },
+
+    // The body goes through JSON, as it does on its way into a JSONB column
+    complete(scope, key, status, body) {
+      return run(async tx => {
+        const row = findRow(tx, scope, key);
+        if (row) {
+          await tables.idempotency_keys.update(tx, row.id, {
+            response_status: status,
+            response_body: JSON.parse(JSON.stringify(body)),
+            completed_at: tx.now
+          });
+        }
+      });
+    },
+
+    remove(scope, key) {
+      return run(async tx => {
+        const row = findRow(tx, scope, key);
+        if (row) {
+          await tables.idempotency_keys.remove(tx, row.id);
+        }
+      });
+    },
+
+    deleteOlderThan(hours) {
+      return run(async tx => {
+        const cutoff = tx.now.getTime() - hours * 3_600_000;
+        let deleted = 0;
+        for (const row of tables.idempotency_keys.rows(tx).filter(row => row.created_at.getTime() < cutoff)) {
+          if (await tables.idempotency_keys.remove(tx, row.id)) {
+            deleted++;
+          }
+        }
+        return deleted;
+      });
+    }
+  };
+}
@@ -0,0 +1,112 @@
+import { retryTransaction } from '../retry.js';
+import { loadMigrations } from '../../migrations/runner.js';
+import { createEngine } from './engine.js';
+import { createTables } from './tables.js';
+import { createShowRepository } from './shows.js';
+import { createSeatRepository } from './seats.js';
+import { createBookingRepository } from './bookings.js';
+import { createWaitlistRepository } from './waitlist.js';
+import { createSeatEventRepository } from './seatEvents.js';
+import { createIdempotencyKeyRepository } from './idempotencyKeys.js';
+import { createApiKeyRepository } from './apiKeys.js';
+import { createReportRepository } from './reports.js';
+import { createNotificationRepository } from './notifications.js';
+
+// Give other requests a turn, as waiting on a database round trip would
+const roundTrip = () => new Promise(resolve => setImmediate(resolve));
+
+function repositories(session) {
+  return {
+    shows: createShowRepository(session),
+    seats: createSeatRepository(session),
+    bookings: createBookingRepository(session),
+    waitlist: createWaitlistRepository(session),
+    seatEvents: createSeatEventRepository(session),
+    idempotencyKeys: createIdempotencyKeyRepository(session),
+    apiKeys: createApiKeyRepository(session),
+    reports: createReportRepository(session),
+    notifications: createNotificationRepository(session)
+  };
+}
+
+/**
+ * A store that keeps everything in process memory, so the test suite can
+ * run the whole API without a database. Nothing survives the process and
+ * nothing is shared with other processes. Row locks, unique indexes and
+ * transactions behave like the Postgres ones the booking code depends on
+ * (see engine.js).
+ */
+export function createMemoryStore() {
+  const engine = createEngine();
+  const tables = createTables(engine);
+  const jobLocks = new Set();
+
+  // Outside a transaction every repository call commits on its own
+  const autocommit = repositories({
+    tables,
+    run: async fn => {
+      await roundTrip();
+      return engine.autocommit(fn);
+    }
+  });
+
+  return {
+    name: 'memory',
+
+    ...autocommit,
+
+    transaction(work, { label } = {}) {
+      return retryTransaction(async () => {
+        const tx = engine.begin();
+        const session = {
+          tables,
+          run: async fn => {
+            await roundTrip();
+            tx.assertActive();
+            return fn(tx);
+          }
+        };
+
+        try {
+          const result = await work({ ...repositories(session), notify: tx.notify });
+          if (result?.rollback) {
+            tx.rollback();
+          } else {
+            tx.commit();
+          }
+          return result;
+        } catch (error) {
+          tx.rollback();
+          throw error;
+        }
+      }, { label });
+    },
+
+    async listen(channel, { onNotification }) {
+      const unlisten = engine.listen(channel, onNotification);
+      return { close: async () => unlisten() };
+    },
+
+    async ping() {},
+
+    // The schema is whatever this build ships
+    async appliedMigrations() {
+      return new Map(loadMigrations().map(migration => [
+        migration.version,
+        { version: migration.version, name: migration.name, checksum: migration.checksum }
+      ]));
+    },
+
+    async tryJobLock(name) {
+      if (jobLocks.has(name)) {
+        return null;
+      }
+      jobLocks.add(name);
+      return async () => {
+        jobLocks.delete(name);
+      };
+    },
+
+    async close() {}
+  };
+}
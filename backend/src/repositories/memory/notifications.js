@@ -0,0 +1,96 @@
+import { orderBy } from './ordering.js';
+
+/**
+ * The notification outbox - the in-memory twin of
+ * postgres/notifications.js. Payloads are stored as JSON text, so they
+ * come back with dates as strings, as they do from JSONB.
+ */
+
+const LIST_COLUMNS = ['id', 'template', 'recipient', 'booking_id', 'status', 'attempts',
+  'next_attempt_at', 'last_error', 'created_at', 'sent_at'];
+
+const pick = (row, columns) => Object.fromEntries(columns.map(column => [column, row[column]]));
+
+const secondsFrom = (date, seconds) => new Date(date.getTime() + seconds * 1000);
+
+export function createNotificationRepository({ tables, run }) {
+  return {
+    enqueue({ template, recipient, payload, booking_id = null }) {
+      return run(async tx => {
+        const message = await tables.notification_outbox.insert(tx, {
+          template,
+          recipient,
+          payload: JSON.stringify(payload),
+          booking_id
+        });
+        return message.id;
+      });
+    },
+
+    claimDue(limit, leaseSeconds) {
+      return run(async tx => {
+        const isDue = message => message.status === 'PENDING' && message.next_attempt_at <= tx.now;
+        const candidates = orderBy(
+          tables.notification_outbox.rows(tx).filter(isDue),
+          message => message.next_attempt_at,
+          message => message.id
+        ).slice(0, limit).map(message => message.id);
+
+        const locked = await tables.notification_outbox.lock(tx, candidates, 'update', { skipLocked: true });
+
+        const claimed = [];
+        for (const { id } of locked) {
+          const message = await tables.notification_outbox.update(tx, id, current => (isDue(current)
+            ? { attempts: current.attempts + 1, next_attempt_at: secondsFrom(tx.now, leaseSeconds) }
+            : null));
+          if (message) {
+            claimed.push({
+              ...pick(message, ['id', 'template', 'recipient']),
+              payload: JSON.parse(message.payload),
+              ...pick(message, ['booking_id', 'attempts'])
+            });
+          }
+        }
+        return claimed;
+      });
+    },
+
+    markSent(id) {
+      return run(async tx => {
+        await tables.notification_outbox.update(tx, id, { status: 'SENT', sent_at: tx.now, last_error: null });
+      });
+    },
+
+    markFailed(id, error, retryInSeconds) {
+      return run(async tx => {
+        await tables.notification_outbox.update(tx, id, retryInSeconds === null
+          ? { status: 'DEAD', last_error: error }
+          : { status: 'PENDING', next_attempt_at: secondsFrom(tx.now, retryInSeconds), last_error: error });
+      });
+    },
+
+    retry(id) {
+      return run(async tx => {
+        const message = await tables.notification_outbox.update(tx, id, current => (current.status === 'DEAD'
+          ? { status: 'PENDING', attempts: 0, next_attempt_at: tx.now }
+          : null));
+        return message !== null;
+      });
+    },
+
+    findById(id) {
+      return run(tx => {
+        const message = tables.notification_outbox.get(tx, id);
+        return message ? pick(message, LIST_COLUMNS) : null;
+      });
+    },
+
+    list({ status = null, bookingId = null, limit = 100 } = {}) {
+      return run(tx => orderBy(
+        tables.notification_outbox.rows(tx).filter(message =>
+          (status === null || message.status === status) && (bookingId === null || message.booking_id === bookingId)),
+        [message => message.id, 'DESC']
+      ).slice(0, limit).map(message => pick(message, LIST_COLUMNS)));
+    }
+  };
+}
@@ -0,0 +1,37 @@
+/**
+ * Compare two column values the way Postgres orders them: dates by time,
+ * and NULL after everything else.
+ */
+export function compareValues(a, b) {
+  const x = a instanceof Date ? a.getTime() : a;
+  const y = b instanceof Date ? b.getTime() : b;
+
+  if (x === y) {
+    return 0;
+  }
+  if (x === null || x === undefined) {
+    return 1;
+  }
+  if (y === null || y === undefined) {
+    return -1;
+  }
+  return x < y ? -1 : 1;
+}
+
+/**
+ * Sort rows in place like ORDER BY. `terms` are functions of a row, or
+ * [function, 'DESC']; NULLs come last ascending and first descending.
+ */
+export function orderBy(rows, ...terms) {
+  const sortTerms = terms.map(term => (Array.isArray(term) ? term : [term, 'ASC']));
+
+  return rows.sort((a, b) => {
+    for (const [value, direction] of sortTerms) {
+      const order = compareValues(value(a), value(b));
+      if (order !== 0) {
+        return direction === 'DESC' ? -order : order;
+      }
+    }
+    return 0;
+  });
+}
@@ -0,0 +1,136 @@
+import { orderBy } from './ordering.js';
+
+/**
+ * Sales and occupancy reports - the in-memory twin of
+ * postgres/reports.js, aggregating in JavaScript what that one does in
+ * SQL. Timestamps are bucketed in UTC, as date_trunc() does there.
+ */
+
+const BUCKET_MS = { hour: 3_600_000, day: 86_400_000 };
+
+const round = (value, digits) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+const inRange = (time, from, to) => time !== null && time >= from && (!to || time < to);
+
+const truncate = (time, bucket) => new Date(Math.floor(time.getTime() / BUCKET_MS[bucket]) * BUCKET_MS[bucket]);
+
+// Seats a booking still holds
+const heldSeats = (items, booking) => items.filter(item => item.booking_id === booking.id && item.released_at === null).length;
+
+// jsonb_object_agg(currency, sum(total_amount_minor)) over CONFIRMED bookings
+function revenueByCurrency(bookings) {
+  const revenue = {};
+  for (const booking of bookings) {
+    if (booking.status === 'CONFIRMED' && booking.total_amount_minor !== null) {
+      revenue[booking.currency] = (revenue[booking.currency] ?? 0) + booking.total_amount_minor;
+    }
+  }
+  return revenue;
+}
+
+export function createReportRepository({ tables, run }) {
+  const bookingsOf = (tx, showId) => tables.bookings.rows(tx)
+    .filter(booking => showId === null || showId === undefined || booking.show_id === showId);
+
+  return {
+    summary({ from, to, showId }) {
+      return run(tx => {
+        const ranged = bookingsOf(tx, showId).filter(booking => inRange(booking.created_at, from, to));
+        const items = tables.booking_seats.rows(tx);
+
+        const seatCounts = ranged
+          .filter(booking => booking.status === 'CONFIRMED')
+          .map(booking => heldSeats(items, booking))
+          .filter(count => count > 0);
+        const countWhere = matches => ranged.filter(matches).length;
+
+        return {
+          holds_started: ranged.length,
+          bookings_confirmed: countWhere(booking => booking.status === 'CONFIRMED'),
+          holds_failed: countWhere(booking => booking.status === 'FAILED'),
+          holds_pending: countWhere(booking => booking.status === 'PENDING'),
+          bookings_cancelled: countWhere(booking => booking.status === 'CANCELLED'),
+          avg_seats_per_booking: seatCounts.length
+            ? round(seatCounts.reduce((sum, count) => sum + count, 0) / seatCounts.length, 2)
+            : null,
+          revenue_minor_by_currency: revenueByCurrency(ranged)
+        };
+      });
+    },
+
+    bookingsOverTime({ from, to, showId, bucket }) {
+      return run(tx => {
+        const bookings = bookingsOf(tx, showId);
+        const items = tables.booking_seats.rows(tx);
+        const buckets = new Map();
+
+        for (let start = truncate(from, bucket); start < to; start = new Date(start.getTime() + BUCKET_MS[bucket])) {
+          buckets.set(start.getTime(), {
+            bucket_start: start,
+            holds_started: 0,
+            holds_failed: 0,
+            bookings_confirmed: 0,
+            seats_confirmed: 0,
+            bookings_cancelled: 0,
+            revenue_minor_by_currency: {}
+          });
+        }
+        const bucketOf = time => buckets.get(truncate(time, bucket).getTime());
+
+        for (const booking of bookings) {
+          if (inRange(booking.created_at, from, to)) {
+            const row = bucketOf(booking.created_at);
+            row.holds_started++;
+            row.holds_failed += booking.status === 'FAILED' ? 1 : 0;
+          }
+          if (booking.status === 'CONFIRMED' && inRange(booking.confirmed_at, from, to)) {
+            const row = bucketOf(booking.confirmed_at);
+            row.bookings_confirmed++;
+            row.seats_confirmed += heldSeats(items, booking);
+            Object.entries(revenueByCurrency([booking])).forEach(([currency, amount]) => {
+              row.revenue_minor_by_currency[currency] = (row.revenue_minor_by_currency[currency] ?? 0) + amount;
+            });
+          }
+          if (booking.status === 'CANCELLED' && inRange(booking.cancelled_at, from, to)) {
+            bucketOf(booking.cancelled_at).bookings_cancelled++;
+          }
+        }
+
+        return [...buckets.values()];
+      });
+    },
+
+    occupancy({ from, to, showId }) {
+      return run(tx => {
+        const shows = tables.shows.rows(tx).filter(show => inRange(show.start_time, from, to)
+          && (showId === null || showId === undefined || show.id === showId));
+        const seats = tables.seats.rows(tx);
+        const bookings = tables.bookings.rows(tx);
+
+        return orderBy(shows, show => show.start_time, show => show.id).map(show => {
+          const showSeats = seats.filter(seat => seat.show_id === show.id);
+          const countSeats = status => showSeats.filter(seat => seat.status === status).length;
+          const confirmed = bookings.filter(booking => booking.show_id === show.id && booking.status === 'CONFIRMED');
+          const amounts = confirmed.map(booking => booking.total_amount_minor).filter(amount => amount !== null);
+          const currencies = confirmed.map(booking => booking.currency).filter(currency => currency !== null).sort();
+          const booked = countSeats('BOOKED');
+
+          return {
+            show_id: show.id,
+            name: show.name,
+            start_time: show.start_time,
+            status: show.status,
+            total_seats: showSeats.length,
+            booked_seats: booked,
+            reserved_seats: countSeats('RESERVED'),
+            available_seats: countSeats('AVAILABLE'),
+            occupancy_pct: showSeats.length ? round((100 * booked) / showSeats.length, 1) : null,
+            confirmed_bookings: confirmed.length,
+            revenue_minor: amounts.length ? amounts.reduce((sum, amount) => sum + amount, 0) : null,
+            currency: currencies.at(-1) ?? null
+          };
+        });
+      });
+    }
+  };
+}
@@ -0,0 +1,35 @@
+import { orderBy } from './ordering.js';
+
+/**
+ * The seat audit trail - the in-memory twin of postgres/seatEvents.js.
+ * Nothing here updates or deletes events.
+ */
+export function createSeatEventRepository({ tables, run }) {
+  return {
+    append(events) {
+      return run(async tx => {
+        for (const event of events) {
+          await tables.seat_events.insert(tx, event);
+        }
+      });
+    },
+
+    // IDs come back as strings, like the BIGSERIAL column they stand for
+    forSeat(showId, seatId) {
+      return run(tx => orderBy(
+        tables.seat_events.rows(tx).filter(event => event.seat_id === seatId && event.show_id === showId),
+        event => event.id
+      ).map(event => ({
+        id: String(event.id),
+        action: event.action,
+        old_status: event.old_status,
+        new_status: event.new_status,
+        booking_id: event.booking_id,
+        actor_type: event.actor_type,
+        actor_id: event.actor_id,
+        request_id: event.request_id,
+        created_at: event.created_at
+      })));
+    }
+  };
+}
@@ -0,0 +1,206 @@
+import { orderBy } from './ordering.js';
+
+/**
+ * Seats - the in-memory twin of postgres/seats.js. Methods that lock rows
+ * check their conditions again once the lock is held, as Postgres does
+ * when a row it waited for changed.
+ */
+
+const pick = (row, columns) => Object.fromEntries(columns.map(column => [column, row[column]]));
+
+export function createSeatRepository({ tables, run }) {
+  const ofShow = (tx, showId) => tables.seats.rows(tx).filter(seat => seat.show_id === showId);
+
+  return {
+    listForShow(showId) {
+      return run(tx => orderBy(ofShow(tx, showId), seat => seat.seat_number).map(seat => {
+        const tier = seat.price_tier_id && tables.price_tiers.get(tx, seat.price_tier_id);
+        return {
+          ...pick(seat, ['id', 'seat_number', 'status', 'section_id', 'row_label', 'seat_label',
+            'grid_row', 'grid_col', 'attributes', 'price_tier_id']),
+          price_minor: tier?.amount_minor ?? null,
+          currency: tier?.currency ?? null
+        };
+      }));
+    },
+
+    listForAdmin(showId) {
+      return run(tx => orderBy(ofShow(tx, showId), seat => seat.seat_number).map(seat => {
+        const section = seat.section_id && tables.seat_sections.get(tx, seat.section_id);
+        const tier = seat.price_tier_id && tables.price_tiers.get(tx, seat.price_tier_id);
+        return {
+          ...pick(seat, ['id', 'seat_number', 'status', 'updated_at']),
+          section: section?.name ?? null,
+          ...pick(seat, ['row_label', 'seat_label', 'attributes']),
+          price_tier: tier?.code ?? null,
+          price_minor: tier?.amount_minor ?? null,
+          currency: tier?.currency ?? null
+        };
+      }));
+    },
+
+    findInShow(seatId, showId) {
+      return run(tx => {
+        const seat = tables.seats.get(tx, seatId);
+        return seat?.show_id === showId
+          ? pick(seat, ['id', 'seat_number', 'row_label', 'seat_label', 'status', 'updated_at'])
+          : null;
+      });
+    },
+
+    findByIds(seatIds) {
+      return run(tx => orderBy(
+        seatIds.map(seatId => tables.seats.get(tx, seatId)).filter(Boolean),
+        seat => seat.seat_number
+      ).map(seat => {
+        const section = seat.section_id && tables.seat_sections.get(tx, seat.section_id);
+        return {
+          ...pick(seat, ['id', 'seat_number']),
+          section: section?.name ?? null,
+          ...pick(seat, ['row_label', 'seat_label'])
+        };
+      }));
+    },
+
+    findAvailable(showId, { section, price_tier }) {
+      return run(tx => {
+        const seats = ofShow(tx, showId).flatMap(seat => {
+          const seatSection = seat.section_id && tables.seat_sections.get(tx, seat.section_id);
+          const tier = seat.price_tier_id && tables.price_tiers.get(tx, seat.price_tier_id);
+          const matches = seat.status === 'AVAILABLE'
+            && (section == null || seatSection?.name === section)
+            && (price_tier == null || tier?.code === price_tier);
+
+          return matches
+            ? [{
+                ...pick(seat, ['id', 'seat_number', 'section_id']),
+                section: seatSection?.name ?? null,
+                ...pick(seat, ['row_label', 'seat_label', 'grid_row', 'grid_col'])
+              }]
+            : [];
+        });
+
+        return orderBy(seats, seat => seat.grid_row, seat => seat.grid_col, seat => seat.seat_number);
+      });
+    },
+
+    lockAvailable(seatIds) {
+      return run(async tx => {
+        const candidates = tables.seats.rows(tx)
+          .filter(seat => seatIds.includes(seat.id) && seat.status === 'AVAILABLE')
+          .map(seat => seat.id);
+        const locked = await tables.seats.lock(tx, candidates, 'update', { skipLocked: true });
+        return locked.filter(seat => seat.status === 'AVAILABLE').map(seat => seat.id);
+      });
+    },
+
+    lock(seatIds, { showId = null } = {}) {
+      return run(async tx => {
+        const locked = await tables.seats.lock(tx, seatIds, 'update');
+        return locked
+          .filter(seat => showId === null || seat.show_id === showId)
+          .map(seat => pick(seat, ['id', 'seat_number', 'status', 'show_id']));
+      });
+    },
+
+    lockAbove(showId, seatNumber) {
+      return run(async tx => {
+        const candidates = ofShow(tx, showId)
+          .filter(seat => seat.seat_number > seatNumber)
+          .map(seat => seat.id);
+        const locked = await tables.seats.lock(tx, candidates, 'update');
+        const booked = new Set(tables.booking_seats.rows(tx).map(item => item.seat_id));
+        return orderBy(locked, seat => seat.seat_number)
+          .map(seat => ({ ...pick(seat, ['id', 'seat_number', 'status']), has_bookings: booked.has(seat.id) }));
+      });
+    },
+
+    setStatus(seatIds, status, { from = null } = {}) {
+      return run(async tx => {
+        const changed = [];
+        for (const seatId of seatIds) {
+          const seat = await tables.seats.update(tx, seatId, current =>
+            (from === null || current.status === from ? { status, updated_at: tx.now } : null));
+          if (seat) {
+            changed.push({ id: seat.id, status: seat.status });
+          }
+        }
+        return changed;
+      });
+    },
+
+    releaseShow(showId) {
+      return run(async tx => {
+        const candidates = ofShow(tx, showId)
+          .filter(seat => seat.status !== 'AVAILABLE')
+          .map(seat => seat.id);
+        const taken = await tables.seats.lock(tx, candidates, 'update');
+
+        const released = [];
+        for (const { id, status } of taken.filter(seat => seat.status !== 'AVAILABLE')) {
+          await tables.seats.update(tx, id, { status: 'AVAILABLE', updated_at: tx.now });
+          released.push({ id, status: 'AVAILABLE', old_status: status });
+        }
+        return released;
+      });
+    },
+
+    createNumbered(showId, count, priceTierId) {
+      return run(async tx => {
+        for (let seatNumber = 1; seatNumber <= count; seatNumber++) {
+          await tables.seats.insert(tx, { show_id: showId, seat_number: seatNumber, price_tier_id: priceTierId });
+        }
+      });
+    },
+
+    extend(showId, lastNumber, newLastNumber) {
+      return run(async tx => {
+        const [last] = orderBy(ofShow(tx, showId), [seat => seat.seat_number, 'DESC']);
+        const added = [];
+        for (let seatNumber = lastNumber + 1; seatNumber <= newLastNumber; seatNumber++) {
+          const seat = await tables.seats.insert(tx, {
+            show_id: showId,
+            seat_number: seatNumber,
+            price_tier_id: last?.price_tier_id ?? null
+          });
+          added.push({ id: seat.id, status: seat.status });
+        }
+        return added;
+      });
+    },
+
+    createInSection(showId, sectionId, seats) {
+      return run(async tx => {
+        for (const seat of seats) {
+          await tables.seats.insert(tx, {
+            show_id: showId,
+            section_id: sectionId,
+            ...pick(seat, ['seat_number', 'row_label', 'seat_label', 'grid_row', 'grid_col', 'price_tier_id']),
+            attributes: [...seat.attributes]
+          });
+        }
+      });
+    },
+
+    /**
+     * Delete seats, and their booking_seats rows as ON DELETE CASCADE
+     * would.
+     */
+    remove(seatIds) {
+      return run(async tx => {
+        let removed = 0;
+        for (const seatId of seatIds) {
+          if (await tables.seats.remove(tx, seatId)) {
+            removed++;
+          }
+        }
+
+        const orphans = tables.booking_seats.rows(tx).filter(item => seatIds.includes(item.seat_id));
+        for (const item of orphans) {
+          await tables.booking_seats.remove(tx, item.id);
+        }
+        return removed;
+      });
+    }
+  };
+}
@@ -0,0 +1,180 @@
+import { compareValues, orderBy } from './ordering.js';
+
+/**
+ * Shows, with their sections and price tiers - the in-memory twin of
+ * postgres/shows.js.
+ */
+
+const pick = (row, columns) => Object.fromEntries(columns.map(column => [column, row[column]]));
+
+// What list() orders by, and how a cursor key is read back
+const SORT_COLUMNS = {
+  start_time: { value: show => show.start_time, sortKey: show => show.start_time.toISOString(), parseKey: key => new Date(key) },
+  name: { value: show => show.name, sortKey: show => show.name, parseKey: key => key }
+};
+
+export function createShowRepository({ tables, run }) {
+  return {
+    findById(showId) {
+      return run(tx => tables.shows.get(tx, showId));
+    },
+
+    list({ sort, limit, includeCancelled, includePast, from, to, q, available, after }) {
+      return run(tx => {
+        const direction = sort.startsWith('-') ? 'DESC' : 'ASC';
+        const column = SORT_COLUMNS[sort.replace(/^-/, '')];
+
+        const counts = new Map();
+        for (const seat of tables.seats.rows(tx)) {
+          const count = counts.get(seat.show_id) ?? { available_seats: 0, booked_seats: 0 };
+          count.available_seats += seat.status === 'AVAILABLE' ? 1 : 0;
+          count.booked_seats += seat.status === 'BOOKED' ? 1 : 0;
+          counts.set(seat.show_id, count);
+        }
+
+        const afterKey = after && column.parseKey(after.key);
+        const needle = q?.toLowerCase();
+
+        const shows = tables.shows.rows(tx).filter(show => {
+          const count = counts.get(show.id);
+          if (after) {
+            const order = compareValues(column.value(show), afterKey) || compareValues(show.id, after.id);
+            if (direction === 'ASC' ? order <= 0 : order >= 0) {
+              return false;
+            }
+          }
+          return (includeCancelled || show.status === 'SCHEDULED')
+            && (includePast || show.start_time > tx.now)
+            && (!from || show.start_time >= from)
+            && (!to || show.start_time < to)
+            && (!needle || show.name.toLowerCase().includes(needle))
+            && (!available || count?.available_seats > 0);
+        });
+
+        return orderBy(shows, [column.value, direction], [show => show.id, direction])
+          .slice(0, limit)
+          .map(show => ({
+            ...pick(show, ['id', 'name', 'start_time', 'total_seats', 'status', 'cancellation_reason', 'created_at']),
+            available_seats: counts.get(show.id)?.available_seats ?? 0,
+            booked_seats: counts.get(show.id)?.booked_seats ?? 0,
+            sort_key: column.sortKey(show)
+          }));
+      });
+    },
+
+    create({ name, start_time, total_seats }) {
+      return run(tx => tables.shows.insert(tx, { name, start_time: new Date(start_time), total_seats }));
+    },
+
+    createPriceTier(showId, { code, name, amount_minor }, currency) {
+      return run(async tx => {
+        const tier = await tables.price_tiers.insert(tx, { show_id: showId, code, name, amount_minor, currency });
+        return tier.id;
+      });
+    },
+
+    createSection(showId, { name, sort_order }) {
+      return run(async tx => {
+        const section = await tables.seat_sections.insert(tx, { show_id: showId, name, sort_order });
+        return section.id;
+      });
+    },
+
+    priceTiers(showId) {
+      return run(tx => orderBy(
+        tables.price_tiers.rows(tx).filter(tier => tier.show_id === showId),
+        [tier => tier.amount_minor, 'DESC'],
+        tier => tier.id
+      ).map(tier => pick(tier, ['id', 'code', 'name', 'amount_minor', 'currency'])));
+    },
+
+    sections(showId) {
+      return run(tx => orderBy(
+        tables.seat_sections.rows(tx).filter(section => section.show_id === showId),
+        section => section.sort_order
+      ).map(section => pick(section, ['id', 'name', 'sort_order'])));
+    },
+
+    findForSeatPick(showId, { section, price_tier }) {
+      return run(tx => {
+        const show = tables.shows.get(tx, showId);
+        if (!show) {
+          return null;
+        }
+
+        const cols = tables.seats.rows(tx)
+          .filter(seat => seat.show_id === showId && seat.grid_col !== null)
+          .reduce((max, seat) => Math.max(max ?? 0, seat.grid_col), null);
+
+        return {
+          status: show.status,
+          started: show.start_time <= tx.now,
+          cols,
+          section_exists: section == null || tables.seat_sections.rows(tx)
+            .some(row => row.show_id === showId && row.name === section),
+          price_tier_exists: price_tier == null || tables.price_tiers.rows(tx)
+            .some(row => row.show_id === showId && row.code === price_tier)
+        };
+      });
+    },
+
+    lockForHold(showId) {
+      return run(async tx => {
+        const [show] = await tables.shows.lock(tx, [showId], 'share');
+        return show ? { status: show.status, started: show.start_time <= tx.now } : null;
+      });
+    },
+
+    lockForChange(showId) {
+      return run(async tx => {
+        const [show] = await tables.shows.lock(tx, [showId], 'update');
+        if (!show) {
+          return null;
+        }
+        return {
+          ...show,
+          has_seat_map: tables.seat_sections.rows(tx).some(section => section.show_id === showId)
+        };
+      });
+    },
+
+    lockForWaitlist(showId) {
+      return run(async tx => {
+        const [show] = await tables.shows.lock(tx, [showId], 'update');
+        if (!show) {
+          return null;
+        }
+        return {
+          status: show.status,
+          started: show.start_time <= tx.now,
+          available_seats: tables.seats.rows(tx)
+            .filter(seat => seat.show_id === showId && seat.status === 'AVAILABLE').length
+        };
+      });
+    },
+
+    update(showId, { name, start_time, total_seats }) {
+      return run(async tx => {
+        const show = await tables.shows.update(tx, showId, {
+          ...(name != null && { name }),
+          ...(start_time != null && { start_time: new Date(start_time) }),
+          ...(total_seats != null && { total_seats }),
+          updated_at: tx.now
+        });
+        return pick(show, ['id', 'name', 'start_time', 'total_seats', 'status', 'created_at', 'updated_at']);
+      });
+    },
+
+    cancel(showId, reason) {
+      return run(async tx => {
+        const show = await tables.shows.update(tx, showId, {
+          status: 'CANCELLED',
+          cancelled_at: tx.now,
+          cancellation_reason: reason,
+          updated_at: tx.now
+        });
+        return pick(show, ['id', 'name', 'start_time', 'status', 'cancelled_at', 'cancellation_reason']);
+      });
+    }
+  };
+}
@@ -0,0 +1,189 @@
+/**
+ * The in-memory store's tables: the columns (with their defaults) and
+ * unique indexes of the schema the migrations build, for the tables the
+ * application uses.
+ */
+
+const key = (...values) => JSON.stringify(values);
+
+export function createTables(engine) {
+  return {
+    shows: engine.createTable({
+      columns: tx => ({
+        id: null,
+        name: null,
+        start_time: null,
+        total_seats: null,
+        created_at: tx.now,
+        status: 'SCHEDULED',
+        cancelled_at: null,
+        cancellation_reason: null,
+        updated_at: tx.now
+      })
+    }),
+
+    seat_sections: engine.createTable({
+      columns: () => ({ id: null, show_id: null, name: null, sort_order: 0 }),
+      uniqueIndexes: [
+        { name: 'seat_sections_show_id_name_key', key: row => key(row.show_id, row.name) }
+      ]
+    }),
+
+    price_tiers: engine.createTable({
+      columns: () => ({ id: null, show_id: null, code: null, name: null, amount_minor: null, currency: null }),
+      uniqueIndexes: [
+        { name: 'price_tiers_show_id_code_key', key: row => key(row.show_id, row.code) }
+      ]
+    }),
+
+    seats: engine.createTable({
+      columns: tx => ({
+        id: null,
+        show_id: null,
+        seat_number: null,
+        status: 'AVAILABLE',
+        updated_at: tx.now,
+        section_id: null,
+        row_label: null,
+        seat_label: null,
+        grid_row: null,
+        grid_col: null,
+        attributes: [],
+        price_tier_id: null
+      }),
+      uniqueIndexes: [
+        { name: 'seats_show_id_seat_number_key', key: row => key(row.show_id, row.seat_number) },
+        {
+          name: 'idx_seats_show_grid',
+          key: row => (row.grid_row === null ? null : key(row.show_id, row.grid_row, row.grid_col))
+        }
+      ]
+    }),
+
+    bookings: engine.createTable({
+      columns: tx => ({
+        id: null,
+        show_id: null,
+        user_email: null,
+        status: 'PENDING',
+        created_at: tx.now,
+        confirmed_at: null,
+        expires_at: null,
+        cancelled_at: null,
+        total_amount_minor: null,
+        currency: null,
+        cancellation_reason: null,
+        hold_token_hash: null
+      })
+    }),
+
+    booking_seats: engine.createTable({
+      columns: tx => ({
+        id: null,
+        booking_id: null,
+        show_id: null,
+        seat_id: null,
+        price_tier_id: null,
+        price_tier_name: null,
+        amount_minor: null,
+        currency: null,
+        created_at: tx.now,
+        released_at: null,
+        cancelled_at: null
+      }),
+      uniqueIndexes: [
+        { name: 'booking_seats_booking_id_seat_id_key', key: row => key(row.booking_id, row.seat_id) },
+        {
+          name: 'idx_booking_seats_active_seat',
+          key: row => (row.released_at === null ? key(row.seat_id) : null)
+        }
+      ]
+    }),
+
+    waitlist_entries: engine.createTable({
+      columns: tx => ({
+        id: null,
+        show_id: null,
+        email: null,
+        quantity: null,
+        status: 'WAITING',
+        booking_id: null,
+        created_at: tx.now,
+        offered_at: null,
+        token_hash: null
+      }),
+      uniqueIndexes: [
+        {
+          name: 'idx_waitlist_active_email',
+          key: row => (['WAITING', 'OFFERED'].includes(row.status) ? key(row.show_id, row.email.toLowerCase()) : null)
+        }
+      ]
+    }),
+
+    seat_events: engine.createTable({
+      columns: tx => ({
+        id: null,
+        show_id: null,
+        seat_id: null,
+        booking_id: null,
+        action: null,
+        old_status: null,
+        new_status: null,
+        actor_type: null,
+        actor_id: null,
+        request_id: null,
+        created_at: tx.now
+      })
+    }),
+
+    notification_outbox: engine.createTable({
+      columns: tx => ({
+        id: null,
+        template: null,
+        recipient: null,
+        payload: null,
+        booking_id: null,
+        status: 'PENDING',
+        attempts: 0,
+        next_attempt_at: tx.now,
+        last_error: null,
+        created_at: tx.now,
+        sent_at: null
+      })
+    }),
+
+    // Keyed on (scope, key) in Postgres; here `id` is only the row number
+    idempotency_keys: engine.createTable({
+      columns: tx => ({
+        id: null,
+        scope: null,
+        key: null,
+        request_hash: null,
+        response_status: null,
+        response_body: null,
+        created_at: tx.now,
+        completed_at: null
+      }),
+      uniqueIndexes: [
+        { name: 'idempotency_keys_pkey', key: row => key(row.scope, row.key) }
+      ]
+    }),
+
+    api_keys: engine.createTable({
+      columns: tx => ({
+        id: null,
+        key_hash: null,
+        key_prefix: null,
+        role: null,
+        email: null,
+        label: null,
+        created_at: tx.now,
+        last_used_at: null,
+        revoked_at: null
+      }),
+      uniqueIndexes: [
+        { name: 'api_keys_key_hash_key', key: row => key(row.key_hash) }
+      ]
+    })
+  };
+}
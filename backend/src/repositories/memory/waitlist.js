@@ -0,0 +1,119 @@
+import { orderBy } from './ordering.js';
+
+/**
+ * Waitlist entries - the in-memory twin of postgres/waitlist.js.
+ */
+export function createWaitlistRepository({ tables, run }) {
+  const isWaiting = entry => entry.status === 'WAITING';
+
+  // Set `changes` on the entries offered through these bookings
+  async function settleOffers(tx, bookingIds, changes) {
+    const offered = entry => bookingIds.includes(entry.booking_id) && entry.status === 'OFFERED';
+    for (const entry of tables.waitlist_entries.rows(tx).filter(offered)) {
+      await tables.waitlist_entries.update(tx, entry.id, current => (offered(current) ? changes : null));
+    }
+  }
+
+  return {
+    add(showId, email, quantity, tokenHash) {
+      return run(async tx => {
+        const entry = await tables.waitlist_entries.insert(tx, {
+          show_id: showId,
+          email,
+          quantity,
+          token_hash: tokenHash
+        });
+        return entry.id;
+      });
+    },
+
+    findEntry(showId, entryId) {
+      return run(tx => {
+        const entry = tables.waitlist_entries.get(tx, entryId);
+        if (entry?.show_id !== showId) {
+          return null;
+        }
+
+        const position = isWaiting(entry)
+          ? tables.waitlist_entries.rows(tx).filter(ahead => ahead.show_id === entry.show_id
+              && isWaiting(ahead)
+              && (ahead.created_at < entry.created_at
+                || (ahead.created_at.getTime() === entry.created_at.getTime() && ahead.id <= entry.id))).length
+          : null;
+        const booking = entry.booking_id && tables.bookings.get(tx, entry.booking_id);
+
+        return {
+          entry_id: entry.id,
+          show_id: entry.show_id,
+          quantity: entry.quantity,
+          status: entry.status,
+          created_at: entry.created_at,
+          offered_at: entry.offered_at,
+          token_hash: entry.token_hash,
+          position,
+          booking_id: booking?.id ?? null,
+          offer_expires_at: booking?.expires_at ?? null,
+          seat_ids: booking
+            ? tables.booking_seats.rows(tx)
+                .filter(item => item.booking_id === booking.id && item.cancelled_at === null)
+                .map(item => item.seat_id)
+                .sort((a, b) => a - b)
+            : []
+        };
+      });
+    },
+
+    lockNext(showId) {
+      return run(async tx => {
+        const show = tables.shows.get(tx, showId);
+        if (!show || show.status !== 'SCHEDULED' || show.start_time <= tx.now) {
+          return null;
+        }
+        const available = tables.seats.rows(tx)
+          .filter(seat => seat.show_id === showId && seat.status === 'AVAILABLE').length;
+        const eligible = entry => entry.show_id === showId && isWaiting(entry) && entry.quantity <= available;
+
+        const candidates = orderBy(
+          tables.waitlist_entries.rows(tx).filter(eligible),
+          entry => entry.created_at,
+          entry => entry.id
+        );
+        for (const candidate of candidates) {
+          const [entry] = await tables.waitlist_entries.lock(tx, [candidate.id], 'update', { skipLocked: true });
+          if (entry && eligible(entry)) {
+            return { id: entry.id, email: entry.email, quantity: entry.quantity, token_hash: entry.token_hash };
+          }
+        }
+        return null;
+      });
+    },
+
+    markOffered(entryId, bookingId) {
+      return run(async tx => {
+        await tables.waitlist_entries.update(tx, entryId, {
+          status: 'OFFERED',
+          booking_id: bookingId,
+          offered_at: tx.now
+        });
+      });
+    },
+
+    acceptOffer(bookingId) {
+      return run(tx => settleOffers(tx, [bookingId], { status: 'ACCEPTED' }));
+    },
+
+    expireOffers(bookingIds) {
+      return run(tx => settleOffers(tx, bookingIds, { status: 'EXPIRED' }));
+    },
+
+    expireWaiting(showId) {
+      return run(async tx => {
+        const waiting = entry => entry.show_id === showId && isWaiting(entry);
+        for (const entry of tables.waitlist_entries.rows(tx).filter(waiting)) {
+          await tables.waitlist_entries.update(tx, entry.id, current =>
+            (waiting(current) ? { status: 'EXPIRED' } : null));
+        }
+      });
+    }
+  };
+}
@@ -0,0 +1,36 @@
+/**
+ * API keys, stored by hash (see utils/apiKeys.js).
+ */
+export function createApiKeyRepository(db) {
+  return {
+    /**
+     * Returns the new key's ID.
+     */
+    async create({ keyHash, keyPrefix, role, email, label }) {
+      const result = await db.query(
+        `INSERT INTO api_keys (key_hash, key_prefix, role, email, label)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING id`,
+        [keyHash, keyPrefix, role, email || null, label || null]
+      );
+      return result.rows[0].id;
+    },
+
+    /**
+     * The unrevoked key with this hash as { id, role, email }, or null.
+     */
+    async findActive(keyHash) {
+      const result = await db.query(
+        `SELECT id, role, email
+         FROM api_keys
+         WHERE key_hash = $1 AND revoked_at IS NULL`,
+        [keyHash]
+      );
+      return result.rows[0] ?? null;
+    },
+
+    async touch(keyId) {
+      await db.query('UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP WHERE id = $1', [keyId]);
+    }
+  };
+}
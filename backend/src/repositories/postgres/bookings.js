@@ -0,0 +1,338 @@
+import { forEachBatch } from '../../db.js';
+
+/**
+ * Bookings and their seats (booking_seats).
+ */
+
+// Select-list expression giving a booking's seats (aliased `b`) as the
+// seat_ids array API responses have always had. Seats dropped by a partial
+// cancellation are left out; a cancelled or expired booking still lists
+// the seats it had.
+export const BOOKING_SEAT_IDS = `ARRAY(
+  SELECT bs.seat_id FROM booking_seats bs
+  WHERE bs.booking_id = b.id AND bs.cancelled_at IS NULL
+  ORDER BY bs.seat_id
+) AS seat_ids`;
+
+// Rows handed back for display leave out the hold token's hash; only
+// lock() returns it, for checking who may settle a hold.
+const withoutTokenHash = ({ hold_token_hash, ...booking }) => booking;
+
+export function createBookingRepository(db) {
+  return {
+    /**
+     * Create a PENDING booking whose hold lapses `ttlSeconds` from now,
+     * settled with the token hashed as `holdTokenHash` (if any).
+     */
+    async create({ showId, userEmail, ttlSeconds, holdTokenHash = null }) {
+      const result = await db.query(
+        `INSERT INTO bookings (show_id, user_email, status, expires_at, hold_token_hash)
+         VALUES ($1, $2, 'PENDING', CURRENT_TIMESTAMP + make_interval(secs => $3), $4)
+         RETURNING *`,
+        [showId, userEmail || null, ttlSeconds, holdTokenHash]
+      );
+      return result.rows[0];
+    },
+
+    async setTotal(bookingId, totalMinor, currency) {
+      const result = await db.query(
+        `UPDATE bookings
+         SET total_amount_minor = $2, currency = $3
+         WHERE id = $1
+         RETURNING *`,
+        [bookingId, totalMinor, currency]
+      );
+      return result.rows[0];
+    },
+
+    /**
+     * Attach seats to a booking, with what each one costs right now.
+     * Fails with 23505 (idx_booking_seats_active_seat) if a seat already
+     * belongs to another live booking.
+     * Returns [{ seat_id, price_tier_name, amount_minor, currency, cancelled_at }].
+     */
+    async addSeats(bookingId, seatIds) {
+      const result = await db.query(
+        `INSERT INTO booking_seats (booking_id, show_id, seat_id, price_tier_id, price_tier_name, amount_minor, currency)
+         SELECT $1, st.show_id, st.id, pt.id, pt.name, pt.amount_minor, pt.currency
+         FROM seats st
+         LEFT JOIN price_tiers pt ON st.price_tier_id = pt.id
+         WHERE st.id = ANY($2::int[])
+         RETURNING seat_id, price_tier_name, amount_minor, currency, cancelled_at`,
+        [bookingId, seatIds]
+      );
+      return result.rows;
+    },
+
+    /**
+     * Priced seats of a booking, including ones dropped by a partial
+     * cancellation (their cancelled_at is set).
+     */
+    async items(bookingId) {
+      const result = await db.query(
+        `SELECT seat_id, price_tier_name, amount_minor, currency, cancelled_at
+         FROM booking_seats
+         WHERE booking_id = $1 AND amount_minor IS NOT NULL
+         ORDER BY seat_id`,
+        [bookingId]
+      );
+      return result.rows;
+    },
+
+    /**
+     * End a booking's hold on its seats (all of them, or just `seatIds`).
+     * Returns the released rows' seat_id and amount_minor.
+     */
+    async releaseSeats(bookingId, seatIds = null) {
+      const result = await db.query(
+        `UPDATE booking_seats
+         SET released_at = CURRENT_TIMESTAMP
+         WHERE booking_id = $1 AND released_at IS NULL
+           AND ($2::int[] IS NULL OR seat_id = ANY($2::int[]))
+         RETURNING seat_id, amount_minor`,
+        [bookingId, seatIds]
+      );
+      return result.rows;
+    },
+
+    /**
+     * releaseSeats() for several bookings at once. Returns the released
+     * rows' booking_id and seat_id.
+     */
+    async releaseSeatsOf(bookingIds) {
+      const result = await db.query(
+        `UPDATE booking_seats
+         SET released_at = CURRENT_TIMESTAMP
+         WHERE booking_id = ANY($1::int[]) AND released_at IS NULL
+         RETURNING booking_id, seat_id`,
+        [bookingIds]
+      );
+      return result.rows;
+    },
+
+    /**
+     * Mark seats as dropped from a booking that goes on without them.
+     */
+    async markSeatsCancelled(bookingId, seatIds) {
+      await db.query(
+        `UPDATE booking_seats
+         SET cancelled_at = CURRENT_TIMESTAMP
+         WHERE booking_id = $1 AND seat_id = ANY($2::int[])`,
+        [bookingId, seatIds]
+      );
+    },
+
+    /**
+     * Lock a booking for a hold state transition. The row comes with its
+     * seat_ids and whether the hold has lapsed (`is_expired`), by the
+     * database clock so app servers with drifting clocks agree with the
+     * expiration job.
+     */
+    async lock(bookingId) {
+      const result = await db.query(
+        `SELECT b.*, ${BOOKING_SEAT_IDS},
+            (b.expires_at IS NOT NULL AND b.expires_at <= CURRENT_TIMESTAMP) AS is_expired
+         FROM bookings b
+         WHERE b.id = $1
+         FOR UPDATE OF b`,
+        [bookingId]
+      );
+      return result.rows[0] ?? null;
+    },
+
+    /**
+     * Lock a booking for cancellation. The row comes with its seat_ids and
+     * whether its show starts in less than `cutoffMinutes` (`past_cutoff`).
+     */
+    async lockForCancellation(bookingId, cutoffMinutes) {
+      const result = await db.query(
+        `SELECT
+          b.*,
+          ${BOOKING_SEAT_IDS},
+          s.start_time - make_interval(mins => $2) <= CURRENT_TIMESTAMP AS past_cutoff
+         FROM bookings b
+         JOIN shows s ON b.show_id = s.id
+         WHERE b.id = $1
+         FOR UPDATE OF b`,
+        [bookingId, cutoffMinutes]
+      );
+      return result.rows[0] ?? null;
+    },
+
+    /**
+     * Lock a show's PENDING and CONFIRMED bookings.
+     * Returns [{ id, status, user_email, total_amount_minor, currency }].
+     */
+    async lockActiveForShow(showId) {
+      const result = await db.query(
+        `SELECT id, status, user_email, total_amount_minor, currency
+         FROM bookings
+         WHERE show_id = $1 AND status IN ('PENDING', 'CONFIRMED')
+         FOR UPDATE`,
+        [showId]
+      );
+      return result.rows;
+    },
+
+    /**
+     * Lock the PENDING bookings whose hold has lapsed.
+     * Returns [{ id, show_id, user_email }].
+     */
+    async lockExpired() {
+      const result = await db.query(
+        `SELECT id, show_id, user_email
+         FROM bookings
+         WHERE status = 'PENDING'
+         AND expires_at < CURRENT_TIMESTAMP
+         FOR UPDATE`
+      );
+      return result.rows;
+    },
+
+    async confirm(bookingId) {
+      const result = await db.query(
+        `UPDATE bookings
+         SET status = 'CONFIRMED', confirmed_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+         RETURNING *`,
+        [bookingId]
+      );
+      return result.rows[0];
+    },
+
+    /**
+     * Mark bookings FAILED (a hold that was released or lapsed).
+     */
+    async fail(bookingIds) {
+      await db.query(
+        `UPDATE bookings
+         SET status = 'FAILED'
+         WHERE id = ANY($1::int[])`,
+        [bookingIds]
+      );
+    },
+
+    async cancel(bookingId) {
+      const result = await db.query(
+        `UPDATE bookings
+         SET status = 'CANCELLED', cancelled_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+         RETURNING *`,
+        [bookingId]
+      );
+      return result.rows[0];
+    },
+
+    /**
+     * Cancel several bookings with a reason (a cancelled show).
+     */
+    async cancelMany(bookingIds, reason) {
+      await db.query(
+        `UPDATE bookings
+         SET status = 'CANCELLED', cancelled_at = CURRENT_TIMESTAMP, cancellation_reason = $2
+         WHERE id = ANY($1::int[])`,
+        [bookingIds, reason]
+      );
+    },
+
+    /**
+     * Take a refund off a partially cancelled booking's total.
+     */
+    async reduceTotal(bookingId, amountMinor) {
+      const result = await db.query(
+        `UPDATE bookings
+         SET total_amount_minor = total_amount_minor - $2
+         WHERE id = $1
+         RETURNING *`,
+        [bookingId, amountMinor]
+      );
+      return result.rows[0];
+    },
+
+    /**
+     * A booking with its seat_ids, show_name and show_start_time.
+     */
+    async findWithShow(bookingId) {
+      const result = await db.query(
+        `SELECT
+          b.*,
+          ${BOOKING_SEAT_IDS},
+          s.name as show_name,
+          s.start_time as show_start_time
+         FROM bookings b
+         JOIN shows s ON b.show_id = s.id
+         WHERE b.id = $1`,
+        [bookingId]
+      );
+      return result.rows[0] ? withoutTokenHash(result.rows[0]) : null;
+    },
+
+    /**
+     * Every booking made with an email (compared case-insensitively),
+     * newest first, like findWithShow().
+     */
+    async listForEmail(email) {
+      const result = await db.query(
+        `SELECT
+          b.*,
+          ${BOOKING_SEAT_IDS},
+          s.name as show_name,
+          s.start_time as show_start_time
+         FROM bookings b
+         JOIN shows s ON b.show_id = s.id
+         WHERE lower(b.user_email) = lower($1)
+         ORDER BY b.created_at DESC`,
+        [email]
+      );
+      return result.rows.map(withoutTokenHash);
+    },
+
+    /**
+     * Every booking of a show with its seat_ids, newest first.
+     */
+    async listForShow(showId) {
+      const result = await db.query(
+        `SELECT b.*, ${BOOKING_SEAT_IDS}
+         FROM bookings b
+         WHERE b.show_id = $1
+         ORDER BY b.created_at DESC`,
+        [showId]
+      );
+      return result.rows.map(withoutTokenHash);
+    },
+
+    /**
+     * Stream a show's attendee list - one row per seat of its bookings in
+     * `statuses`, leaving out seats dropped by a partial cancellation - to
+     * `handleBatch`, a batch at a time (see forEachBatch() in db.js).
+     */
+    exportForShow(showId, statuses, handleBatch, options) {
+      return forEachBatch(
+        `SELECT
+           b.id AS booking_id,
+           b.status AS booking_status,
+           b.user_email,
+           b.created_at AS booked_at,
+           b.confirmed_at,
+           b.cancelled_at,
+           st.id AS seat_id,
+           st.seat_number,
+           sec.name AS section,
+           st.row_label,
+           st.seat_label,
+           bs.price_tier_name AS price_tier,
+           bs.amount_minor,
+           bs.currency
+         FROM bookings b
+         JOIN booking_seats bs ON bs.booking_id = b.id AND bs.cancelled_at IS NULL
+         JOIN seats st ON bs.seat_id = st.id
+         LEFT JOIN seat_sections sec ON st.section_id = sec.id
+         WHERE b.show_id = $1 AND b.status = ANY($2::text[])
+         ORDER BY b.id, st.seat_number`,
+        [showId, statuses],
+        handleBatch,
+        options
+      );
+    }
+  };
+}
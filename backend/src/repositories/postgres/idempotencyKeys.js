@@ -0,0 +1,78 @@
+/**
+ * Idempotency-Key claims and the responses stored for them.
+ */
+export function createIdempotencyKeyRepository(db) {
+  return {
+    /**
+     * Claim a key that isn't in use. Returns false if it already exists.
+     */
+    async claim(scope, key, requestHash) {
+      const result = await db.query(
+        `INSERT INTO idempotency_keys (scope, key, request_hash)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (scope, key) DO NOTHING
+         RETURNING key`,
+        [scope, key, requestHash]
+      );
+      return result.rowCount === 1;
+    },
+
+    /**
+     * Take over a claim for the same request whose response never came,
+     * once it's older than `staleSeconds`. Returns whether it did.
+     */
+    async takeOverStale(scope, key, requestHash, staleSeconds) {
+      const result = await db.query(
+        `UPDATE idempotency_keys
+         SET created_at = CURRENT_TIMESTAMP
+         WHERE scope = $1 AND key = $2 AND request_hash = $3
+           AND response_status IS NULL
+           AND created_at < CURRENT_TIMESTAMP - make_interval(secs => $4)
+         RETURNING key`,
+        [scope, key, requestHash, staleSeconds]
+      );
+      return result.rowCount === 1;
+    },
+
+    /**
+     * { request_hash, response_status, response_body } or null.
+     */
+    async find(scope, key) {
+      const result = await db.query(
+        `SELECT request_hash, response_status, response_body
+         FROM idempotency_keys
+         WHERE scope = $1 AND key = $2`,
+        [scope, key]
+      );
+      return result.rows[0] ?? null;
+    },
+
+    async complete(scope, key, status, body) {
+      await db.query(
+        `UPDATE idempotency_keys
+         SET response_status = $3, response_body = $4, completed_at = CURRENT_TIMESTAMP
+         WHERE scope = $1 AND key = $2`,
+        [scope, key, status, JSON.stringify(body)]
+      );
+    },
+
+    async remove(scope, key) {
+      await db.query(
+        'DELETE FROM idempotency_keys WHERE scope = $1 AND key = $2',
+        [scope, key]
+      );
+    },
+
+    /**
+     * Delete keys claimed more than `hours` ago. Returns how many.
+     */
+    async deleteOlderThan(hours) {
+      const result = await db.query(
+        `DELETE FROM idempotency_keys
+         WHERE created_at < CURRENT_TIMESTAMP - make_interval(hours => $1)`,
+        [hours]
+      );
+      return result.rowCount;
+    }
+  };
+}
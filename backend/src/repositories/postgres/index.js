@@ -0,0 +1,126 @@
+import pkg from 'pg';
+import pool, { query, getClient, withTransaction } from '../../db.js';
+import { getAppliedMigrations } from '../../migrations/runner.js';
+import { createShowRepository } from './shows.js';
+import { createSeatRepository } from './seats.js';
+import { createBookingRepository } from './bookings.js';
+import { createWaitlistRepository } from './waitlist.js';
+import { createSeatEventRepository } from './seatEvents.js';
+import { createIdempotencyKeyRepository } from './idempotencyKeys.js';
+import { createApiKeyRepository } from './apiKeys.js';
+import { createReportRepository } from './reports.js';
+import { createNotificationRepository } from './notifications.js';
+
+const { Client } = pkg;
+
+/**
+ * Every repository, running its queries on `db` - the pool, or the client
+ * of an open transaction.
+ */
+function repositories(db) {
+  return {
+    shows: createShowRepository(db),
+    seats: createSeatRepository(db),
+    bookings: createBookingRepository(db),
+    waitlist: createWaitlistRepository(db),
+    seatEvents: createSeatEventRepository(db),
+    idempotencyKeys: createIdempotencyKeyRepository(db),
+    apiKeys: createApiKeyRepository(db),
+    reports: createReportRepository(db),
+    notifications: createNotificationRepository(db)
+  };
+}
+
+/**
+ * The store backed by PostgreSQL (the pool in db.js). See
+ * repositories/index.js for what a store provides.
+ */
+export function createPostgresStore() {
+  // Clients opened by listen(), closed with the store
+  const listeners = new Set();
+
+  return {
+    name: 'postgres',
+
+    ...repositories({ query }),
+
+    transaction(work, options) {
+      return withTransaction(client => work({
+        ...repositories(client),
+        // pg_notify is transactional: it's only delivered on COMMIT
+        notify: (channel, payload) => client.query('SELECT pg_notify($1, $2)', [channel, payload])
+      }), options);
+    },
+
+    /**
+     * LISTEN on a dedicated connection outside the pool. If the
+     * connection fails, it's closed and `onError` is called; reconnecting
+     * is up to the caller.
+     */
+    async listen(channel, { onNotification, onError }) {
+      const client = new Client({ connectionString: process.env.DATABASE_URL });
+      const end = () => {
+        listeners.delete(client);
+        return client.end().catch(() => {});
+      };
+
+      client.on('notification', message => onNotification(message.payload));
+      client.on('error', error => {
+        end();
+        onError?.(error);
+      });
+
+      try {
+        await client.connect();
+        await client.query(`LISTEN ${channel}`);
+      } catch (error) {
+        end();
+        throw error;
+      }
+
+      listeners.add(client);
+      return { close: end };
+    },
+
+    async ping() {
+      await pool.query('SELECT 1');
+    },
+
+    appliedMigrations() {
+      return getAppliedMigrations(pool);
+    },
+
+    /**
+     * Take a session-level advisory lock keyed on `name`, so only one
+     * instance runs a job at a time. Returns a function releasing it, or
+     * null if another session holds it.
+     */
+    async tryJobLock(name) {
+      const client = await getClient();
+      try {
+        const result = await client.query('SELECT pg_try_advisory_lock(hashtext($1)) AS acquired', [name]);
+        if (!result.rows[0].acquired) {
+          client.release();
+          return null;
+        }
+      } catch (error) {
+        client.release();
+        throw error;
+      }
+
+      return async () => {
+        try {
+          await client.query('SELECT pg_advisory_unlock(hashtext($1))', [name]);
+        } finally {
+          client.release();
+        }
+      };
+    },
+
+    async close() {
+      await Promise.all([...listeners].map(client => client.end().catch(() => {})));
+      listeners.clear();
+      await pool.end();
+    }
+  };
+}
@@ -0,0 +1,114 @@
+const LIST_COLUMNS = `id, template, recipient, booking_id, status, attempts,
+  next_attempt_at, last_error, created_at, sent_at`;
+
+/**
+ * The notification outbox (notification_outbox).
+ */
+export function createNotificationRepository(db) {
+  return {
+    /**
+     * Queue a message, each { template, recipient, payload, booking_id }.
+     * Returns its ID.
+     */
+    async enqueue({ template, recipient, payload, booking_id = null }) {
+      const result = await db.query(
+        `INSERT INTO notification_outbox (template, recipient, payload, booking_id)
+         VALUES ($1, $2, $3, $4)
+         RETURNING id`,
+        [template, recipient, JSON.stringify(payload), booking_id]
+      );
+      return result.rows[0].id;
+    },
+
+    /**
+     * Take up to `limit` due messages, oldest first, skipping any another
+     * dispatcher is taking at the same moment. Each one's attempts goes up
+     * by one and next_attempt_at moves `leaseSeconds` ahead, so nobody
+     * else picks it up while it's being sent.
+     */
+    async claimDue(limit, leaseSeconds) {
+      const result = await db.query(
+        `UPDATE notification_outbox
+         SET attempts = attempts + 1,
+             next_attempt_at = CURRENT_TIMESTAMP + make_interval(secs => $2)
+         WHERE id IN (
+           SELECT id FROM notification_outbox
+           WHERE status = 'PENDING' AND next_attempt_at <= CURRENT_TIMESTAMP
+           ORDER BY next_attempt_at, id
+           LIMIT $1
+           FOR UPDATE SKIP LOCKED
+         )
+         RETURNING id, template, recipient, payload, booking_id, attempts`,
+        [limit, leaseSeconds]
+      );
+      return result.rows.sort((a, b) => a.id - b.id);
+    },
+
+    async markSent(id) {
+      await db.query(
+        `UPDATE notification_outbox
+         SET status = 'SENT', sent_at = CURRENT_TIMESTAMP, last_error = NULL
+         WHERE id = $1`,
+        [id]
+      );
+    },
+
+    /**
+     * Record a failed attempt: try again in `retryInSeconds`, or give up
+     * (DEAD) when that's null.
+     */
+    async markFailed(id, error, retryInSeconds) {
+      await db.query(
+        `UPDATE notification_outbox
+         SET status = CASE WHEN $3::int IS NULL THEN 'DEAD' ELSE 'PENDING' END,
+             next_attempt_at = CASE WHEN $3::int IS NULL THEN next_attempt_at
+                                    ELSE CURRENT_TIMESTAMP + make_interval(secs => $3) END,
+             last_error = $2
+         WHERE id = $1`,
+        [id, error, retryInSeconds]
+      );
+    },
+
+    /**
+     * Send a DEAD message again on the next dispatcher run, with a fresh
+     * set of attempts. Returns false if there's no such DEAD message.
+     */
+    async retry(id) {
+      const result = await db.query(
+        `UPDATE notification_outbox
+         SET status = 'PENDING', attempts = 0, next_attempt_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND status = 'DEAD'
+         RETURNING id`,
+        [id]
+      );
+      return result.rowCount === 1;
+    },
+
+    async findById(id) {
+      const result = await db.query(
+        `SELECT ${LIST_COLUMNS}
+         FROM notification_outbox
+         WHERE id = $1`,
+        [id]
+      );
+      return result.rows[0] ?? null;
+    },
+
+    /**
+     * Messages, newest first, optionally only those in `status` or about
+     * `bookingId`.
+     */
+    async list({ status = null, bookingId = null, limit = 100 } = {}) {
+      const result = await db.query(
+        `SELECT ${LIST_COLUMNS}
+         FROM notification_outbox
+         WHERE ($1::text IS NULL OR status = $1)
+           AND ($2::int IS NULL OR booking_id = $2)
+         ORDER BY id DESC
+         LIMIT $3`,
+        [status, bookingId, limit]
+      );
+      return result.rows;
+    }
+  };
+}
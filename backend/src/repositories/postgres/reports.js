@@ -0,0 +1,170 @@
+/**
+ * Sales and occupancy reports (see routes/reports.js), aggregated in SQL
+ * over bookings, booking_seats and seats. Ranges are Dates, `to`
+ * exclusive; `showId` is optional.
+ *
+ * Sales are counted as they stand now: a confirmed booking is one whose
+ * status is still CONFIRMED, its seats are the ones it still holds and
+ * its revenue is its total after any partial refunds. A booking cancelled
+ * outright only shows up in bookings_cancelled.
+ */
+export function createReportRepository(db) {
+  return {
+    /**
+     * The booking funnel for bookings created in [from, to).
+     */
+    async summary({ from, to, showId }) {
+      const result = await db.query(
+        `WITH ranged AS (
+           SELECT b.*
+           FROM bookings b
+           WHERE b.created_at >= $1::timestamp AND b.created_at < $2::timestamp
+             AND ($3::int IS NULL OR b.show_id = $3)
+         ),
+         confirmed_seats AS (
+           SELECT count(bs.id) AS seat_count
+           FROM ranged b
+           JOIN booking_seats bs ON bs.booking_id = b.id AND bs.released_at IS NULL
+           WHERE b.status = 'CONFIRMED'
+           GROUP BY b.id
+         ),
+         revenue AS (
+           SELECT currency, sum(total_amount_minor) AS amount_minor
+           FROM ranged
+           WHERE status = 'CONFIRMED' AND total_amount_minor IS NOT NULL
+           GROUP BY currency
+         )
+         SELECT
+           (SELECT count(*) FROM ranged)::int AS holds_started,
+           (SELECT count(*) FROM ranged WHERE status = 'CONFIRMED')::int AS bookings_confirmed,
+           (SELECT count(*) FROM ranged WHERE status = 'FAILED')::int AS holds_failed,
+           (SELECT count(*) FROM ranged WHERE status = 'PENDING')::int AS holds_pending,
+           (SELECT count(*) FROM ranged WHERE status = 'CANCELLED')::int AS bookings_cancelled,
+           (SELECT round(avg(seat_count), 2)::float8 FROM confirmed_seats) AS avg_seats_per_booking,
+           (SELECT COALESCE(jsonb_object_agg(currency, amount_minor), '{}') FROM revenue) AS revenue_minor_by_currency`,
+        [from.toISOString(), to.toISOString(), showId]
+      );
+      return result.rows[0];
+    },
+
+    /**
+     * Bookings in [from, to) per `bucket` (hour or day), empty buckets
+     * included. Confirmed bookings, their seats and revenue go in the
+     * bucket of their confirmed_at, counted like summary() does.
+     */
+    async bookingsOverTime({ from, to, showId, bucket }) {
+      const result = await db.query(
+        `WITH buckets AS (
+           SELECT generate_series(
+             date_trunc($4, $1::timestamp),
+             $2::timestamp - interval '1 microsecond',
+             ('1 ' || $4)::interval
+           ) AS bucket_start
+         ),
+         ranged AS (
+           SELECT * FROM bookings
+           WHERE ($3::int IS NULL OR show_id = $3)
+         ),
+         started AS (
+           SELECT date_trunc($4, created_at) AS bucket_start,
+             count(*) AS holds_started,
+             count(*) FILTER (WHERE status = 'FAILED') AS holds_failed
+           FROM ranged
+           WHERE created_at >= $1::timestamp AND created_at < $2::timestamp
+           GROUP BY 1
+         ),
+         confirmed AS (
+           SELECT date_trunc($4, b.confirmed_at) AS bucket_start,
+             count(*) AS bookings_confirmed,
+             sum((
+               SELECT count(*) FROM booking_seats bs
+               WHERE bs.booking_id = b.id AND bs.released_at IS NULL
+             )) AS seats_confirmed
+           FROM ranged b
+           WHERE b.status = 'CONFIRMED'
+             AND b.confirmed_at >= $1::timestamp AND b.confirmed_at < $2::timestamp
+           GROUP BY 1
+         ),
+         revenue AS (
+           SELECT bucket_start, jsonb_object_agg(currency, amount_minor) AS revenue_minor_by_currency
+           FROM (
+             SELECT date_trunc($4, confirmed_at) AS bucket_start, currency, sum(total_amount_minor) AS amount_minor
+             FROM ranged
+             WHERE status = 'CONFIRMED' AND total_amount_minor IS NOT NULL
+               AND confirmed_at >= $1::timestamp AND confirmed_at < $2::timestamp
+             GROUP BY 1, 2
+           ) per_currency
+           GROUP BY bucket_start
+         ),
+         cancelled AS (
+           SELECT date_trunc($4, cancelled_at) AS bucket_start, count(*) AS bookings_cancelled
+           FROM ranged
+           WHERE status = 'CANCELLED' AND cancelled_at >= $1::timestamp AND cancelled_at < $2::timestamp
+           GROUP BY 1
+         )
+         SELECT
+           buckets.bucket_start,
+           COALESCE(started.holds_started, 0)::int AS holds_started,
+           COALESCE(started.holds_failed, 0)::int AS holds_failed,
+           COALESCE(confirmed.bookings_confirmed, 0)::int AS bookings_confirmed,
+           COALESCE(confirmed.seats_confirmed, 0)::int AS seats_confirmed,
+           COALESCE(cancelled.bookings_cancelled, 0)::int AS bookings_cancelled,
+           COALESCE(revenue.revenue_minor_by_currency, '{}') AS revenue_minor_by_currency
+         FROM buckets
+         LEFT JOIN started USING (bucket_start)
+         LEFT JOIN confirmed USING (bucket_start)
+         LEFT JOIN cancelled USING (bucket_start)
+         LEFT JOIN revenue USING (bucket_start)
+         ORDER BY buckets.bucket_start`,
+        [from.toISOString(), to.toISOString(), showId, bucket]
+      );
+      return result.rows;
+    },
+
+    /**
+     * Seat and sales figures per show starting in [from, to); a null `to`
+     * leaves the range open.
+     */
+    async occupancy({ from, to, showId }) {
+      const result = await db.query(
+        `SELECT
+           s.id AS show_id,
+           s.name,
+           s.start_time,
+           s.status,
+           seats.total_seats,
+           seats.booked_seats,
+           seats.reserved_seats,
+           seats.available_seats,
+           round(100.0 * seats.booked_seats / NULLIF(seats.total_seats, 0), 1)::float8 AS occupancy_pct,
+           sales.confirmed_bookings,
+           sales.revenue_minor::int AS revenue_minor,
+           sales.currency
+         FROM shows s
+         CROSS JOIN LATERAL (
+           SELECT
+             count(*)::int AS total_seats,
+             count(*) FILTER (WHERE status = 'BOOKED')::int AS booked_seats,
+             count(*) FILTER (WHERE status = 'RESERVED')::int AS reserved_seats,
+             count(*) FILTER (WHERE status = 'AVAILABLE')::int AS available_seats
+           FROM seats
+           WHERE show_id = s.id
+         ) seats
+         CROSS JOIN LATERAL (
+           SELECT
+             count(*)::int AS confirmed_bookings,
+             sum(total_amount_minor) AS revenue_minor,
+             max(currency) AS currency
+           FROM bookings
+           WHERE show_id = s.id AND status = 'CONFIRMED'
+         ) sales
+         WHERE s.start_time >= $1::timestamp
+           AND ($2::timestamp IS NULL OR s.start_time < $2::timestamp)
+           AND ($3::int IS NULL OR s.id = $3)
+         ORDER BY s.start_time, s.id`,
+        [from.toISOString(), to?.toISOString() ?? null, showId]
+      );
+      return result.rows;
+    }
+  };
+}
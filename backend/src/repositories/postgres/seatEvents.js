@@ -0,0 +1,48 @@
+/**
+ * The seat audit trail (seat_events). Append-only: the table refuses
+ * updates and deletes.
+ */
+export function createSeatEventRepository(db) {
+  return {
+    /**
+     * Append events, each { show_id, seat_id, booking_id, action,
+     * old_status, new_status, actor_type, actor_id, request_id }.
+     */
+    async append(events) {
+      await db.query(
+        `INSERT INTO seat_events
+           (show_id, seat_id, booking_id, action, old_status, new_status, actor_type, actor_id, request_id)
+         SELECT t.show_id, t.seat_id, t.booking_id, t.action, t.old_status, t.new_status,
+                t.actor_type, t.actor_id, t.request_id
+         FROM unnest($1::int[], $2::int[], $3::int[], $4::text[], $5::text[], $6::text[], $7::text[], $8::text[], $9::text[])
+           AS t(show_id, seat_id, booking_id, action, old_status, new_status, actor_type, actor_id, request_id)`,
+        [
+          events.map(event => event.show_id),
+          events.map(event => event.seat_id),
+          events.map(event => event.booking_id),
+          events.map(event => event.action),
+          events.map(event => event.old_status),
+          events.map(event => event.new_status),
+          events.map(event => event.actor_type),
+          events.map(event => event.actor_id),
+          events.map(event => event.request_id)
+        ]
+      );
+    },
+
+    /**
+     * Every event of one seat, oldest first.
+     */
+    async forSeat(showId, seatId) {
+      const result = await db.query(
+        `SELECT id, action, old_status, new_status, booking_id,
+                actor_type, actor_id, request_id, created_at
+         FROM seat_events
+         WHERE seat_id = $1 AND show_id = $2
+         ORDER BY id`,
+        [seatId, showId]
+      );
+      return result.rows;
+    }
+  };
+}
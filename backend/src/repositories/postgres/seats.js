@@ -0,0 +1,242 @@
+/**
+ * Seats. Methods that change seat status return the changed rows as
+ * [{ id, status }], ready for notifySeatChanges() and recordSeatEvents().
+ */
+export function createSeatRepository(db) {
+  return {
+    /**
+     * Every seat of a show with its price, for the booking page.
+     */
+    async listForShow(showId) {
+      const result = await db.query(
+        `SELECT st.id, st.seat_number, st.status, st.section_id, st.row_label, st.seat_label,
+                st.grid_row, st.grid_col, st.attributes,
+                st.price_tier_id, pt.amount_minor AS price_minor, pt.currency
+         FROM seats st
+         LEFT JOIN price_tiers pt ON st.price_tier_id = pt.id
+         WHERE st.show_id = $1
+         ORDER BY st.seat_number`,
+        [showId]
+      );
+      return result.rows;
+    },
+
+    /**
+     * Every seat of a show with its section and price tier by name, for
+     * the admin seat list.
+     */
+    async listForAdmin(showId) {
+      const result = await db.query(
+        `SELECT st.id, st.seat_number, st.status, st.updated_at,
+                sec.name AS section, st.row_label, st.seat_label, st.attributes,
+                pt.code AS price_tier, pt.amount_minor AS price_minor, pt.currency
+         FROM seats st
+         LEFT JOIN seat_sections sec ON st.section_id = sec.id
+         LEFT JOIN price_tiers pt ON st.price_tier_id = pt.id
+         WHERE st.show_id = $1
+         ORDER BY st.seat_number`,
+        [showId]
+      );
+      return result.rows;
+    },
+
+    async findInShow(seatId, showId) {
+      const result = await db.query(
+        `SELECT id, seat_number, row_label, seat_label, status, updated_at
+         FROM seats
+         WHERE id = $1 AND show_id = $2`,
+        [seatId, showId]
+      );
+      return result.rows[0] ?? null;
+    },
+
+    /**
+     * Seats by ID with their section, in seat number order - how they're
+     * named to customers.
+     */
+    async findByIds(seatIds) {
+      const result = await db.query(
+        `SELECT st.id, st.seat_number, sec.name AS section, st.row_label, st.seat_label
+         FROM seats st
+         LEFT JOIN seat_sections sec ON st.section_id = sec.id
+         WHERE st.id = ANY($1::int[])
+         ORDER BY st.seat_number`,
+        [seatIds]
+      );
+      return result.rows;
+    },
+
+    /**
+     * AVAILABLE seats of a show, optionally only in one section or price
+     * tier, in grid order. Read without locks.
+     */
+    async findAvailable(showId, { section, price_tier }) {
+      const result = await db.query(
+        `SELECT st.id, st.seat_number, st.section_id, ss.name AS section,
+            st.row_label, st.seat_label, st.grid_row, st.grid_col
+         FROM seats st
+         LEFT JOIN seat_sections ss ON st.section_id = ss.id
+         LEFT JOIN price_tiers pt ON st.price_tier_id = pt.id
+         WHERE st.show_id = $1 AND st.status = 'AVAILABLE'
+           AND ($2::text IS NULL OR ss.name = $2)
+           AND ($3::text IS NULL OR pt.code = $3)
+         ORDER BY st.grid_row NULLS LAST, st.grid_col, st.seat_number`,
+        [showId, section ?? null, price_tier ?? null]
+      );
+      return result.rows;
+    },
+
+    /**
+     * Lock those of `seatIds` that are still AVAILABLE, skipping seats
+     * another transaction has locked. Returns the IDs it locked.
+     */
+    async lockAvailable(seatIds) {
+      const result = await db.query(
+        `SELECT id FROM seats
+         WHERE id = ANY($1::int[]) AND status = 'AVAILABLE'
+         FOR UPDATE SKIP LOCKED`,
+        [seatIds]
+      );
+      return result.rows.map(row => row.id);
+    },
+
+    /**
+     * Lock seats FOR UPDATE, waiting for other transactions. With
+     * `showId`, seats of other shows are left out.
+     * Returns [{ id, seat_number, status, show_id }].
+     */
+    async lock(seatIds, { showId = null } = {}) {
+      const result = await db.query(
+        `SELECT id, seat_number, status, show_id
+         FROM seats
+         WHERE id = ANY($1::int[]) AND ($2::int IS NULL OR show_id = $2)
+         FOR UPDATE`,
+        [seatIds, showId]
+      );
+      return result.rows;
+    },
+
+    /**
+     * Lock the seats numbered above `seatNumber`, the ones a capacity
+     * reduction would remove. `has_bookings` says whether a seat is part of
+     * any booking, past ones included.
+     */
+    async lockAbove(showId, seatNumber) {
+      const result = await db.query(
+        `SELECT id, seat_number, status,
+            EXISTS (SELECT 1 FROM booking_seats bs WHERE bs.seat_id = seats.id) AS has_bookings
+         FROM seats
+         WHERE show_id = $1 AND seat_number > $2
+         ORDER BY seat_number
+         FOR UPDATE`,
+        [showId, seatNumber]
+      );
+      return result.rows;
+    },
+
+    /**
+     * Set the status of seats (only those currently in status `from`, if
+     * given). Returns the changed seats.
+     */
+    async setStatus(seatIds, status, { from = null } = {}) {
+      const result = await db.query(
+        `UPDATE seats
+         SET status = $2, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ANY($1::int[]) AND ($3::text IS NULL OR status = $3)
+         RETURNING id, status`,
+        [seatIds, status, from]
+      );
+      return result.rows;
+    },
+
+    /**
+     * Make every held or booked seat of a show AVAILABLE again. Returns the
+     * changed seats with their `old_status`.
+     */
+    async releaseShow(showId) {
+      const result = await db.query(
+        `WITH taken AS (
+           SELECT id, status FROM seats
+           WHERE show_id = $1 AND status <> 'AVAILABLE'
+           FOR UPDATE
+         )
+         UPDATE seats s
+         SET status = 'AVAILABLE', updated_at = CURRENT_TIMESTAMP
+         FROM taken
+         WHERE s.id = taken.id
+         RETURNING s.id, s.status, taken.status AS old_status`,
+        [showId]
+      );
+      return result.rows;
+    },
+
+    /**
+     * Create seats 1..count of a flat show, all in one price tier (or
+     * unpriced).
+     */
+    async createNumbered(showId, count, priceTierId) {
+      // I'm using a single INSERT with generate_series for efficiency
+      await db.query(
+        `INSERT INTO seats (show_id, seat_number, status, price_tier_id)
+         SELECT $1, generate_series(1, $2), 'AVAILABLE', $3`,
+        [showId, count, priceTierId]
+      );
+    },
+
+    /**
+     * Add seats numbered after `lastNumber` up to `newLastNumber`, priced
+     * like the current last seat. Returns the new seats.
+     */
+    async extend(showId, lastNumber, newLastNumber) {
+      const result = await db.query(
+        `INSERT INTO seats (show_id, seat_number, status, price_tier_id)
+         SELECT $1, generate_series($2::int + 1, $3::int), 'AVAILABLE',
+           (SELECT price_tier_id FROM seats WHERE show_id = $1 ORDER BY seat_number DESC LIMIT 1)
+         RETURNING id, status`,
+        [showId, lastNumber, newLastNumber]
+      );
+      return result.rows;
+    },
+
+    /**
+     * Create the seats of one seat map section. `seats` are
+     * [{ seat_number, row_label, seat_label, grid_row, grid_col,
+     * attributes, price_tier_id }].
+     */
+    async createInSection(showId, sectionId, seats) {
+      // One INSERT per section; attributes go in comma-joined since unnest
+      // can't return an array per row (values are validated, so no commas)
+      await db.query(
+        `INSERT INTO seats (show_id, section_id, seat_number, row_label, seat_label, grid_row, grid_col, attributes, price_tier_id, status)
+         SELECT $1, $2, t.seat_number, t.row_label, t.seat_label, t.grid_row, t.grid_col,
+                COALESCE(string_to_array(NULLIF(t.attributes, ''), ','), '{}'), t.price_tier_id, 'AVAILABLE'
+         FROM unnest($3::int[], $4::text[], $5::text[], $6::int[], $7::int[], $8::text[], $9::int[])
+           AS t(seat_number, row_label, seat_label, grid_row, grid_col, attributes, price_tier_id)`,
+        [
+          showId,
+          sectionId,
+          seats.map(seat => seat.seat_number),
+          seats.map(seat => seat.row_label),
+          seats.map(seat => seat.seat_label),
+          seats.map(seat => seat.grid_row),
+          seats.map(seat => seat.grid_col),
+          seats.map(seat => seat.attributes.join(',')),
+          seats.map(seat => seat.price_tier_id)
+        ]
+      );
+    },
+
+    /**
+     * Delete seats. Their booking_seats rows would go with them (ON DELETE
+     * CASCADE), so only pass seats no booking has used (see lockAbove()).
+     * Returns how many were deleted.
+     */
+    async remove(seatIds) {
+      const result = await db.query(
+        'DELETE FROM seats WHERE id = ANY($1::int[])',
+        [seatIds]
+      );
+      return result.rowCount;
+    }
+  };
+}
@@ -0,0 +1,268 @@
+/**
+ * Shows, with their sections and price tiers.
+ */
+
+// Sort orders for list(): the column and the type its cursor key is cast back to
+const SHOW_SORTS = {
+  start_time: { column: 's.start_time', type: 'timestamp', direction: 'ASC' },
+  '-start_time': { column: 's.start_time', type: 'timestamp', direction: 'DESC' },
+  name: { column: 's.name', type: 'text', direction: 'ASC' },
+  '-name': { column: 's.name', type: 'text', direction: 'DESC' }
+};
+
+// start_time is a TIMESTAMP holding UTC. Times bound for it go through
+// timestamptz, so an offset such as +02:00 is converted rather than dropped.
+const utcTimestamp = param => `(${param}::timestamptz AT TIME ZONE 'UTC')`;
+
+export function createShowRepository(db) {
+  return {
+    async findById(showId) {
+      const result = await db.query('SELECT * FROM shows WHERE id = $1', [showId]);
+      return result.rows[0] ?? null;
+    },
+
+    /**
+     * One page of shows with their seat counts. Each row carries the
+     * `sort_key` a cursor for the next page is made from; `after` is the
+     * decoded cursor of the previous page.
+     */
+    async list({ sort: sortName, limit, includeCancelled, includePast, from, to, q, available, after }) {
+      const conditions = [];
+      const params = [];
+      const addParam = value => {
+        params.push(value);
+        return `$${params.length}`;
+      };
+
+      const sort = SHOW_SORTS[sortName];
+
+      if (!includeCancelled) {
+        conditions.push(`s.status = 'SCHEDULED'`);
+      }
+
+      if (!includePast) {
+        conditions.push('s.start_time > CURRENT_TIMESTAMP');
+      }
+
+      if (from) {
+        conditions.push(`s.start_time >= ${utcTimestamp(addParam(from.toISOString()))}`);
+      }
+
+      if (to) {
+        conditions.push(`s.start_time < ${utcTimestamp(addParam(to.toISOString()))}`);
+      }
+
+      if (q) {
+        // Match the text literally, not as a LIKE pattern
+        const escaped = q.replace(/[\\%_]/g, '\\$&');
+        conditions.push(`s.name ILIKE ${addParam(`%${escaped}%`)}`);
+      }
+
+      if (available) {
+        conditions.push(`EXISTS (SELECT 1 FROM seats WHERE show_id = s.id AND status = 'AVAILABLE')`);
+      }
+
+      if (after) {
+        const comparison = sort.direction === 'ASC' ? '>' : '<';
+        conditions.push(
+          `(${sort.column}, s.id) ${comparison} (${addParam(after.key)}::${sort.type}, ${addParam(after.id)}::int)`
+        );
+      }
+
+      // Seats are only counted for the shows on this page
+      const result = await db.query(`
+        SELECT
+          s.id,
+          s.name,
+          s.start_time,
+          s.total_seats,
+          s.status,
+          s.cancellation_reason,
+          s.created_at,
+          counts.available_seats,
+          counts.booked_seats,
+          ${sort.column}::text AS sort_key
+        FROM shows s
+        CROSS JOIN LATERAL (
+          SELECT
+            COUNT(*) FILTER (WHERE status = 'AVAILABLE')::int AS available_seats,
+            COUNT(*) FILTER (WHERE status = 'BOOKED')::int AS booked_seats
+          FROM seats
+          WHERE show_id = s.id
+        ) counts
+        ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+        ORDER BY ${sort.column} ${sort.direction}, s.id ${sort.direction}
+        LIMIT ${limit}
+      `, params);
+
+      return result.rows;
+    },
+
+    async create({ name, start_time, total_seats }) {
+      const result = await db.query(
+        `INSERT INTO shows (name, start_time, total_seats) VALUES ($1, ${utcTimestamp('$2')}, $3) RETURNING *`,
+        [name, start_time, total_seats]
+      );
+      return result.rows[0];
+    },
+
+    /**
+     * Returns the new tier's ID.
+     */
+    async createPriceTier(showId, { code, name, amount_minor }, currency) {
+      const result = await db.query(
+        `INSERT INTO price_tiers (show_id, code, name, amount_minor, currency)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING id`,
+        [showId, code, name, amount_minor, currency]
+      );
+      return result.rows[0].id;
+    },
+
+    /**
+     * Returns the new section's ID.
+     */
+    async createSection(showId, { name, sort_order }) {
+      const result = await db.query(
+        `INSERT INTO seat_sections (show_id, name, sort_order)
+         VALUES ($1, $2, $3)
+         RETURNING id`,
+        [showId, name, sort_order]
+      );
+      return result.rows[0].id;
+    },
+
+    async priceTiers(showId) {
+      const result = await db.query(
+        `SELECT id, code, name, amount_minor, currency
+         FROM price_tiers
+         WHERE show_id = $1
+         ORDER BY amount_minor DESC, id`,
+        [showId]
+      );
+      return result.rows;
+    },
+
+    async sections(showId) {
+      const result = await db.query(
+        `SELECT id, name, sort_order
+         FROM seat_sections
+         WHERE show_id = $1
+         ORDER BY sort_order`,
+        [showId]
+      );
+      return result.rows;
+    },
+
+    /**
+     * What picking seats for a quantity request needs to know about the
+     * show: { status, started, cols, section_exists, price_tier_exists },
+     * or null if there's no such show.
+     */
+    async findForSeatPick(showId, { section, price_tier }) {
+      const result = await db.query(
+        `SELECT
+          status,
+          start_time <= CURRENT_TIMESTAMP AS started,
+          (SELECT max(grid_col) FROM seats WHERE show_id = $1) AS cols,
+          ($2::text IS NULL OR EXISTS (
+            SELECT 1 FROM seat_sections WHERE show_id = $1 AND name = $2
+          )) AS section_exists,
+          ($3::text IS NULL OR EXISTS (
+            SELECT 1 FROM price_tiers WHERE show_id = $1 AND code = $3
+          )) AS price_tier_exists
+         FROM shows
+         WHERE id = $1`,
+        [showId, section ?? null, price_tier ?? null]
+      );
+      return result.rows[0] ?? null;
+    },
+
+    /**
+     * Lock the show FOR SHARE for a hold: { status, started } or null.
+     */
+    async lockForHold(showId) {
+      const result = await db.query(
+        `SELECT status, start_time <= CURRENT_TIMESTAMP AS started
+         FROM shows
+         WHERE id = $1
+         FOR SHARE`,
+        [showId]
+      );
+      return result.rows[0] ?? null;
+    },
+
+    /**
+     * Lock the show FOR UPDATE for an admin change. The row comes with
+     * `has_seat_map`.
+     */
+    async lockForChange(showId) {
+      const result = await db.query(
+        `SELECT s.*,
+            EXISTS (SELECT 1 FROM seat_sections WHERE show_id = s.id) AS has_seat_map
+         FROM shows s
+         WHERE s.id = $1
+         FOR UPDATE`,
+        [showId]
+      );
+      return result.rows[0] ?? null;
+    },
+
+    /**
+     * Lock the show FOR UPDATE for a waitlist join, so holds (which lock it
+     * FOR SHARE) and admin changes wait for the join to commit. Returns
+     * { status, started, available_seats }, counted once the lock is held,
+     * or null.
+     */
+    async lockForWaitlist(showId) {
+      const locked = await db.query(
+        `SELECT status, start_time <= CURRENT_TIMESTAMP AS started
+         FROM shows
+         WHERE id = $1
+         FOR UPDATE`,
+        [showId]
+      );
+      if (locked.rows.length === 0) {
+        return null;
+      }
+
+      // A separate statement, so it sees whatever committed while we waited
+      const seats = await db.query(
+        `SELECT count(*)::int AS available_seats
+         FROM seats
+         WHERE show_id = $1 AND status = 'AVAILABLE'`,
+        [showId]
+      );
+      return { ...locked.rows[0], available_seats: seats.rows[0].available_seats };
+    },
+
+    /**
+     * Apply { name, start_time, total_seats } (any of them).
+     */
+    async update(showId, { name, start_time, total_seats }) {
+      const result = await db.query(
+        `UPDATE shows
+         SET name = COALESCE($2, name),
+             start_time = COALESCE(${utcTimestamp('$3')}, start_time),
+             total_seats = COALESCE($4, total_seats),
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+         RETURNING id, name, start_time, total_seats, status, created_at, updated_at`,
+        [showId, name ?? null, start_time ?? null, total_seats ?? null]
+      );
+      return result.rows[0];
+    },
+
+    async cancel(showId, reason) {
+      const result = await db.query(
+        `UPDATE shows
+         SET status = 'CANCELLED', cancelled_at = CURRENT_TIMESTAMP,
+             cancellation_reason = $2, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+         RETURNING id, name, start_time, status, cancelled_at, cancellation_reason`,
+        [showId, reason]
+      );
+      return result.rows[0];
+    }
+  };
+}
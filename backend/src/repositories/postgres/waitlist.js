@@ -0,0 +1,123 @@
+import { BOOKING_SEAT_IDS } from './bookings.js';
+
+/**
+ * Waitlist entries.
+ */
+export function createWaitlistRepository(db) {
+  return {
+    /**
+     * Add an entry, with the hash of its token, and return its ID. Fails
+     * with 23505 (idx_waitlist_active_email) if the email is already
+     * WAITING or OFFERED for the show.
+     */
+    async add(showId, email, quantity, tokenHash) {
+      const result = await db.query(
+        `INSERT INTO waitlist_entries (show_id, email, quantity, token_hash)
+         VALUES ($1, $2, $3, $4)
+         RETURNING id`,
+        [showId, email, quantity, tokenHash]
+      );
+      return result.rows[0].id;
+    },
+
+    /**
+     * An entry with its queue `position` (WAITING entries only; 1 is next
+     * in line) and the offered hold's booking_id, offer_expires_at and
+     * seat_ids (null without an offer), and the entry's token_hash. No
+     * email.
+     */
+    async findEntry(showId, entryId) {
+      const result = await db.query(
+        `SELECT
+          w.id AS entry_id,
+          w.show_id,
+          w.quantity,
+          w.status,
+          w.created_at,
+          w.offered_at,
+          w.token_hash,
+          CASE WHEN w.status = 'WAITING' THEN (
+            SELECT count(*)::int FROM waitlist_entries ahead
+            WHERE ahead.show_id = w.show_id AND ahead.status = 'WAITING'
+              AND (ahead.created_at, ahead.id) <= (w.created_at, w.id)
+          ) END AS position,
+          b.id AS booking_id,
+          b.expires_at AS offer_expires_at,
+          ${BOOKING_SEAT_IDS}
+         FROM waitlist_entries w
+         LEFT JOIN bookings b ON w.booking_id = b.id
+         WHERE w.id = $1 AND w.show_id = $2`,
+        [entryId, showId]
+      );
+      return result.rows[0] ?? null;
+    },
+
+    /**
+     * Lock the oldest WAITING entry of a bookable show that its AVAILABLE
+     * seats can satisfy, skipping entries other transactions have locked.
+     * Returns { id, email, quantity, token_hash } or null.
+     */
+    async lockNext(showId) {
+      const result = await db.query(
+        `SELECT w.id, w.email, w.quantity, w.token_hash
+         FROM waitlist_entries w
+         JOIN shows s ON w.show_id = s.id
+         WHERE w.show_id = $1 AND w.status = 'WAITING'
+           AND s.status = 'SCHEDULED' AND s.start_time > CURRENT_TIMESTAMP
+           AND w.quantity <= (
+             SELECT count(*) FROM seats
+             WHERE show_id = $1 AND status = 'AVAILABLE'
+           )
+         ORDER BY w.created_at, w.id
+         LIMIT 1
+         FOR UPDATE OF w SKIP LOCKED`,
+        [showId]
+      );
+      return result.rows[0] ?? null;
+    },
+
+    async markOffered(entryId, bookingId) {
+      await db.query(
+        `UPDATE waitlist_entries
+         SET status = 'OFFERED', booking_id = $2, offered_at = CURRENT_TIMESTAMP
+         WHERE id = $1`,
+        [entryId, bookingId]
+      );
+    },
+
+    /**
+     * The offer made through this booking (if any) has been taken up.
+     */
+    async acceptOffer(bookingId) {
+      await db.query(
+        `UPDATE waitlist_entries
+         SET status = 'ACCEPTED'
+         WHERE booking_id = $1 AND status = 'OFFERED'`,
+        [bookingId]
+      );
+    },
+
+    /**
+     * The offers made through these bookings (if any) lapsed unconfirmed.
+     */
+    async expireOffers(bookingIds) {
+      await db.query(
+        `UPDATE waitlist_entries
+         SET status = 'EXPIRED'
+         WHERE booking_id = ANY($1::int[]) AND status = 'OFFERED'`,
+        [bookingIds]
+      );
+    },
+
+    /**
+     * Close a show's queue: every WAITING entry becomes EXPIRED.
+     */
+    async expireWaiting(showId) {
+      await db.query(
+        `UPDATE waitlist_entries SET status = 'EXPIRED'
+         WHERE show_id = $1 AND status = 'WAITING'`,
+        [showId]
+      );
+    }
+  };
+}
@@ -0,0 +1,74 @@
+import dotenv from 'dotenv';
+import { createLogger } from '../utils/logger.js';
+import { serializationFailures } from '../utils/metrics.js';
+
+const logger = createLogger('db');
+
+dotenv.config();
+
+/**
+ * The retry loop behind store.transaction(), shared by both storage
+ * adapters so a transaction that loses a race is handled the same way
+ * whichever one is in use.
+ */
+
+// Serialization failures and deadlocks mean "this transaction lost a race,
+// run it again" - nothing was committed, so it's always safe to retry.
+// The in-memory store raises its deadlocks with the same code.
+const RETRYABLE_ERROR_CODES = new Set(['40001', '40P01']);
+
+const TX_MAX_RETRIES = parseInt(process.env.TX_MAX_RETRIES) >= 0
+  ? parseInt(process.env.TX_MAX_RETRIES)
+  : 10;
+const TX_RETRY_BASE_DELAY_MS = parseInt(process.env.TX_RETRY_BASE_DELAY_MS) || 20;
+const TX_RETRY_MAX_DELAY_MS = 1000;
+
+/**
+ * True for errors that store.transaction() retries (serialization failure,
+ * deadlock). Once retries are exhausted the error is rethrown, so callers
+ * can use this to tell "too much contention" apart from a real failure.
+ */
+export const isRetryableError = (error) => RETRYABLE_ERROR_CODES.has(error?.code);
+
+// Exponential backoff with full jitter, so transactions that collided
+// don't all come back at the same moment and collide again.
+const retryDelay = (attempt) => {
+  const ceiling = Math.min(TX_RETRY_MAX_DELAY_MS, TX_RETRY_BASE_DELAY_MS * 2 ** (attempt - 1));
+  return Math.floor(Math.random() * ceiling);
+};
+
+/**
+ * Call `runAttempt()` - one whole transaction, begun and ended by the
+ * adapter - until it doesn't fail with a retryable error, at most
+ * TX_MAX_RETRIES + 1 times. The adapter must have rolled the attempt back
+ * before its promise rejects.
+ *
+ * Resolves to { result, attempts }; the final error carries `attempts`.
+ */
+export async function retryTransaction(runAttempt, { label = 'transaction' } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const result = await runAttempt();
+
+      if (attempt > 1) {
+        logger.info(`${label} succeeded after ${attempt - 1} retr${attempt === 2 ? 'y' : 'ies'}`);
+      }
+      return { result, attempts: attempt };
+
+    } catch (error) {
+      if (isRetryableError(error)) {
+        serializationFailures.inc({ reason: error.code === '40P01' ? 'deadlock' : 'serialization_failure' });
+      }
+
+      if (!isRetryableError(error) || attempt > TX_MAX_RETRIES) {
+        error.attempts = attempt;
+        throw error;
+      }
+
+      // Back off with the connection returned to the pool
+      const delay = retryDelay(attempt);
+      logger.warn(`${label} hit ${error.code === '40P01' ? 'a deadlock' : 'a serialization failure'}, retrying in ${delay}ms (retry ${attempt} of ${TX_MAX_RETRIES})`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
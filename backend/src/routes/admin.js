@@ -1,85 +1,294 @@
 import express from 'express';
-import { query } from '../db.js';
-import { logger } from '../utils/logger.js';
+import { getStore } from '../repositories/index.js';
+import { createLogger } from '../utils/logger.js';
+import { getJobStatuses } from '../jobs/scheduler.js';
+import { MAX_SEATS_PER_SHOW } from '../utils/seatMap.js';
+import { toCsvRow } from '../utils/csv.js';
+import {
+  SHOW_FIELDS,
+  parseShowInput,
+  parseShowImport,
+  showsFromCsv,
+  createShow,
+  importShows,
+  updateShow,
+  cancelShow
+} from '../services/shows.js';
+import { ApiError, toApiError } from '../utils/errors.js';
+import { validate, validationError } from '../utils/validation.js';
+import reportRoutes from './reports.js';
+import notificationRoutes from './notifications.js';
+
+const logger = createLogger('admin');
 
 const router = express.Router();
 
+// Reports and the notification outbox live in their own modules; they
+// share this router's admin auth
+router.use('/reports', reportRoutes);
+router.use('/notifications', notificationRoutes);
+
+const ID_PARAM = { type: 'id', required: true };
+const showIdSchema = { params: { id: ID_PARAM } };
+
 /**
  * POST /admin/shows
  * Admin endpoint to create a new show with seats.
  * I'm using a transaction here to ensure atomicity - either the show 
  * and all its seats are created, or nothing is.
+ *
+ * Seats are either a flat 1..total_seats range, or described by a
+ * `seat_map` with sections, rows, labels, grid positions and attributes
+ * (see utils/seatMap.js). With a seat map, total_seats is optional and
+ * must match the number of seats in the map if given.
+ * Validation and inserts live in services/shows.js, shared with imports.
+ *
+ * Optional `price_tiers` (with `currency` and `default_price_tier`, see
+ * utils/pricing.js) price the seats. Every seat gets the tier named on it
+ * in the seat map, else its section's tier, else the default tier.
  */
-router.post('/shows', async (req, res) => {
-  const { name, start_time, total_seats } = req.body;
+router.post('/shows', validate({ body: SHOW_FIELDS }), async (req, res, next) => {
+  // The schema checks each field; the seat map, pricing and how they fit
+  // together are checked here, as for imports
+  const input = parseShowInput(req.body);
 
-  // Basic validation
-  if (!name || !start_time || !total_seats) {
-    return res.status(400).json({
-      success: false,
-      error: 'Missing required fields: name, start_time, total_seats'
+  if (input.error) {
+    return next(validationError(input.error, input.field));
+  }
+
+  try {
+    const { result } = await getStore().transaction(
+      tx => createShow(tx, input),
+      { label: 'Show creation' }
+    );
+
+    res.status(201).json({
+      success: true,
+      data: result
     });
+
+  } catch (error) {
+    logger.error('Error creating show:', error);
+    next(toApiError(error, 'Failed to create show'));
+  }
+});
+
+/**
+ * POST /admin/shows/import
+ * Create many shows at once, from JSON ({ "shows": [ ...same bodies as
+ * POST /admin/shows... ] }) or CSV (Content-Type: text/csv, columns
+ * name, start_time, total_seats and optionally currency, price_minor).
+ *
+ * Every show is validated first; if any is invalid, nothing is created and
+ * the VALIDATION_FAILED details list the problems with their `row`.
+ * Otherwise they're all created in one transaction.
+ */
+router.post('/shows/import', async (req, res, next) => {
+  const parsed = typeof req.body === 'string'
+    ? showsFromCsv(req.body)
+    : { shows: req.body?.shows };
+
+  if (parsed.error) {
+    return next(validationError(parsed.error));
+  }
+
+  const validated = parseShowImport(parsed.shows);
+
+  if (validated.error) {
+    return next(new ApiError('VALIDATION_FAILED', validated.error, {
+      details: validated.errors
+        ? validated.errors.map(({ row, field, error }) => ({ row, field, location: 'body', message: error }))
+        : [{ field: 'shows', location: 'body', message: validated.error }]
+    }));
   }
 
-  if (total_seats < 1 || total_seats > 1000) {
-    return res.status(400).json({
-      success: false,
-      error: 'total_seats must be between 1 and 1000'
+  try {
+    const { result } = await getStore().transaction(
+      tx => importShows(tx, validated.inputs),
+      { label: 'Show import' }
+    );
+
+    logger.info(`Imported ${result.length} shows`);
+
+    res.status(201).json({
+      success: true,
+      data: result
     });
+
+  } catch (error) {
+    logger.error('Error importing shows:', error);
+    next(toApiError(error, 'Failed to import shows'));
+  }
+});
+
+// Columns of the bookings export, in order
+const BOOKING_EXPORT_COLUMNS = [
+  'booking_id', 'booking_status', 'user_email', 'booked_at', 'confirmed_at', 'cancelled_at',
+  'seat_id', 'seat_number', 'section', 'row_label', 'seat_label',
+  'price_tier', 'amount_minor', 'currency'
+];
+
+const BOOKING_STATUSES = ['PENDING', 'CONFIRMED', 'FAILED', 'CANCELLED'];
+
+/**
+ * Write to a response, waiting for it to drain if its buffer is full.
+ * Resolves to false if the client went away instead.
+ */
+function writeChunk(res, chunk) {
+  if (res.destroyed) {
+    return Promise.resolve(false);
+  }
+  if (res.write(chunk)) {
+    return Promise.resolve(true);
+  }
+  return new Promise(resolve => {
+    const done = drained => {
+      res.off('drain', onDrain);
+      res.off('close', onClose);
+      resolve(drained);
+    };
+    const onDrain = () => done(true);
+    const onClose = () => done(false);
+    res.on('drain', onDrain);
+    res.on('close', onClose);
+  });
+}
+
+/**
+ * GET /admin/shows/:id/bookings.csv
+ * GET /admin/shows/:id/bookings.json
+ * Attendee list: one row per booked seat with the booking, email, seat
+ * and price. Only CONFIRMED bookings by default; ?status= takes a
+ * comma-separated list of statuses, or "all". Seats dropped by a partial
+ * cancellation are left out.
+ *
+ * Rows are streamed from a database cursor, so big shows are never held
+ * in memory.
+ */
+router.get('/shows/:id/bookings.:format(csv|json)', validate({
+  params: { id: ID_PARAM },
+  query: { status: { type: 'string' } },
+  check: ({ query }) => {
+    const statuses = query.status?.toUpperCase().split(',') ?? [];
+    if (query.status !== 'all' && statuses.some(status => !BOOKING_STATUSES.includes(status))) {
+      return [{
+        field: 'status',
+        location: 'query',
+        message: `status must be "all" or a comma-separated list of: ${BOOKING_STATUSES.join(', ')}`
+      }];
+    }
   }
+}), async (req, res, next) => {
+  const { id: showId, format } = req.params;
+
+  const statuses = !req.query.status
+    ? ['CONFIRMED']
+    : req.query.status === 'all'
+      ? BOOKING_STATUSES
+      : req.query.status.toUpperCase().split(',');
 
   try {
-    // Validate timestamp format
-    const startTime = new Date(start_time);
-    if (isNaN(startTime.getTime())) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid start_time format. Use ISO 8601 format.'
-      });
+    const store = getStore();
+    const show = await store.shows.findById(showId);
+
+    if (!show) {
+      return next(new ApiError('SHOW_NOT_FOUND', 'Show not found'));
     }
 
-    // Start a transaction to create show and seats atomically
-    const client = await query('BEGIN');
+    res.status(200);
+    res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="show-${showId}-bookings.${format}"`);
 
-    // Create the show
-    const showResult = await query(
-      'INSERT INTO shows (name, start_time, total_seats) VALUES ($1, $2, $3) RETURNING *',
-      [name, start_time, total_seats]
+    let first = true;
+    await writeChunk(res, format === 'csv' ? toCsvRow(BOOKING_EXPORT_COLUMNS) : '{"success":true,"data":[');
+
+    await store.bookings.exportForShow(
+      showId,
+      statuses,
+      async (rows) => {
+        const chunk = format === 'csv'
+          ? rows.map(row => toCsvRow(BOOKING_EXPORT_COLUMNS.map(column => row[column]))).join('')
+          : rows.map(row => {
+            const json = JSON.stringify(row);
+            const separated = first ? json : `,${json}`;
+            first = false;
+            return separated;
+          }).join('');
+        return writeChunk(res, chunk);
+      }
     );
 
-    const show = showResult.rows[0];
-    logger.info(`Created show ${show.id}: ${name}`);
+    res.end(format === 'csv' ? '' : ']}');
 
-    // Create all seats for this show
-    // I'm using a single INSERT with generate_series for efficiency
-    await query(
-      `INSERT INTO seats (show_id, seat_number, status)
-       SELECT $1, generate_series(1, $2), 'AVAILABLE'`,
-      [show.id, total_seats]
+  } catch (error) {
+    logger.error('Error exporting bookings:', error);
+    // Once the download has started, errorHandler cuts it short instead
+    next(toApiError(error, 'Failed to export bookings'));
+  }
+});
+
+/**
+ * PATCH /admin/shows/:id
+ * Edit a show: rename it, reschedule it (start_time) or change its
+ * capacity (total_seats, flat shows only). Any subset of the three.
+ * Shrinking is refused if the seats it would remove are held or booked.
+ */
+router.patch('/shows/:id', validate({
+  params: { id: ID_PARAM },
+  body: {
+    name: { type: 'string', minLength: 1, maxLength: 255 },
+    start_time: { type: 'datetime', future: true },
+    total_seats: { type: 'integer', min: 1, max: MAX_SEATS_PER_SHOW }
+  },
+  check: ({ body }) => {
+    if (body.name === undefined && body.start_time === undefined && body.total_seats === undefined) {
+      return [{ field: null, location: 'body', message: 'Nothing to change: give name, start_time and/or total_seats' }];
+    }
+  }
+}), async (req, res, next) => {
+  const showId = req.params.id;
+  const { name, start_time, total_seats } = req.body;
+
+  try {
+    const { result } = await getStore().transaction(
+      tx => updateShow(tx, showId, { name, start_time, total_seats }),
+      { label: `Update of show ${showId}` }
     );
 
-    await query('COMMIT');
+    // A shrink over held or booked seats is a seat conflict for the metrics
+    res.locals.errorCode = result.body.code;
+    res.status(result.status).json(result.body);
+
+  } catch (error) {
+    logger.error('Error updating show:', error);
+    next(toApiError(error, 'Failed to update show'));
+  }
+});
+
+/**
+ * POST /admin/shows/:id/cancel
+ * Cancel a show with a `reason`. In one transaction, every hold and
+ * confirmed booking for it is cancelled with that reason, its seats are
+ * released and its waitlist is closed.
+ */
+router.post('/shows/:id/cancel', validate({
+  params: { id: ID_PARAM },
+  body: { reason: { type: 'string', required: true, minLength: 1, maxLength: 500 } }
+}), async (req, res, next) => {
+  const showId = req.params.id;
+  const { reason } = req.body;
 
-    logger.info(`Created ${total_seats} seats for show ${show.id}`);
+  try {
+    const { result } = await getStore().transaction(
+      tx => cancelShow(tx, showId, reason),
+      { label: `Cancellation of show ${showId}` }
+    );
 
-    res.status(201).json({
-      success: true,
-      data: {
-        id: show.id,
-        name: show.name,
-        start_time: show.start_time,
-        total_seats: show.total_seats,
-        created_at: show.created_at
-      }
-    });
+    res.status(result.status).json(result.body);
 
   } catch (error) {
-    await query('ROLLBACK');
-    logger.error('Error creating show:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to create show'
-    });
+    logger.error('Error cancelling show:', error);
+    next(toApiError(error, 'Failed to cancel show'));
   }
 });
 
@@ -87,37 +296,70 @@ router.post('/shows', async (req, res) => {
  * GET /admin/shows/:id/seats
  * Get detailed seat information for a show (admin view)
  */
-router.get('/shows/:id/seats', async (req, res) => {
-  const showId = parseInt(req.params.id);
+router.get('/shows/:id/seats', validate(showIdSchema), async (req, res, next) => {
+  const showId = req.params.id;
+
+  try {
+    const seats = await getStore().seats.listForAdmin(showId);
 
-  if (isNaN(showId)) {
-    return res.status(400).json({
-      success: false,
-      error: 'Invalid show ID'
+    res.json({
+      success: true,
+      data: seats
     });
+
+  } catch (error) {
+    logger.error('Error fetching seats:', error);
+    next(toApiError(error, 'Failed to fetch seats'));
   }
+});
+
+/**
+ * GET /admin/shows/:id/seats/:seatId/history
+ * Every status change of one seat, oldest first, with the booking it was
+ * for, who made it (user, admin or job) and the request it came from.
+ * Seats removed by a capacity change keep their history; `seat` is then null.
+ */
+router.get('/shows/:id/seats/:seatId/history', validate({
+  params: { id: ID_PARAM, seatId: ID_PARAM }
+}), async (req, res, next) => {
+  const { id: showId, seatId } = req.params;
 
   try {
-    const result = await query(
-      `SELECT id, seat_number, status, updated_at 
-       FROM seats 
-       WHERE show_id = $1 
-       ORDER BY seat_number`,
-      [showId]
-    );
+    const store = getStore();
+    const [seat, events] = await Promise.all([
+      store.seats.findInShow(seatId, showId),
+      store.seatEvents.forSeat(showId, seatId)
+    ]);
+
+    if (!seat && events.length === 0) {
+      return next(new ApiError('SEAT_NOT_FOUND', 'Seat not found'));
+    }
 
     res.json({
       success: true,
-      data: result.rows
+      data: {
+        seat,
+        events
+      }
     });
 
   } catch (error) {
-    logger.error('Error fetching seats:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to fetch seats'
-    });
+    logger.error('Error fetching seat history:', error);
+    next(toApiError(error, 'Failed to fetch seat history'));
   }
 });
 
+/**
+ * GET /admin/jobs
+ * Status of the background jobs scheduled on this instance: when each
+ * last ran, what it did (e.g. how many seats were released) and the last
+ * error, if any.
+ */
+router.get('/jobs', (req, res) => {
+  res.json({
+    success: true,
+    data: getJobStatuses()
+  });
+});
+
 export default router;
@@ -1,267 +1,624 @@
 import express from 'express';
-import { getClient } from '../db.js';
-import { logger } from '../utils/logger.js';
+import { getStore } from '../repositories/index.js';
+import { createLogger } from '../utils/logger.js';
+import { idempotency } from '../middleware/idempotency.js';
+import { authenticate, requireRole } from '../middleware/auth.js';
+import { notifySeatChanges } from '../events/seatEvents.js';
+import {
+  HOLD_TTL_SECONDS,
+  MAX_SEATS_PER_BOOKING,
+  reject,
+  rejectField,
+  pickSeats,
+  holdSeats,
+  confirmHold,
+  releaseHold,
+  formatHold
+} from '../services/bookings.js';
+import { offerReleasedSeats } from '../services/waitlist.js';
+import { recordSeatEvents } from '../services/audit.js';
+import { queueBookingEmail } from '../services/notifications.js';
+import { bookingsConfirmed, holdsExpired } from '../utils/metrics.js';
+import { ApiError, toApiError } from '../utils/errors.js';
+import { validate } from '../utils/validation.js';
+import { generateHoldToken, hashHoldToken, holdTokenMatches } from '../utils/holdTokens.js';
+
+const logger = createLogger('booking');
 
 const router = express.Router();
 
+/**
+ * Read CANCELLATION_CUTOFF_MINUTES. A value that isn't a whole number of
+ * minutes stops the server at startup rather than failing every
+ * cancellation later.
+ */
+function parseCancellationCutoff(value) {
+  if (value === undefined || value.trim() === '') {
+    return 60;
+  }
+
+  const minutes = Number(value);
+  if (!Number.isInteger(minutes) || minutes < 0) {
+    throw new Error(`CANCELLATION_CUTOFF_MINUTES must be a whole number of minutes, 0 or more (got "${value}")`);
+  }
+  return minutes;
+}
+
+// Bookings can't be cancelled once the show is closer than this to starting.
+// Set it to 0 to allow cancelling right up to the start time.
+const CANCELLATION_CUTOFF_MINUTES = parseCancellationCutoff(process.env.CANCELLATION_CUTOFF_MINUTES);
+
+/**
+ * Send the { status, body } a transaction produced, with how many times it
+ * had to be retried (serialization failures, deadlocks) in `meta`. A
+ * rejection's code goes to res.locals.errorCode, as errorHandler() does.
+ */
+function sendResult(res, result, attempts) {
+  res.locals.errorCode = result.body.code;
+  res.status(result.status).json({
+    ...result.body,
+    meta: { retries: attempts - 1 }
+  });
+}
+
+const ID_PARAM = { type: 'id', required: true };
+
+/**
+ * Schema for the seat request shared by the booking and hold endpoints.
+ * A request names either exact `seat_ids`, or a `quantity` of seats for
+ * the server to pick (optionally narrowed to a `section` name or
+ * `price_tier` code, and with `allow_split` to accept seats that aren't
+ * together).
+ */
+const seatRequestSchema = {
+  params: { showId: ID_PARAM },
+  body: {
+    seat_ids: { type: 'array', items: { type: 'id' }, minItems: 1, maxItems: MAX_SEATS_PER_BOOKING },
+    quantity: { type: 'integer', min: 1, max: MAX_SEATS_PER_BOOKING },
+    section: { type: 'string', minLength: 1, maxLength: 100 },
+    price_tier: { type: 'string', minLength: 1, maxLength: 50 },
+    allow_split: { type: 'boolean' },
+    user_email: { type: 'email' }
+  },
+  check: ({ body }) => {
+    if (body.seat_ids !== undefined && body.quantity !== undefined) {
+      return [{ field: 'quantity', location: 'body', message: 'Send either seat_ids or quantity, not both' }];
+    }
+
+    if (body.seat_ids === undefined && body.quantity === undefined) {
+      return [{ field: 'seat_ids', location: 'body', message: 'seat_ids is required (or send a quantity instead)' }];
+    }
+
+    if (body.seat_ids !== undefined) {
+      return ['section', 'price_tier', 'allow_split']
+        .filter(field => body[field] !== undefined)
+        .map(field => ({ field, location: 'body', message: `${field} can only be used with quantity` }));
+    }
+  }
+};
+
+const bookingIdSchema = { params: { id: ID_PARAM } };
+
+// Confirm and release: the hold's token, unless an API key owns the booking
+const holdActionSchema = {
+  params: { id: ID_PARAM },
+  body: {
+    hold_token: { type: 'string', minLength: 1, maxLength: 100 }
+  }
+};
+
+/**
+ * Whether the authenticated `user` may see or change `booking`: admins
+ * any booking, customers those made with their key's email.
+ */
+function canAccessBooking(user, booking) {
+  if (user.role === 'admin') {
+    return true;
+  }
+
+  return booking.user_email?.toLowerCase() === user.email.toLowerCase();
+}
+
+/**
+ * Whether a request may confirm or release the hold `booking`: it sends
+ * the hold's token, or a key that canAccessBooking() lets through.
+ */
+function canSettleHold(req, booking) {
+  if (holdTokenMatches(req.body.hold_token, booking.hold_token_hash)) {
+    return true;
+  }
+
+  return Boolean(req.user) && canAccessBooking(req.user, booking);
+}
+
+function describeSeatRequest(body) {
+  return body.quantity !== undefined
+    ? `best ${body.quantity} seat(s)`
+    : `seats: ${body.seat_ids.join(',')}`;
+}
+
+/**
+ * holdSeats() for either kind of seat request. Quantity requests get their
+ * seats picked first, and the result also carries `assigned_seats` and
+ * whether they're `adjacent`. `options` go to holdSeats().
+ */
+async function holdRequestedSeats(tx, showId, body, options) {
+  if (body.quantity === undefined) {
+    return holdSeats(tx, showId, body.seat_ids, body.user_email, options);
+  }
+
+  const picked = await pickSeats(tx, showId, body);
+  if (picked.rollback) {
+    return picked;
+  }
+
+  const held = await holdSeats(tx, showId, picked.seats.map(seat => seat.id), body.user_email, options);
+  if (!held.booking) {
+    return held;
+  }
+
+  return {
+    ...held,
+    assignment: {
+      adjacent: picked.adjacent,
+      assigned_seats: picked.seats
+        .map(seat => ({
+          id: seat.id,
+          seat_number: seat.seat_number,
+          section: seat.section,
+          row_label: seat.row_label,
+          seat_label: seat.seat_label
+        }))
+        .sort((a, b) => a.id - b.id)
+    }
+  };
+}
+
 /**
  * POST /booking/:showId
  * This is the critical booking endpoint with concurrency control.
  * 
  * My strategy here:
  * 1. Start a transaction
- * 2. Use SELECT ... FOR UPDATE to lock the specific seat rows
+ * 2. Lock the specific seat rows (SELECT ... FOR UPDATE in Postgres)
  * 3. Check if seats are available
  * 4. Update seats to RESERVED status
  * 5. Create booking record with PENDING status
  * 6. Immediately confirm the booking (atomic operation)
  * 7. Commit transaction
  * 
- * The FOR UPDATE lock prevents other concurrent transactions from 
+ * The row lock prevents other concurrent transactions from 
  * reading or modifying these rows until we commit or rollback.
  * This is how I prevent overbooking!
+ *
+ * If Postgres aborts the transaction with a serialization failure or
+ * deadlock, the whole attempt is re-run (see repositories/retry.js), so
+ * a 409 always means a requested seat really is taken. meta.retries in
+ * the response says how many re-runs it took.
+ *
+ * Instead of seat_ids the client can send { "quantity": 4 } (optionally
+ * with "section", "price_tier" and "allow_split") and I pick the best
+ * available seats; the response lists them in assigned_seats.
+ *
+ * Clients that need time between picking seats and paying should use
+ * the hold endpoints below instead.
+ *
+ * Send an Idempotency-Key header to make retries safe: a retry with the
+ * same key gets the original response back instead of booking again.
  */
-router.post('/:showId', async (req, res) => {
-  const showId = parseInt(req.params.showId);
-  const { seat_ids, user_email } = req.body;
-
-  // Input validation
-  if (isNaN(showId)) {
-    return res.status(400).json({
-      success: false,
-      error: 'Invalid show ID'
-    });
+router.post('/:showId', validate(seatRequestSchema), idempotency('booking.create'), async (req, res, next) => {
+  const { showId } = req.params;
+  const { user_email } = req.body;
+
+  try {
+    // Serializable isolation level for maximum safety
+    const { result, attempts } = await getStore().transaction(async (tx) => {
+      logger.info(`Booking attempt for show ${showId}, ${describeSeatRequest(req.body)}`);
+
+      const held = await holdRequestedSeats(tx, showId, req.body);
+
+      if (!held.booking) {
+        return held;
+      }
+
+      // Immediately confirm the booking (simplest flow for this demo)
+      const booking = await confirmHold(tx, held.booking);
+
+      return {
+        status: 201,
+        body: {
+          success: true,
+          data: {
+            booking_id: booking.id,
+            status: 'CONFIRMED',
+            show_id: showId,
+            seat_ids: booking.seat_ids,
+            user_email: user_email,
+            confirmed_at: booking.confirmed_at,
+            total_amount_minor: booking.total_amount_minor,
+            currency: booking.currency,
+            items: held.items,
+            ...held.assignment
+          }
+        }
+      };
+    }, { isolationLevel: 'SERIALIZABLE', label: `Booking for show ${showId}` });
+
+    if (!result.rollback) {
+      logger.info(`Booking ${result.body.data.booking_id} confirmed successfully`);
+      bookingsConfirmed.inc();
+    }
+
+    sendResult(res, result, attempts);
+
+  } catch (error) {
+    logger.error('Booking error:', error);
+    next(toApiError(error, 'Booking failed due to server error'));
   }
+});
 
-  if (!seat_ids || !Array.isArray(seat_ids) || seat_ids.length === 0) {
-    return res.status(400).json({
-      success: false,
-      error: 'seat_ids must be a non-empty array'
-    });
+/**
+ * POST /booking/:showId/hold
+ * Place a time-limited hold on seats without confirming them.
+ *
+ * The seats go to RESERVED and a PENDING booking is created whose
+ * expires_at is HOLD_TTL_SECONDS away. The client then has until then to
+ * call POST /booking/:id/confirm; otherwise the expiration job releases
+ * the seats. The booking ID doubles as the hold ID. Seats can be
+ * requested by seat_ids or by quantity, as for POST /booking/:showId.
+ *
+ * The response's hold_token is only ever returned here: confirming or
+ * releasing the hold takes it (or the owning customer's key).
+ */
+router.post('/:showId/hold', validate(seatRequestSchema), idempotency('booking.hold'), async (req, res, next) => {
+  const { showId } = req.params;
+
+  try {
+    const { result, attempts } = await getStore().transaction(async (tx) => {
+      logger.info(`Hold attempt for show ${showId}, ${describeSeatRequest(req.body)}`);
+
+      const holdToken = generateHoldToken();
+      const held = await holdRequestedSeats(tx, showId, req.body, { holdTokenHash: hashHoldToken(holdToken) });
+
+      if (!held.booking) {
+        return held;
+      }
+
+      return {
+        status: 201,
+        booking: held.booking,
+        body: {
+          success: true,
+          data: {
+            ...formatHold(held.booking, held.items),
+            ...held.assignment,
+            hold_ttl_seconds: HOLD_TTL_SECONDS,
+            hold_token: holdToken
+          }
+        }
+      };
+    }, { isolationLevel: 'SERIALIZABLE', label: `Hold for show ${showId}` });
+
+    if (!result.rollback) {
+      logger.info(`Hold ${result.booking.id} placed, expires at ${result.booking.expires_at.toISOString()}`);
+    }
+
+    sendResult(res, result, attempts);
+
+  } catch (error) {
+    logger.error('Hold error:', error);
+    next(toApiError(error, 'Failed to hold seats due to server error'));
   }
+});
 
-  if (seat_ids.length > 10) {
-    return res.status(400).json({
-      success: false,
-      error: 'Cannot book more than 10 seats at once'
-    });
+/**
+ * POST /booking/:id/confirm
+ * Confirm a hold before it lapses.
+ *
+ * Send { "hold_token" } from the hold (or the waitlist entry it was
+ * offered to), or the owning customer's or an admin API key. Anyone else
+ * gets the same 404 as for a missing booking.
+ *
+ * A hold that has already expired is rejected with 410 Gone. If the
+ * expiration job hasn't got to it yet, I release its seats right here so
+ * they don't stay RESERVED until the next job run.
+ */
+router.post('/:id/confirm', authenticate, validate(holdActionSchema), async (req, res, next) => {
+  const bookingId = req.params.id;
+
+  try {
+    const { result, attempts } = await getStore().transaction(async (tx) => {
+      const booking = await tx.bookings.lock(bookingId);
+
+      if (!booking || !canSettleHold(req, booking)) {
+        return reject('BOOKING_NOT_FOUND', 'Booking not found');
+      }
+
+      if (booking.status === 'CONFIRMED') {
+        return reject('BOOKING_STATE_CONFLICT', 'Booking is already confirmed');
+      }
+
+      if (booking.status !== 'PENDING') {
+        return reject('HOLD_EXPIRED', 'Hold has expired or was released');
+      }
+
+      if (booking.is_expired) {
+        await releaseHold(tx, booking, { action: 'expire' });
+        await offerReleasedSeats(tx, booking.show_id);
+
+        logger.info(`Confirm rejected for booking ${bookingId}: hold expired`);
+
+        return {
+          ...reject('HOLD_EXPIRED', 'Hold has expired'),
+          // Not a rollback: the release above should stick
+          rollback: false,
+          expired: true
+        };
+      }
+
+      const confirmed = await confirmHold(tx, booking);
+      const items = await tx.bookings.items(bookingId);
+
+      return {
+        status: 200,
+        confirmed: true,
+        body: {
+          success: true,
+          data: formatHold(confirmed, items)
+        }
+      };
+    }, { label: `Confirm of booking ${bookingId}` });
+
+    if (result.confirmed) {
+      logger.info(`Booking ${bookingId} confirmed from hold`);
+      bookingsConfirmed.inc();
+    } else if (result.expired) {
+      holdsExpired.inc({ source: 'confirm' });
+    }
+
+    sendResult(res, result, attempts);
+
+  } catch (error) {
+    logger.error('Error confirming booking:', error);
+    next(toApiError(error, 'Failed to confirm booking'));
   }
+});
 
-  const client = await getClient();
+/**
+ * POST /booking/:id/release
+ * Give a hold's seats back before it expires (e.g. the user left checkout).
+ * Like every release, the seats go to the show's waitlist first, if any.
+ * Takes the same hold_token or API key as confirming.
+ */
+router.post('/:id/release', authenticate, validate(holdActionSchema), async (req, res, next) => {
+  const bookingId = req.params.id;
 
   try {
-    // Start transaction with serializable isolation level for maximum safety
-    await client.query('BEGIN TRANSACTION ISOLATION LEVEL SERIALIZABLE');
-
-    logger.info(`Booking attempt for show ${showId}, seats: ${seat_ids.join(',')}`);
-
-    // CRITICAL: Lock the specific seat rows we want to book
-    // The FOR UPDATE clause prevents other transactions from modifying these rows
-    const seatCheckResult = await client.query(
-      `SELECT id, seat_number, status, show_id 
-       FROM seats 
-       WHERE id = ANY($1::int[]) AND show_id = $2
-       FOR UPDATE`,
-      [seat_ids, showId]
-    );
-
-    // Verify we found all requested seats
-    if (seatCheckResult.rows.length !== seat_ids.length) {
-      await client.query('ROLLBACK');
-      return res.status(400).json({
-        success: false,
-        error: 'One or more seat IDs are invalid for this show'
-      });
+    const { result, attempts } = await getStore().transaction(async (tx) => {
+      const booking = await tx.bookings.lock(bookingId);
+
+      if (!booking || !canSettleHold(req, booking)) {
+        return reject('BOOKING_NOT_FOUND', 'Booking not found');
+      }
+
+      if (booking.status !== 'PENDING') {
+        return reject('BOOKING_STATE_CONFLICT', `Only pending holds can be released (booking is ${booking.status})`);
+      }
+
+      await releaseHold(tx, booking);
+      await offerReleasedSeats(tx, booking.show_id);
+
+      return {
+        status: 200,
+        body: {
+          success: true,
+          data: {
+            booking_id: booking.id,
+            status: 'FAILED',
+            released_seat_ids: booking.seat_ids
+          }
+        }
+      };
+    }, { label: `Release of hold ${bookingId}` });
+
+    if (!result.rollback) {
+      logger.info(`Hold ${bookingId} released, seats: ${result.body.data.released_seat_ids.join(',')}`);
     }
 
-    // Check if all seats are available
-    const unavailableSeats = seatCheckResult.rows.filter(
-      seat => seat.status !== 'AVAILABLE'
-    );
-
-    if (unavailableSeats.length > 0) {
-      await client.query('ROLLBACK');
-      const unavailableSeatNumbers = unavailableSeats.map(s => s.seat_number);
-      logger.warn(`Booking failed: seats ${unavailableSeatNumbers.join(',')} not available`);
-      
-      return res.status(409).json({
-        success: false,
-        error: 'One or more seats are already booked',
-        unavailable_seats: unavailableSeatNumbers
+    sendResult(res, result, attempts);
+
+  } catch (error) {
+    logger.error('Error releasing hold:', error);
+    next(toApiError(error, 'Failed to release hold'));
+  }
+});
+
+/**
+ * POST /booking/:id/cancel
+ * Cancel a confirmed booking, either entirely or for some of its seats.
+ *
+ * Without a body every seat is released and the booking moves to
+ * CANCELLED. With { "seat_ids": [...] } only those seats are dropped and
+ * the booking stays CONFIRMED with the rest (dropping every seat is the
+ * same as a full cancel).
+ *
+ * Same locking approach as the create path: a serializable transaction
+ * that locks the booking row and then the seat rows before
+ * anything is changed, re-run on serialization failures. Cancellation is
+ * refused once the show is less than CANCELLATION_CUTOFF_MINUTES away from
+ * starting. Freed seats are offered to the waitlist in the same transaction.
+ *
+ * Needs the owning customer's API key or an admin key. Someone else's
+ * booking gets the same 404 as a missing one.
+ */
+router.post('/:id/cancel', authenticate, requireRole('admin', 'customer'), validate({
+  params: { id: ID_PARAM },
+  body: { seat_ids: { type: 'array', items: { type: 'id' }, minItems: 1 } }
+}), async (req, res, next) => {
+  const bookingId = req.params.id;
+  const { seat_ids } = req.body;
+
+  try {
+    const { result, attempts } = await getStore().transaction(async (tx) => {
+      const booking = await tx.bookings.lockForCancellation(bookingId, CANCELLATION_CUTOFF_MINUTES);
+
+      if (!booking || !canAccessBooking(req.user, booking)) {
+        return reject('BOOKING_NOT_FOUND', 'Booking not found');
+      }
+
+      if (booking.status !== 'CONFIRMED') {
+        return reject('BOOKING_STATE_CONFLICT', booking.status === 'PENDING'
+          ? 'Booking is still a hold; use POST /booking/:id/release instead'
+          : `Only confirmed bookings can be cancelled (booking is ${booking.status})`);
+      }
+
+      if (booking.past_cutoff) {
+        return reject('CANCELLATION_CUTOFF_PASSED', `Bookings can't be cancelled less than ${CANCELLATION_CUTOFF_MINUTES} minutes before the show starts`);
+      }
+
+      const seatsToRelease = seat_ids
+        ? [...new Set(seat_ids)]
+        : booking.seat_ids;
+      const notInBooking = seatsToRelease.filter(id => !booking.seat_ids.includes(id));
+
+      if (notInBooking.length > 0) {
+        return rejectField('seat_ids', 'One or more seat IDs are not part of this booking', {
+          invalid_seat_ids: notInBooking
+        });
+      }
+
+      const remainingSeats = booking.seat_ids.filter(id => !seatsToRelease.includes(id));
+
+      // Lock the seats we're giving back before touching them
+      await tx.seats.lock(seatsToRelease);
+
+      const released = await tx.seats.setStatus(seatsToRelease, 'AVAILABLE', { from: 'BOOKED' });
+      await notifySeatChanges(tx, booking.show_id, released);
+      await recordSeatEvents(tx, booking.show_id, released, {
+        action: 'cancel',
+        fromStatus: 'BOOKED',
+        bookingId
       });
-    }
 
-    // Reserve the seats by updating their status to RESERVED
-    await client.query(
-      `UPDATE seats 
-       SET status = 'RESERVED', updated_at = CURRENT_TIMESTAMP 
-       WHERE id = ANY($1::int[])`,
-      [seat_ids]
-    );
-
-    // Create booking record with PENDING status and 2-minute expiration
-    const bookingResult = await client.query(
-      `INSERT INTO bookings (show_id, seat_ids, user_email, status, expires_at) 
-       VALUES ($1, $2, $3, 'PENDING', CURRENT_TIMESTAMP + INTERVAL '2 minutes')
-       RETURNING *`,
-      [showId, seat_ids, user_email || null]
-    );
-
-    const booking = bookingResult.rows[0];
-
-    // Immediately confirm the booking (simplest flow for this demo)
-    // In a real system, you might want a separate payment step here
-    await client.query(
-      `UPDATE bookings 
-       SET status = 'CONFIRMED', confirmed_at = CURRENT_TIMESTAMP 
-       WHERE id = $1`,
-      [booking.id]
-    );
-
-    // Update seats to BOOKED status
-    await client.query(
-      `UPDATE seats 
-       SET status = 'BOOKED', updated_at = CURRENT_TIMESTAMP 
-       WHERE id = ANY($1::int[])`,
-      [seat_ids]
-    );
-
-    // Commit the transaction - all changes take effect atomically
-    await client.query('COMMIT');
-
-    logger.info(`Booking ${booking.id} confirmed successfully`);
-
-    // Fetch the final booking state to return
-    const finalBooking = await client.query(
-      'SELECT * FROM bookings WHERE id = $1',
-      [booking.id]
-    );
-
-    res.status(201).json({
-      success: true,
-      data: {
-        booking_id: booking.id,
-        status: 'CONFIRMED',
-        show_id: showId,
-        seat_ids: seat_ids,
-        user_email: user_email,
-        confirmed_at: finalBooking.rows[0].confirmed_at
+      // Keep the dropped seats' prices for the record, but take them off the total
+      const cancelledSeats = await tx.bookings.releaseSeats(bookingId, seatsToRelease);
+      const refundMinor = cancelledSeats.reduce((sum, item) => sum + (item.amount_minor ?? 0), 0);
+
+      let cancelled;
+      if (remainingSeats.length === 0) {
+        cancelled = await tx.bookings.cancel(bookingId);
+      } else {
+        await tx.bookings.markSeatsCancelled(bookingId, seatsToRelease);
+        cancelled = await tx.bookings.reduceTotal(bookingId, refundMinor);
       }
-    });
 
-  } catch (error) {
-    // Rollback on any error
-    await client.query('ROLLBACK');
-    
-    logger.error('Booking error:', error);
-    
-    // Handle serialization failures specifically
-    if (error.code === '40001') {
-      return res.status(409).json({
-        success: false,
-        error: 'Booking conflict detected. Please try again.'
+      await queueBookingEmail(tx, 'booking_cancelled', cancelled, seatsToRelease, {
+        refund_amount_minor: cancelled.currency ? refundMinor : null,
+        remaining_seats: remainingSeats.length
       });
+
+      await offerReleasedSeats(tx, booking.show_id);
+
+      return {
+        status: 200,
+        body: {
+          success: true,
+          data: {
+            booking_id: cancelled.id,
+            status: cancelled.status,
+            seat_ids: remainingSeats.length > 0 ? remainingSeats : booking.seat_ids,
+            released_seat_ids: seatsToRelease,
+            cancelled_at: cancelled.cancelled_at,
+            total_amount_minor: cancelled.total_amount_minor,
+            refund_amount_minor: cancelled.currency ? refundMinor : null,
+            currency: cancelled.currency
+          }
+        }
+      };
+    }, { isolationLevel: 'SERIALIZABLE', label: `Cancellation of booking ${bookingId}` });
+
+    if (!result.rollback) {
+      const { status, released_seat_ids } = result.body.data;
+      logger.info(`Booking ${bookingId} ${status === 'CANCELLED' ? 'cancelled' : 'partially cancelled'}, released seats: ${released_seat_ids.join(',')}`);
     }
 
-    res.status(500).json({
-      success: false,
-      error: 'Booking failed due to server error'
-    });
+    sendResult(res, result, attempts);
 
-  } finally {
-    // Always release the client back to the pool
-    client.release();
+  } catch (error) {
+    logger.error('Error cancelling booking:', error);
+    next(toApiError(error, 'Failed to cancel booking'));
   }
 });
 
 /**
- * GET /booking/:id
- * Check the status of a specific booking.
+ * GET /booking/mine
+ * All bookings made with the authenticated customer's email.
  */
-router.get('/:id', async (req, res) => {
-  const bookingId = parseInt(req.params.id);
+router.get('/mine', authenticate, requireRole('customer'), async (req, res, next) => {
+  try {
+    const bookings = await getStore().bookings.listForEmail(req.user.email);
 
-  if (isNaN(bookingId)) {
-    return res.status(400).json({
-      success: false,
-      error: 'Invalid booking ID'
+    res.json({
+      success: true,
+      data: bookings
     });
+
+  } catch (error) {
+    logger.error('Error fetching customer bookings:', error);
+    next(toApiError(error, 'Failed to fetch bookings'));
   }
+});
 
-  const client = await getClient();
+/**
+ * GET /booking/:id
+ * Check the status of a specific booking.
+ * Admins can read any booking; customers only their own. Someone else's
+ * booking gets the same 404 as a missing one, so IDs can't be probed.
+ */
+router.get('/:id', authenticate, requireRole('admin', 'customer'), validate(bookingIdSchema), async (req, res, next) => {
+  const bookingId = req.params.id;
+  const store = getStore();
 
   try {
-    const result = await client.query(
-      `SELECT 
-        b.*,
-        s.name as show_name,
-        s.start_time as show_start_time
-       FROM bookings b
-       JOIN shows s ON b.show_id = s.id
-       WHERE b.id = $1`,
-      [bookingId]
-    );
-
-    if (result.rows.length === 0) {
-      return res.status(404).json({
-        success: false,
-        error: 'Booking not found'
-      });
+    const booking = await store.bookings.findWithShow(bookingId);
+
+    if (!booking || !canAccessBooking(req.user, booking)) {
+      return next(new ApiError('BOOKING_NOT_FOUND', 'Booking not found'));
     }
 
     res.json({
       success: true,
-      data: result.rows[0]
+      data: {
+        ...booking,
+        items: await store.bookings.items(bookingId)
+      }
     });
 
   } catch (error) {
     logger.error('Error fetching booking:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to fetch booking'
-    });
-  } finally {
-    client.release();
+    next(toApiError(error, 'Failed to fetch booking'));
   }
 });
 
 /**
  * GET /booking/show/:showId
- * Get all bookings for a specific show (useful for admin/debugging)
+ * Get all bookings for a specific show (admin only - it lists every
+ * customer's email)
  */
-router.get('/show/:showId', async (req, res) => {
-  const showId = parseInt(req.params.showId);
-
-  if (isNaN(showId)) {
-    return res.status(400).json({
-      success: false,
-      error: 'Invalid show ID'
-    });
-  }
-
-  const client = await getClient();
+router.get('/show/:showId', authenticate, requireRole('admin'), validate({ params: { showId: ID_PARAM } }), async (req, res, next) => {
+  const { showId } = req.params;
 
   try {
-    const result = await client.query(
-      `SELECT * FROM bookings 
-       WHERE show_id = $1 
-       ORDER BY created_at DESC`,
-      [showId]
-    );
+    const bookings = await getStore().bookings.listForShow(showId);
 
     res.json({
       success: true,
-      data: result.rows
+      data: bookings
     });
 
   } catch (error) {
     logger.error('Error fetching bookings:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to fetch bookings'
-    });
-  } finally {
-    client.release();
+    next(toApiError(error, 'Failed to fetch bookings'));
   }
 });
 
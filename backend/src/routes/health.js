@@ -0,0 +1,113 @@
+import express from 'express';
+import { getStore } from '../repositories/index.js';
+import { createLogger } from '../utils/logger.js';
+import { loadMigrations } from '../migrations/runner.js';
+
+const logger = createLogger('health');
+
+const router = express.Router();
+
+// A database that takes longer than this to answer SELECT 1 counts as down
+const DB_CHECK_TIMEOUT_MS = 2000;
+
+// The migrations this build expects, read from disk once
+const expectedMigrations = loadMigrations();
+
+function withTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+async function checkDatabase() {
+  const start = Date.now();
+  try {
+    await withTimeout(getStore().ping(), DB_CHECK_TIMEOUT_MS, 'Database check timed out');
+    return { status: 'up', latency_ms: Date.now() - start };
+  } catch (error) {
+    logger.warn('Database check failed', { error: error.message });
+    return { status: 'down', error: error.message };
+  }
+}
+
+/**
+ * Compare schema_migrations with the migration files this build ships.
+ * The schema is current when every file has been applied unchanged.
+ */
+async function checkMigrations() {
+  const applied = await getStore().appliedMigrations();
+
+  const pending = expectedMigrations
+    .filter(migration => !applied.has(migration.version))
+    .map(migration => migration.name);
+  const modified = expectedMigrations
+    .filter(migration => applied.has(migration.version) && applied.get(migration.version).checksum !== migration.checksum)
+    .map(migration => migration.name);
+
+  const versions = [...applied.keys()].sort();
+
+  return {
+    status: pending.length === 0 && modified.length === 0 ? 'current' : 'outdated',
+    version: versions[versions.length - 1] ?? null,
+    expected_version: expectedMigrations[expectedMigrations.length - 1]?.version ?? null,
+    ...(pending.length > 0 && { pending }),
+    ...(modified.length > 0 && { modified })
+  };
+}
+
+/**
+ * GET /health
+ * Is the process up and can it reach Postgres? 503 when the database is
+ * down, so monitoring notices an API that can't serve anything.
+ */
+router.get('/health', async (req, res) => {
+  const database = await checkDatabase();
+  const healthy = database.status === 'up';
+
+  res.status(healthy ? 200 : 503).json({
+    status: healthy ? 'healthy' : 'unhealthy',
+    timestamp: new Date().toISOString(),
+    uptime: process.uptime(),
+    database
+  });
+});
+
+/**
+ * GET /ready
+ * Should this instance get traffic? Ready when the database is reachable,
+ * its schema is at the migration version this build expects, and the
+ * server isn't shutting down. Load balancers should route on this rather
+ * than /health.
+ */
+router.get('/ready', async (req, res) => {
+  const checks = {};
+
+  if (req.app.locals.shuttingDown) {
+    checks.shutdown = { status: 'draining' };
+  }
+
+  checks.database = await checkDatabase();
+
+  if (checks.database.status === 'up') {
+    try {
+      checks.migrations = await checkMigrations();
+    } catch (error) {
+      logger.warn('Migration check failed', { error: error.message });
+      checks.migrations = { status: 'unknown', error: error.message };
+    }
+  }
+
+  const ready = !checks.shutdown
+    && checks.database.status === 'up'
+    && checks.migrations?.status === 'current';
+
+  res.status(ready ? 200 : 503).json({
+    status: ready ? 'ready' : 'not_ready',
+    timestamp: new Date().toISOString(),
+    checks
+  });
+});
+
+export default router;
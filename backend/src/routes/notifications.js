@@ -0,0 +1,85 @@
+import express from 'express';
+import { getStore } from '../repositories/index.js';
+import { createLogger } from '../utils/logger.js';
+import { ApiError, toApiError } from '../utils/errors.js';
+import { validate } from '../utils/validation.js';
+
+const logger = createLogger('notifications');
+
+const router = express.Router();
+
+/**
+ * The customer email outbox, mounted under /admin/notifications: what has
+ * been queued, sent or given up on, and a way to send DEAD messages again.
+ * Messages are queued by services/notifications.js and delivered by
+ * jobs/dispatchNotifications.js.
+ */
+
+const NOTIFICATION_STATUSES = ['PENDING', 'SENT', 'DEAD'];
+
+/**
+ * GET /admin/notifications
+ * Outbox messages, newest first. Optional filters: ?status= (PENDING,
+ * SENT or DEAD) and ?booking_id=; ?limit= (default 100, at most 500).
+ * Payloads aren't included, only where each message stands.
+ */
+router.get('/', validate({
+  query: {
+    status: { type: 'string', values: NOTIFICATION_STATUSES },
+    booking_id: { type: 'id' },
+    limit: { type: 'integer', min: 1, max: 500 }
+  }
+}), async (req, res, next) => {
+  try {
+    const messages = await getStore().notifications.list({
+      status: req.query.status ?? null,
+      bookingId: req.query.booking_id ?? null,
+      limit: req.query.limit ?? 100
+    });
+
+    res.json({
+      success: true,
+      data: messages
+    });
+
+  } catch (error) {
+    logger.error('Error listing notifications:', error);
+    next(toApiError(error, 'Failed to list notifications'));
+  }
+});
+
+/**
+ * POST /admin/notifications/:id/retry
+ * Queue a DEAD message again, with a fresh set of attempts; the
+ * dispatcher sends it on its next run. Only DEAD messages can be retried.
+ */
+router.post('/:id/retry', validate({
+  params: { id: { type: 'id', required: true } }
+}), async (req, res, next) => {
+  const id = req.params.id;
+
+  try {
+    const store = getStore();
+
+    if (!await store.notifications.retry(id)) {
+      const message = await store.notifications.findById(id);
+
+      return next(message
+        ? new ApiError('NOTIFICATION_STATE_CONFLICT', `Only DEAD notifications can be retried; this one is ${message.status}`)
+        : new ApiError('NOTIFICATION_NOT_FOUND', 'Notification not found'));
+    }
+
+    logger.info(`Notification ${id} queued again`);
+
+    res.json({
+      success: true,
+      data: await store.notifications.findById(id)
+    });
+
+  } catch (error) {
+    logger.error('Error retrying notification:', error);
+    next(toApiError(error, 'Failed to retry notification'));
+  }
+});
+
+export default router;
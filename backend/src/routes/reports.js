@@ -0,0 +1,163 @@
+import express from 'express';
+import { getStore } from '../repositories/index.js';
+import { createLogger } from '../utils/logger.js';
+import { toApiError } from '../utils/errors.js';
+import { validate, validationError } from '../utils/validation.js';
+
+const logger = createLogger('reports');
+
+const router = express.Router();
+
+/**
+ * Sales and occupancy reports, mounted under /admin/reports.
+ *
+ * Everything is aggregated by the store's reports repository over
+ * bookings, booking_seats and seats.
+ * Money is in minor units and never summed across currencies, so totals
+ * are given per currency.
+ */
+
+// Range used when a report is asked for without from/to
+const DEFAULT_RANGE_DAYS = 30;
+
+// Most buckets one bookings-over-time report may return
+const MAX_BUCKETS = 1000;
+
+const BUCKETS = { hour: 60 * 60 * 1000, day: 24 * 60 * 60 * 1000 };
+
+// Query parameters every report takes
+const reportQuerySchema = {
+  query: {
+    from: { type: 'datetime' },
+    to: { type: 'datetime' },
+    show_id: { type: 'id' }
+  }
+};
+
+/**
+ * Read `from`/`to` (ISO 8601, to exclusive) and an optional `show_id`,
+ * already checked against reportQuerySchema.
+ * Missing ends default to the last DEFAULT_RANGE_DAYS days, except that
+ * `openEnded` leaves a missing `to` unbounded.
+ * Returns { from, to, showId } or { error }.
+ */
+function parseReportQuery(queryParams, { openEnded = false } = {}) {
+  const now = new Date();
+  const to = queryParams.to !== undefined ? new Date(queryParams.to) : (openEnded ? null : now);
+  const from = queryParams.from !== undefined
+    ? new Date(queryParams.from)
+    : new Date((to ?? now).getTime() - DEFAULT_RANGE_DAYS * BUCKETS.day);
+
+  if (to && from >= to) {
+    return { error: 'from must be before to' };
+  }
+
+  return { from, to, showId: queryParams.show_id ?? null };
+}
+
+/**
+ * GET /admin/reports/summary
+ * Booking funnel for bookings created in [from, to): how many holds were
+ * started, confirmed, failed (expired or released) and cancelled, the
+ * failed-to-confirmed ratio, average seats per confirmed booking and
+ * revenue per currency. Optional show_id narrows it to one show.
+ */
+router.get('/summary', validate(reportQuerySchema), async (req, res, next) => {
+  const range = parseReportQuery(req.query);
+  if (range.error) {
+    return next(validationError(range.error, 'from', 'query'));
+  }
+
+  try {
+    const summary = await getStore().reports.summary(range);
+
+    res.json({
+      success: true,
+      data: {
+        from: range.from,
+        to: range.to,
+        show_id: range.showId,
+        ...summary,
+        failed_to_confirmed_ratio: summary.bookings_confirmed > 0
+          ? Math.round((summary.holds_failed / summary.bookings_confirmed) * 1000) / 1000
+          : null
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error building summary report:', error);
+    next(toApiError(error, 'Failed to build summary report'));
+  }
+});
+
+/**
+ * GET /admin/reports/bookings-over-time
+ * Bookings in [from, to) in hour or day buckets (`bucket`, default day),
+ * including empty buckets. Per bucket: holds started and failed (by when
+ * they were made), bookings confirmed with their seats and revenue (by
+ * when they were confirmed; revenue is net of later cancellations) and
+ * bookings cancelled (by when they were cancelled).
+ */
+router.get('/bookings-over-time', validate({
+  query: {
+    ...reportQuerySchema.query,
+    bucket: { type: 'string', values: Object.keys(BUCKETS) }
+  }
+}), async (req, res, next) => {
+  const range = parseReportQuery(req.query);
+  if (range.error) {
+    return next(validationError(range.error, 'from', 'query'));
+  }
+
+  const bucket = req.query.bucket ?? 'day';
+  if ((range.to - range.from) / BUCKETS[bucket] > MAX_BUCKETS) {
+    return next(validationError(`Range is too long for ${bucket} buckets (at most ${MAX_BUCKETS})`, 'bucket', 'query'));
+  }
+
+  try {
+    const buckets = await getStore().reports.bookingsOverTime({ ...range, bucket });
+
+    res.json({
+      success: true,
+      data: {
+        from: range.from,
+        to: range.to,
+        show_id: range.showId,
+        bucket,
+        buckets
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error building bookings-over-time report:', error);
+    next(toApiError(error, 'Failed to build bookings-over-time report'));
+  }
+});
+
+/**
+ * GET /admin/reports/occupancy
+ * Per show starting in [from, to): seats booked, held and free, the share
+ * of seats booked, confirmed bookings and revenue. Without from/to this
+ * covers shows from the last 30 days onwards, including cancelled ones.
+ */
+router.get('/occupancy', validate(reportQuerySchema), async (req, res, next) => {
+  const range = parseReportQuery(req.query, { openEnded: true });
+  if (range.error) {
+    return next(validationError(range.error, 'from', 'query'));
+  }
+
+  try {
+    const shows = await getStore().reports.occupancy(range);
+
+    res.json({
+      success: true,
+      data: shows
+    });
+
+  } catch (error) {
+    logger.error('Error building occupancy report:', error);
+    next(toApiError(error, 'Failed to build occupancy report'));
+  }
+});
+
+export default router;
@@ -1,42 +1,114 @@
 import express from 'express';
-import { query } from '../db.js';
-import { logger } from '../utils/logger.js';
+import { getStore } from '../repositories/index.js';
+import { createLogger } from '../utils/logger.js';
+import { subscribeToShow } from '../events/seatEvents.js';
+import { MAX_SEATS_PER_BOOKING } from '../services/bookings.js';
+import { encodeCursor, decodeCursor } from '../utils/cursor.js';
+import { ApiError, toApiError } from '../utils/errors.js';
+import { validate, validationError } from '../utils/validation.js';
+import { generateHoldToken, hashHoldToken, holdTokenMatches } from '../utils/holdTokens.js';
+
+const logger = createLogger('shows');
 
 const router = express.Router();
 
+// Sort orders for GET /shows; a leading - sorts descending
+const SHOW_SORTS = ['start_time', '-start_time', 'name', '-name'];
+
+// What a cursor's key holds for each sort (see decodeCursor())
+const SORT_KEY_TYPES = { start_time: 'timestamp', name: 'text' };
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const ID_PARAM = { type: 'id', required: true };
+const showIdSchema = { params: { id: ID_PARAM } };
+
+const showListSchema = {
+  query: {
+    sort: { type: 'string', values: SHOW_SORTS },
+    limit: { type: 'integer', min: 1, max: MAX_PAGE_SIZE },
+    from: { type: 'datetime' },
+    to: { type: 'datetime' },
+    q: { type: 'string', maxLength: 100 },
+    cursor: { type: 'string' }
+  }
+};
+
+/**
+ * Turn GET /shows query parameters (already checked against
+ * showListSchema) into the options of the shows repository's list().
+ * Returns { error } if the cursor doesn't decode.
+ */
+function parseShowListQuery(queryParams) {
+  const sort = queryParams.sort ?? 'start_time';
+
+  let after = null;
+  if (queryParams.cursor !== undefined) {
+    after = decodeCursor(queryParams.cursor, sort, SORT_KEY_TYPES[sort.replace(/^-/, '')]);
+    if (!after) {
+      return { error: 'Invalid cursor for this sort order' };
+    }
+  }
+
+  return {
+    sort,
+    limit: queryParams.limit ?? DEFAULT_PAGE_SIZE,
+    includeCancelled: queryParams.include_cancelled === 'true',
+    includePast: queryParams.include_past === 'true',
+    from: queryParams.from !== undefined ? new Date(queryParams.from) : null,
+    to: queryParams.to !== undefined ? new Date(queryParams.to) : null,
+    q: queryParams.q || null,
+    available: queryParams.available === 'true',
+    after
+  };
+}
+
 /**
  * GET /shows
- * Public endpoint to list all available shows.
+ * Public endpoint to list upcoming shows, a page at a time.
  * I'm including seat availability counts to help users decide.
+ *
+ * Query parameters (all optional):
+ * - from, to: start_time range (from inclusive, to exclusive)
+ * - q: case-insensitive search in the show name
+ * - available=true: only shows with seats left
+ * - sort: start_time (default), -start_time, name or -name
+ * - limit: page size (default 20, at most 100)
+ * - cursor: meta.next_cursor from the previous page
+ *
+ * Cancelled shows and shows that have already started are left out unless
+ * asked for with ?include_cancelled=true / ?include_past=true.
+ * meta.next_cursor is null on the last page.
  */
-router.get('/', async (req, res) => {
+router.get('/', validate(showListSchema), async (req, res, next) => {
+  const listQuery = parseShowListQuery(req.query);
+
+  if (listQuery.error) {
+    return next(validationError(listQuery.error, 'cursor', 'query'));
+  }
+
+  const { limit } = listQuery;
+
   try {
-    const result = await query(`
-      SELECT 
-        s.id,
-        s.name,
-        s.start_time,
-        s.total_seats,
-        s.created_at,
-        COUNT(CASE WHEN st.status = 'AVAILABLE' THEN 1 END) as available_seats,
-        COUNT(CASE WHEN st.status = 'BOOKED' THEN 1 END) as booked_seats
-      FROM shows s
-      LEFT JOIN seats st ON s.id = st.show_id
-      GROUP BY s.id
-      ORDER BY s.start_time ASC
-    `);
+    // I fetch one extra row to know whether there's another page
+    const shows = await getStore().shows.list({ ...listQuery, limit: limit + 1 });
+
+    const rows = shows.slice(0, limit);
+    const last = rows[rows.length - 1];
+    const nextCursor = shows.length > limit
+      ? encodeCursor(listQuery.sort, last.sort_key, last.id)
+      : null;
 
     res.json({
       success: true,
-      data: result.rows
+      data: rows.map(({ sort_key, ...show }) => show),
+      meta: { next_cursor: nextCursor }
     });
 
   } catch (error) {
     logger.error('Error fetching shows:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to fetch shows'
-    });
+    next(toApiError(error, 'Failed to fetch shows'));
   }
 });
 
@@ -44,56 +116,260 @@ router.get('/', async (req, res) => {
  * GET /shows/:id
  * Get detailed information about a specific show including seat layout.
  * This is what the frontend calls when rendering the booking page.
+ *
+ * `layout` is null for flat 1..N shows; otherwise it lists the sections
+ * and the size of the grid the seats' grid_row/grid_col are placed on.
+ * Priced shows list their price_tiers and give each seat its price.
  */
-router.get('/:id', async (req, res) => {
-  const showId = parseInt(req.params.id);
-
-  if (isNaN(showId)) {
-    return res.status(400).json({
-      success: false,
-      error: 'Invalid show ID'
-    });
-  }
+router.get('/:id', validate(showIdSchema), async (req, res, next) => {
+  const showId = req.params.id;
+  const store = getStore();
 
   try {
     // Fetch show details
-    const showResult = await query(
-      'SELECT * FROM shows WHERE id = $1',
-      [showId]
-    );
-
-    if (showResult.rows.length === 0) {
-      return res.status(404).json({
-        success: false,
-        error: 'Show not found'
-      });
-    }
+    const show = await store.shows.findById(showId);
 
-    const show = showResult.rows[0];
+    if (!show) {
+      return next(new ApiError('SHOW_NOT_FOUND', 'Show not found'));
+    }
 
     // Fetch all seats for this show
-    const seatsResult = await query(
-      `SELECT id, seat_number, status 
-       FROM seats 
-       WHERE show_id = $1 
-       ORDER BY seat_number`,
-      [showId]
-    );
+    const seats = await store.seats.listForShow(showId);
+    const priceTiers = await store.shows.priceTiers(showId);
+
+    // Shows created from a seat map also get their layout, so the frontend
+    // can draw sections, rows and gaps instead of a flat grid
+    const sections = await store.shows.sections(showId);
+
+    let layout = null;
+    if (sections.length > 0) {
+      layout = {
+        sections,
+        rows: Math.max(...seats.map(seat => seat.grid_row)),
+        cols: Math.max(...seats.map(seat => seat.grid_col))
+      };
+    }
 
     res.json({
       success: true,
       data: {
         show: show,
-        seats: seatsResult.rows
+        seats: seats,
+        layout: layout,
+        price_tiers: priceTiers
       }
     });
 
   } catch (error) {
     logger.error('Error fetching show details:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to fetch show details'
+    next(toApiError(error, 'Failed to fetch show details'));
+  }
+});
+
+// Comment lines sent on idle streams so proxies don't time the connection out
+const SSE_HEARTBEAT_MS = 25000;
+
+/**
+ * GET /shows/:id/events
+ * Server-Sent Events stream of seat status changes for a show.
+ *
+ * Each change arrives as a `seats` event whose data is
+ * { "show_id": 1, "seats": [{ "id": 12, "status": "BOOKED" }] }.
+ * Events are fed from the store's LISTEN/NOTIFY (see events/seatEvents.js),
+ * so clients see changes made through any API instance.
+ */
+router.get('/:id/events', validate(showIdSchema), async (req, res, next) => {
+  const showId = req.params.id;
+
+  let unsubscribe = null;
+  let heartbeat = null;
+  let disconnected = false;
+
+  // Registered before anything is awaited: a client can go away while the
+  // subscription is still being set up
+  req.on('close', () => {
+    disconnected = true;
+    clearInterval(heartbeat);
+    unsubscribe?.();
+    logger.debug(`Seat event stream closed for show ${showId}`);
+  });
+
+  try {
+    const show = await getStore().shows.findById(showId);
+
+    if (!show) {
+      return next(new ApiError('SHOW_NOT_FOUND', 'Show not found'));
+    }
+
+    unsubscribe = await subscribeToShow(showId, (seats) => {
+      res.write(`event: seats\ndata: ${JSON.stringify({ show_id: showId, seats })}\n\n`);
+    }, {
+      // Server shutting down: EventSource reconnects, to another instance
+      onClose: () => res.end()
     });
+
+  } catch (error) {
+    if (disconnected) {
+      return;
+    }
+    logger.error('Error opening seat event stream:', error);
+    return next(new ApiError('SERVICE_UNAVAILABLE', 'Live seat updates are unavailable', { cause: error }));
+  }
+
+  if (disconnected) {
+    unsubscribe();
+    return;
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Stop nginx from buffering the stream
+  });
+
+  // Tell EventSource how long to wait before reconnecting
+  res.write('retry: 3000\n\n');
+
+  heartbeat = setInterval(() => {
+    res.write(': heartbeat\n\n');
+  }, SSE_HEARTBEAT_MS);
+});
+
+/**
+ * POST /shows/:id/waitlist
+ * Join the waitlist of a sold-out show with { "email", "quantity" }.
+ *
+ * Only allowed while fewer than `quantity` seats are AVAILABLE (otherwise
+ * just book them). When seats are released later, the oldest entry they
+ * can satisfy gets them as a hold (see services/waitlist.js). Poll
+ * GET /shows/:id/waitlist/:entryId for the queue position and the offer.
+ *
+ * The response's `token` is returned only here. It's what shows the
+ * offered hold's booking_id and confirms that hold, so the client has to
+ * keep it.
+ *
+ * The seat count and the insert share a transaction with the show locked,
+ * so nobody joins a queue that a hold or release in flight has just made
+ * unnecessary.
+ */
+router.post('/:id/waitlist', validate({
+  params: { id: ID_PARAM },
+  body: {
+    email: { type: 'email', required: true },
+    quantity: { type: 'integer', required: true, min: 1, max: MAX_SEATS_PER_BOOKING }
+  }
+}), async (req, res, next) => {
+  const showId = req.params.id;
+  const { email, quantity } = req.body;
+
+  try {
+    const token = generateHoldToken();
+
+    const { result } = await getStore().transaction(async (tx) => {
+      const show = await tx.shows.lockForWaitlist(showId);
+
+      if (!show) {
+        return { error: new ApiError('SHOW_NOT_FOUND', 'Show not found') };
+      }
+
+      if (show.status === 'CANCELLED') {
+        return { error: new ApiError('SHOW_CANCELLED', 'Show has been cancelled') };
+      }
+
+      if (show.started) {
+        return { error: new ApiError('SHOW_STARTED', 'Show has already started') };
+      }
+
+      if (show.available_seats >= quantity) {
+        return {
+          error: new ApiError('WAITLIST_NOT_NEEDED', 'Enough seats are available; book them directly', {
+            extra: { available_seats: show.available_seats }
+          })
+        };
+      }
+
+      return { entryId: await tx.waitlist.add(showId, email, quantity, hashHoldToken(token)) };
+    }, { label: 'Waitlist join' });
+
+    if (result.error) {
+      return next(result.error);
+    }
+
+    const { entryId } = result;
+
+    logger.info(`Waitlist entry ${entryId} added for show ${showId} (${quantity} seat(s))`);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        ...await loadWaitlistEntry(showId, entryId, token),
+        token
+      }
+    });
+
+  } catch (error) {
+    if (error.code === '23505' && error.constraint === 'idx_waitlist_active_email') {
+      return next(new ApiError('ALREADY_ON_WAITLIST', 'This email is already on the waitlist for this show'));
+    }
+
+    logger.error('Error joining waitlist:', error);
+    next(toApiError(error, 'Failed to join waitlist'));
+  }
+});
+
+/**
+ * A waitlist entry with its queue position (WAITING entries only; 1 is
+ * next in line) and the offered hold, if there is one. The email isn't
+ * returned, since entry IDs are easy to guess, and the offer's booking_id
+ * only comes with the entry's `token`.
+ */
+async function loadWaitlistEntry(showId, entryId, token) {
+  const entry = await getStore().waitlist.findEntry(showId, entryId);
+  if (!entry) {
+    return null;
+  }
+
+  const { booking_id, offer_expires_at, seat_ids, token_hash, ...rest } = entry;
+  const owner = holdTokenMatches(token, token_hash);
+
+  return {
+    ...rest,
+    offer: booking_id
+      ? { ...(owner && { booking_id }), expires_at: offer_expires_at, seat_ids }
+      : null
+  };
+}
+
+/**
+ * GET /shows/:id/waitlist/:entryId
+ * Where a waitlist entry stands: WAITING (with its position), OFFERED (with
+ * the seats held and offer.expires_at), ACCEPTED or EXPIRED.
+ *
+ * With the entry's token in a Waitlist-Token header, an offer also has its
+ * booking_id, to confirm through POST /booking/:id/confirm with that token
+ * as hold_token.
+ */
+router.get('/:id/waitlist/:entryId', validate({
+  params: { id: ID_PARAM, entryId: ID_PARAM }
+}), async (req, res, next) => {
+  const { id: showId, entryId } = req.params;
+
+  try {
+    const entry = await loadWaitlistEntry(showId, entryId, req.get('Waitlist-Token'));
+
+    if (!entry) {
+      return next(new ApiError('WAITLIST_ENTRY_NOT_FOUND', 'Waitlist entry not found'));
+    }
+
+    res.json({
+      success: true,
+      data: entry
+    });
+
+  } catch (error) {
+    logger.error('Error fetching waitlist entry:', error);
+    next(toApiError(error, 'Failed to fetch waitlist entry'));
   }
 });
 
@@ -0,0 +1,38 @@
+import { getRequestContext } from '../utils/requestContext.js';
+
+/**
+ * Seat audit trail.
+ *
+ * Every code path that changes a seat's status calls recordSeatEvents() in
+ * the same transaction, next to notifySeatChanges(), so the trail commits
+ * or rolls back with the change itself. The actor and request ID come from
+ * the request context (see utils/requestContext.js).
+ */
+
+/**
+ * Append one seat_events row per seat.
+ *
+ * `seats` are [{ id, status, old_status?, booking_id? }], as returned by
+ * the UPDATE that changed them; status is the new status (null for a
+ * removed seat). `fromStatus` and `bookingId` apply to seats that don't
+ * carry their own old_status / booking_id.
+ */
+export async function recordSeatEvents(tx, showId, seats, { action, fromStatus = null, bookingId = null }) {
+  if (seats.length === 0) {
+    return;
+  }
+
+  const { requestId, actor } = getRequestContext();
+
+  await tx.seatEvents.append(seats.map(seat => ({
+    show_id: Number(showId),
+    seat_id: seat.id,
+    booking_id: seat.booking_id ?? bookingId,
+    action,
+    old_status: seat.old_status ?? fromStatus,
+    new_status: seat.status ?? null,
+    actor_type: actor.type,
+    actor_id: actor.id,
+    request_id: requestId
+  })));
+}
@@ -0,0 +1,290 @@
+import { notifySeatChanges } from '../events/seatEvents.js';
+import { createLogger } from '../utils/logger.js';
+import { recordSeatEvents } from './audit.js';
+import { queueBookingEmail } from './notifications.js';
+import { ERROR_CODES, errorBody } from '../utils/errors.js';
+import { pickBestSeats } from '../utils/bestAvailable.js';
+
+const logger = createLogger('bookings');
+
+/**
+ * Booking and hold building blocks shared by the booking routes, the
+ * expiration job and the waitlist. Every function here takes the `tx` of a
+ * store transaction the caller has already opened (see
+ * repositories/index.js); none of them commit.
+ */
+
+// How long a hold keeps its seats RESERVED before the expiration job
+// (or a late confirm attempt) gives them back.
+export const HOLD_TTL_SECONDS = parseInt(process.env.HOLD_TTL_SECONDS) || 120;
+
+export const MAX_SEATS_PER_BOOKING = 10;
+
+/**
+ * Build the result of a transaction that turns the request down, with a
+ * code from the catalogue in utils/errors.js.
+ * store.transaction() rolls back results marked `rollback`.
+ */
+export function reject(code, error, extra = {}) {
+  return {
+    rollback: true,
+    status: ERROR_CODES[code],
+    body: errorBody(code, error, extra)
+  };
+}
+
+/**
+ * reject() for a request body field the database shows to be wrong (an
+ * unknown section, a seat from another show).
+ */
+export function rejectField(field, message, extra = {}) {
+  return reject('VALIDATION_FAILED', message, {
+    details: [{ field, location: 'body', message }],
+    ...extra
+  });
+}
+
+/**
+ * Shows that are cancelled or have started can't be booked.
+ */
+function showClosedRejection(show) {
+  if (show.status === 'CANCELLED') {
+    return reject('SHOW_CANCELLED', 'Show has been cancelled');
+  }
+
+  if (show.started) {
+    return reject('SHOW_STARTED', 'Show has already started');
+  }
+
+  return null;
+}
+
+/**
+ * Choose the best AVAILABLE seats for a quantity request (see
+ * utils/bestAvailable.js for how blocks are scored).
+ *
+ * Candidates are read without locks, and only the chosen block is locked,
+ * with FOR UPDATE SKIP LOCKED. If a concurrent booking already has some of
+ * those seats, I leave them out and pick again rather than wait for it.
+ * Locking every candidate instead would hand the whole show to whichever
+ * request got there first. The seats picked stay locked until the
+ * transaction ends.
+ *
+ * Returns { seats, adjacent } or a rejection.
+ */
+export async function pickSeats(tx, showId, { quantity, section, price_tier, allow_split }) {
+  const show = await tx.shows.findForSeatPick(showId, { section, price_tier });
+
+  if (!show) {
+    return reject('SHOW_NOT_FOUND', 'Show not found');
+  }
+
+  const closed = showClosedRejection(show);
+  if (closed) {
+    return closed;
+  }
+
+  if (!show.section_exists) {
+    return rejectField('section', `Show has no section named "${section}"`);
+  }
+
+  if (!show.price_tier_exists) {
+    return rejectField('price_tier', `Show has no price tier "${price_tier}"`);
+  }
+
+  let available = await tx.seats.findAvailable(showId, { section, price_tier });
+
+  // Each round either locks every seat it picked or drops at least one
+  // candidate, so this always ends
+  for (;;) {
+    if (available.length < quantity) {
+      return reject('SEAT_UNAVAILABLE', `Only ${available.length} matching seat(s) are available`, {
+        available_seats: available.length
+      });
+    }
+
+    const picked = pickBestSeats(available, quantity, {
+      cols: show.cols,
+      allowSplit: allow_split === true
+    });
+
+    if (!picked) {
+      return reject('SEAT_UNAVAILABLE', `No block of ${quantity} adjacent seats is available; send allow_split: true to accept seats apart`, {
+        available_seats: available.length
+      });
+    }
+
+    const pickedIds = picked.seats.map(seat => seat.id);
+    const locked = await tx.seats.lockAvailable(pickedIds);
+
+    if (locked.length === pickedIds.length) {
+      return picked;
+    }
+
+    const lockedIds = new Set(locked);
+    const taken = new Set(pickedIds.filter(id => !lockedIds.has(id)));
+    available = available.filter(seat => !taken.has(seat.id));
+  }
+}
+
+/**
+ * Lock the requested seats and put them on hold for a new PENDING booking.
+ * Must be called inside an open transaction.
+ *
+ * The hold lasts HOLD_TTL_SECONDS unless `ttlSeconds` says otherwise.
+ * `holdTokenHash` is the hash of the token that may confirm or release it
+ * (see utils/holdTokens.js); bookings confirmed straight away have none.
+ *
+ * Returns { booking, items } on success, or a rejection (see reject())
+ * when the seats can't be held.
+ */
+export async function holdSeats(tx, showId, seat_ids, user_email, {
+  ttlSeconds = HOLD_TTL_SECONDS,
+  action = 'hold',
+  holdTokenHash = null
+} = {}) {
+  // A share lock lets holds on the same show run side by side, but makes a
+  // show cancellation wait for them (and them wait for it), so no hold can
+  // slip in after the show's bookings have been cancelled.
+  const show = await tx.shows.lockForHold(showId);
+
+  if (!show) {
+    return reject('SHOW_NOT_FOUND', 'Show not found');
+  }
+
+  const closed = showClosedRejection(show);
+  if (closed) {
+    return closed;
+  }
+
+  // CRITICAL: Lock the specific seat rows we want to book
+  // The row locks prevent other transactions from modifying these rows
+  const seats = await tx.seats.lock(seat_ids, { showId });
+
+  // Verify we found all requested seats
+  if (seats.length !== seat_ids.length) {
+    return rejectField('seat_ids', 'One or more seat IDs are invalid for this show');
+  }
+
+  // Check if all seats are available
+  const unavailableSeats = seats.filter(
+    seat => seat.status !== 'AVAILABLE'
+  );
+
+  if (unavailableSeats.length > 0) {
+    const unavailableSeatNumbers = unavailableSeats.map(s => s.seat_number);
+    logger.warn(`Booking failed: seats ${unavailableSeatNumbers.join(',')} not available`);
+
+    return reject('SEAT_UNAVAILABLE', 'One or more seats are already booked', {
+      unavailable_seats: unavailableSeatNumbers
+    });
+  }
+
+  // Reserve the seats by updating their status to RESERVED
+  const reserved = await tx.seats.setStatus(seat_ids, 'RESERVED');
+  await notifySeatChanges(tx, showId, reserved);
+
+  // Create booking record with PENDING status; expires_at is when the hold lapses
+  const booking = await tx.bookings.create({ showId, userEmail: user_email, ttlSeconds, holdTokenHash });
+
+  const held = await addBookingSeats(tx, booking, seat_ids);
+  await recordSeatEvents(tx, showId, reserved, {
+    action,
+    fromStatus: 'AVAILABLE',
+    bookingId: held.booking.id
+  });
+
+  return held;
+}
+
+/**
+ * Attach the seats to a new booking in booking_seats, recording what each
+ * one costs right now so later price tier changes never alter an existing
+ * booking. Unpriced shows get null prices and a null total.
+ *
+ * The unique index on active booking_seats rows means this insert fails
+ * (23505) if any of the seats already belongs to another live booking.
+ */
+async function addBookingSeats(tx, booking, seatIds) {
+  const added = await tx.bookings.addSeats(booking.id, seatIds);
+
+  const items = added
+    .filter(item => item.amount_minor !== null)
+    .sort((a, b) => a.seat_id - b.seat_id);
+  const seat_ids = added.map(item => item.seat_id).sort((a, b) => a - b);
+
+  if (items.length === 0) {
+    return { booking: { ...booking, seat_ids }, items };
+  }
+
+  const total = items.reduce((sum, item) => sum + item.amount_minor, 0);
+
+  const updated = await tx.bookings.setTotal(booking.id, total, items[0].currency);
+
+  return { booking: { ...updated, seat_ids }, items };
+}
+
+/**
+ * Move a PENDING booking to CONFIRMED and its seats from RESERVED to BOOKED.
+ * Must be called inside an open transaction with the booking row locked.
+ */
+export async function confirmHold(tx, booking) {
+  const confirmed = await tx.bookings.confirm(booking.id);
+
+  // A PENDING booking still holds every seat it lists
+  const booked = await tx.seats.setStatus(booking.seat_ids, 'BOOKED');
+  await notifySeatChanges(tx, booking.show_id, booked);
+  await recordSeatEvents(tx, booking.show_id, booked, {
+    action: 'confirm',
+    fromStatus: 'RESERVED',
+    bookingId: booking.id
+  });
+
+  // If this hold was a waitlist offer, it's been taken up
+  await tx.waitlist.acceptOffer(booking.id);
+
+  await queueBookingEmail(tx, 'booking_confirmed', confirmed, booking.seat_ids);
+
+  return { ...confirmed, seat_ids: booking.seat_ids };
+}
+
+/**
+ * Mark a PENDING booking as FAILED and give its RESERVED seats back.
+ * Used both for early release and for holds that are found to have lapsed
+ * (`action` 'expire' in the audit trail, which also emails the customer).
+ * The caller should then offer the seats to the waitlist
+ * (offerReleasedSeats in services/waitlist.js).
+ */
+export async function releaseHold(tx, booking, { action = 'release' } = {}) {
+  await tx.bookings.fail([booking.id]);
+
+  await tx.bookings.releaseSeats(booking.id);
+  await tx.waitlist.expireOffers([booking.id]);
+
+  const released = await tx.seats.setStatus(booking.seat_ids, 'AVAILABLE', { from: 'RESERVED' });
+  await notifySeatChanges(tx, booking.show_id, released);
+  await recordSeatEvents(tx, booking.show_id, released, {
+    action,
+    fromStatus: 'RESERVED',
+    bookingId: booking.id
+  });
+
+  if (action === 'expire') {
+    await queueBookingEmail(tx, 'hold_expired', booking, booking.seat_ids);
+  }
+}
+
+export function formatHold(booking, items) {
+  return {
+    booking_id: booking.id,
+    status: booking.status,
+    show_id: booking.show_id,
+    seat_ids: booking.seat_ids,
+    user_email: booking.user_email,
+    expires_at: booking.expires_at,
+    confirmed_at: booking.confirmed_at,
+    total_amount_minor: booking.total_amount_minor,
+    currency: booking.currency,
+    items: items
+  };
+}
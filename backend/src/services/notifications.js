@@ -0,0 +1,65 @@
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('notifications');
+
+/**
+ * Customer emails, through the transactional outbox.
+ *
+ * Code that confirms, cancels or expires a booking calls
+ * queueBookingEmail() in the same transaction, so a message is stored if
+ * and only if the change commits. jobs/dispatchNotifications.js sends it
+ * later, rendered by notifications/templates.js. Bookings made without an
+ * email address get nothing.
+ */
+
+/**
+ * How a seat is named to customers: "Stalls, row B, seat 12" for seat
+ * maps, "Seat 7" for flat shows.
+ */
+function seatName(seat) {
+  if (seat.row_label === null && seat.seat_label === null) {
+    return `Seat ${seat.seat_number}`;
+  }
+
+  return [
+    seat.section,
+    seat.row_label !== null ? `row ${seat.row_label}` : null,
+    `seat ${seat.seat_label ?? seat.seat_number}`
+  ].filter(Boolean).join(', ');
+}
+
+/**
+ * Queue email `template` (see notifications/templates.js) about `booking`
+ * ({ id, show_id, user_email, total_amount_minor, currency }) and the seats
+ * `seatIds`. The payload is a snapshot of the booking as it is now, plus
+ * `details` (a refund, a cancellation reason).
+ *
+ * Returns the outbox message ID, or null if there's nobody to send it to.
+ */
+export async function queueBookingEmail(tx, template, booking, seatIds, details = {}) {
+  if (!booking.user_email) {
+    return null;
+  }
+
+  const show = await tx.shows.findById(booking.show_id);
+  const seats = await tx.seats.findByIds(seatIds);
+
+  const id = await tx.notifications.enqueue({
+    template,
+    recipient: booking.user_email,
+    booking_id: booking.id,
+    payload: {
+      booking_id: booking.id,
+      show_id: booking.show_id,
+      show_name: show.name,
+      show_start_time: show.start_time,
+      seats: seats.map(seatName),
+      total_amount_minor: booking.total_amount_minor ?? null,
+      currency: booking.currency ?? null,
+      ...details
+    }
+  });
+
+  logger.debug(`Queued ${template} email ${id} for booking ${booking.id}`);
+  return id;
+}
@@ -0,0 +1,446 @@
+import { createLogger } from '../utils/logger.js';
+import { notifySeatChanges } from '../events/seatEvents.js';
+import { recordSeatEvents } from './audit.js';
+import { queueBookingEmail } from './notifications.js';
+import { parseSeatMap, MAX_SEATS_PER_SHOW } from '../utils/seatMap.js';
+import { parsePricing } from '../utils/pricing.js';
+import { parseCsv } from '../utils/csv.js';
+import { checkBody } from '../utils/validation.js';
+import { reject, rejectField } from './bookings.js';
+import { offerReleasedSeats } from './waitlist.js';
+
+const logger = createLogger('shows');
+
+/**
+ * Show lifecycle: creating, editing and cancelling shows.
+ *
+ * Like services/bookings.js, the functions that change shows take the `tx`
+ * of a store transaction. updateShow() and cancelShow() return either
+ * { status, body } or a reject() result for the route to send.
+ */
+
+/**
+ * Field rules for a new show (see utils/validation.js), for the body of
+ * POST /admin/shows and every show of an import alike.
+ */
+export const SHOW_FIELDS = {
+  name: { type: 'string', required: true, minLength: 1, maxLength: 255 },
+  start_time: { type: 'datetime', required: true },
+  total_seats: { type: 'integer', min: 1, max: MAX_SEATS_PER_SHOW },
+  seat_map: { type: 'object' },
+  price_tiers: { type: 'array' },
+  currency: { type: 'string' },
+  default_price_tier: { type: 'string' }
+};
+
+/**
+ * Validate a create-show request (the body of POST /admin/shows, or one
+ * show of a bulk import).
+ *
+ * Seats are either a flat 1..total_seats range, or described by a
+ * `seat_map` (see utils/seatMap.js). With a seat map, total_seats is
+ * optional and must match the number of seats in the map if given.
+ * Pricing is optional (see utils/pricing.js). The fields are checked
+ * against SHOW_FIELDS first, so an import can't get past what the POST
+ * route's schema refuses.
+ *
+ * Returns { error, field } (field is null when the problem isn't with one
+ * field) or { name, start_time, total_seats, parsedMap, pricing } for
+ * createShow().
+ */
+export function parseShowInput(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { error: 'A show must be an object', field: null };
+  }
+
+  const checked = checkBody(SHOW_FIELDS, body);
+  if (checked.problems.length > 0) {
+    const [problem] = checked.problems;
+    return { error: checked.problems.map(({ message }) => message).join('; '), field: problem.field };
+  }
+
+  // Trimmed from here on
+  body = { ...body, ...checked.values };
+  const { name, start_time, seat_map } = body;
+  let { total_seats } = body;
+
+  if (!total_seats && !seat_map) {
+    return { error: 'Missing required fields: total_seats (or seat_map)', field: 'total_seats' };
+  }
+
+  let parsedMap = null;
+  if (seat_map !== undefined) {
+    parsedMap = parseSeatMap(seat_map);
+
+    if (parsedMap.error) {
+      return { error: parsedMap.error, field: 'seat_map' };
+    }
+
+    if (total_seats && total_seats !== parsedMap.totalSeats) {
+      return { error: `total_seats (${total_seats}) doesn't match the ${parsedMap.totalSeats} seats in seat_map`, field: 'total_seats' };
+    }
+
+    total_seats = parsedMap.totalSeats;
+  }
+
+  const pricing = parsePricing(body);
+  if (pricing.error) {
+    return { error: pricing.error, field: 'price_tiers' };
+  }
+
+  const pricingError = assignPriceTiers(parsedMap, pricing);
+  if (pricingError) {
+    return { error: pricingError, field: 'seat_map' };
+  }
+
+  if (total_seats > MAX_SEATS_PER_SHOW) {
+    return { error: `total_seats must be between 1 and ${MAX_SEATS_PER_SHOW}`, field: 'total_seats' };
+  }
+
+  return { name, start_time, total_seats, parsedMap, pricing };
+}
+
+/**
+ * Create a show and its seats (and price tiers) from parseShowInput()
+ * output. Returns the created show as POST /admin/shows reports it.
+ */
+export async function createShow(tx, { name, start_time, total_seats, parsedMap, pricing }) {
+  const show = await tx.shows.create({ name, start_time, total_seats });
+
+  const tierIds = await insertPriceTiers(tx, show.id, pricing);
+
+  if (parsedMap) {
+    await insertSeatMap(tx, show.id, parsedMap.sections, tierIds);
+  } else {
+    // Create all seats for this show
+    await tx.seats.createNumbered(show.id, total_seats, tierIds.get(pricing.defaultCode) ?? null);
+  }
+
+  logger.info(`Created show ${show.id} (${name}) with ${total_seats} seats`);
+
+  return {
+    id: show.id,
+    name: show.name,
+    start_time: show.start_time,
+    total_seats: show.total_seats,
+    created_at: show.created_at,
+    sections: parsedMap ? parsedMap.sections.map(section => section.name) : [],
+    currency: pricing.currency ?? null,
+    price_tiers: pricing.tiers
+  };
+}
+
+// Most shows one import may create
+export const MAX_IMPORT_SHOWS = 500;
+
+/**
+ * Validate every show of a bulk import with parseShowInput().
+ * Returns { inputs } when all of them are valid, else { error, errors }
+ * with errors as [{ row, field, error }] (rows counted from 1).
+ */
+export function parseShowImport(shows) {
+  if (!Array.isArray(shows) || shows.length === 0) {
+    return { error: 'Nothing to import: give a non-empty list of shows' };
+  }
+
+  if (shows.length > MAX_IMPORT_SHOWS) {
+    return { error: `At most ${MAX_IMPORT_SHOWS} shows can be imported at once` };
+  }
+
+  const inputs = [];
+  const errors = [];
+
+  shows.forEach((show, index) => {
+    const input = parseShowInput(show);
+    if (input.error) {
+      errors.push({ row: index + 1, field: input.field, error: input.error });
+    } else {
+      inputs.push(input);
+    }
+  });
+
+  if (errors.length > 0) {
+    return { error: `${errors.length} of ${shows.length} shows are invalid; nothing was imported`, errors };
+  }
+
+  return { inputs };
+}
+
+/**
+ * Create every show validated by parseShowImport(), in the caller's
+ * transaction. Returns the created shows in order.
+ */
+export async function importShows(tx, inputs) {
+  const created = [];
+  for (const input of inputs) {
+    created.push(await createShow(tx, input));
+  }
+  return created;
+}
+
+/**
+ * Read shows from CSV with the columns name, start_time, total_seats and,
+ * for priced shows, currency and price_minor (every seat at one price).
+ * Returns { shows } as create-show bodies, or { error }.
+ */
+export function showsFromCsv(text) {
+  const parsed = parseCsv(text);
+  if (parsed.error) {
+    return { error: `Invalid CSV: ${parsed.error}` };
+  }
+
+  const shows = parsed.rows.map(row => {
+    const show = {
+      name: row.name?.trim(),
+      start_time: row.start_time?.trim(),
+      total_seats: row.total_seats ? Number(row.total_seats) : undefined
+    };
+
+    if (row.price_minor?.trim() || row.currency?.trim()) {
+      show.currency = row.currency?.trim();
+      show.price_tiers = [{ code: 'standard', name: 'Standard', amount_minor: row.price_minor?.trim() ? Number(row.price_minor) : undefined }];
+    }
+
+    return show;
+  });
+
+  return { shows };
+}
+
+/**
+ * Check the price tiers used by the seat map and resolve every seat's
+ * tier code (seat, then section, then default). Returns an error message
+ * or null. With no price tiers the show is unpriced and nothing may refer
+ * to a tier.
+ */
+function assignPriceTiers(parsedMap, pricing) {
+  const codes = new Set(pricing.tiers.map(tier => tier.code));
+  const seats = parsedMap ? parsedMap.sections.flatMap(section => section.seats) : [];
+
+  if (pricing.tiers.length === 0) {
+    return seats.some(seat => seat.price_tier)
+      ? 'seat_map refers to price tiers but no price_tiers were given'
+      : null;
+  }
+
+  if (!parsedMap && !pricing.defaultCode) {
+    return 'default_price_tier is required when a show without a seat map has several price tiers';
+  }
+
+  for (const seat of seats) {
+    seat.price_tier = seat.price_tier ?? pricing.defaultCode;
+
+    if (!seat.price_tier) {
+      return `Seat ${seat.row_label}${seat.seat_label} has no price tier; set one on its section or a default_price_tier`;
+    }
+    if (!codes.has(seat.price_tier)) {
+      return `Unknown price tier "${seat.price_tier}"`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Insert the show's price tiers. Returns a Map of tier code to ID.
+ */
+async function insertPriceTiers(tx, showId, pricing) {
+  const tierIds = new Map();
+
+  for (const tier of pricing.tiers) {
+    tierIds.set(tier.code, await tx.shows.createPriceTier(showId, tier, pricing.currency));
+  }
+
+  return tierIds;
+}
+
+/**
+ * Insert the sections and seats of a parsed seat map.
+ * seat_number keeps counting 1..N across the whole map in definition order.
+ */
+async function insertSeatMap(tx, showId, sections, tierIds) {
+  let seatNumber = 1;
+
+  for (const section of sections) {
+    const sectionId = await tx.shows.createSection(showId, section);
+
+    await tx.seats.createInSection(showId, sectionId, section.seats.map(seat => ({
+      seat_number: seatNumber++,
+      row_label: seat.row_label,
+      seat_label: seat.seat_label,
+      grid_row: seat.grid_row,
+      grid_col: seat.grid_col,
+      attributes: seat.attributes,
+      price_tier_id: tierIds.get(seat.price_tier) ?? null
+    })));
+  }
+}
+
+/**
+ * Lock a show for an admin change. Cancelled shows can't be changed.
+ * Returns the show row or a rejection.
+ */
+async function lockShow(tx, showId) {
+  const show = await tx.shows.lockForChange(showId);
+
+  if (!show) {
+    return reject('SHOW_NOT_FOUND', 'Show not found');
+  }
+
+  if (show.status === 'CANCELLED') {
+    return reject('SHOW_CANCELLED', 'Show has been cancelled');
+  }
+
+  return show;
+}
+
+/**
+ * Apply `changes` ({ name, start_time, total_seats }, any of them) to a
+ * show.
+ *
+ * Capacity changes only apply to flat 1..N shows. Growing adds seats at
+ * the end, priced like the current last seat, and offers them to the
+ * waitlist. Shrinking removes the highest-numbered seats and is refused if
+ * any of them are held or booked, or were part of any booking before:
+ * deleting a seat would take its booking_seats rows, and with them the
+ * seats and prices of past bookings, along.
+ */
+export async function updateShow(tx, showId, changes) {
+  const show = await lockShow(tx, showId);
+  if (show.rollback) {
+    return show;
+  }
+
+  let seatsAdded = 0;
+  let seatsRemoved = 0;
+  let waitlistOffers = [];
+
+  if (changes.total_seats !== undefined && changes.total_seats !== show.total_seats) {
+    if (show.has_seat_map) {
+      return rejectField('total_seats', 'total_seats can only be changed for shows without a seat map');
+    }
+
+    if (changes.total_seats > show.total_seats) {
+      const added = await tx.seats.extend(showId, show.total_seats, changes.total_seats);
+      seatsAdded = added.length;
+      await recordSeatEvents(tx, showId, added, { action: 'seat_added' });
+    } else {
+      const removed = await tx.seats.lockAbove(showId, changes.total_seats);
+
+      const taken = removed.filter(seat => seat.status !== 'AVAILABLE');
+      if (taken.length > 0) {
+        return reject('SEAT_UNAVAILABLE', 'Seats that would be removed are held or booked', {
+          unavailable_seats: taken.map(seat => seat.seat_number)
+        });
+      }
+
+      const booked = removed.filter(seat => seat.has_bookings);
+      if (booked.length > 0) {
+        return reject('SEAT_UNAVAILABLE', 'Seats that would be removed have been booked before', {
+          unavailable_seats: booked.map(seat => seat.seat_number)
+        });
+      }
+
+      seatsRemoved = await tx.seats.remove(removed.map(seat => seat.id));
+      await recordSeatEvents(tx, showId, removed.map(seat => ({ id: seat.id, status: null })), {
+        action: 'seat_removed',
+        fromStatus: 'AVAILABLE'
+      });
+    }
+  }
+
+  const updated = await tx.shows.update(showId, changes);
+
+  if (seatsAdded > 0) {
+    waitlistOffers = await offerReleasedSeats(tx, showId);
+  }
+
+  logger.info(`Updated show ${showId}` +
+    (seatsAdded ? `, added ${seatsAdded} seats` : '') +
+    (seatsRemoved ? `, removed ${seatsRemoved} seats` : ''));
+
+  return {
+    status: 200,
+    body: {
+      success: true,
+      data: {
+        ...updated,
+        seats_added: seatsAdded,
+        seats_removed: seatsRemoved,
+        waitlist_offers: waitlistOffers.length
+      }
+    }
+  };
+}
+
+/**
+ * Cancel a show: every PENDING hold and CONFIRMED booking for it becomes
+ * CANCELLED with `reason`, their seats are released, and the waitlist is
+ * closed. It all happens in the caller's transaction.
+ *
+ * Holds share-lock the show (see holdSeats()), so the update lock taken
+ * here waits for holds in flight and keeps new ones out until the
+ * show is marked cancelled.
+ */
+export async function cancelShow(tx, showId, reason) {
+  const show = await lockShow(tx, showId);
+  if (show.rollback) {
+    return show;
+  }
+
+  const cancelled = await tx.bookings.lockActiveForShow(showId);
+  const bookingIds = cancelled.map(booking => booking.id);
+
+  await tx.bookings.cancelMany(bookingIds, reason);
+  const releasedBookingSeats = await tx.bookings.releaseSeatsOf(bookingIds);
+
+  await tx.waitlist.expireOffers(bookingIds);
+  await tx.waitlist.expireWaiting(showId);
+
+  const released = await tx.seats.releaseShow(showId);
+  await notifySeatChanges(tx, showId, released);
+
+  const bookingBySeat = new Map(releasedBookingSeats.map(row => [row.seat_id, row.booking_id]));
+  await recordSeatEvents(tx, showId, released.map(seat => ({
+    ...seat,
+    booking_id: bookingBySeat.get(seat.id) ?? null
+  })), { action: 'show_cancel' });
+
+  const updated = await tx.shows.cancel(showId, reason);
+
+  const confirmed = cancelled.filter(booking => booking.status === 'CONFIRMED');
+
+  // Everyone with a confirmed booking hears why, and what they get back
+  for (const booking of confirmed) {
+    const seatIds = releasedBookingSeats
+      .filter(row => row.booking_id === booking.id)
+      .map(row => row.seat_id);
+
+    await queueBookingEmail(tx, 'booking_cancelled', { ...booking, show_id: showId }, seatIds, {
+      refund_amount_minor: booking.currency ? booking.total_amount_minor : null,
+      remaining_seats: 0,
+      reason
+    });
+  }
+
+  const priced = confirmed.filter(booking => booking.total_amount_minor !== null);
+
+  logger.info(`Cancelled show ${showId}: ${confirmed.length} bookings and ` +
+    `${cancelled.length - confirmed.length} holds cancelled (${reason})`);
+
+  return {
+    status: 200,
+    body: {
+      success: true,
+      data: {
+        ...updated,
+        cancelled_bookings: confirmed.length,
+        cancelled_holds: cancelled.length - confirmed.length,
+        refund_amount_minor: priced.length > 0
+          ? priced.reduce((sum, booking) => sum + Number(booking.total_amount_minor), 0)
+          : null,
+        currency: priced[0]?.currency ?? null
+      }
+    }
+  };
+}
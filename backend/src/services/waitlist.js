@@ -0,0 +1,74 @@
+import { createLogger } from '../utils/logger.js';
+import { pickSeats, holdSeats } from './bookings.js';
+
+const logger = createLogger('waitlist');
+
+/**
+ * Waitlist offers.
+ *
+ * Whenever seats go back to AVAILABLE (an expired or released hold, a
+ * cancellation), the code that released them calls offerReleasedSeats() in
+ * the same transaction. Seats are offered oldest entry first to anyone the
+ * free seats can satisfy, as a hold in their name that lasts
+ * WAITLIST_OFFER_TTL_SECONDS; they confirm it like any other hold, with the
+ * token they got when joining (the offer carries its hash). An offer
+ * that lapses is released the usual way, which offers the seats to the
+ * next entry in line.
+ */
+
+// How long someone from the waitlist has to confirm the seats offered to them
+export const WAITLIST_OFFER_TTL_SECONDS = parseInt(process.env.WAITLIST_OFFER_TTL_SECONDS) || 600;
+
+/**
+ * Offer a show's AVAILABLE seats to its waitlist, as many entries as the
+ * seats go round. Entries are locked with SKIP LOCKED, so two transactions
+ * releasing seats at once make their offers to different people.
+ *
+ * Returns the offers made as [{ entry_id, booking_id, seat_ids }].
+ */
+export async function offerReleasedSeats(tx, showId) {
+  const offers = [];
+
+  // A waitlist join locks the show FOR UPDATE while it counts the free
+  // seats, so with this share lock the join either sees the seats just
+  // released or is already in the queue read below
+  await tx.shows.lockForHold(showId);
+
+  for (;;) {
+    const entry = await tx.waitlist.lockNext(showId);
+    if (!entry) {
+      break;
+    }
+
+    // Seats that were counted above but are being booked by a concurrent
+    // transaction can't be picked; leave the rest of the queue for the
+    // next release.
+    const picked = await pickSeats(tx, showId, { quantity: entry.quantity, allow_split: true });
+    if (picked.rollback) {
+      break;
+    }
+
+    const held = await holdSeats(
+      tx,
+      showId,
+      picked.seats.map(seat => seat.id),
+      entry.email,
+      { ttlSeconds: WAITLIST_OFFER_TTL_SECONDS, action: 'waitlist_offer', holdTokenHash: entry.token_hash }
+    );
+    if (!held.booking) {
+      break;
+    }
+
+    await tx.waitlist.markOffered(entry.id, held.booking.id);
+
+    logger.info(`Waitlist entry ${entry.id} offered seats ${held.booking.seat_ids.join(',')} for show ${showId} (hold ${held.booking.id})`);
+
+    offers.push({
+      entry_id: entry.id,
+      booking_id: held.booking.id,
+      seat_ids: held.booking.seat_ids
+    });
+  }
+
+  return offers;
+}
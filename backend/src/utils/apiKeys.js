@@ -0,0 +1,29 @@
+import crypto from 'crypto';
+
+/**
+ * API key helpers shared by the auth middleware and the create-api-key CLI.
+ *
+ * Keys look like mdx_<43 url-safe characters>. Only their SHA-256 hash is
+ * stored, so a database leak doesn't leak usable keys. Plain SHA-256 is
+ * fine here (unlike for passwords) because the keys are 256 bits of
+ * randomness, not something a person picked.
+ */
+
+const KEY_PREFIX = 'mdx_';
+
+export const ROLES = ['admin', 'customer'];
+
+export function generateApiKey() {
+  return KEY_PREFIX + crypto.randomBytes(32).toString('base64url');
+}
+
+export function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * The part of a key that's safe to show in listings and logs.
+ */
+export function keyPrefix(key) {
+  return key.slice(0, KEY_PREFIX.length + 6);
+}
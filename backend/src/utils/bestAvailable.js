@@ -0,0 +1,117 @@
+/**
+ * Best-available seat selection for bookings by quantity.
+ *
+ * Given the AVAILABLE seats of a show, I look for the best block of
+ * `quantity` seats next to each other:
+ *
+ * - Shows with a layout (seat maps): seats are adjacent when they're in the
+ *   same section and grid row with consecutive grid_col values, so an aisle
+ *   (a gap in the grid) splits a row. A block scores its row (front rows
+ *   first) plus how far its middle is from the centre column of the layout.
+ * - Flat shows: seats are adjacent when their seat_numbers are consecutive,
+ *   and the block with the lowest seat_number wins.
+ *
+ * Lower scores are better. Nothing here touches the database; the caller
+ * loads and locks the candidate seats.
+ */
+
+// One row further back costs the same as one column further from the centre
+const ROW_WEIGHT = 1;
+
+function hasLayout(seat) {
+  return seat.grid_row !== null && seat.grid_row !== undefined;
+}
+
+/**
+ * Split seats into runs of adjacent seats, each sorted left to right.
+ */
+function adjacentRuns(seats, layout) {
+  const groups = new Map();
+
+  for (const seat of seats) {
+    const key = layout ? `${seat.section_id}:${seat.grid_row}` : 'all';
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(seat);
+  }
+
+  const position = layout ? seat => seat.grid_col : seat => seat.seat_number;
+  const runs = [];
+
+  for (const group of groups.values()) {
+    group.sort((a, b) => position(a) - position(b));
+
+    let run = [group[0]];
+    for (let i = 1; i < group.length; i++) {
+      if (position(group[i]) === position(group[i - 1]) + 1) {
+        run.push(group[i]);
+      } else {
+        runs.push(run);
+        run = [group[i]];
+      }
+    }
+    runs.push(run);
+  }
+
+  return runs;
+}
+
+function scoreBlock(block, layout, centreCol) {
+  if (!layout) {
+    return block[0].seat_number;
+  }
+
+  const middle = (block[0].grid_col + block[block.length - 1].grid_col) / 2;
+  return (block[0].grid_row - 1) * ROW_WEIGHT + Math.abs(middle - centreCol);
+}
+
+/**
+ * Pick `quantity` seats out of `seats` (the show's AVAILABLE seats, each
+ * with id, seat_number, section_id, grid_row and grid_col).
+ *
+ * `cols` is the width of the show's layout grid (null for flat shows); its
+ * centre is what blocks are scored against. With `allowSplit`, when no
+ * adjacent block is big enough the best-scoring individual seats are
+ * taken instead.
+ *
+ * Returns { seats, adjacent } or null when it can't be done.
+ */
+export function pickBestSeats(seats, quantity, { cols = null, allowSplit = false } = {}) {
+  if (seats.length < quantity) {
+    return null;
+  }
+
+  const layout = cols !== null && seats.every(hasLayout);
+  const centreCol = layout ? (1 + cols) / 2 : null;
+
+  let best = null;
+  let bestScore = Infinity;
+
+  for (const run of adjacentRuns(seats, layout)) {
+    for (let start = 0; start + quantity <= run.length; start++) {
+      const block = run.slice(start, start + quantity);
+      const score = scoreBlock(block, layout, centreCol);
+      if (score < bestScore) {
+        best = block;
+        bestScore = score;
+      }
+    }
+  }
+
+  if (best) {
+    return { seats: best, adjacent: true };
+  }
+
+  if (!allowSplit) {
+    return null;
+  }
+
+  const ranked = seats
+    .map(seat => ({ seat, score: scoreBlock([seat], layout, centreCol) }))
+    .sort((a, b) => a.score - b.score || a.seat.id - b.seat.id)
+    .slice(0, quantity)
+    .map(entry => entry.seat);
+
+  return { seats: ranked, adjacent: false };
+}
@@ -1,201 +1,426 @@
+import fs from 'fs';
 import dotenv from 'dotenv';
 
 dotenv.config();
 
 /**
- * Concurrency test script to verify our booking system handles race conditions.
- * 
- * This script simulates 20 concurrent users trying to book the same seats.
- * With proper concurrency control (SELECT FOR UPDATE), only one should succeed
- * and the others should get conflict errors.
- * 
- * Usage: node src/utils/concurrencyTest.js --showId=1 --seatIds=1,2,3
- * Or use: npm run test-concurrency
+ * Load and correctness harness for the booking endpoints.
+ *
+ * A scenario file describes the load: how many virtual users, how fast they
+ * start, how long they keep booking and which seats they go after. While it
+ * runs, every request's latency and response are recorded; afterwards the
+ * harness reports latency percentiles, throughput and responses by status,
+ * then checks the database for invariants that must hold whatever the load:
+ *   - no seat is held by two active bookings
+ *   - every seat's status matches the booking holding it (BOOKED for a
+ *     confirmed booking, RESERVED for a hold, AVAILABLE for none)
+ * The process exits with 1 if any of them is violated.
+ *
+ * Usage:
+ *   npm run test-concurrency                                  (scenarios/hot-seats.json)
+ *   npm run test-concurrency -- scenarios/random.json --showId=3
+ *   node src/utils/concurrencyTest.js --showId=1 --seatIds=1,2,3
+ *
+ * Options override the scenario: --showId, --seatIds (hot seats),
+ * --users, --duration (seconds) and --rampUp (seconds).
+ * The API is API_URL (default http://localhost:4000); the invariant checks
+ * use DATABASE_URL like the server.
+ *
+ * Scenario fields (JSON):
+ *   show_id             Show to book on (required, here or as --showId)
+ *   virtual_users       Users booking side by side (default 20)
+ *   ramp_up_seconds     Users start evenly spread over this long (default 0)
+ *   duration_seconds    Users keep sending requests this long; 0 (default)
+ *                       means requests_per_user requests each instead
+ *   requests_per_user   Cap on each user's requests (default 1 without a
+ *                       duration, unlimited with one)
+ *   think_time_ms       Pause between a user's requests (default 0)
+ *   action              book (default), hold, or hold_confirm
+ *   seats.strategy      hot: everyone wants the same seats (seat_ids, or the
+ *                         first `count` seats of the show)
+ *                       random: `count` random seats of the show per request
+ *                       overlapping: each user wants `count` consecutive
+ *                         seats sharing `overlap` seats with the next user
  */
 
 const BASE_URL = process.env.API_URL || 'http://localhost:4000';
+const DEFAULT_SCENARIO = new URL('../../scenarios/hot-seats.json', import.meta.url);
+
+const ACTIONS = ['book', 'hold', 'hold_confirm'];
+const STRATEGIES = ['hot', 'random', 'overlapping'];
+
+function parseArgs(argv) {
+  const args = { options: {} };
+  for (const arg of argv) {
+    const match = arg.match(/^--([A-Za-z]+)=(.*)$/);
+    if (match) {
+      args.options[match[1]] = match[2];
+    } else if (!arg.startsWith('--')) {
+      args.scenarioPath = arg;
+    }
+  }
+  return args;
+}
+
+function usageError(message) {
+  console.error(message);
+  process.exit(2);
+}
+
+/**
+ * Read the scenario file, apply command line overrides and fill in the
+ * defaults.
+ */
+function loadScenario(scenarioPath, options) {
+  let scenario;
+  try {
+    scenario = JSON.parse(fs.readFileSync(scenarioPath ?? DEFAULT_SCENARIO, 'utf8'));
+  } catch (error) {
+    usageError(`Cannot read scenario ${scenarioPath ?? DEFAULT_SCENARIO.pathname}: ${error.message}`);
+  }
+
+  if (options.showId !== undefined) {
+    scenario.show_id = Number(options.showId);
+  }
+  if (options.seatIds !== undefined) {
+    scenario.seats = { strategy: 'hot', seat_ids: options.seatIds.split(',').map(Number) };
+  }
+  if (options.users !== undefined) {
+    scenario.virtual_users = Number(options.users);
+  }
+  if (options.duration !== undefined) {
+    scenario.duration_seconds = Number(options.duration);
+  }
+  if (options.rampUp !== undefined) {
+    scenario.ramp_up_seconds = Number(options.rampUp);
+  }
+
+  const durationSeconds = scenario.duration_seconds ?? 0;
+  const resolved = {
+    name: scenario.name ?? 'Unnamed scenario',
+    showId: scenario.show_id,
+    virtualUsers: scenario.virtual_users ?? 20,
+    rampUpSeconds: scenario.ramp_up_seconds ?? 0,
+    durationSeconds,
+    requestsPerUser: scenario.requests_per_user ?? (durationSeconds > 0 ? Infinity : 1),
+    thinkTimeMs: scenario.think_time_ms ?? 0,
+    action: scenario.action ?? 'book',
+    seats: { strategy: 'hot', count: 3, overlap: 1, ...scenario.seats }
+  };
+
+  const problems = [];
+  if (!Number.isInteger(resolved.showId) || resolved.showId < 1) {
+    problems.push('show_id must be a show ID (or pass --showId)');
+  }
+  if (!Number.isInteger(resolved.virtualUsers) || resolved.virtualUsers < 1) {
+    problems.push('virtual_users must be a whole number of at least 1');
+  }
+  for (const field of ['rampUpSeconds', 'durationSeconds', 'thinkTimeMs']) {
+    if (!(resolved[field] >= 0)) {
+      problems.push(`${field} must not be negative`);
+    }
+  }
+  if (!(resolved.requestsPerUser >= 1)) {
+    problems.push('requests_per_user must be at least 1');
+  }
+  if (!ACTIONS.includes(resolved.action)) {
+    problems.push(`action must be one of: ${ACTIONS.join(', ')}`);
+  }
+  if (!STRATEGIES.includes(resolved.seats.strategy)) {
+    problems.push(`seats.strategy must be one of: ${STRATEGIES.join(', ')}`);
+  }
+  if (!Number.isInteger(resolved.seats.count) || resolved.seats.count < 1) {
+    problems.push('seats.count must be a whole number of at least 1');
+  }
+  if (resolved.seats.strategy === 'overlapping' &&
+      !(resolved.seats.overlap >= 0 && resolved.seats.overlap < resolved.seats.count)) {
+    problems.push('seats.overlap must be from 0 to seats.count - 1');
+  }
+
+  if (problems.length > 0) {
+    usageError(`Invalid scenario:\n  ${problems.join('\n  ')}`);
+  }
+
+  return resolved;
+}
+
+/**
+ * Build the seat picker for the scenario: (user, request) => seat IDs.
+ * `seatIds` are the show's seats in seat number order.
+ */
+function seatPicker(seats, seatIds) {
+  const { strategy, count, overlap } = seats;
+
+  if (strategy === 'hot') {
+    const hot = seats.seat_ids ?? seatIds.slice(0, count);
+    return () => hot;
+  }
+
+  if (strategy === 'random') {
+    return () => {
+      // Partial Fisher-Yates shuffle: the first `count` slots end up random
+      const pool = [...seatIds];
+      const picked = Math.min(count, pool.length);
+      for (let i = 0; i < picked; i++) {
+        const j = i + Math.floor(Math.random() * (pool.length - i));
+        [pool[i], pool[j]] = [pool[j], pool[i]];
+      }
+      return pool.slice(0, picked);
+    };
+  }
+
+  // overlapping: user N's block starts where user N-1's last `overlap` seats are
+  const step = count - overlap;
+  return (user) => Array.from(
+    { length: Math.min(count, seatIds.length) },
+    (_, offset) => seatIds[(user * step + offset) % seatIds.length]
+  );
+}
+
+async function timedRequest(operation, path, body) {
+  const startTime = process.hrtime.bigint();
 
-async function makeBookingRequest(showId, seatIds, userEmail, requestNumber) {
-  const startTime = Date.now();
-  
   try {
-    const response = await fetch(`${BASE_URL}/booking/${showId}`, {
+    const response = await fetch(`${BASE_URL}${path}`, {
       method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        seat_ids: seatIds,
-        user_email: userEmail
-      })
+      headers: { 'Content-Type': 'application/json' },
+      body: body && JSON.stringify(body)
     });
-
-    const duration = Date.now() - startTime;
-    const data = await response.json();
+    const data = await response.json().catch(() => null);
 
     return {
-      requestNumber,
-      success: response.ok,
+      operation,
       status: response.status,
-      duration,
+      code: data?.code,
+      ms: Number(process.hrtime.bigint() - startTime) / 1e6,
       data
     };
 
   } catch (error) {
-    const duration = Date.now() - startTime;
     return {
-      requestNumber,
-      success: false,
+      operation,
       status: 'ERROR',
-      duration,
-      error: error.message
+      code: error.cause?.code ?? error.message,
+      ms: Number(process.hrtime.bigint() - startTime) / 1e6
     };
   }
 }
 
-async function runConcurrencyTest() {
-  console.log('='.repeat(60));
-  console.log('Modex Booking System - Concurrency Test');
-  console.log('='.repeat(60));
-  console.log();
+/**
+ * One virtual user: wait for its turn in the ramp-up, then send requests
+ * until it has sent its share or the duration is over.
+ */
+async function runVirtualUser(user, scenario, pickSeats, deadline, results) {
+  const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+  const startDelay = scenario.virtualUsers > 1
+    ? (scenario.rampUpSeconds * 1000 * user) / scenario.virtualUsers
+    : 0;
 
-  // Parse command line arguments
-  const args = process.argv.slice(2);
-  let showId = 1;
-  let seatIds = [1, 2, 3];
+  await sleep(startDelay);
 
-  args.forEach(arg => {
-    if (arg.startsWith('--showId=')) {
-      showId = parseInt(arg.split('=')[1]);
-    }
-    if (arg.startsWith('--seatIds=')) {
-      seatIds = arg.split('=')[1].split(',').map(id => parseInt(id));
+  for (let request = 0; request < scenario.requestsPerUser; request++) {
+    if (deadline && Date.now() >= deadline) {
+      break;
     }
-  });
 
-  console.log(`Testing concurrent bookings for:`);
-  console.log(`  Show ID: ${showId}`);
-  console.log(`  Seat IDs: ${seatIds.join(', ')}`);
-  console.log(`  Concurrent requests: 20`);
-  console.log();
+    const body = {
+      seat_ids: pickSeats(user, request),
+      user_email: `loadtest-${user + 1}-${request + 1}@example.com`
+    };
 
-  // First, verify the show exists and seats are available
-  console.log('Verifying show and seat availability...');
-  try {
-    const showResponse = await fetch(`${BASE_URL}/shows/${showId}`);
-    if (!showResponse.ok) {
-      console.error(`Error: Show ${showId} not found. Please check the show ID.`);
-      process.exit(1);
+    if (scenario.action === 'book') {
+      results.push(await timedRequest('book', `/booking/${scenario.showId}`, body));
+    } else {
+      const hold = await timedRequest('hold', `/booking/${scenario.showId}/hold`, body);
+      results.push(hold);
+
+      if (scenario.action === 'hold_confirm' && hold.status === 201) {
+        results.push(await timedRequest('confirm', `/booking/${hold.data.data.booking_id}/confirm`, {
+          hold_token: hold.data.data.hold_token
+        }));
+      }
     }
-    const showData = await showResponse.json();
-    const requestedSeats = showData.data.seats.filter(s => seatIds.includes(s.id));
-    
-    console.log(`✓ Show found: ${showData.data.show.name}`);
-    console.log(`✓ Requested seats status:`);
-    requestedSeats.forEach(seat => {
-      console.log(`  Seat ${seat.seat_number}: ${seat.status}`);
-    });
-    console.log();
 
-    const unavailable = requestedSeats.filter(s => s.status !== 'AVAILABLE');
-    if (unavailable.length > 0) {
-      console.warn(`Warning: Some seats are not available. Test may fail immediately.`);
-      console.log();
+    if (scenario.thinkTimeMs > 0) {
+      await sleep(scenario.thinkTimeMs);
     }
+  }
+}
 
-  } catch (error) {
-    console.error('Error verifying show:', error.message);
-    process.exit(1);
+// Nearest-rank percentile of sorted values
+function percentile(sorted, p) {
+  if (sorted.length === 0) {
+    return 0;
   }
+  return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+function printReport(results, elapsedMs) {
+  const operations = [...new Set(results.map(result => result.operation))];
 
-  console.log('Starting concurrent booking test...');
+  console.log('='.repeat(60));
+  console.log('Results');
+  console.log('='.repeat(60));
+  console.log();
+  console.log(`Requests:   ${results.length} in ${(elapsedMs / 1000).toFixed(2)}s`);
+  console.log(`Throughput: ${(results.length / (elapsedMs / 1000)).toFixed(1)} requests/s`);
   console.log();
 
-  const startTime = Date.now();
+  console.log('Latency (ms)         count      p50      p95      p99      max');
+  for (const operation of [...operations, 'all']) {
+    const latencies = results
+      .filter(result => operation === 'all' || result.operation === operation)
+      .map(result => result.ms)
+      .sort((a, b) => a - b);
 
-  // Launch 20 concurrent booking requests
-  const promises = [];
-  for (let i = 1; i <= 20; i++) {
-    const userEmail = `test-user-${i}@example.com`;
-    promises.push(makeBookingRequest(showId, seatIds, userEmail, i));
+    const columns = [50, 95, 99, 100].map(p => percentile(latencies, p).toFixed(1).padStart(9));
+    console.log(`  ${operation.padEnd(16)}${String(latencies.length).padStart(9)}${columns.join('')}`);
   }
+  console.log();
 
-  // Wait for all requests to complete
-  const results = await Promise.all(promises);
+  const breakdown = new Map();
+  for (const result of results) {
+    const key = `${result.operation} ${result.status}${result.code ? ` ${result.code}` : ''}`;
+    breakdown.set(key, (breakdown.get(key) ?? 0) + 1);
+  }
 
-  const totalDuration = Date.now() - startTime;
+  console.log('Responses by status:');
+  for (const [key, count] of [...breakdown].sort()) {
+    console.log(`  ${key.padEnd(48)}${String(count).padStart(8)}`);
+  }
+  console.log();
+}
 
-  // Analyze results
-  const successful = results.filter(r => r.success);
-  const conflicts = results.filter(r => r.status === 409);
-  const errors = results.filter(r => !r.success && r.status !== 409);
+/**
+ * Queries for rows that break an invariant on the show; each must come
+ * back empty.
+ */
+const INVARIANTS = [
+  {
+    name: 'No seat is held by two active bookings',
+    sql: `SELECT bs.seat_id, array_agg(bs.booking_id ORDER BY bs.booking_id) AS booking_ids
+          FROM booking_seats bs
+          JOIN bookings b ON bs.booking_id = b.id
+          WHERE bs.show_id = $1 AND bs.released_at IS NULL AND b.status IN ('PENDING', 'CONFIRMED')
+          GROUP BY bs.seat_id
+          HAVING count(*) > 1`
+  },
+  {
+    name: 'Only pending and confirmed bookings hold seats',
+    sql: `SELECT bs.seat_id, b.id AS booking_id, b.status AS booking_status
+          FROM booking_seats bs
+          JOIN bookings b ON bs.booking_id = b.id
+          WHERE bs.show_id = $1 AND bs.released_at IS NULL AND b.status NOT IN ('PENDING', 'CONFIRMED')`
+  },
+  {
+    name: 'Seat statuses match the bookings holding them',
+    sql: `SELECT st.id AS seat_id, st.status AS seat_status,
+                 array_agg(b.id ORDER BY b.id) FILTER (WHERE b.id IS NOT NULL) AS booking_ids,
+                 array_agg(b.status ORDER BY b.id) FILTER (WHERE b.id IS NOT NULL) AS booking_statuses
+          FROM seats st
+          LEFT JOIN booking_seats bs ON bs.seat_id = st.id AND bs.released_at IS NULL
+          LEFT JOIN bookings b ON bs.booking_id = b.id AND b.status IN ('PENDING', 'CONFIRMED')
+          WHERE st.show_id = $1
+          GROUP BY st.id, st.status
+          HAVING st.status <> CASE
+            WHEN count(b.id) = 0 THEN 'AVAILABLE'
+            WHEN bool_and(b.status = 'CONFIRMED') THEN 'BOOKED'
+            WHEN bool_and(b.status = 'PENDING') THEN 'RESERVED'
+          END OR count(b.id) > 1`
+  }
+];
+
+/**
+ * Run the invariant queries. Returns the number violated.
+ */
+async function checkInvariants(showId) {
+  // Imported here so a bad DATABASE_URL only fails this step, after the report
+  const { default: pool } = await import('../db.js');
 
   console.log('='.repeat(60));
-  console.log('Test Results');
+  console.log('Invariants');
   console.log('='.repeat(60));
   console.log();
-  console.log(`Total duration: ${totalDuration}ms`);
-  console.log(`Total requests: 20`);
-  console.log(`✓ Successful bookings: ${successful.length}`);
-  console.log(`⚠ Conflict responses (409): ${conflicts.length}`);
-  console.log(`✗ Errors: ${errors.length}`);
-  console.log();
 
-  // Show successful bookings
-  if (successful.length > 0) {
-    console.log('Successful Bookings:');
-    successful.forEach(result => {
-      console.log(`  Request #${result.requestNumber}: Booking ID ${result.data.data.booking_id} (${result.duration}ms)`);
-    });
-    console.log();
-  }
+  let violated = 0;
 
-  // Show conflicts
-  if (conflicts.length > 0) {
-    console.log('Conflict Responses (Expected):');
-    conflicts.slice(0, 5).forEach(result => {
-      console.log(`  Request #${result.requestNumber}: ${result.data.error} (${result.duration}ms)`);
-    });
-    if (conflicts.length > 5) {
-      console.log(`  ... and ${conflicts.length - 5} more conflicts`);
+  try {
+    for (const invariant of INVARIANTS) {
+      const result = await pool.query(invariant.sql, [showId]);
+
+      if (result.rows.length === 0) {
+        console.log(`✓ ${invariant.name}`);
+        continue;
+      }
+
+      violated += 1;
+      console.log(`✗ ${invariant.name}: ${result.rows.length} violation(s)`);
+      result.rows.slice(0, 10).forEach(row => console.log(`    ${JSON.stringify(row)}`));
+      if (result.rows.length > 10) {
+        console.log(`    ... and ${result.rows.length - 10} more`);
+      }
     }
-    console.log();
+  } finally {
+    await pool.end();
   }
 
-  // Show errors
-  if (errors.length > 0) {
-    console.log('Errors:');
-    errors.forEach(result => {
-      console.log(`  Request #${result.requestNumber}: ${result.error || result.data?.error} (${result.duration}ms)`);
-    });
-    console.log();
-  }
+  console.log();
+  return violated;
+}
+
+async function runLoadTest() {
+  const { scenarioPath, options } = parseArgs(process.argv.slice(2));
+  const scenario = loadScenario(scenarioPath, options);
 
-  // Verdict
   console.log('='.repeat(60));
-  console.log('Test Verdict:');
+  console.log(`Modex Booking System - ${scenario.name}`);
   console.log('='.repeat(60));
-  
-  if (successful.length === 1 && conflicts.length === 19) {
-    console.log('✓ PASS: Exactly one booking succeeded, all others got conflicts.');
-    console.log('  The concurrency control is working correctly!');
-  } else if (successful.length === 1 && conflicts.length > 0) {
-    console.log('✓ MOSTLY PASS: One booking succeeded, most got conflicts.');
-    console.log(`  ${errors.length} requests encountered errors.`);
-  } else if (successful.length > 1) {
-    console.log('✗ FAIL: Multiple bookings succeeded for the same seats!');
-    console.log('  This indicates a concurrency control problem.');
-  } else if (successful.length === 0) {
-    console.log('⚠ INCONCLUSIVE: No bookings succeeded.');
-    console.log('  The seats might already be booked or there\'s a configuration issue.');
+  console.log();
+
+  const showResponse = await fetch(`${BASE_URL}/shows/${scenario.showId}`).catch(error => {
+    console.error(`Cannot reach the API at ${BASE_URL}: ${error.message}`);
+    process.exit(1);
+  });
+  if (!showResponse.ok) {
+    console.error(`Show ${scenario.showId} not found. Please check the show ID.`);
+    process.exit(1);
   }
 
+  const { show, seats } = (await showResponse.json()).data;
+  const seatIds = seats.map(seat => seat.id);
+  const available = seats.filter(seat => seat.status === 'AVAILABLE').length;
+
+  console.log(`Show:          ${show.name} (#${show.id}, ${available} of ${seats.length} seats available)`);
+  console.log(`Virtual users: ${scenario.virtualUsers}, ramp-up ${scenario.rampUpSeconds}s`);
+  console.log(`Length:        ${scenario.durationSeconds > 0 ? `${scenario.durationSeconds}s` : `${scenario.requestsPerUser} request(s) per user`}`);
+  console.log(`Action:        ${scenario.action}, ${scenario.seats.strategy} seats`);
+  console.log();
+
+  const pickSeats = seatPicker(scenario.seats, seatIds);
+  const results = [];
+  const startTime = Date.now();
+  const deadline = scenario.durationSeconds > 0 ? startTime + scenario.durationSeconds * 1000 : null;
+
+  await Promise.all(Array.from(
+    { length: scenario.virtualUsers },
+    (_, user) => runVirtualUser(user, scenario, pickSeats, deadline, results)
+  ));
+
+  printReport(results, Date.now() - startTime);
+
+  const violated = await checkInvariants(scenario.showId);
+
+  console.log('='.repeat(60));
+  if (violated > 0) {
+    console.log(`✗ FAIL: ${violated} invariant(s) violated`);
+    process.exitCode = 1;
+  } else {
+    console.log('✓ PASS: every invariant holds');
+  }
   console.log();
-  process.exit(successful.length > 1 ? 1 : 0);
 }
 
-// Run the test
-runConcurrencyTest().catch(error => {
-  console.error('Test failed with error:', error);
+runLoadTest().catch(error => {
+  console.error('Load test failed with error:', error);
   process.exit(1);
 });
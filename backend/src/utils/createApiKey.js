@@ -0,0 +1,62 @@
+import { getStore } from '../repositories/index.js';
+import { generateApiKey, hashApiKey, keyPrefix, ROLES } from './apiKeys.js';
+
+/**
+ * Create an API key and print it. The key is shown only this once; only
+ * its hash is stored.
+ *
+ * Usage:
+ *   npm run create-api-key -- --role=admin --label="Ops team"
+ *   npm run create-api-key -- --role=customer --email=user@example.com
+ */
+
+function parseArgs(argv) {
+  const args = {};
+  for (const arg of argv) {
+    const match = arg.match(/^--([a-z]+)=(.*)$/);
+    if (match) {
+      args[match[1]] = match[2];
+    }
+  }
+  return args;
+}
+
+async function createApiKey() {
+  const { role, email, label } = parseArgs(process.argv.slice(2));
+
+  if (!ROLES.includes(role)) {
+    console.error(`--role must be one of: ${ROLES.join(', ')}`);
+    process.exit(2);
+  }
+
+  if (role === 'customer' && !email) {
+    console.error('Customer keys need --email (the bookings they may read)');
+    process.exit(2);
+  }
+
+  const apiKey = generateApiKey();
+  const store = getStore();
+
+  try {
+    const id = await store.apiKeys.create({
+      keyHash: hashApiKey(apiKey),
+      keyPrefix: keyPrefix(apiKey),
+      role,
+      email,
+      label
+    });
+
+    console.log(`Created ${role} API key #${id}${email ? ` for ${email}` : ''}.`);
+    console.log('Store it now - it cannot be shown again:');
+    console.log();
+    console.log(`  ${apiKey}`);
+    console.log();
+  } catch (error) {
+    console.error('Failed to create API key:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await store.close();
+  }
+}
+
+createApiKey();
@@ -0,0 +1,104 @@
+/**
+ * CSV reading and writing (RFC 4180: comma-separated, fields with commas,
+ * quotes or line breaks are quoted, quotes inside are doubled).
+ */
+
+// Cells starting with these run as formulas when the file is opened in a
+// spreadsheet, so I prefix text cells that start with one with a quote
+const FORMULA_PREFIXES = ['=', '+', '-', '@', '\t', '\r'];
+
+function formatCell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+
+  if (typeof value === 'string' && FORMULA_PREFIXES.includes(text[0])) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format one CSV line (with its trailing CRLF) from an array of values.
+ */
+export function toCsvRow(values) {
+  return `${values.map(formatCell).join(',')}\r\n`;
+}
+
+/**
+ * Parse CSV text whose first line is a header into objects keyed by the
+ * header names (trimmed). Blank lines are skipped.
+ * Returns { rows } or { error }.
+ */
+export function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  let i = 0;
+
+  // A leading byte order mark isn't part of the first header
+  if (text.charCodeAt(0) === 0xfeff) {
+    i = 1;
+  }
+
+  for (; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    return { error: 'Unterminated quoted field' };
+  }
+
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const nonBlank = records.filter(values => values.length > 1 || values[0] !== '');
+  if (nonBlank.length === 0) {
+    return { error: 'CSV has no header line' };
+  }
+
+  const header = nonBlank[0].map(name => name.trim());
+  const rows = [];
+
+  for (let line = 1; line < nonBlank.length; line++) {
+    const values = nonBlank[line];
+    if (values.length !== header.length) {
+      return { error: `Row ${line} has ${values.length} fields, the header has ${header.length}` };
+    }
+    rows.push(Object.fromEntries(header.map((name, index) => [name, values[index]])));
+  }
+
+  return { rows };
+}
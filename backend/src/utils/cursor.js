@@ -0,0 +1,68 @@
+/**
+ * Opaque cursors for keyset pagination.
+ *
+ * A cursor is the sort key and ID of the last row on a page, plus the sort
+ * it was made for, as base64url JSON. The next page continues strictly
+ * after that (key, id) pair, so rows inserted or removed between requests
+ * never shift later pages the way OFFSET would.
+ */
+
+const MAX_ID = 2147483647;
+
+// An ISO 8601 date and time, as a Postgres timestamp prints (with a space)
+// or as toISOString() does
+const TIMESTAMP_PATTERN = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2}):(\d{2})(\.\d{1,6})?(Z|[+-]\d{2}(:?\d{2})?)?$/;
+
+/**
+ * Whether `key` is a real date and time: Date would roll 2030-02-30 over
+ * to March, where the database refuses it.
+ */
+function isTimestamp(key) {
+  const match = TIMESTAMP_PATTERN.exec(key);
+  if (!match) {
+    return false;
+  }
+
+  const [year, month, day, hour, minute, second] = match.slice(1, 7).map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day
+    && date.getUTCHours() === hour && date.getUTCMinutes() === minute && date.getUTCSeconds() === second;
+}
+
+// Whether a cursor key can be read back as `keyType`, the type of the
+// column the sort orders by
+const KEY_CHECKS = {
+  timestamp: isTimestamp,
+  integer: key => /^-?\d{1,10}$/.test(key) && Math.abs(Number(key)) <= MAX_ID,
+  // Postgres text can't hold NUL characters
+  text: key => !key.includes('\u0000')
+};
+
+export function encodeCursor(sort, key, id) {
+  return Buffer.from(JSON.stringify({ sort, key, id })).toString('base64url');
+}
+
+/**
+ * Decode a cursor made for `sort`, whose key is a `keyType` (timestamp,
+ * integer or text). Returns { key, id } or null if the cursor is
+ * malformed, belongs to a different sort order or was tampered with so
+ * its key or ID no longer fit.
+ */
+export function decodeCursor(cursor, sort, keyType = 'text') {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+
+  if (!decoded || decoded.sort !== sort || typeof decoded.key !== 'string' || !Number.isInteger(decoded.id)) {
+    return null;
+  }
+
+  if (decoded.id < 1 || decoded.id > MAX_ID || !KEY_CHECKS[keyType](decoded.key)) {
+    return null;
+  }
+
+  return { key: decoded.key, id: decoded.id };
+}
@@ -0,0 +1,149 @@
+import { isRetryableError } from '../repositories/retry.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('errors');
+
+/**
+ * Error codes the API can answer with, and their HTTP status.
+ *
+ * Every error response looks like
+ *   { "success": false, "code": "SEAT_UNAVAILABLE", "error": "<message>", ... }
+ * where `error` is a human-readable message that may change, and `code` is
+ * what clients should branch on. VALIDATION_FAILED responses also carry
+ * `details`: [{ field, location, message }], one per invalid field.
+ *
+ * The frontend mirrors this list as ApiErrorCode in src/api/client.ts;
+ * keep the two in step.
+ */
+export const ERROR_CODES = {
+  // The request itself is wrong
+  VALIDATION_FAILED: 400,
+  INVALID_JSON: 400,
+  INVALID_REQUEST_BODY: 400,
+  PAYLOAD_TOO_LARGE: 413,
+  IDEMPOTENCY_KEY_REUSED: 422,
+
+  // Who is asking
+  AUTHENTICATION_REQUIRED: 401,
+  INVALID_API_KEY: 401,
+  FORBIDDEN: 403,
+
+  // What they asked for doesn't exist
+  ROUTE_NOT_FOUND: 404,
+  SHOW_NOT_FOUND: 404,
+  BOOKING_NOT_FOUND: 404,
+  SEAT_NOT_FOUND: 404,
+  WAITLIST_ENTRY_NOT_FOUND: 404,
+  NOTIFICATION_NOT_FOUND: 404,
+
+  // It exists, but its state doesn't allow this
+  SEAT_UNAVAILABLE: 409,
+  SHOW_CANCELLED: 409,
+  SHOW_STARTED: 409,
+  BOOKING_STATE_CONFLICT: 409,
+  CANCELLATION_CUTOFF_PASSED: 409,
+  WAITLIST_NOT_NEEDED: 409,
+  ALREADY_ON_WAITLIST: 409,
+  IDEMPOTENCY_KEY_IN_PROGRESS: 409,
+  NOTIFICATION_STATE_CONFLICT: 409,
+  HOLD_EXPIRED: 410,
+
+  // Our side
+  INTERNAL_ERROR: 500,
+  SYSTEM_BUSY: 503,
+  SERVICE_UNAVAILABLE: 503
+};
+
+/**
+ * An error with a catalogue code, for handlers to pass to next() (or throw
+ * from synchronous middleware). `extra` fields are added to the response
+ * body, e.g. { unavailable_seats }.
+ */
+export class ApiError extends Error {
+  constructor(code, message, { details, extra, cause } = {}) {
+    super(message, { cause });
+    this.name = 'ApiError';
+    this.code = code;
+    this.status = ERROR_CODES[code] ?? 500;
+    this.details = details;
+    this.extra = extra;
+  }
+}
+
+/**
+ * The body of an error response.
+ */
+export function errorBody(code, message, extra = {}) {
+  return { success: false, code, error: message, ...extra };
+}
+
+/**
+ * Turn anything a handler caught into an ApiError. ApiErrors pass through.
+ * Database errors with a known meaning get their code: a transaction that
+ * lost every retry is SYSTEM_BUSY (worth repeating), and the unique index
+ * on live booking_seats firing means a seat was taken. Anything else is an
+ * INTERNAL_ERROR with `fallbackMessage`.
+ */
+export function toApiError(error, fallbackMessage = 'Internal server error') {
+  if (error instanceof ApiError) {
+    return error;
+  }
+
+  if (isRetryableError(error)) {
+    return new ApiError('SYSTEM_BUSY', 'The booking system is busy right now. Please try again.', {
+      extra: { meta: { retries: (error.attempts ?? 1) - 1 } },
+      cause: error
+    });
+  }
+
+  // Backstop for seats whose status says AVAILABLE while another live
+  // booking still holds them (e.g. after a manual fix)
+  if (error.code === '23505' && error.constraint === 'idx_booking_seats_active_seat') {
+    return new ApiError('SEAT_UNAVAILABLE', 'One or more seats are already booked', { cause: error });
+  }
+
+  // body-parser's errors
+  if (error.type === 'entity.parse.failed') {
+    return new ApiError('INVALID_JSON', 'Request body is not valid JSON', { cause: error });
+  }
+  if (error.type === 'entity.too.large') {
+    return new ApiError('PAYLOAD_TOO_LARGE', 'Request body is too large', { cause: error });
+  }
+  if (error.expose && error.status >= 400 && error.status < 500) {
+    return new ApiError('INVALID_REQUEST_BODY', error.message, { cause: error });
+  }
+
+  return new ApiError('INTERNAL_ERROR', fallbackMessage, { cause: error });
+}
+
+/**
+ * Express error middleware answering every error the same way. Mounted
+ * last in index.js.
+ */
+export function errorHandler(err, req, res, next) {
+  const error = toApiError(err);
+
+  // Handlers log what they catch; this is for errors nobody caught
+  if (!(err instanceof ApiError) && error.code === 'INTERNAL_ERROR') {
+    logger.error('Unhandled error:', err);
+  }
+
+  if (res.headersSent) {
+    // Too late for an error response; cut the response short instead
+    return res.destroy(err);
+  }
+
+  // For the metrics (see httpMetrics() in utils/metrics.js)
+  res.locals.errorCode = error.code;
+
+  if (error.code === 'SYSTEM_BUSY') {
+    // Not the final answer for an Idempotency-Key (see middleware/idempotency.js)
+    res.locals.retryable = true;
+    res.set('Retry-After', '1');
+  }
+
+  res.status(error.status).json(errorBody(error.code, error.message, {
+    ...(error.details && { details: error.details }),
+    ...error.extra
+  }));
+}
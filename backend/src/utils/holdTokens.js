@@ -0,0 +1,30 @@
+import crypto from 'crypto';
+
+/**
+ * Hold tokens tie a hold to whoever placed it. Booking IDs are sequential,
+ * so confirming or releasing a hold also takes the token that came back
+ * when it was placed (or when its waitlist entry was created). Like API
+ * keys they're 256 random bits and only their SHA-256 hash is stored.
+ */
+
+export function generateHoldToken() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+export function hashHoldToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Whether `token` is the one `tokenHash` was made from. A row without a
+ * hash matches no token.
+ */
+export function holdTokenMatches(token, tokenHash) {
+  if (typeof token !== 'string' || !tokenHash) {
+    return false;
+  }
+
+  const given = Buffer.from(hashHoldToken(token), 'hex');
+  const stored = Buffer.from(tokenHash, 'hex');
+  return given.length === stored.length && crypto.timingSafeEqual(given, stored);
+}
@@ -1,8 +1,28 @@
+import dotenv from 'dotenv';
+import { getRequestContext } from './requestContext.js';
+
 /**
- * Simple logger utility for consistent logging across the application.
- * In production, you'd use winston or pino for more sophisticated logging.
+ * Logger used across the backend.
+ *
+ * Each module takes its own logger with createLogger('name'), so levels can
+ * be set per module. Every line carries the ID of the request (or job run)
+ * it was written for, taken from the request context, so all the lines of
+ * one request - down to the queries in db.js - can be found together.
+ *
+ * Configuration (environment):
+ *   LOG_LEVEL          debug | info | warn | error (default info)
+ *   LOG_LEVELS         Per-module overrides, e.g. "db=debug,scheduler=warn"
+ *   LOG_FORMAT         text (default) or json - one JSON object per line
+ *   LOG_REDACT_FIELDS  Extra field names whose values are never logged,
+ *                      comma-separated (added to DEFAULT_REDACT_FIELDS)
+ *
+ * Email addresses are masked wherever they appear, field or free text.
  */
 
+// Configuration is read as soon as this is imported, before index.js gets
+// to load .env itself
+dotenv.config();
+
 const LOG_LEVELS = {
   DEBUG: 0,
   INFO: 1,
@@ -10,40 +30,153 @@ const LOG_LEVELS = {
   ERROR: 3
 };
 
-const currentLogLevel = process.env.LOG_LEVEL || 'INFO';
+const DEFAULT_REDACT_FIELDS = [
+  'email',
+  'user_email',
+  'password',
+  'api_key',
+  'x-api-key',
+  'authorization',
+  'token',
+  'secret'
+];
 
-function formatMessage(level, message, meta = {}) {
-  const timestamp = new Date().toISOString();
-  const metaStr = Object.keys(meta).length > 0 ? JSON.stringify(meta) : '';
-  return `[${timestamp}] [${level}] ${message} ${metaStr}`;
+const REDACTED = '[REDACTED]';
+const EMAIL_PATTERN = /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g;
+
+// Deeper than anything we log on purpose; guards against cyclic objects
+const MAX_DEPTH = 6;
+
+function parseLevel(name, fallback) {
+  const level = name?.trim().toUpperCase();
+  return level in LOG_LEVELS ? level : fallback;
 }
 
-function shouldLog(level) {
-  return LOG_LEVELS[level] >= LOG_LEVELS[currentLogLevel.toUpperCase()];
+const defaultLevel = parseLevel(process.env.LOG_LEVEL, 'INFO');
+const json = (process.env.LOG_FORMAT || 'text').toLowerCase() === 'json';
+
+const moduleLevels = new Map(
+  (process.env.LOG_LEVELS || '')
+    .split(',')
+    .map(entry => entry.split('='))
+    .filter(([module, level]) => module?.trim() && parseLevel(level, null))
+    .map(([module, level]) => [module.trim(), parseLevel(level, null)])
+);
+
+const redactFields = new Set([
+  ...DEFAULT_REDACT_FIELDS,
+  ...(process.env.LOG_REDACT_FIELDS || '').split(',').map(field => field.trim()).filter(Boolean)
+].map(field => field.toLowerCase()));
+
+function maskEmails(text) {
+  return text.replace(EMAIL_PATTERN, REDACTED);
 }
 
-export const logger = {
-  debug: (message, meta) => {
-    if (shouldLog('DEBUG')) {
-      console.log(formatMessage('DEBUG', message, meta));
-    }
-  },
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: maskEmails(error.message),
+    code: error.code,
+    stack: error.stack && maskEmails(error.stack)
+  };
+}
 
-  info: (message, meta) => {
-    if (shouldLog('INFO')) {
-      console.log(formatMessage('INFO', message, meta));
-    }
-  },
+/**
+ * Copy of `value` that is safe to log: configured fields blanked out,
+ * emails masked and errors turned into plain objects.
+ */
+function redact(value, depth = 0) {
+  if (typeof value === 'string') {
+    return maskEmails(value);
+  }
 
-  warn: (message, meta) => {
-    if (shouldLog('WARN')) {
-      console.warn(formatMessage('WARN', message, meta));
-    }
-  },
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
 
-  error: (message, meta) => {
-    if (shouldLog('ERROR')) {
-      console.error(formatMessage('ERROR', message, meta));
-    }
+  if (value instanceof Error) {
+    return serializeError(value);
   }
-};
+
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+
+  if (depth >= MAX_DEPTH) {
+    return '[Truncated]';
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1));
+  }
+
+  return Object.fromEntries(
+    Object.entries(value).map(([key, item]) => [
+      key,
+      redactFields.has(key.toLowerCase()) && item !== null && item !== undefined
+        ? REDACTED
+        : redact(item, depth + 1)
+    ])
+  );
+}
+
+function formatMessage(level, module, message, meta) {
+  const timestamp = new Date().toISOString();
+  const { requestId } = getRequestContext();
+
+  // Callers often pass a caught error straight in as the metadata
+  const fields = redact(meta instanceof Error ? { error: meta } : meta ?? {});
+
+  if (json) {
+    return JSON.stringify({
+      ...fields,
+      timestamp,
+      level: level.toLowerCase(),
+      module,
+      request_id: requestId ?? undefined,
+      message: maskEmails(String(message))
+    });
+  }
+
+  const context = requestId ? { request_id: requestId, ...fields } : fields;
+  const metaStr = Object.keys(context).length > 0 ? JSON.stringify(context) : '';
+  return `[${timestamp}] [${level}] [${module}] ${maskEmails(String(message))} ${metaStr}`;
+}
+
+/**
+ * Logger for one module. Its level is LOG_LEVELS' entry for the module,
+ * or LOG_LEVEL.
+ */
+export function createLogger(module) {
+  const threshold = LOG_LEVELS[moduleLevels.get(module) ?? defaultLevel];
+  const shouldLog = (level) => LOG_LEVELS[level] >= threshold;
+
+  return {
+    debug: (message, meta) => {
+      if (shouldLog('DEBUG')) {
+        console.log(formatMessage('DEBUG', module, message, meta));
+      }
+    },
+
+    info: (message, meta) => {
+      if (shouldLog('INFO')) {
+        console.log(formatMessage('INFO', module, message, meta));
+      }
+    },
+
+    warn: (message, meta) => {
+      if (shouldLog('WARN')) {
+        console.warn(formatMessage('WARN', module, message, meta));
+      }
+    },
+
+    error: (message, meta) => {
+      if (shouldLog('ERROR')) {
+        console.error(formatMessage('ERROR', module, message, meta));
+      }
+    }
+  };
+}
+
+// For code that doesn't belong to a particular module
+export const logger = createLogger('app');
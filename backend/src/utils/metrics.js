@@ -0,0 +1,211 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Prometheus metrics, served in the text exposition format by GET /metrics
+ * (see index.js) when METRICS_ENABLED=true.
+ *
+ * Counters and histograms live in this process's memory, so each instance
+ * reports its own numbers and they start from zero on restart, which is
+ * what Prometheus expects. Gauges are read when /metrics is scraped.
+ */
+
+export const METRICS_ENABLED = process.env.METRICS_ENABLED === 'true';
+
+// Seconds; suits both HTTP requests and single queries
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const registry = [];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labelNames, values, extra = '') {
+  const pairs = labelNames.map((name, index) => `${name}="${escapeLabelValue(values[index])}"`);
+  if (extra) {
+    pairs.push(extra);
+  }
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+// Series are keyed on their label values, in labelNames order
+function seriesKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map(name => labels[name] ?? ''));
+}
+
+/**
+ * A value that only goes up, e.g. bookings confirmed.
+ */
+export function counter({ name, help, labelNames = [] }) {
+  const series = new Map();
+
+  const metric = {
+    inc(labels = {}, value = 1) {
+      const key = seriesKey(labelNames, labels);
+      series.set(key, (series.get(key) ?? 0) + value);
+    },
+
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+      for (const [key, value] of series) {
+        lines.push(`${name}${formatLabels(labelNames, JSON.parse(key))} ${value}`);
+      }
+      return lines;
+    }
+  };
+
+  registry.push(metric);
+  return metric;
+}
+
+/**
+ * A distribution of observed values (durations, in seconds) over
+ * cumulative buckets.
+ */
+export function histogram({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) {
+  const series = new Map();
+
+  const metric = {
+    observe(labels, value) {
+      const key = seriesKey(labelNames, labels);
+      let entry = series.get(key);
+      if (!entry) {
+        entry = { counts: buckets.map(() => 0), sum: 0, count: 0 };
+        series.set(key, entry);
+      }
+
+      buckets.forEach((bound, index) => {
+        if (value <= bound) {
+          entry.counts[index] += 1;
+        }
+      });
+      entry.sum += value;
+      entry.count += 1;
+    },
+
+    /**
+     * Start a timer; calling the returned function records the seconds
+     * elapsed with the labels given to it.
+     */
+    startTimer() {
+      const start = process.hrtime.bigint();
+      return (labels = {}) => metric.observe(labels, Number(process.hrtime.bigint() - start) / 1e9);
+    },
+
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+      for (const [key, entry] of series) {
+        const values = JSON.parse(key);
+        buckets.forEach((bound, index) => {
+          lines.push(`${name}_bucket${formatLabels(labelNames, values, `le="${bound}"`)} ${entry.counts[index]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels(labelNames, values, 'le="+Inf"')} ${entry.count}`);
+        lines.push(`${name}_sum${formatLabels(labelNames, values)} ${entry.sum}`);
+        lines.push(`${name}_count${formatLabels(labelNames, values)} ${entry.count}`);
+      }
+      return lines;
+    }
+  };
+
+  registry.push(metric);
+  return metric;
+}
+
+/**
+ * A value that can go up and down, read from `collect()` at scrape time.
+ */
+export function gauge({ name, help, collect }) {
+  const metric = {
+    render() {
+      return [`# HELP ${name} ${help}`, `# TYPE ${name} gauge`, `${name} ${collect()}`];
+    }
+  };
+
+  registry.push(metric);
+  return metric;
+}
+
+/**
+ * Every registered metric in the Prometheus text format.
+ */
+export function renderMetrics() {
+  return `${registry.flatMap(metric => metric.render()).join('\n')}\n`;
+}
+
+// Application metrics. Database metrics are defined in db.js.
+
+export const httpRequestDuration = histogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request latency by route and status',
+  labelNames: ['method', 'route', 'status']
+});
+
+export const bookingsConfirmed = counter({
+  name: 'bookings_confirmed_total',
+  help: 'Bookings confirmed, directly or from a hold'
+});
+
+export const seatConflicts = counter({
+  name: 'seat_conflicts_total',
+  help: 'Requests refused because a seat was already taken (SEAT_UNAVAILABLE), by route',
+  labelNames: ['route']
+});
+
+export const serializationFailures = counter({
+  name: 'db_serialization_failures_total',
+  help: 'Transactions that hit a serialization failure or deadlock (each retry counts)',
+  labelNames: ['reason']
+});
+
+export const holdsExpired = counter({
+  name: 'holds_expired_total',
+  help: 'Seat holds that expired, released by the expiration job or a late confirm',
+  labelNames: ['source']
+});
+
+export const notificationsDispatched = counter({
+  name: 'notifications_total',
+  help: 'Outbox emails by template and outcome: sent, retried (failed, will be tried again) or dead (given up on)',
+  labelNames: ['template', 'outcome']
+});
+
+/**
+ * Express middleware timing every request. Routes are labelled by their
+ * pattern (/booking/:id/confirm), not the actual path, so IDs don't turn
+ * into one series each.
+ *
+ * The label is taken the moment Express matches a route (it assigns
+ * req.route), while req.baseUrl still has the router's prefix. By
+ * `finish` it may not: an error passed to next() leaves the router, which
+ * resets req.baseUrl, before errorHandler() answers.
+ *
+ * Seat conflicts are counted off the response's error code, which
+ * errorHandler() and the booking routes note in res.locals.errorCode.
+ */
+export function httpMetrics(req, res, next) {
+  const stopTimer = httpRequestDuration.startTimer();
+
+  let route;
+  Object.defineProperty(req, 'route', {
+    configurable: true,
+    enumerable: true,
+    get: () => route,
+    set(matched) {
+      route = matched;
+      res.locals.routeLabel = `${req.baseUrl}${matched.path}`;
+    }
+  });
+
+  res.on('finish', () => {
+    const label = res.locals.routeLabel ?? 'unmatched';
+
+    stopTimer({ method: req.method, route: label, status: res.statusCode });
+    if (res.locals.errorCode === 'SEAT_UNAVAILABLE') {
+      seatConflicts.inc({ route: label });
+    }
+  });
+
+  next();
+}
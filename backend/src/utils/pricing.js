@@ -0,0 +1,78 @@
+/**
+ * Price tier parsing and validation for POST /admin/shows.
+ *
+ * {
+ *   "currency": "USD",
+ *   "price_tiers": [
+ *     { "code": "standard", "name": "Standard", "amount_minor": 2500 },
+ *     { "code": "premium", "name": "Premium", "amount_minor": 4500 }
+ *   ],
+ *   "default_price_tier": "standard"
+ * }
+ *
+ * Amounts are integers in the currency's minor unit (2500 = $25.00), so no
+ * floating point ever touches money. A show has a single currency.
+ */
+
+const MAX_TIERS_PER_SHOW = 20;
+const MAX_AMOUNT_MINOR = 100000000;
+
+function isCode(value) {
+  return typeof value === 'string' && /^[a-z0-9_-]{1,50}$/i.test(value);
+}
+
+/**
+ * Validate the pricing fields of a create-show request.
+ * Returns { error }, { tiers: [] } when the show isn't priced, or
+ * { tiers, currency, defaultCode }.
+ */
+export function parsePricing({ currency, price_tiers, default_price_tier }) {
+  if (price_tiers === undefined) {
+    if (currency !== undefined || default_price_tier !== undefined) {
+      return { error: 'currency and default_price_tier require price_tiers' };
+    }
+    return { tiers: [] };
+  }
+
+  if (typeof currency !== 'string' || !/^[A-Z]{3}$/.test(currency)) {
+    return { error: 'currency must be a 3-letter ISO 4217 code, e.g. USD' };
+  }
+
+  if (!Array.isArray(price_tiers) || price_tiers.length === 0 || price_tiers.length > MAX_TIERS_PER_SHOW) {
+    return { error: `price_tiers must be an array of 1 to ${MAX_TIERS_PER_SHOW} tiers` };
+  }
+
+  const codes = new Set();
+  const tiers = [];
+
+  for (const [index, tier] of price_tiers.entries()) {
+    const where = `price_tiers[${index}]`;
+
+    if (!tier || !isCode(tier.code)) {
+      return { error: `${where}.code is required (letters, digits, - and _ only)` };
+    }
+    if (codes.has(tier.code)) {
+      return { error: `Duplicate price tier code "${tier.code}"` };
+    }
+    codes.add(tier.code);
+
+    if (typeof tier.name !== 'string' || tier.name.trim().length === 0 || tier.name.length > 100) {
+      return { error: `${where}.name is required (max 100 characters)` };
+    }
+
+    if (!Number.isInteger(tier.amount_minor) || tier.amount_minor < 0 || tier.amount_minor > MAX_AMOUNT_MINOR) {
+      return { error: `${where}.amount_minor must be a non-negative integer in minor units (e.g. cents)` };
+    }
+
+    tiers.push({ code: tier.code, name: tier.name.trim(), amount_minor: tier.amount_minor });
+  }
+
+  if (default_price_tier !== undefined && !codes.has(default_price_tier)) {
+    return { error: `default_price_tier "${default_price_tier}" is not one of the price_tiers` };
+  }
+
+  // With a single tier there's nothing to choose between
+  const defaultCode = default_price_tier ?? (tiers.length === 1 ? tiers[0].code : null);
+
+  return { tiers, currency, defaultCode };
+}
@@ -0,0 +1,57 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import { randomUUID } from 'crypto';
+
+/**
+ * Per-request context that follows the request through every await, so
+ * code deep inside a transaction (like the seat audit trail) or the logger
+ * can tell which request it's serving and on whose behalf without
+ * threading it through every call.
+ *
+ * The context is { requestId, actor }, where actor is
+ * { type: 'user' | 'admin' | 'job' | 'system', id }.
+ */
+
+const storage = new AsyncLocalStorage();
+
+// Work done outside any request or job, e.g. a script run by hand
+const SYSTEM_CONTEXT = { requestId: null, actor: { type: 'system', id: null } };
+
+// Caller-supplied request IDs are kept only if they look like an ID
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,100}$/;
+
+/**
+ * Express middleware starting a context for each request. The request ID
+ * comes from the X-Request-Id header (e.g. set by a load balancer) or is
+ * generated, and is sent back in the X-Request-Id response header. Until
+ * authenticate() says otherwise, the actor is an anonymous user.
+ * Must come after the body parsers: they call next() from stream events,
+ * which would run outside the context.
+ */
+export function requestContext(req, res, next) {
+  const header = req.get('X-Request-Id');
+  const requestId = header && REQUEST_ID_PATTERN.test(header) ? header : randomUUID();
+
+  res.set('X-Request-Id', requestId);
+  storage.run({ requestId, actor: { type: 'user', id: null } }, next);
+}
+
+/**
+ * Run `fn` in a context of its own, e.g. a background job run.
+ */
+export function runWithContext(context, fn) {
+  return storage.run({ requestId: randomUUID(), ...context }, fn);
+}
+
+export function getRequestContext() {
+  return storage.getStore() ?? SYSTEM_CONTEXT;
+}
+
+/**
+ * Record who the current request acts for, once it has authenticated.
+ */
+export function setActor(actor) {
+  const context = storage.getStore();
+  if (context) {
+    context.actor = actor;
+  }
+}
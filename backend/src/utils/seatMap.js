@@ -0,0 +1,179 @@
+/**
+ * Seat map parsing and validation for POST /admin/shows.
+ *
+ * A seat map describes a real venue layout:
+ *
+ * {
+ *   "sections": [
+ *     {
+ *       "name": "Balcony",
+ *       "rows": [
+ *         {
+ *           "label": "C",
+ *           "grid_row": 3,
+ *           "seats": [
+ *             { "label": "12", "grid_col": 4, "attributes": ["wheelchair"] }
+ *           ]
+ *         }
+ *       ]
+ *     }
+ *   ]
+ * }
+ *
+ * grid_row / grid_col place seats on one grid for the whole show, so
+ * aisles and gaps are simply cells without a seat. When omitted, rows are
+ * numbered in the order they appear across all sections and seats in the
+ * order they appear within their row, and seat labels default to the
+ * seat's position in its row.
+ *
+ * Sections and individual seats may also name a `price_tier` (a code from
+ * the show's price_tiers); a seat's own tier wins over its section's.
+ */
+
+export const SEAT_ATTRIBUTES = [
+  'wheelchair',
+  'companion',
+  'restricted_view',
+  'aisle',
+  'limited_legroom'
+];
+
+export const MAX_SEATS_PER_SHOW = 1000;
+
+const MAX_LABEL_LENGTH = 20;
+const MAX_SECTION_NAME_LENGTH = 100;
+
+function isPositiveInt(value) {
+  return Number.isInteger(value) && value > 0;
+}
+
+function isLabel(value) {
+  return typeof value === 'string' && value.trim().length > 0 && value.length <= MAX_LABEL_LENGTH;
+}
+
+/**
+ * Validate a seat map and flatten it into sections of seat rows ready to
+ * insert. Returns { error } describing the first problem found, or
+ * { sections, totalSeats } where each section is
+ * { name, sort_order, seats: [{ row_label, seat_label, grid_row, grid_col, attributes, price_tier }] }.
+ * Price tier codes are only checked for shape here; the caller checks
+ * that they exist.
+ */
+export function parseSeatMap(seatMap) {
+  if (!seatMap || typeof seatMap !== 'object' || !Array.isArray(seatMap.sections) || seatMap.sections.length === 0) {
+    return { error: 'seat_map.sections must be a non-empty array' };
+  }
+
+  const sectionNames = new Set();
+  const occupiedCells = new Set();
+  const sections = [];
+  let nextGridRow = 1;
+  let totalSeats = 0;
+
+  for (const [sectionIndex, section] of seatMap.sections.entries()) {
+    const where = `seat_map.sections[${sectionIndex}]`;
+
+    if (!section || typeof section.name !== 'string' || section.name.trim().length === 0 || section.name.length > MAX_SECTION_NAME_LENGTH) {
+      return { error: `${where}.name is required (max ${MAX_SECTION_NAME_LENGTH} characters)` };
+    }
+
+    const name = section.name.trim();
+    if (sectionNames.has(name)) {
+      return { error: `Duplicate section name "${name}"` };
+    }
+    sectionNames.add(name);
+
+    if (section.price_tier !== undefined && typeof section.price_tier !== 'string') {
+      return { error: `${where}.price_tier must be a price tier code` };
+    }
+
+    if (!Array.isArray(section.rows) || section.rows.length === 0) {
+      return { error: `${where}.rows must be a non-empty array` };
+    }
+
+    const rowLabels = new Set();
+    const seats = [];
+
+    for (const [rowIndex, row] of section.rows.entries()) {
+      const rowWhere = `${where}.rows[${rowIndex}]`;
+
+      if (!row || !isLabel(row.label)) {
+        return { error: `${rowWhere}.label is required (max ${MAX_LABEL_LENGTH} characters)` };
+      }
+
+      const rowLabel = row.label.trim();
+      if (rowLabels.has(rowLabel)) {
+        return { error: `Duplicate row "${rowLabel}" in section "${name}"` };
+      }
+      rowLabels.add(rowLabel);
+
+      if (row.grid_row !== undefined && !isPositiveInt(row.grid_row)) {
+        return { error: `${rowWhere}.grid_row must be a positive integer` };
+      }
+      const gridRow = row.grid_row ?? nextGridRow;
+      nextGridRow = Math.max(nextGridRow, gridRow + 1);
+
+      if (!Array.isArray(row.seats) || row.seats.length === 0) {
+        return { error: `${rowWhere}.seats must be a non-empty array` };
+      }
+
+      const seatLabels = new Set();
+
+      for (const [seatIndex, seat] of row.seats.entries()) {
+        const seatWhere = `${rowWhere}.seats[${seatIndex}]`;
+        const definition = seat ?? {};
+
+        const seatLabel = definition.label === undefined ? String(seatIndex + 1) : definition.label;
+        if (!isLabel(seatLabel)) {
+          return { error: `${seatWhere}.label must be a non-empty string (max ${MAX_LABEL_LENGTH} characters)` };
+        }
+        if (seatLabels.has(seatLabel.trim())) {
+          return { error: `Duplicate seat "${seatLabel}" in row "${rowLabel}" of section "${name}"` };
+        }
+        seatLabels.add(seatLabel.trim());
+
+        if (definition.grid_col !== undefined && !isPositiveInt(definition.grid_col)) {
+          return { error: `${seatWhere}.grid_col must be a positive integer` };
+        }
+        const gridCol = definition.grid_col ?? seatIndex + 1;
+
+        const cell = `${gridRow}:${gridCol}`;
+        if (occupiedCells.has(cell)) {
+          return { error: `${seatWhere} overlaps another seat at grid_row ${gridRow}, grid_col ${gridCol}` };
+        }
+        occupiedCells.add(cell);
+
+        const attributes = definition.attributes ?? [];
+        if (!Array.isArray(attributes)) {
+          return { error: `${seatWhere}.attributes must be an array` };
+        }
+        const unknown = attributes.filter(attr => !SEAT_ATTRIBUTES.includes(attr));
+        if (unknown.length > 0) {
+          return { error: `${seatWhere}.attributes has unknown values: ${unknown.join(', ')} (allowed: ${SEAT_ATTRIBUTES.join(', ')})` };
+        }
+
+        if (definition.price_tier !== undefined && typeof definition.price_tier !== 'string') {
+          return { error: `${seatWhere}.price_tier must be a price tier code` };
+        }
+
+        seats.push({
+          row_label: rowLabel,
+          seat_label: seatLabel.trim(),
+          grid_row: gridRow,
+          grid_col: gridCol,
+          attributes: [...new Set(attributes)],
+          price_tier: definition.price_tier ?? section.price_tier ?? null
+        });
+      }
+    }
+
+    totalSeats += seats.length;
+    if (totalSeats > MAX_SEATS_PER_SHOW) {
+      return { error: `A seat map can have at most ${MAX_SEATS_PER_SHOW} seats` };
+    }
+
+    sections.push({ name, sort_order: sectionIndex, seats });
+  }
+
+  return { sections, totalSeats };
+}
@@ -0,0 +1,259 @@
+import { ApiError } from './errors.js';
+
+/**
+ * Declarative request validation.
+ *
+ * A route declares a schema for its path params, query string and body,
+ * each a map of field name to rule:
+ *
+ *   router.post('/:id/waitlist', validate({
+ *     params: { id: { type: 'id', required: true } },
+ *     body: {
+ *       email: { type: 'email', required: true },
+ *       quantity: { type: 'integer', required: true, min: 1, max: 10 }
+ *     }
+ *   }), handler);
+ *
+ * Rule types and their options:
+ *   id         A positive whole number
+ *   integer    min, max
+ *   string     minLength, maxLength (after trimming), values (allowed list)
+ *   email      A plausible email address (up to 255 characters)
+ *   boolean
+ *   datetime   An ISO 8601 date/time; future: true to require a later time
+ *   array      items (a rule for each element), minItems, maxItems
+ *   object     A JSON object, checked further by the handler (e.g. seat maps)
+ * Every rule may be `required`. Params and query values arrive as strings
+ * and are converted, so "12" passes as an id; body values must already
+ * have the right JSON type. Strings are trimmed.
+ *
+ * `check(values)` adds rules across fields. It gets { params, query, body }
+ * after the field rules passed and returns problems as
+ * [{ field, location, message }] (or nothing).
+ *
+ * Valid values replace the raw ones on req (ids become numbers, strings
+ * trimmed); unknown fields are left alone. A field sent as null (or as an
+ * empty param or query value) counts as not sent and is removed from req,
+ * so handlers and `check` only ever see undefined for it. Otherwise the
+ * request fails with VALIDATION_FAILED and one detail per problem.
+ */
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MAX_EMAIL_LENGTH = 255;
+
+function describeRange(min, max) {
+  if (min !== undefined && max !== undefined) {
+    return ` from ${min} to ${max}`;
+  }
+  if (min !== undefined) {
+    return ` of at least ${min}`;
+  }
+  if (max !== undefined) {
+    return ` of at most ${max}`;
+  }
+  return '';
+}
+
+function toInteger(value, fromString) {
+  if (fromString && typeof value === 'string' && /^-?\d+$/.test(value.trim())) {
+    return Number(value);
+  }
+  return Number.isInteger(value) ? value : undefined;
+}
+
+/**
+ * Check one value against its rule. Returns { value } with the converted
+ * value, or { message } saying what's wrong with it.
+ */
+function checkValue(name, rule, value, fromString) {
+  switch (rule.type) {
+    case 'id': {
+      const id = toInteger(value, fromString);
+      return id !== undefined && id >= 1 && id <= 2147483647
+        ? { value: id }
+        : { message: `${name} must be a valid ID` };
+    }
+
+    case 'integer': {
+      const number = toInteger(value, fromString);
+      if (number === undefined ||
+          (rule.min !== undefined && number < rule.min) ||
+          (rule.max !== undefined && number > rule.max)) {
+        return { message: `${name} must be a whole number${describeRange(rule.min, rule.max)}` };
+      }
+      return { value: number };
+    }
+
+    case 'string': {
+      if (typeof value !== 'string') {
+        return { message: `${name} must be a string` };
+      }
+      const text = value.trim();
+      if (rule.values && !rule.values.includes(text)) {
+        return { message: `${name} must be one of: ${rule.values.join(', ')}` };
+      }
+      if (text.length < (rule.minLength ?? 0)) {
+        return { message: rule.minLength === 1 ? `${name} must not be empty` : `${name} must be at least ${rule.minLength} characters` };
+      }
+      if (rule.maxLength !== undefined && text.length > rule.maxLength) {
+        return { message: `${name} must be at most ${rule.maxLength} characters` };
+      }
+      return { value: text };
+    }
+
+    case 'email': {
+      const email = typeof value === 'string' ? value.trim() : '';
+      return EMAIL_PATTERN.test(email) && email.length <= MAX_EMAIL_LENGTH
+        ? { value: email }
+        : { message: `${name} must be a valid email address` };
+    }
+
+    case 'boolean': {
+      if (fromString && (value === 'true' || value === 'false')) {
+        return { value: value === 'true' };
+      }
+      return typeof value === 'boolean'
+        ? { value }
+        : { message: `${name} must be true or false` };
+    }
+
+    case 'datetime': {
+      const date = typeof value === 'string' ? new Date(value) : null;
+      if (!date || isNaN(date.getTime())) {
+        return { message: `${name} must be a date and time in ISO 8601 format` };
+      }
+      if (rule.future && date <= new Date()) {
+        return { message: `${name} must be in the future` };
+      }
+      return { value };
+    }
+
+    case 'array': {
+      if (!Array.isArray(value)) {
+        return { message: `${name} must be an array` };
+      }
+      if (value.length < (rule.minItems ?? 0)) {
+        return { message: rule.minItems === 1 ? `${name} must not be empty` : `${name} must have at least ${rule.minItems} items` };
+      }
+      if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+        return { message: `${name} can have at most ${rule.maxItems} items` };
+      }
+      if (!rule.items) {
+        return { value };
+      }
+
+      const items = [];
+      for (let index = 0; index < value.length; index++) {
+        const item = checkValue(`${name}[${index}]`, rule.items, value[index], false);
+        if (item.message) {
+          return item;
+        }
+        items.push(item.value);
+      }
+      return { value: items };
+    }
+
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value)
+        ? { value }
+        : { message: `${name} must be an object` };
+
+    default:
+      throw new Error(`Unknown validation rule type "${rule.type}" for ${name}`);
+  }
+}
+
+/**
+ * Check the fields of one request location against their rules.
+ * Returns { values, absent, problems }, where `absent` lists the fields
+ * that were sent empty (null, or '' outside the body).
+ */
+function checkFields(location, rules, input) {
+  const values = {};
+  const absent = [];
+  const problems = [];
+  const fromString = location !== 'body';
+
+  for (const [field, rule] of Object.entries(rules)) {
+    const value = input?.[field];
+
+    if (value === undefined || value === null || (fromString && value === '')) {
+      if (value !== undefined) {
+        absent.push(field);
+      }
+      if (rule.required) {
+        problems.push({ field, location, message: `${field} is required` });
+      }
+      continue;
+    }
+
+    const checked = checkValue(field, rule, value, fromString);
+    if (checked.message) {
+      problems.push({ field, location, message: checked.message });
+    } else {
+      values[field] = checked.value;
+    }
+  }
+
+  return { values, absent, problems };
+}
+
+/**
+ * Check a JSON object against body rules outside a route, e.g. each show
+ * of a bulk import. Returns { values, problems } like validate() would
+ * see them (strings trimmed).
+ */
+export function checkBody(rules, body) {
+  const { values, problems } = checkFields('body', rules, body);
+  return { values, problems };
+}
+
+/**
+ * Build the validation middleware for a route.
+ */
+export function validate(schema) {
+  return (req, res, next) => {
+    const problems = [];
+
+    if (schema.body && (typeof req.body !== 'object' || req.body === null || Array.isArray(req.body))) {
+      problems.push({ field: null, location: 'body', message: 'Request body must be a JSON object' });
+    } else {
+      for (const location of LOCATIONS) {
+        if (!schema[location]) {
+          continue;
+        }
+        const checked = checkFields(location, schema[location], req[location]);
+        problems.push(...checked.problems);
+        // Keep the converted values, and drop the empty ones
+        Object.assign(req[location], checked.values);
+        for (const field of checked.absent) {
+          delete req[location][field];
+        }
+      }
+    }
+
+    if (problems.length === 0 && schema.check) {
+      problems.push(...(schema.check({ params: req.params, query: req.query, body: req.body }) ?? []));
+    }
+
+    if (problems.length > 0) {
+      return next(new ApiError('VALIDATION_FAILED', problems.map(problem => problem.message).join('; '), {
+        details: problems
+      }));
+    }
+
+    next();
+  };
+}
+
+/**
+ * A validation problem found outside validate(), e.g. by a service while
+ * parsing a seat map, as an ApiError.
+ */
+export function validationError(message, field = null, location = 'body') {
+  return new ApiError('VALIDATION_FAILED', message, {
+    details: [{ field, location, message }]
+  });
+}
@@ -0,0 +1,286 @@
+import './helpers/env.js';
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { adapters } from './helpers/adapters.js';
+import { useApi, seatIdsOf } from './helpers/api.js';
+
+const inDays = days => new Date(Date.now() + days * 24 * 3600 * 1000).toISOString();
+
+for (const adapter of adapters) {
+  describe(`admin routes (${adapter.name})`, () => {
+    const api = useApi(adapter);
+
+    test('admin routes need an admin key', async () => {
+      const customer = await api.createKey('customer', 'ada@example.com');
+
+      const anonymous = await api.request('GET', '/admin/jobs');
+      assert.equal(anonymous.status, 401);
+      assert.equal(anonymous.body.code, 'AUTHENTICATION_REQUIRED');
+
+      const forbidden = await api.request('GET', '/admin/jobs', { key: customer });
+      assert.equal(forbidden.status, 403);
+
+      const allowed = await api.request('GET', '/admin/jobs', { key: api.adminKey });
+      assert.equal(allowed.status, 200);
+    });
+
+    test('POST /admin/shows creates a flat show', async () => {
+      const response = await api.request('POST', '/admin/shows', {
+        key: api.adminKey,
+        body: { name: 'Flat', start_time: inDays(3), total_seats: 4 }
+      });
+
+      assert.equal(response.status, 201);
+      assert.equal(response.body.data.total_seats, 4);
+      assert.deepEqual(response.body.data.sections, []);
+
+      const seats = await api.request('GET', `/admin/shows/${response.body.data.id}/seats`, { key: api.adminKey });
+      assert.deepEqual(seats.body.data.map(seat => seat.seat_number), [1, 2, 3, 4]);
+      assert.ok(seats.body.data.every(seat => seat.status === 'AVAILABLE'));
+    });
+
+    test('POST /admin/shows rejects invalid shows', async () => {
+      const missing = await api.request('POST', '/admin/shows', {
+        key: api.adminKey,
+        body: { name: 'No seats', start_time: inDays(3) }
+      });
+      assert.equal(missing.status, 400);
+
+      const badTier = await api.request('POST', '/admin/shows', {
+        key: api.adminKey,
+        body: {
+          name: 'Bad tier',
+          start_time: inDays(3),
+          total_seats: 2,
+          currency: 'USD',
+          price_tiers: [{ code: 'standard', name: 'Standard', amount_minor: 100 }],
+          default_price_tier: 'vip'
+        }
+      });
+      assert.equal(badTier.status, 400);
+      assert.equal(badTier.body.code, 'VALIDATION_FAILED');
+
+      const list = await api.request('GET', '/shows');
+      assert.deepEqual(list.body.data, []);
+    });
+
+    test('POST /admin/shows/import creates every show or none', async () => {
+      const imported = await api.request('POST', '/admin/shows/import', {
+        key: api.adminKey,
+        body: {
+          shows: [
+            { name: 'One', start_time: inDays(1), total_seats: 2 },
+            { name: 'Two', start_time: inDays(2), total_seats: 3 }
+          ]
+        }
+      });
+      assert.equal(imported.status, 201);
+      assert.deepEqual(imported.body.data.map(show => show.name), ['One', 'Two']);
+
+      const invalid = await api.request('POST', '/admin/shows/import', {
+        key: api.adminKey,
+        body: {
+          shows: [
+            { name: 'Three', start_time: inDays(3), total_seats: 2 },
+            { name: 'Four', start_time: 'someday', total_seats: 2 }
+          ]
+        }
+      });
+      assert.equal(invalid.status, 400);
+      assert.equal(invalid.body.details[0].row, 2);
+
+      const csv = await api.request('POST', '/admin/shows/import', {
+        key: api.adminKey,
+        headers: { 'Content-Type': 'text/csv' },
+        body: `name,start_time,total_seats,currency,price_minor\nFive,${inDays(5)},3,USD,1500\n`
+      });
+      assert.equal(csv.status, 201);
+
+      const list = await api.request('GET', '/shows');
+      assert.deepEqual(list.body.data.map(show => show.name), ['One', 'Two', 'Five']);
+
+      const detail = await api.request('GET', `/shows/${csv.body.data[0].id}`);
+      assert.deepEqual(detail.body.data.seats.map(seat => seat.price_minor), [1500, 1500, 1500]);
+    });
+
+    test('POST /admin/shows and imports refuse the same invalid shows', async () => {
+      const invalid = [
+        [{ name: '   ', start_time: inDays(1), total_seats: 2 }, 'name'],
+        [{ name: 'Priced', start_time: inDays(1), total_seats: 2, currency: 5 }, 'currency'],
+        [{ name: 'Tiered', start_time: inDays(1), total_seats: 2, default_price_tier: ['standard'] }, 'default_price_tier'],
+        [{ name: 'Someday', start_time: '2030-13-45', total_seats: 2 }, 'start_time'],
+        [{ name: 'Huge', start_time: inDays(1), total_seats: 2.5 }, 'total_seats']
+      ];
+
+      for (const [show, field] of invalid) {
+        const created = await api.request('POST', '/admin/shows', { key: api.adminKey, body: show });
+        assert.equal(created.status, 400);
+        assert.equal(created.body.code, 'VALIDATION_FAILED');
+        assert.equal(created.body.details[0].field, field);
+
+        const imported = await api.request('POST', '/admin/shows/import', { key: api.adminKey, body: { shows: [show] } });
+        assert.equal(imported.status, 400);
+        assert.equal(imported.body.code, 'VALIDATION_FAILED');
+        assert.deepEqual(imported.body.details.map(({ row, field }) => ({ row, field })), [{ row: 1, field }]);
+      }
+
+      const list = await api.request('GET', '/shows');
+      assert.deepEqual(list.body.data, []);
+    });
+
+    test('PATCH /admin/shows/:id renames, grows and shrinks a show', async () => {
+      const show = await api.createShow({ total_seats: 3 });
+      const seats = await seatIdsOf(api, show.id);
+      await api.request('POST', `/booking/${show.id}`, { body: { seat_ids: [seats[1]] } });
+
+      const grown = await api.request('PATCH', `/admin/shows/${show.id}`, {
+        key: api.adminKey,
+        body: { name: 'Renamed', total_seats: 5 }
+      });
+      assert.equal(grown.status, 200);
+      assert.equal(grown.body.data.name, 'Renamed');
+      assert.equal(grown.body.data.seats_added, 2);
+
+      const blocked = await api.request('PATCH', `/admin/shows/${show.id}`, {
+        key: api.adminKey,
+        body: { total_seats: 1 }
+      });
+      assert.equal(blocked.status, 409);
+      assert.deepEqual(blocked.body.unavailable_seats, [2]);
+
+      const shrunk = await api.request('PATCH', `/admin/shows/${show.id}`, {
+        key: api.adminKey,
+        body: { total_seats: 2 }
+      });
+      assert.equal(shrunk.status, 200);
+      assert.equal(shrunk.body.data.seats_removed, 3);
+
+      const detail = await api.request('GET', `/shows/${show.id}`);
+      assert.deepEqual(detail.body.data.seats.map(seat => seat.seat_number), [1, 2]);
+
+      const empty = await api.request('PATCH', `/admin/shows/${show.id}`, { key: api.adminKey, body: {} });
+      assert.equal(empty.status, 400);
+
+      const missing = await api.request('PATCH', '/admin/shows/99999', { key: api.adminKey, body: { name: 'x' } });
+      assert.equal(missing.status, 404);
+    });
+
+    test('PATCH /admin/shows/:id keeps seats that past bookings used', async () => {
+      const show = await api.createShow({ total_seats: 4 });
+      const seats = await seatIdsOf(api, show.id);
+      const hold = await api.request('POST', `/booking/${show.id}/hold`, { body: { seat_ids: [seats[2]] } });
+      await api.request('POST', `/booking/${hold.body.data.booking_id}/release`, {
+        body: { hold_token: hold.body.data.hold_token }
+      });
+      const booking = await api.request('POST', `/booking/${show.id}`, { body: { seat_ids: [seats[3]] } });
+      await api.request('POST', `/booking/${booking.body.data.booking_id}/cancel`, { key: api.adminKey, body: {} });
+
+      const blocked = await api.request('PATCH', `/admin/shows/${show.id}`, {
+        key: api.adminKey,
+        body: { total_seats: 2 }
+      });
+      assert.equal(blocked.status, 409);
+      assert.equal(blocked.body.code, 'SEAT_UNAVAILABLE');
+      assert.deepEqual(blocked.body.unavailable_seats, [3, 4]);
+
+      const released = await api.request('GET', `/booking/${hold.body.data.booking_id}`, { key: api.adminKey });
+      assert.deepEqual(released.body.data.seat_ids, [seats[2]]);
+      const cancelled = await api.request('GET', `/booking/${booking.body.data.booking_id}`, { key: api.adminKey });
+      assert.deepEqual(cancelled.body.data.seat_ids, [seats[3]]);
+
+      const detail = await api.request('GET', `/shows/${show.id}`);
+      assert.equal(detail.body.data.seats.length, 4);
+    });
+
+    test('POST /admin/shows/:id/cancel cancels bookings and holds and frees the seats', async () => {
+      const show = await api.createShow({
+        currency: 'USD',
+        price_tiers: [{ code: 'standard', name: 'Standard', amount_minor: 1000 }],
+        default_price_tier: 'standard'
+      });
+      const [first, second, third] = await seatIdsOf(api, show.id);
+      const booking = await api.request('POST', `/booking/${show.id}`, { body: { seat_ids: [first, second] } });
+      const hold = await api.request('POST', `/booking/${show.id}/hold`, { body: { seat_ids: [third] } });
+
+      const response = await api.request('POST', `/admin/shows/${show.id}/cancel`, {
+        key: api.adminKey,
+        body: { reason: 'Artist unwell' }
+      });
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.data.status, 'CANCELLED');
+      assert.equal(response.body.data.cancelled_bookings, 1);
+      assert.equal(response.body.data.cancelled_holds, 1);
+      assert.equal(response.body.data.refund_amount_minor, 2000);
+
+      const detail = await api.request('GET', `/shows/${show.id}`);
+      assert.ok(detail.body.data.seats.every(seat => seat.status === 'AVAILABLE'));
+
+      for (const id of [booking.body.data.booking_id, hold.body.data.booking_id]) {
+        const cancelled = await api.request('GET', `/booking/${id}`, { key: api.adminKey });
+        assert.equal(cancelled.body.data.status, 'CANCELLED');
+        assert.equal(cancelled.body.data.cancellation_reason, 'Artist unwell');
+      }
+
+      const again = await api.request('POST', `/admin/shows/${show.id}/cancel`, {
+        key: api.adminKey,
+        body: { reason: 'Twice' }
+      });
+      assert.equal(again.status, 409);
+    });
+
+    test('GET /admin/shows/:id/bookings.csv and .json export the attendees', async () => {
+      const show = await api.createShow();
+      const [first, second, third] = await seatIdsOf(api, show.id);
+      const booking = await api.request('POST', `/booking/${show.id}`, {
+        body: { seat_ids: [first, second], user_email: 'ada@example.com' }
+      });
+      await api.request('POST', `/booking/${show.id}/hold`, { body: { seat_ids: [third] } });
+
+      const csv = await api.request('GET', `/admin/shows/${show.id}/bookings.csv`, { key: api.adminKey });
+      assert.equal(csv.status, 200);
+      assert.match(csv.headers.get('content-disposition'), /show-\d+-bookings\.csv/);
+      const lines = csv.body.trim().split(/\r?\n/);
+      assert.equal(lines.length, 3);
+      assert.match(lines[0], /^booking_id,booking_status,user_email/);
+      assert.match(lines[1], new RegExp(`^${booking.body.data.booking_id},CONFIRMED,ada@example.com`));
+
+      const json = await api.request('GET', `/admin/shows/${show.id}/bookings.json?status=all`, { key: api.adminKey });
+      assert.equal(json.status, 200);
+      assert.deepEqual(json.body.data.map(row => [row.booking_status, row.seat_number]), [
+        ['CONFIRMED', 1],
+        ['CONFIRMED', 2],
+        ['PENDING', 3]
+      ]);
+
+      const invalid = await api.request('GET', `/admin/shows/${show.id}/bookings.csv?status=LOST`, { key: api.adminKey });
+      assert.equal(invalid.status, 400);
+    });
+
+    test('GET /admin/shows/:id/seats/:seatId/history lists every change to a seat', async () => {
+      const show = await api.createShow();
+      const [seat] = await seatIdsOf(api, show.id);
+      const hold = await api.request('POST', `/booking/${show.id}/hold`, { body: { seat_ids: [seat] } });
+      await api.request('POST', `/booking/${hold.body.data.booking_id}/confirm`, { body: { hold_token: hold.body.data.hold_token } });
+      await api.request('POST', `/booking/${hold.body.data.booking_id}/cancel`, { key: api.adminKey, body: {} });
+
+      const response = await api.request('GET', `/admin/shows/${show.id}/seats/${seat}/history`, { key: api.adminKey });
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.data.seat.status, 'AVAILABLE');
+      assert.deepEqual(
+        response.body.data.events.map(event => [event.action, event.old_status, event.new_status]),
+        [
+          ['hold', 'AVAILABLE', 'RESERVED'],
+          ['confirm', 'RESERVED', 'BOOKED'],
+          ['cancel', 'BOOKED', 'AVAILABLE']
+        ]
+      );
+      assert.ok(response.body.data.events.every(event => event.booking_id === hold.body.data.booking_id));
+
+      const other = await api.createShow();
+      const wrongShow = await api.request('GET', `/admin/shows/${other.id}/seats/${seat}/history`, { key: api.adminKey });
+      assert.equal(wrongShow.status, 404);
+    });
+  });
+}
@@ -0,0 +1,359 @@
+import './helpers/env.js';
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { adapters } from './helpers/adapters.js';
+import { useApi, seatIdsOf } from './helpers/api.js';
+
+for (const adapter of adapters) {
+  describe(`booking routes (${adapter.name})`, () => {
+    const api = useApi(adapter);
+
+    test('POST /booking/:showId books the requested seats', async () => {
+      const show = await api.createShow();
+      const [first, second] = await seatIdsOf(api, show.id);
+
+      const response = await api.request('POST', `/booking/${show.id}`, {
+        body: { seat_ids: [second, first], user_email: 'ada@example.com' }
+      });
+
+      assert.equal(response.status, 201);
+      assert.equal(response.body.data.status, 'CONFIRMED');
+      assert.deepEqual(response.body.data.seat_ids, [first, second]);
+
+      const detail = await api.request('GET', `/shows/${show.id}`);
+      const booked = detail.body.data.seats.filter(seat => seat.status === 'BOOKED').map(seat => seat.id);
+      assert.deepEqual(booked, [first, second]);
+    });
+
+    test('POST /booking/:showId rejects seats that are already taken', async () => {
+      const show = await api.createShow();
+      const [seat] = await seatIdsOf(api, show.id);
+
+      await api.request('POST', `/booking/${show.id}`, { body: { seat_ids: [seat] } });
+      const response = await api.request('POST', `/booking/${show.id}`, { body: { seat_ids: [seat] } });
+
+      assert.equal(response.status, 409);
+      assert.equal(response.body.code, 'SEAT_UNAVAILABLE');
+      assert.deepEqual(response.body.unavailable_seats, [1]);
+    });
+
+    test('POST /booking/:showId rejects seats from another show', async () => {
+      const show = await api.createShow();
+      const other = await api.createShow();
+      const [seat] = await seatIdsOf(api, other.id);
+
+      const response = await api.request('POST', `/booking/${show.id}`, { body: { seat_ids: [seat] } });
+
+      assert.equal(response.status, 400);
+      assert.equal(response.body.details[0].field, 'seat_ids');
+    });
+
+    test('POST /booking/:showId picks the best adjacent seats for a quantity', async () => {
+      const show = await api.createShow({
+        total_seats: undefined,
+        seat_map: {
+          sections: [{
+            name: 'Stalls',
+            rows: [
+              { label: 'A', seats: [{}, {}, {}, {}] },
+              { label: 'B', seats: [{}, {}, {}, {}] }
+            ]
+          }]
+        }
+      });
+      const seats = await seatIdsOf(api, show.id);
+      await api.request('POST', `/booking/${show.id}`, { body: { seat_ids: [seats[1]] } });
+
+      const response = await api.request('POST', `/booking/${show.id}`, {
+        body: { quantity: 3, section: 'Stalls' }
+      });
+
+      assert.equal(response.status, 201);
+      assert.equal(response.body.data.adjacent, true);
+      assert.deepEqual(
+        response.body.data.assigned_seats.map(seat => `${seat.row_label}${seat.seat_label}`),
+        ['B1', 'B2', 'B3']
+      );
+    });
+
+    test('POST /booking/:showId refuses an unknown section', async () => {
+      const show = await api.createShow();
+
+      const response = await api.request('POST', `/booking/${show.id}`, {
+        body: { quantity: 1, section: 'Balcony' }
+      });
+
+      assert.equal(response.status, 400);
+      assert.equal(response.body.details[0].field, 'section');
+    });
+
+    test('POST /booking/:showId validates the body', async () => {
+      const show = await api.createShow();
+
+      const response = await api.request('POST', `/booking/${show.id}`, { body: { seat_ids: [] } });
+
+      assert.equal(response.status, 400);
+      assert.equal(response.body.code, 'VALIDATION_FAILED');
+    });
+
+    test('null fields count as missing', async () => {
+      const show = await api.createShow();
+
+      for (const path of [`/booking/${show.id}`, `/booking/${show.id}/hold`]) {
+        const response = await api.request('POST', path, { body: { seat_ids: null } });
+
+        assert.equal(response.status, 400);
+        assert.equal(response.body.code, 'VALIDATION_FAILED');
+        assert.equal(response.body.details[0].field, 'seat_ids');
+      }
+
+      const quantity = await api.request('POST', `/booking/${show.id}`, { body: { seat_ids: null, quantity: 1 } });
+      assert.equal(quantity.status, 201);
+    });
+
+    test('POST /booking/:showId refuses cancelled shows', async () => {
+      const show = await api.createShow();
+      const [seat] = await seatIdsOf(api, show.id);
+      await api.request('POST', `/admin/shows/${show.id}/cancel`, { key: api.adminKey, body: { reason: 'Venue closed' } });
+
+      const response = await api.request('POST', `/booking/${show.id}`, { body: { seat_ids: [seat] } });
+
+      assert.equal(response.status, 409);
+      assert.equal(response.body.code, 'SHOW_CANCELLED');
+    });
+
+    test('an Idempotency-Key replays the first response', async () => {
+      const show = await api.createShow();
+      const [seat] = await seatIdsOf(api, show.id);
+      const request = { body: { seat_ids: [seat] }, headers: { 'Idempotency-Key': 'booking-1' } };
+
+      const first = await api.request('POST', `/booking/${show.id}`, request);
+      // The response is stored once it has been sent
+      await new Promise(resolve => setTimeout(resolve, 50));
+      const retry = await api.request('POST', `/booking/${show.id}`, request);
+
+      assert.equal(first.status, 201);
+      assert.equal(retry.status, 201);
+      assert.equal(retry.headers.get('idempotent-replayed'), 'true');
+      assert.equal(retry.body.data.booking_id, first.body.data.booking_id);
+
+      const reused = await api.request('POST', `/booking/${show.id}`, {
+        ...request,
+        body: { seat_ids: [seat], user_email: 'someone@example.com' }
+      });
+      assert.equal(reused.status, 422);
+    });
+
+    test('a hold can be confirmed', async () => {
+      const show = await api.createShow({
+        currency: 'USD',
+        price_tiers: [{ code: 'standard', name: 'Standard', amount_minor: 2500 }],
+        default_price_tier: 'standard'
+      });
+      const [first, second] = await seatIdsOf(api, show.id);
+
+      const hold = await api.request('POST', `/booking/${show.id}/hold`, {
+        body: { seat_ids: [first, second], user_email: 'ada@example.com' }
+      });
+
+      assert.equal(hold.status, 201);
+      assert.equal(hold.body.data.status, 'PENDING');
+      assert.equal(hold.body.data.total_amount_minor, 5000);
+      assert.equal(hold.body.data.currency, 'USD');
+      assert.ok(new Date(hold.body.data.expires_at) > new Date());
+
+      const detail = await api.request('GET', `/shows/${show.id}`);
+      assert.equal(detail.body.data.seats[0].status, 'RESERVED');
+
+      const { booking_id: bookingId, hold_token: holdToken } = hold.body.data;
+      const confirm = await api.request('POST', `/booking/${bookingId}/confirm`, { body: { hold_token: holdToken } });
+
+      assert.equal(confirm.status, 200);
+      assert.equal(confirm.body.data.status, 'CONFIRMED');
+      assert.deepEqual(confirm.body.data.seat_ids, [first, second]);
+
+      const again = await api.request('POST', `/booking/${bookingId}/confirm`, { body: { hold_token: holdToken } });
+      assert.equal(again.status, 409);
+      assert.equal(again.body.code, 'BOOKING_STATE_CONFLICT');
+    });
+
+    test('a released hold gives its seats back and can no longer be confirmed', async () => {
+      const show = await api.createShow();
+      const [seat] = await seatIdsOf(api, show.id);
+
+      const hold = await api.request('POST', `/booking/${show.id}/hold`, { body: { seat_ids: [seat] } });
+      const { booking_id: bookingId, hold_token: holdToken } = hold.body.data;
+
+      const release = await api.request('POST', `/booking/${bookingId}/release`, { body: { hold_token: holdToken } });
+      assert.equal(release.status, 200);
+
+      const confirm = await api.request('POST', `/booking/${bookingId}/confirm`, { body: { hold_token: holdToken } });
+      assert.equal(confirm.status, 410);
+      assert.equal(confirm.body.code, 'HOLD_EXPIRED');
+
+      const rebook = await api.request('POST', `/booking/${show.id}`, { body: { seat_ids: [seat] } });
+      assert.equal(rebook.status, 201);
+    });
+
+    test('confirming an unknown booking is a 404', async () => {
+      const response = await api.request('POST', '/booking/999999/confirm', { key: api.adminKey });
+
+      assert.equal(response.status, 404);
+      assert.equal(response.body.code, 'BOOKING_NOT_FOUND');
+    });
+
+    test('only the hold token or the owner\'s key confirms or releases a hold', async () => {
+      const show = await api.createShow();
+      const [first, second] = await seatIdsOf(api, show.id);
+      const hold = await api.request('POST', `/booking/${show.id}/hold`, {
+        body: { seat_ids: [first], user_email: 'ada@example.com' }
+      });
+      const other = await api.request('POST', `/booking/${show.id}/hold`, { body: { seat_ids: [second] } });
+      const bookingId = hold.body.data.booking_id;
+
+      for (const action of ['confirm', 'release']) {
+        const anonymous = await api.request('POST', `/booking/${bookingId}/${action}`);
+        assert.equal(anonymous.status, 404);
+        assert.equal(anonymous.body.code, 'BOOKING_NOT_FOUND');
+
+        const wrongToken = await api.request('POST', `/booking/${bookingId}/${action}`, {
+          body: { hold_token: other.body.data.hold_token }
+        });
+        assert.equal(wrongToken.status, 404);
+
+        const stranger = await api.createKey('customer', 'grace@example.com');
+        const notTheirs = await api.request('POST', `/booking/${bookingId}/${action}`, { key: stranger });
+        assert.equal(notTheirs.status, 404);
+      }
+
+      const owner = await api.createKey('customer', 'ADA@example.com');
+      const confirm = await api.request('POST', `/booking/${bookingId}/confirm`, { key: owner });
+      assert.equal(confirm.status, 200);
+
+      const release = await api.request('POST', `/booking/${other.body.data.booking_id}/release`, { key: api.adminKey });
+      assert.equal(release.status, 200);
+    });
+
+    test('POST /booking/:id/cancel cancels part of a booking, then the rest', async () => {
+      const show = await api.createShow({
+        currency: 'EUR',
+        price_tiers: [{ code: 'standard', name: 'Standard', amount_minor: 1000 }],
+        default_price_tier: 'standard'
+      });
+      const [first, second, third] = await seatIdsOf(api, show.id);
+      const booking = await api.request('POST', `/booking/${show.id}`, {
+        body: { seat_ids: [first, second, third], user_email: 'ada@example.com' }
+      });
+      const bookingId = booking.body.data.booking_id;
+      const key = await api.createKey('customer', 'Ada@example.com');
+
+      const partial = await api.request('POST', `/booking/${bookingId}/cancel`, { key, body: { seat_ids: [second] } });
+
+      assert.equal(partial.status, 200);
+      assert.equal(partial.body.data.status, 'CONFIRMED');
+      assert.deepEqual(partial.body.data.seat_ids, [first, third]);
+      assert.equal(partial.body.data.total_amount_minor, 2000);
+      assert.equal(partial.body.data.refund_amount_minor, 1000);
+
+      const outsider = await api.request('POST', `/booking/${bookingId}/cancel`, { key, body: { seat_ids: [second] } });
+      assert.equal(outsider.status, 400);
+      assert.deepEqual(outsider.body.invalid_seat_ids, [second]);
+
+      const rest = await api.request('POST', `/booking/${bookingId}/cancel`, { key: api.adminKey, body: {} });
+      assert.equal(rest.status, 200);
+      assert.equal(rest.body.data.status, 'CANCELLED');
+      assert.equal(rest.body.data.refund_amount_minor, 2000);
+
+      const detail = await api.request('GET', `/shows/${show.id}`);
+      assert.ok(detail.body.data.seats.every(seat => seat.status === 'AVAILABLE'));
+    });
+
+    test('a hold must be released rather than cancelled', async () => {
+      const show = await api.createShow();
+      const [seat] = await seatIdsOf(api, show.id);
+      const hold = await api.request('POST', `/booking/${show.id}/hold`, { body: { seat_ids: [seat] } });
+
+      const response = await api.request('POST', `/booking/${hold.body.data.booking_id}/cancel`, { key: api.adminKey, body: {} });
+
+      assert.equal(response.status, 409);
+      assert.equal(response.body.code, 'BOOKING_STATE_CONFLICT');
+    });
+
+    test('bookings can\'t be cancelled after the cutoff', async () => {
+      const show = await api.createShow({ start_time: new Date(Date.now() + 30 * 60 * 1000).toISOString() });
+      const [seat] = await seatIdsOf(api, show.id);
+      const booking = await api.request('POST', `/booking/${show.id}`, { body: { seat_ids: [seat] } });
+
+      const response = await api.request('POST', `/booking/${booking.body.data.booking_id}/cancel`, { key: api.adminKey, body: {} });
+
+      assert.equal(response.status, 409);
+      assert.equal(response.body.code, 'CANCELLATION_CUTOFF_PASSED');
+    });
+
+    test('only the booking\'s customer or an admin can cancel it', async () => {
+      const show = await api.createShow();
+      const [seat] = await seatIdsOf(api, show.id);
+      const booking = await api.request('POST', `/booking/${show.id}`, {
+        body: { seat_ids: [seat], user_email: 'ada@example.com' }
+      });
+      const path = `/booking/${booking.body.data.booking_id}/cancel`;
+
+      const anonymous = await api.request('POST', path, { body: {} });
+      assert.equal(anonymous.status, 401);
+      assert.equal(anonymous.body.code, 'AUTHENTICATION_REQUIRED');
+
+      const otherCustomer = await api.request('POST', path, { key: await api.createKey('customer', 'eve@example.com'), body: {} });
+      assert.equal(otherCustomer.status, 404);
+      assert.equal(otherCustomer.body.code, 'BOOKING_NOT_FOUND');
+
+      const detail = await api.request('GET', `/shows/${show.id}`);
+      assert.equal(detail.body.data.seats[0].status, 'BOOKED');
+
+      const owner = await api.request('POST', path, { key: await api.createKey('customer', 'ada@example.com'), body: {} });
+      assert.equal(owner.status, 200);
+      assert.equal(owner.body.data.status, 'CANCELLED');
+    });
+
+    test('GET /booking/mine and GET /booking/:id only show a customer their own bookings', async () => {
+      const show = await api.createShow();
+      const [first, second] = await seatIdsOf(api, show.id);
+      const mine = await api.request('POST', `/booking/${show.id}`, {
+        body: { seat_ids: [first], user_email: 'Ada@example.com' }
+      });
+      const theirs = await api.request('POST', `/booking/${show.id}`, {
+        body: { seat_ids: [second], user_email: 'grace@example.com' }
+      });
+      const key = await api.createKey('customer', 'ada@example.com');
+
+      const list = await api.request('GET', '/booking/mine', { key });
+      assert.equal(list.status, 200);
+      assert.deepEqual(list.body.data.map(booking => booking.id), [mine.body.data.booking_id]);
+      assert.equal(list.body.data[0].show_name, 'Test show');
+
+      const own = await api.request('GET', `/booking/${mine.body.data.booking_id}`, { key });
+      assert.equal(own.status, 200);
+
+      const other = await api.request('GET', `/booking/${theirs.body.data.booking_id}`, { key });
+      assert.equal(other.status, 404);
+
+      const asAdmin = await api.request('GET', `/booking/${theirs.body.data.booking_id}`, { key: api.adminKey });
+      assert.equal(asAdmin.status, 200);
+    });
+
+    test('GET /booking/show/:showId is for admins only', async () => {
+      const show = await api.createShow();
+      const [seat] = await seatIdsOf(api, show.id);
+      await api.request('POST', `/booking/${show.id}`, { body: { seat_ids: [seat] } });
+      const customer = await api.createKey('customer', 'ada@example.com');
+
+      assert.equal((await api.request('GET', `/booking/show/${show.id}`)).status, 401);
+      assert.equal((await api.request('GET', `/booking/show/${show.id}`, { key: customer })).status, 403);
+      assert.equal((await api.request('GET', `/booking/show/${show.id}`, { key: 'mdx_not-a-real-key' })).status, 401);
+
+      const response = await api.request('GET', `/booking/show/${show.id}`, { key: api.adminKey });
+      assert.equal(response.status, 200);
+      assert.equal(response.body.data.length, 1);
+      assert.deepEqual(response.body.data[0].seat_ids, [seat]);
+    });
+  });
+}
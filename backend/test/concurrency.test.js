@@ -0,0 +1,172 @@
+import './helpers/env.js';
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { adapters } from './helpers/adapters.js';
+import { useApi, seatIdsOf } from './helpers/api.js';
+import { releaseHold } from '../src/services/bookings.js';
+import { offerReleasedSeats } from '../src/services/waitlist.js';
+
+const PARALLEL_REQUESTS = 8;
+
+/**
+ * Check that a show's seats and bookings agree: every seat that isn't
+ * AVAILABLE belongs to exactly one live (PENDING or CONFIRMED) booking, and
+ * no live booking holds an AVAILABLE seat or a seat twice.
+ * Returns the seats for further checks.
+ */
+async function assertConsistent(api, showId) {
+  const [detail, bookings] = await Promise.all([
+    api.request('GET', `/shows/${showId}`),
+    api.request('GET', `/booking/show/${showId}`, { key: api.adminKey })
+  ]);
+
+  const owners = new Map();
+  for (const booking of bookings.body.data) {
+    if (!['PENDING', 'CONFIRMED'].includes(booking.status)) {
+      continue;
+    }
+    for (const seatId of booking.seat_ids) {
+      assert.ok(!owners.has(seatId), `seat ${seatId} is in bookings ${owners.get(seatId)} and ${booking.id}`);
+      owners.set(seatId, booking.id);
+    }
+  }
+
+  const { seats } = detail.body.data;
+  for (const seat of seats) {
+    assert.equal(owners.has(seat.id), seat.status !== 'AVAILABLE',
+      `seat ${seat.id} is ${seat.status} but ${owners.has(seat.id) ? 'is' : 'is not'} in a live booking`);
+  }
+
+  return seats;
+}
+
+const statusesOf = responses => responses.map(response => response.status).sort();
+
+for (const adapter of adapters) {
+  describe(`concurrent bookings (${adapter.name})`, () => {
+    const api = useApi(adapter);
+
+    test('only one of many parallel bookings of the same seats succeeds', async () => {
+      const show = await api.createShow();
+      const [first, second] = await seatIdsOf(api, show.id);
+
+      const responses = await Promise.all(Array.from({ length: PARALLEL_REQUESTS }, (_, index) =>
+        api.request('POST', `/booking/${show.id}`, {
+          body: { seat_ids: index % 2 ? [first, second] : [second, first], user_email: `user${index}@example.com` }
+        })));
+
+      assert.deepEqual(statusesOf(responses), [201, ...Array(PARALLEL_REQUESTS - 1).fill(409)]);
+      assert.ok(responses.filter(response => response.status === 409)
+        .every(response => response.body.code === 'SEAT_UNAVAILABLE'));
+
+      const seats = await assertConsistent(api, show.id);
+      assert.deepEqual(seats.slice(0, 2).map(seat => seat.status), ['BOOKED', 'BOOKED']);
+    });
+
+    test('parallel holds on overlapping seats never share a seat', async () => {
+      const show = await api.createShow({ total_seats: PARALLEL_REQUESTS + 1 });
+      const seats = await seatIdsOf(api, show.id);
+
+      // Request i wants seats i and i+1, so neighbours collide and the
+      // locks are taken in both orders
+      const responses = await Promise.all(seats.slice(0, PARALLEL_REQUESTS).map((seat, index) =>
+        api.request('POST', `/booking/${show.id}/hold`, {
+          body: { seat_ids: index % 2 ? [seats[index + 1], seat] : [seat, seats[index + 1]] }
+        })));
+
+      assert.ok(responses.every(response => [201, 409].includes(response.status)),
+        `unexpected statuses ${statusesOf(responses)}`);
+      assert.ok(responses.some(response => response.status === 201));
+
+      const held = responses.filter(response => response.status === 201)
+        .flatMap(response => response.body.data.seat_ids);
+      assert.equal(new Set(held).size, held.length);
+
+      const after = await assertConsistent(api, show.id);
+      assert.equal(after.filter(seat => seat.status === 'RESERVED').length, held.length);
+    });
+
+    test('parallel best-available requests split the show between them', async () => {
+      const show = await api.createShow({ total_seats: 10 });
+
+      const responses = await Promise.all(Array.from({ length: PARALLEL_REQUESTS }, () =>
+        api.request('POST', `/booking/${show.id}`, { body: { quantity: 2, allow_split: true } })));
+
+      assert.deepEqual(statusesOf(responses), [201, 201, 201, 201, 201, 409, 409, 409]);
+
+      const assigned = responses.filter(response => response.status === 201)
+        .flatMap(response => response.body.data.seat_ids);
+      assert.equal(new Set(assigned).size, 10);
+
+      const seats = await assertConsistent(api, show.id);
+      assert.ok(seats.every(seat => seat.status === 'BOOKED'));
+    });
+
+    test('a hold confirmed and released at the same time ends up one way', async () => {
+      const show = await api.createShow();
+      const [seat] = await seatIdsOf(api, show.id);
+      const hold = await api.request('POST', `/booking/${show.id}/hold`, { body: { seat_ids: [seat] } });
+      const { booking_id: bookingId, hold_token: holdToken } = hold.body.data;
+
+      const [confirm, release] = await Promise.all([
+        api.request('POST', `/booking/${bookingId}/confirm`, { body: { hold_token: holdToken } }),
+        api.request('POST', `/booking/${bookingId}/release`, { body: { hold_token: holdToken } })
+      ]);
+
+      assert.equal([confirm.status, release.status].filter(status => status === 200).length, 1);
+
+      const [after] = await assertConsistent(api, show.id);
+      assert.equal(after.status, confirm.status === 200 ? 'BOOKED' : 'AVAILABLE');
+    });
+
+    test('cancelling a show while it is being booked leaves nothing held', async () => {
+      const show = await api.createShow({ total_seats: PARALLEL_REQUESTS });
+      const seats = await seatIdsOf(api, show.id);
+
+      const [cancel, ...holds] = await Promise.all([
+        api.request('POST', `/admin/shows/${show.id}/cancel`, { key: api.adminKey, body: { reason: 'Flooded' } }),
+        ...seats.map(seat => api.request('POST', `/booking/${show.id}/hold`, { body: { seat_ids: [seat] } }))
+      ]);
+
+      assert.equal(cancel.status, 200);
+      assert.ok(holds.every(response => [201, 409].includes(response.status)));
+      assert.equal(cancel.body.data.cancelled_holds, holds.filter(response => response.status === 201).length);
+
+      const after = await assertConsistent(api, show.id);
+      assert.ok(after.every(seat => seat.status === 'AVAILABLE'));
+    });
+
+    test('a waitlist join waits for a release in progress', async () => {
+      const show = await api.createShow({ total_seats: 1 });
+      const [seat] = await seatIdsOf(api, show.id);
+      const hold = await api.request('POST', `/booking/${show.id}/hold`, { body: { seat_ids: [seat] } });
+
+      let released;
+      const seatReleased = new Promise(resolve => { released = resolve; });
+      let commit;
+      const committing = new Promise(resolve => { commit = resolve; });
+
+      const releasing = api.store.transaction(async (tx) => {
+        const booking = await tx.bookings.lock(hold.body.data.booking_id);
+        await releaseHold(tx, booking);
+        await offerReleasedSeats(tx, show.id);
+        released();
+        await committing;
+      });
+
+      await seatReleased;
+      const joining = api.request('POST', `/shows/${show.id}/waitlist`, {
+        body: { email: 'late@example.com', quantity: 1 }
+      });
+      // Give the join time to count the seat as taken if it doesn't wait
+      await new Promise(resolve => setTimeout(resolve, 100));
+      commit();
+      await releasing;
+
+      const joined = await joining;
+      assert.equal(joined.status, 409);
+      assert.equal(joined.body.code, 'WAITLIST_NOT_NEEDED');
+      assert.equal(joined.body.available_seats, 1);
+    });
+  });
+}
@@ -0,0 +1,104 @@
+import './helpers/env.js';
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { adapters } from './helpers/adapters.js';
+import { useApi, seatIdsOf } from './helpers/api.js';
+import { setStore } from '../src/repositories/index.js';
+import { runWithContext } from '../src/utils/requestContext.js';
+
+for (const adapter of adapters) {
+  describe(`health routes (${adapter.name})`, () => {
+    const api = useApi(adapter);
+
+    test('GET /health and GET /ready pass with the schema up to date', async () => {
+      const health = await api.request('GET', '/health');
+      assert.equal(health.status, 200);
+      assert.equal(health.body.status, 'healthy');
+      assert.equal(health.body.database.status, 'up');
+
+      const ready = await api.request('GET', '/ready');
+      assert.equal(ready.status, 200);
+      assert.equal(ready.body.status, 'ready');
+      assert.equal(ready.body.checks.migrations.status, 'current');
+    });
+
+    test('GET /health and GET /ready fail while the database is unreachable', async () => {
+      const store = api.store;
+      setStore({
+        ...store,
+        ping: async () => {
+          throw Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+        }
+      });
+
+      try {
+        const health = await api.request('GET', '/health');
+        assert.equal(health.status, 503);
+        assert.equal(health.body.database.status, 'down');
+
+        const ready = await api.request('GET', '/ready');
+        assert.equal(ready.status, 503);
+        assert.equal(ready.body.status, 'not_ready');
+      } finally {
+        setStore(store);
+      }
+    });
+
+    test('unknown routes and malformed bodies get catalogued errors', async () => {
+      const missing = await api.request('GET', '/nowhere');
+      assert.equal(missing.status, 404);
+      assert.equal(missing.body.code, 'ROUTE_NOT_FOUND');
+      assert.ok(missing.headers.get('x-request-id'));
+
+      const malformed = await api.request('POST', '/booking/1', {
+        body: '{"seat_ids": [1,',
+        headers: { 'Content-Type': 'application/json' }
+      });
+      assert.equal(malformed.status, 400);
+      assert.equal(malformed.body.code, 'INVALID_JSON');
+    });
+
+    test('GET /metrics labels errors with the full route and counts only seat conflicts', async () => {
+      // The value of one series, 0 if it hasn't been recorded yet
+      async function metric(series) {
+        const response = await api.request('GET', '/metrics');
+        const line = response.body.split('\n').find(text => text.startsWith(`${series} `));
+        return line ? Number(line.slice(series.length + 1)) : 0;
+      }
+      const notFound = 'http_request_duration_seconds_count{method="GET",route="/shows/:id",status="404"}';
+      const invalid = 'http_request_duration_seconds_count{method="POST",route="/booking/:showId",status="400"}';
+      const conflicts = 'seat_conflicts_total{route="/booking/:showId"}';
+      const before = await Promise.all([notFound, invalid, conflicts].map(metric));
+
+      const show = await api.createShow({ total_seats: 1 });
+      const [seat] = await seatIdsOf(api, show.id);
+      assert.equal((await api.request('GET', '/shows/999999')).status, 404);
+      assert.equal((await api.request('POST', '/booking/abc', { body: { seat_ids: [seat] } })).status, 400);
+      await api.request('POST', `/booking/${show.id}`, { body: { seat_ids: [seat] } });
+      assert.equal((await api.request('POST', `/booking/${show.id}`, { body: { seat_ids: [seat] } })).status, 409);
+      // A 409 that isn't about seats (SHOW_CANCELLED)
+      await api.request('POST', `/admin/shows/${show.id}/cancel`, { key: api.adminKey, body: { reason: 'Rain' } });
+      assert.equal((await api.request('POST', `/booking/${show.id}`, { body: { seat_ids: [seat] } })).status, 409);
+
+      const after = await Promise.all([notFound, invalid, conflicts].map(metric));
+      assert.deepEqual(after.map((value, index) => value - before[index]), [1, 1, 1]);
+    });
+
+    if (adapter.name === 'postgres') {
+      test('queries inside a transaction are logged with the request ID', async () => {
+        const logged = [];
+        const consoleError = console.error;
+        console.error = line => logged.push(line);
+
+        try {
+          await assert.rejects(runWithContext({ requestId: 'tx-log-test', actor: { type: 'system', id: null } }, () =>
+            api.store.transaction(tx => tx.bookings.create({ showId: 999999, userEmail: null, ttlSeconds: 60 }))));
+        } finally {
+          console.error = consoleError;
+        }
+
+        assert.ok(logged.some(line => line.includes('INSERT INTO bookings') && line.includes('tx-log-test')));
+      });
+    }
+  });
+}
@@ -0,0 +1,56 @@
+import { createMemoryStore, createPostgresStore } from '../../src/repositories/index.js';
+
+/**
+ * The store adapters every route test runs against. Each has
+ * open() -> store, reset(store) -> store (an empty store for the next
+ * test) and close(store).
+ */
+
+const memory = {
+  name: 'memory',
+  async open() {
+    return createMemoryStore();
+  },
+  async reset() {
+    return createMemoryStore();
+  },
+  async close() {}
+};
+
+const postgres = {
+  name: 'postgres',
+
+  async open() {
+    // Loaded here so the pool is only created when the adapter is used
+    const { getClient } = await import('../../src/db.js');
+    const { migrateUp } = await import('../../src/migrations/runner.js');
+
+    const client = await getClient();
+    try {
+      await migrateUp(client);
+    } finally {
+      client.release();
+    }
+
+    return createPostgresStore();
+  },
+
+  // Empty every table but the migration history, and restart the IDs so
+  // both adapters hand out the same ones
+  async reset(store) {
+    const { query } = await import('../../src/db.js');
+    const result = await query(
+      `SELECT tablename FROM pg_tables
+       WHERE schemaname = 'public' AND tablename <> 'schema_migrations'`
+    );
+    const tables = result.rows.map(row => `"${row.tablename}"`).join(', ');
+    await query(`TRUNCATE ${tables} RESTART IDENTITY CASCADE`);
+    return store;
+  },
+
+  async close(store) {
+    await store.close();
+  }
+};
+
+export const adapters = process.env.TEST_DATABASE_URL ? [memory, postgres] : [memory];
@@ -0,0 +1,110 @@
+import { before, beforeEach, after } from 'node:test';
+import { createApp } from '../../src/app.js';
+import { getStore, setStore } from '../../src/repositories/index.js';
+import { generateApiKey, hashApiKey, keyPrefix } from '../../src/utils/apiKeys.js';
+
+/**
+ * Run the app against `adapter` for the tests of the enclosing describe():
+ * the server starts once on a spare port, and every test gets an empty
+ * store and a fresh admin key.
+ *
+ * Returns a client for the tests:
+ *
+ * - request(method, path, { body, key, headers }) -> { status, headers, body }
+ *   (body is parsed JSON unless the response isn't JSON)
+ * - adminKey: an admin API key for the current test
+ * - createKey(role, email) -> a new API key
+ * - createShow(fields) -> the created show (POST /admin/shows)
+ * - store: the store the app is using
+ * - url(path): the full URL, for requests made without request()
+ */
+export function useApi(adapter) {
+  let server;
+  let baseUrl;
+
+  const api = {
+    adminKey: null,
+
+    get store() {
+      return getStore();
+    },
+
+    async request(method, path, { body, key, headers = {} } = {}) {
+      const response = await fetch(api.url(path), {
+        method,
+        headers: {
+          ...(body !== undefined && { 'Content-Type': 'application/json' }),
+          ...(key && { 'X-API-Key': key }),
+          ...headers
+        },
+        body: body === undefined || typeof body === 'string' ? body : JSON.stringify(body)
+      });
+
+      const text = await response.text();
+      const json = response.headers.get('content-type')?.includes('application/json');
+
+      return {
+        status: response.status,
+        headers: response.headers,
+        body: json ? JSON.parse(text) : text
+      };
+    },
+
+    async createKey(role, email = null) {
+      const key = generateApiKey();
+      await getStore().apiKeys.create({ keyHash: hashApiKey(key), keyPrefix: keyPrefix(key), role, email });
+      return key;
+    },
+
+    async createShow(fields = {}) {
+      const response = await api.request('POST', '/admin/shows', {
+        key: api.adminKey,
+        body: {
+          name: 'Test show',
+          start_time: new Date(Date.now() + 7 * 24 * 3600 * 1000).toISOString(),
+          total_seats: 10,
+          ...fields
+        }
+      });
+
+      if (response.status !== 201) {
+        throw new Error(`Creating a show failed: ${response.status} ${JSON.stringify(response.body)}`);
+      }
+      return response.body.data;
+    },
+
+    url(path) {
+      return `${baseUrl}${path}`;
+    }
+  };
+
+  before(async () => {
+    setStore(await adapter.open());
+
+    server = createApp().listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  beforeEach(async () => {
+    setStore(await adapter.reset(getStore()));
+    api.adminKey = await api.createKey('admin');
+  });
+
+  // Closing the store ends any seat event subscription on it too
+  after(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    await adapter.close(getStore());
+  });
+
+  return api;
+}
+
+/**
+ * The seat IDs of a show, in seat number order.
+ */
+export async function seatIdsOf(api, showId) {
+  const response = await api.request('GET', `/shows/${showId}`);
+  return response.body.data.seats.map(seat => seat.id);
+}
@@ -0,0 +1,12 @@
+/**
+ * Imported first by every test file, before any module reads its settings.
+ *
+ * The Postgres adapter only runs when TEST_DATABASE_URL points at a
+ * database the suite may wipe; DATABASE_URL (and .env) is never used, so
+ * a development database can't be truncated by accident.
+ */
+process.env.LOG_LEVEL = process.env.TEST_LOG_LEVEL || 'error';
+process.env.JOBS_ENABLED = 'false';
+process.env.METRICS_ENABLED = 'true';
+process.env.METRICS_TOKEN = '';
+process.env.DATABASE_URL = process.env.TEST_DATABASE_URL || '';
@@ -0,0 +1,131 @@
+import './helpers/env.js';
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { adapters } from './helpers/adapters.js';
+import { useApi, seatIdsOf } from './helpers/api.js';
+import expirePendingBookings from '../src/jobs/expireBookings.js';
+import { holdSeats } from '../src/services/bookings.js';
+import { registerJob, startScheduler, stopScheduler } from '../src/jobs/scheduler.js';
+
+for (const adapter of adapters) {
+  describe(`background jobs (${adapter.name})`, () => {
+    const api = useApi(adapter);
+
+    // A hold whose expires_at is already a minute gone
+    async function lapsedHold(showId, seatIds, email = null) {
+      const { result } = await api.store.transaction(tx =>
+        holdSeats(tx, showId, seatIds, email, { ttlSeconds: -60 }));
+      return result.booking;
+    }
+
+    test('expirePendingBookings releases lapsed holds only', async () => {
+      const show = await api.createShow();
+      const [first, second, third] = await seatIdsOf(api, show.id);
+      const lapsed = await lapsedHold(show.id, [first, second]);
+      const live = await api.request('POST', `/booking/${show.id}/hold`, { body: { seat_ids: [third] } });
+
+      const result = await expirePendingBookings();
+
+      assert.deepEqual(result, { expired_bookings: 1, released_seats: 2, waitlist_offers: 0 });
+
+      const detail = await api.request('GET', `/shows/${show.id}`);
+      assert.deepEqual(detail.body.data.seats.slice(0, 3).map(seat => seat.status), ['AVAILABLE', 'AVAILABLE', 'RESERVED']);
+
+      const expired = await api.request('GET', `/booking/${lapsed.id}`, { key: api.adminKey });
+      assert.equal(expired.body.data.status, 'FAILED');
+
+      const history = await api.request('GET', `/admin/shows/${show.id}/seats/${first}/history`, { key: api.adminKey });
+      assert.deepEqual(history.body.data.events.map(event => event.action), ['hold', 'expire']);
+
+      const confirm = await api.request('POST', `/booking/${live.body.data.booking_id}/confirm`, {
+        body: { hold_token: live.body.data.hold_token }
+      });
+      assert.equal(confirm.status, 200);
+
+      assert.deepEqual(await expirePendingBookings(), { expired_bookings: 0, released_seats: 0, waitlist_offers: 0 });
+    });
+
+    test('confirming a lapsed hold is refused and frees its seats at once', async () => {
+      const show = await api.createShow();
+      const [seat] = await seatIdsOf(api, show.id);
+      const lapsed = await lapsedHold(show.id, [seat]);
+
+      const response = await api.request('POST', `/booking/${lapsed.id}/confirm`, { key: api.adminKey });
+
+      assert.equal(response.status, 410);
+      assert.equal(response.body.code, 'HOLD_EXPIRED');
+
+      const detail = await api.request('GET', `/shows/${show.id}`);
+      assert.equal(detail.body.data.seats[0].status, 'AVAILABLE');
+    });
+
+    test('seats from an expired hold are offered to the waitlist', async () => {
+      const show = await api.createShow({ total_seats: 2 });
+      const seats = await seatIdsOf(api, show.id);
+      await lapsedHold(show.id, seats);
+
+      const joined = await api.request('POST', `/shows/${show.id}/waitlist`, {
+        body: { email: 'wait@example.com', quantity: 2 }
+      });
+      assert.equal(joined.status, 201);
+
+      const result = await expirePendingBookings();
+      assert.equal(result.waitlist_offers, 1);
+
+      const entry = await api.request('GET', `/shows/${show.id}/waitlist/${joined.body.data.entry_id}`);
+      assert.equal(entry.body.data.status, 'OFFERED');
+      assert.deepEqual(entry.body.data.offer.seat_ids, seats);
+    });
+
+    test('only one runner at a time gets a job lock', async () => {
+      const release = await api.store.tryJobLock('expire-bookings');
+      assert.ok(release);
+
+      try {
+        assert.equal(await api.store.tryJobLock('expire-bookings'), null);
+        const other = await api.store.tryJobLock('cleanup-idempotency-keys');
+        assert.ok(other);
+        await other();
+      } finally {
+        await release();
+      }
+
+      const again = await api.store.tryJobLock('expire-bookings');
+      assert.ok(again);
+      await again();
+    });
+
+    test('stopScheduler() waits for the runs in progress', async () => {
+      let started;
+      const running = new Promise(resolve => { started = resolve; });
+      let finish;
+      const finished = new Promise(resolve => { finish = resolve; });
+      let done = false;
+
+      registerJob({
+        name: `slow-job-${adapter.name}`,
+        intervalMs: 60000,
+        run: async () => {
+          started();
+          await finished;
+          done = true;
+        }
+      });
+      startScheduler();
+      await running;
+
+      let stopped = false;
+      const stopping = stopScheduler().then(() => { stopped = true; });
+      await new Promise(resolve => setTimeout(resolve, 20));
+      assert.equal(stopped, false);
+
+      finish();
+      await stopping;
+      assert.equal(done, true);
+      // Its lock was given back on the way out
+      const release = await api.store.tryJobLock(`slow-job-${adapter.name}`);
+      assert.ok(release);
+      await release();
+    });
+  });
+}
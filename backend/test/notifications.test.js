@@ -0,0 +1,403 @@
+import './helpers/env.js';
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'net';
+import { adapters } from './helpers/adapters.js';
+import { useApi, seatIdsOf } from './helpers/api.js';
+import dispatchNotifications, { NOTIFICATION_MAX_ATTEMPTS } from '../src/jobs/dispatchNotifications.js';
+import expirePendingBookings from '../src/jobs/expireBookings.js';
+import { holdSeats } from '../src/services/bookings.js';
+import { createTestTransport, setTransport } from '../src/notifications/transports.js';
+import { createSmtpTransport } from '../src/notifications/smtp.js';
+import { renderEmail } from '../src/notifications/templates.js';
+
+const EMAIL = 'fan@example.com';
+
+for (const adapter of adapters) {
+  describe(`notifications (${adapter.name})`, () => {
+    const api = useApi(adapter);
+
+    function useTestTransport() {
+      const transport = createTestTransport();
+      setTransport(transport);
+      return transport;
+    }
+
+    async function outbox(query = '') {
+      const response = await api.request('GET', `/admin/notifications${query}`, { key: api.adminKey });
+      assert.equal(response.status, 200);
+      return response.body.data;
+    }
+
+    async function book(showId, seatIds, userEmail = EMAIL) {
+      const response = await api.request('POST', `/booking/${showId}`, {
+        body: { seat_ids: seatIds, ...(userEmail && { user_email: userEmail }) }
+      });
+      assert.equal(response.status, 201);
+      return response.body.data.booking_id;
+    }
+
+    test('a confirmed booking queues a confirmation that the dispatcher sends once', async () => {
+      const transport = useTestTransport();
+      const show = await api.createShow({
+        name: 'Hamlet',
+        currency: 'EUR',
+        price_tiers: [{ code: 'standard', name: 'Standard', amount_minor: 1250 }],
+        default_price_tier: 'standard'
+      });
+      const [first, second] = await seatIdsOf(api, show.id);
+      const bookingId = await book(show.id, [first, second]);
+
+      const [queued] = await outbox(`?booking_id=${bookingId}`);
+      assert.equal(queued.template, 'booking_confirmed');
+      assert.equal(queued.recipient, EMAIL);
+      assert.equal(queued.status, 'PENDING');
+
+      assert.deepEqual(await dispatchNotifications(), { sent: 1, retried: 0, dead: 0 });
+
+      const [email] = transport.sent;
+      assert.equal(email.to, EMAIL);
+      assert.equal(email.subject, 'Booking confirmed: Hamlet');
+      assert.match(email.text, /Seat 1\n {2}- Seat 2/);
+      assert.match(email.text, /Total: €25\.00/);
+      assert.match(email.text, new RegExp(`Booking reference: #${bookingId}`));
+      assert.equal(email.messageId, `<notification-${queued.id}@modex.local>`);
+
+      const [sent] = await outbox();
+      assert.equal(sent.status, 'SENT');
+      assert.equal(sent.attempts, 1);
+      assert.ok(sent.sent_at);
+
+      assert.deepEqual(await dispatchNotifications(), { sent: 0, retried: 0, dead: 0 });
+      assert.equal(transport.sent.length, 1);
+    });
+
+    test('nothing is queued without an email address or when the booking is refused', async () => {
+      const show = await api.createShow();
+      const [seat] = await seatIdsOf(api, show.id);
+      await book(show.id, [seat], null);
+
+      const refused = await api.request('POST', `/booking/${show.id}`, {
+        body: { seat_ids: [seat], user_email: EMAIL }
+      });
+      assert.equal(refused.status, 409);
+
+      assert.deepEqual(await outbox(), []);
+    });
+
+    test('cancellations queue an email with the refund', async () => {
+      const transport = useTestTransport();
+      const show = await api.createShow({
+        currency: 'EUR',
+        price_tiers: [{ code: 'standard', name: 'Standard', amount_minor: 1000 }],
+        default_price_tier: 'standard'
+      });
+      const [first, second, third] = await seatIdsOf(api, show.id);
+      const bookingId = await book(show.id, [first, second]);
+      const otherId = await book(show.id, [third], 'other@example.com');
+
+      const partial = await api.request('POST', `/booking/${bookingId}/cancel`, {
+        key: await api.createKey('customer', EMAIL),
+        body: { seat_ids: [second] }
+      });
+      assert.equal(partial.status, 200);
+
+      const cancelled = await api.request('POST', `/admin/shows/${show.id}/cancel`, {
+        key: api.adminKey,
+        body: { reason: 'Lead actor is ill' }
+      });
+      assert.equal(cancelled.status, 200);
+
+      const templates = (await outbox('?status=PENDING')).map(message => [message.booking_id, message.template]);
+      assert.deepEqual(templates.sort(), [
+        [bookingId, 'booking_cancelled'],
+        [bookingId, 'booking_cancelled'],
+        [bookingId, 'booking_confirmed'],
+        [otherId, 'booking_cancelled'],
+        [otherId, 'booking_confirmed']
+      ].sort());
+
+      await dispatchNotifications();
+      const cancellations = transport.sent.filter(email => email.to === EMAIL && email.subject.includes('cancelled'));
+      assert.equal(cancellations.length, 2);
+
+      const [partEmail, showEmail] = cancellations;
+      assert.match(partEmail.text, /Part of your booking has been cancelled/);
+      assert.match(partEmail.text, /Cancelled seats \(1\):\n {2}- Seat 2/);
+      assert.match(partEmail.text, /Your other 1 seat\(s\) are still booked/);
+      assert.match(partEmail.text, /Refund: €10\.00/);
+
+      assert.equal(showEmail.subject, 'Show cancelled: Test show');
+      assert.match(showEmail.text, /Reason: Lead actor is ill/);
+      assert.match(showEmail.text, /Refund: €10\.00/);
+    });
+
+    test('an expired hold queues a hold_expired email', async () => {
+      const show = await api.createShow();
+      const [seat] = await seatIdsOf(api, show.id);
+      const { result } = await api.store.transaction(tx =>
+        holdSeats(tx, show.id, [seat], EMAIL, { ttlSeconds: -60 }));
+
+      await expirePendingBookings();
+
+      const [queued] = await outbox(`?booking_id=${result.booking.id}`);
+      assert.equal(queued.template, 'hold_expired');
+      assert.equal(queued.recipient, EMAIL);
+    });
+
+    test('failed sends back off, then go DEAD and can be retried by an admin', async () => {
+      const transport = useTestTransport();
+      const show = await api.createShow();
+      const [seat] = await seatIdsOf(api, show.id);
+      await book(show.id, [seat]);
+      const [{ id }] = await outbox();
+
+      transport.failNext(1);
+      assert.deepEqual(await dispatchNotifications(), { sent: 0, retried: 1, dead: 0 });
+
+      const [retrying] = await outbox();
+      assert.equal(retrying.status, 'PENDING');
+      assert.equal(retrying.attempts, 1);
+      assert.equal(retrying.last_error, 'Test transport failure');
+      assert.ok(new Date(retrying.next_attempt_at) - new Date(retrying.created_at) >= 25 * 1000);
+
+      // Not due yet
+      assert.deepEqual(await dispatchNotifications(), { sent: 0, retried: 0, dead: 0 });
+
+      // Earlier attempts, all failed, with no wait before the next one
+      await api.store.notifications.markFailed(id, 'Test transport failure', 0);
+      for (let attempt = 2; attempt < NOTIFICATION_MAX_ATTEMPTS; attempt++) {
+        await api.store.notifications.claimDue(10, 300);
+        await api.store.notifications.markFailed(id, 'Test transport failure', 0);
+      }
+
+      transport.failNext(1);
+      assert.deepEqual(await dispatchNotifications(), { sent: 0, retried: 0, dead: 1 });
+
+      const [dead] = await outbox('?status=DEAD');
+      assert.equal(dead.id, id);
+      assert.equal(dead.attempts, NOTIFICATION_MAX_ATTEMPTS);
+
+      const retried = await api.request('POST', `/admin/notifications/${id}/retry`, { key: api.adminKey });
+      assert.equal(retried.status, 200);
+      assert.equal(retried.body.data.status, 'PENDING');
+      assert.equal(retried.body.data.attempts, 0);
+
+      assert.deepEqual(await dispatchNotifications(), { sent: 1, retried: 0, dead: 0 });
+      assert.equal(transport.sent.length, 1);
+
+      const again = await api.request('POST', `/admin/notifications/${id}/retry`, { key: api.adminKey });
+      assert.equal(again.status, 409);
+      assert.equal(again.body.code, 'NOTIFICATION_STATE_CONFLICT');
+
+      const missing = await api.request('POST', '/admin/notifications/9999/retry', { key: api.adminKey });
+      assert.equal(missing.status, 404);
+      assert.equal(missing.body.code, 'NOTIFICATION_NOT_FOUND');
+    });
+
+    test('a permanent failure goes DEAD at once', async () => {
+      const transport = useTestTransport();
+      const show = await api.createShow();
+      const [seat] = await seatIdsOf(api, show.id);
+      await book(show.id, [seat]);
+
+      transport.failNext(1, { permanent: true });
+      assert.deepEqual(await dispatchNotifications(), { sent: 0, retried: 0, dead: 1 });
+
+      const [dead] = await outbox();
+      assert.equal(dead.status, 'DEAD');
+      assert.equal(dead.attempts, 1);
+    });
+
+    test('GET /admin/notifications is for admins and checks its filters', async () => {
+      const anonymous = await api.request('GET', '/admin/notifications');
+      assert.equal(anonymous.status, 401);
+
+      const invalid = await api.request('GET', '/admin/notifications?status=LOST', { key: api.adminKey });
+      assert.equal(invalid.status, 400);
+      assert.equal(invalid.body.details[0].field, 'status');
+    });
+
+    if (adapter.name === 'postgres') {
+      test('a deleted booking leaves its emails behind, unlinked', async () => {
+        const { query } = await import('../src/db.js');
+        const show = await api.createShow();
+        const [seat] = await seatIdsOf(api, show.id);
+        await book(show.id, [seat]);
+
+        // Bookings go with their show
+        await query('DELETE FROM shows WHERE id = $1', [show.id]);
+
+        const [message] = await outbox();
+        assert.equal(message.template, 'booking_confirmed');
+        assert.equal(message.booking_id, null);
+      });
+    }
+  });
+}
+
+/**
+ * Just enough of an SMTP server to receive mail: it records every command
+ * and message, refuses recipients containing "reject" with 550 and only
+ * offers AUTH PLAIN. With `startTls` it also advertises STARTTLS, but
+ * can't actually start it.
+ */
+function createFakeSmtpServer({ startTls = false } = {}) {
+  const received = [];
+  const commands = [];
+
+  const server = net.createServer((socket) => {
+    let buffer = '';
+    let data = null;
+    const reply = line => socket.write(`${line}\r\n`);
+
+    reply('220 fake.test ESMTP');
+
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString('utf8');
+      let end;
+      while ((end = buffer.indexOf('\r\n')) >= 0) {
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+
+        if (data !== null) {
+          if (line === '.') {
+            received.push(data.join('\r\n'));
+            data = null;
+            reply('250 2.0.0 queued');
+          } else {
+            data.push(line);
+          }
+          continue;
+        }
+
+        commands.push(line);
+        const verb = line.split(' ')[0].toUpperCase();
+
+        if (verb === 'EHLO') {
+          socket.write(`250-fake.test\r\n250-8BITMIME\r\n${startTls ? '250-STARTTLS\r\n' : ''}250 AUTH PLAIN\r\n`);
+        } else if (verb === 'STARTTLS') {
+          reply('454 4.7.0 TLS not available');
+        } else if (verb === 'AUTH') {
+          reply('235 2.7.0 accepted');
+        } else if (verb === 'MAIL') {
+          reply('250 2.1.0 ok');
+        } else if (verb === 'RCPT') {
+          reply(line.includes('reject') ? '550 5.1.1 no such user' : '250 2.1.5 ok');
+        } else if (verb === 'DATA') {
+          data = [];
+          reply('354 go ahead');
+        } else if (verb === 'QUIT') {
+          reply('221 bye');
+          socket.end();
+        } else {
+          reply('502 not implemented');
+        }
+      }
+    });
+    socket.on('error', () => {});
+  });
+
+  return {
+    received,
+    commands,
+    listen: () => new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port))),
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+describe('SMTP transport', () => {
+  const smtp = createFakeSmtpServer();
+  let port;
+
+  before(async () => {
+    port = await smtp.listen();
+  });
+
+  after(() => smtp.close());
+
+  const message = (fields = {}) => renderEmail({
+    id: 7,
+    template: 'booking_confirmed',
+    recipient: 'fan@example.com',
+    payload: {
+      booking_id: 3,
+      show_name: 'Café Müller',
+      show_start_time: '2030-05-01T19:30:00.000Z',
+      seats: ['Stalls, row A, seat 1'],
+      total_amount_minor: 2500,
+      currency: 'USD'
+    },
+    ...fields
+  }, { from: 'Modex Tickets <tickets@modex.test>' });
+
+  test('delivers a message, authenticating and encoding it', async () => {
+    const transport = createSmtpTransport({ host: '127.0.0.1', port, user: 'modex', password: 'secret' });
+
+    await transport.send(message());
+
+    assert.deepEqual(smtp.commands.map(command => command.split(' ')[0]), ['EHLO', 'AUTH', 'MAIL', 'RCPT', 'DATA', 'QUIT']);
+    assert.equal(smtp.commands[1], `AUTH PLAIN ${Buffer.from('\0modex\0secret').toString('base64')}`);
+    assert.equal(smtp.commands[2], 'MAIL FROM:<tickets@modex.test>');
+    assert.equal(smtp.commands[3], 'RCPT TO:<fan@example.com>');
+
+    const [raw] = smtp.received;
+    const [headers, body] = raw.split('\r\n\r\n');
+    assert.match(headers, /^Message-ID: <notification-7@modex\.test>$/m);
+    assert.match(headers, new RegExp(`^Subject: =\\?UTF-8\\?B\\?${Buffer.from('Booking confirmed: Café Müller').toString('base64').replace(/[+/]/g, '\\$&')}\\?=$`, 'm'));
+    assert.match(headers, /^Content-Transfer-Encoding: base64$/m);
+
+    const text = Buffer.from(body.replace(/\r\n/g, ''), 'base64').toString('utf8');
+    assert.match(text, /Show: Café Müller/);
+    assert.match(text, /Total: \$25\.00/);
+    assert.match(text, /When: Wednesday, 1 May 2030 at 19:30 UTC/);
+  });
+
+  test('dot-stuffs lines starting with a dot', async () => {
+    smtp.received.length = 0;
+    const transport = createSmtpTransport({ host: '127.0.0.1', port });
+
+    await transport.send({ ...message(), subject: 'Plain', text: 'Line one\n.\n.hidden' });
+
+    const body = smtp.received[0].split('\r\n\r\n')[1];
+    assert.equal(body, 'Line one\r\n..\r\n..hidden');
+  });
+
+  test('a refused recipient is a permanent failure', async () => {
+    const transport = createSmtpTransport({ host: '127.0.0.1', port });
+
+    await assert.rejects(
+      transport.send(message({ recipient: 'reject@example.com' })),
+      error => error.permanent === true && error.smtp_code === 550
+    );
+  });
+
+  test('an unreachable server is a temporary failure', async () => {
+    const closed = net.createServer();
+    const closedPort = await new Promise(resolve => closed.listen(0, '127.0.0.1', () => resolve(closed.address().port)));
+    await new Promise(resolve => closed.close(resolve));
+
+    const transport = createSmtpTransport({ host: '127.0.0.1', port: closedPort, timeoutMs: 2000 });
+
+    await assert.rejects(transport.send(message()), error => error.permanent === false);
+  });
+
+  test('STARTTLS is required when offered unless turned off', async () => {
+    const tlsSmtp = createFakeSmtpServer({ startTls: true });
+    const tlsPort = await tlsSmtp.listen();
+
+    try {
+      const strict = createSmtpTransport({ host: '127.0.0.1', port: tlsPort });
+      await assert.rejects(strict.send(message()), error => error.smtp_code === 454 && error.permanent === false);
+      assert.deepEqual(tlsSmtp.received, []);
+
+      tlsSmtp.commands.length = 0;
+      const plain = createSmtpTransport({ host: '127.0.0.1', port: tlsPort, starttls: false });
+      await plain.send(message());
+      assert.deepEqual(tlsSmtp.commands.map(command => command.split(' ')[0]), ['EHLO', 'MAIL', 'RCPT', 'DATA', 'QUIT']);
+      assert.equal(tlsSmtp.received.length, 1);
+    } finally {
+      await tlsSmtp.close();
+    }
+  });
+});
@@ -0,0 +1,145 @@
+import './helpers/env.js';
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { adapters } from './helpers/adapters.js';
+import { useApi, seatIdsOf } from './helpers/api.js';
+
+const HOUR_MS = 3600 * 1000;
+
+for (const adapter of adapters) {
+  describe(`report routes (${adapter.name})`, () => {
+    const api = useApi(adapter);
+
+    /**
+     * A priced show with two confirmed bookings (one of them cancelled
+     * later), a released hold and a hold still pending.
+     */
+    async function bookSomeSeats() {
+      const show = await api.createShow({
+        total_seats: 8,
+        currency: 'USD',
+        price_tiers: [{ code: 'standard', name: 'Standard', amount_minor: 1500 }],
+        default_price_tier: 'standard'
+      });
+      const seats = await seatIdsOf(api, show.id);
+
+      await api.request('POST', `/booking/${show.id}`, { body: { seat_ids: [seats[0], seats[1], seats[2]] } });
+      const cancelled = await api.request('POST', `/booking/${show.id}`, { body: { seat_ids: [seats[3]] } });
+      await api.request('POST', `/booking/${cancelled.body.data.booking_id}/cancel`, { key: api.adminKey, body: {} });
+      const released = await api.request('POST', `/booking/${show.id}/hold`, { body: { seat_ids: [seats[4]] } });
+      await api.request('POST', `/booking/${released.body.data.booking_id}/release`, {
+        body: { hold_token: released.body.data.hold_token }
+      });
+      await api.request('POST', `/booking/${show.id}/hold`, { body: { seat_ids: [seats[5]] } });
+
+      return show;
+    }
+
+    test('GET /admin/reports/summary counts the booking funnel', async () => {
+      const show = await bookSomeSeats();
+      await api.createShow();
+
+      const response = await api.request('GET', `/admin/reports/summary?show_id=${show.id}`, { key: api.adminKey });
+
+      assert.equal(response.status, 200);
+      const summary = response.body.data;
+      assert.equal(summary.show_id, show.id);
+      assert.equal(summary.holds_started, 4);
+      assert.equal(summary.bookings_confirmed, 1);
+      assert.equal(summary.holds_failed, 1);
+      assert.equal(summary.holds_pending, 1);
+      assert.equal(summary.bookings_cancelled, 1);
+      assert.equal(summary.failed_to_confirmed_ratio, 1);
+      assert.deepEqual(summary.revenue_minor_by_currency, { USD: 4500 });
+    });
+
+    test('GET /admin/reports/bookings-over-time buckets the bookings', async () => {
+      await bookSomeSeats();
+      // Whole hours, with room on both sides of now
+      const from = new Date((Math.floor(Date.now() / HOUR_MS) - 2) * HOUR_MS);
+      const to = new Date(from.getTime() + 4 * HOUR_MS);
+
+      const response = await api.request(
+        'GET',
+        `/admin/reports/bookings-over-time?bucket=hour&from=${from.toISOString()}&to=${to.toISOString()}`,
+        { key: api.adminKey }
+      );
+
+      assert.equal(response.status, 200);
+      const { buckets } = response.body.data;
+      assert.deepEqual(
+        buckets.map(bucket => new Date(bucket.bucket_start).getTime()),
+        [0, 1, 2, 3].map(hours => from.getTime() + hours * HOUR_MS)
+      );
+
+      const total = field => buckets.reduce((sum, bucket) => sum + bucket[field], 0);
+      assert.equal(total('holds_started'), 4);
+      assert.equal(total('holds_failed'), 1);
+      assert.equal(total('bookings_confirmed'), 1);
+      assert.equal(total('seats_confirmed'), 3);
+      assert.equal(total('bookings_cancelled'), 1);
+    });
+
+    test('cancellations leave seats, bookings and revenue alike', async () => {
+      const show = await api.createShow({
+        total_seats: 5,
+        currency: 'USD',
+        price_tiers: [{ code: 'standard', name: 'Standard', amount_minor: 1500 }],
+        default_price_tier: 'standard'
+      });
+      const seats = await seatIdsOf(api, show.id);
+      const partly = await api.request('POST', `/booking/${show.id}`, { body: { seat_ids: [seats[0], seats[1], seats[2]] } });
+      await api.request('POST', `/booking/${partly.body.data.booking_id}/cancel`, {
+        key: api.adminKey,
+        body: { seat_ids: [seats[2]] }
+      });
+      const fully = await api.request('POST', `/booking/${show.id}`, { body: { seat_ids: [seats[3], seats[4]] } });
+      await api.request('POST', `/booking/${fully.body.data.booking_id}/cancel`, { key: api.adminKey, body: {} });
+
+      const from = new Date((Math.floor(Date.now() / HOUR_MS) - 1) * HOUR_MS);
+      const to = new Date(from.getTime() + 3 * HOUR_MS);
+      const range = `from=${from.toISOString()}&to=${to.toISOString()}&show_id=${show.id}`;
+
+      const overTime = await api.request('GET', `/admin/reports/bookings-over-time?bucket=hour&${range}`, { key: api.adminKey });
+      const { buckets } = overTime.body.data;
+      const total = field => buckets.reduce((sum, bucket) => sum + bucket[field], 0);
+      assert.equal(total('bookings_confirmed'), 1);
+      assert.equal(total('seats_confirmed'), 2);
+      assert.equal(total('bookings_cancelled'), 1);
+      assert.equal(buckets.reduce((sum, bucket) => sum + (bucket.revenue_minor_by_currency.USD ?? 0), 0), 3000);
+
+      const summary = await api.request('GET', `/admin/reports/summary?${range}`, { key: api.adminKey });
+      assert.equal(summary.body.data.bookings_confirmed, 1);
+      assert.equal(summary.body.data.bookings_cancelled, 1);
+      assert.equal(summary.body.data.avg_seats_per_booking, 2);
+      assert.deepEqual(summary.body.data.revenue_minor_by_currency, { USD: 3000 });
+    });
+
+    test('GET /admin/reports/occupancy reports seats per show', async () => {
+      const show = await bookSomeSeats();
+
+      const response = await api.request('GET', '/admin/reports/occupancy', { key: api.adminKey });
+
+      assert.equal(response.status, 200);
+      const [row] = response.body.data;
+      assert.equal(row.show_id, show.id);
+      assert.equal(row.total_seats, 8);
+      assert.equal(row.booked_seats, 3);
+      assert.equal(row.reserved_seats, 1);
+      assert.equal(row.available_seats, 4);
+      assert.equal(row.occupancy_pct, 37.5);
+      assert.equal(row.confirmed_bookings, 1);
+      assert.equal(row.revenue_minor, 4500);
+      assert.equal(row.currency, 'USD');
+    });
+
+    test('reports reject an empty range', async () => {
+      const now = new Date().toISOString();
+
+      const response = await api.request('GET', `/admin/reports/summary?from=${now}&to=${now}`, { key: api.adminKey });
+
+      assert.equal(response.status, 400);
+      assert.equal(response.body.details[0].field, 'from');
+    });
+  });
+}
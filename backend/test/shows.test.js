@@ -0,0 +1,271 @@
+import './helpers/env.js';
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { adapters } from './helpers/adapters.js';
+import { useApi, seatIdsOf } from './helpers/api.js';
+
+const DAY_MS = 24 * 3600 * 1000;
+const inDays = days => new Date(Date.now() + days * DAY_MS).toISOString();
+
+/**
+ * Read a Server-Sent Events stream until an event named `name` arrives,
+ * and return its parsed data.
+ */
+async function nextEvent(reader, name) {
+  const decoder = new TextDecoder();
+  let buffered = '';
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) {
+      throw new Error(`Stream ended before a ${name} event`);
+    }
+    buffered += decoder.decode(value, { stream: true });
+
+    const messages = buffered.split('\n\n');
+    buffered = messages.pop();
+    for (const message of messages) {
+      const lines = message.split('\n');
+      if (lines.includes(`event: ${name}`)) {
+        return JSON.parse(lines.find(line => line.startsWith('data: ')).slice('data: '.length));
+      }
+    }
+  }
+}
+
+for (const adapter of adapters) {
+  describe(`show routes (${adapter.name})`, () => {
+    const api = useApi(adapter);
+
+    test('GET /shows lists upcoming shows with their availability', async () => {
+      const later = await api.createShow({ name: 'Later', start_time: inDays(9), total_seats: 3 });
+      const sooner = await api.createShow({ name: 'Sooner', start_time: inDays(2), total_seats: 5 });
+      const cancelled = await api.createShow({ name: 'Cancelled', start_time: inDays(3) });
+      const [seat] = await seatIdsOf(api, sooner.id);
+      await api.request('POST', `/booking/${sooner.id}`, { body: { seat_ids: [seat] } });
+      await api.request('POST', `/admin/shows/${cancelled.id}/cancel`, { key: api.adminKey, body: { reason: 'Storm' } });
+
+      const response = await api.request('GET', '/shows');
+
+      assert.equal(response.status, 200);
+      assert.deepEqual(response.body.data.map(show => show.id), [sooner.id, later.id]);
+      assert.equal(response.body.data[0].available_seats, 4);
+      assert.equal(response.body.data[0].booked_seats, 1);
+      assert.equal(response.body.meta.next_cursor, null);
+
+      const all = await api.request('GET', '/shows?include_cancelled=true');
+      assert.deepEqual(all.body.data.map(show => show.id), [sooner.id, cancelled.id, later.id]);
+    });
+
+    test('GET /shows pages through the results with a cursor', async () => {
+      const names = ['Echo', 'Alpha', 'Delta', 'Charlie', 'Bravo'];
+      for (const [index, name] of names.entries()) {
+        await api.createShow({ name, start_time: inDays(index + 1) });
+      }
+
+      const seen = [];
+      let cursor = null;
+      do {
+        const query = `sort=-name&limit=2${cursor ? `&cursor=${encodeURIComponent(cursor)}` : ''}`;
+        const page = await api.request('GET', `/shows?${query}`);
+        assert.equal(page.status, 200);
+        assert.ok(page.body.data.length <= 2);
+        seen.push(...page.body.data.map(show => show.name));
+        cursor = page.body.meta.next_cursor;
+      } while (cursor);
+
+      assert.deepEqual(seen, ['Echo', 'Delta', 'Charlie', 'Bravo', 'Alpha']);
+
+      const byTime = await api.request('GET', '/shows?limit=3');
+      const rest = await api.request('GET', `/shows?limit=3&cursor=${encodeURIComponent(byTime.body.meta.next_cursor)}`);
+      assert.deepEqual(
+        [...byTime.body.data, ...rest.body.data].map(show => show.name),
+        names
+      );
+    });
+
+    test('GET /shows filters by name, date range and availability', async () => {
+      const soldOut = await api.createShow({ name: 'Jazz Night', start_time: inDays(1), total_seats: 1 });
+      await api.createShow({ name: 'Late Jazz', start_time: inDays(5) });
+      await api.createShow({ name: 'Opera', start_time: inDays(6) });
+      const [seat] = await seatIdsOf(api, soldOut.id);
+      await api.request('POST', `/booking/${soldOut.id}`, { body: { seat_ids: [seat] } });
+
+      const jazz = await api.request('GET', '/shows?q=jazz');
+      assert.deepEqual(jazz.body.data.map(show => show.name), ['Jazz Night', 'Late Jazz']);
+
+      const available = await api.request('GET', '/shows?q=JAZZ&available=true');
+      assert.deepEqual(available.body.data.map(show => show.name), ['Late Jazz']);
+
+      const range = await api.request('GET', `/shows?from=${encodeURIComponent(inDays(4))}&to=${encodeURIComponent(inDays(10))}`);
+      assert.deepEqual(range.body.data.map(show => show.name), ['Late Jazz', 'Opera']);
+    });
+
+    test('GET /shows compares times with UTC offsets in UTC', async () => {
+      // 17:00 UTC
+      const show = await api.createShow({ name: 'Matinee', start_time: '2030-05-01T19:00:00+02:00' });
+      const names = async query => (await api.request('GET', `/shows?${query}`)).body.data.map(({ name }) => name);
+      const at = time => encodeURIComponent(time);
+
+      assert.deepEqual(await names(`from=${at('2030-05-01T18:30:00+02:00')}`), ['Matinee']);
+      assert.deepEqual(await names(`from=${at('2030-05-01T19:30:00+02:00')}`), []);
+      assert.deepEqual(await names(`to=${at('2030-05-01T19:30:00+02:00')}`), ['Matinee']);
+      assert.deepEqual(await names(`from=${at('2030-05-01T12:30:00-04:00')}&to=${at('2030-05-01T13:30:00-04:00')}`), ['Matinee']);
+
+      const detail = await api.request('GET', `/shows/${show.id}`);
+      assert.equal(new Date(detail.body.data.show.start_time).toISOString(), '2030-05-01T17:00:00.000Z');
+
+      await api.request('PATCH', `/admin/shows/${show.id}`, { key: api.adminKey, body: { start_time: '2030-05-02T09:00:00-05:00' } });
+      assert.deepEqual(await names(`from=${at('2030-05-02T13:30:00Z')}&to=${at('2030-05-02T14:30:00Z')}`), ['Matinee']);
+    });
+
+    test('GET /shows rejects bad query parameters', async () => {
+      const sort = await api.request('GET', '/shows?sort=price');
+      assert.equal(sort.status, 400);
+      assert.equal(sort.body.details[0].field, 'sort');
+
+      const cursor = await api.request('GET', '/shows?cursor=nonsense');
+      assert.equal(cursor.status, 400);
+      assert.equal(cursor.body.details[0].field, 'cursor');
+    });
+
+    test('GET /shows rejects cursors whose key was tampered with', async () => {
+      await api.createShow({ name: 'Alpha', start_time: inDays(1) });
+      await api.createShow({ name: 'Bravo', start_time: inDays(2) });
+
+      const page = await api.request('GET', '/shows?limit=1');
+      const decoded = JSON.parse(Buffer.from(page.body.meta.next_cursor, 'base64url').toString('utf8'));
+      const tamper = changes => Buffer.from(JSON.stringify({ ...decoded, ...changes })).toString('base64url');
+
+      const cursors = [
+        ['start_time', tamper({ key: 'yesterday' })],
+        ['start_time', tamper({ key: '2030-02-30T19:00:00.000Z' })],
+        ['start_time', tamper({ id: 2 ** 40 })],
+        ['name', tamper({ sort: 'name', key: 'Al\u0000pha' })]
+      ];
+
+      for (const [sort, cursor] of cursors) {
+        const response = await api.request('GET', `/shows?sort=${sort}&cursor=${cursor}`);
+        assert.equal(response.status, 400);
+        assert.equal(response.body.code, 'VALIDATION_FAILED');
+        assert.equal(response.body.details[0].field, 'cursor');
+      }
+
+      const untouched = await api.request('GET', `/shows?limit=1&cursor=${page.body.meta.next_cursor}`);
+      assert.equal(untouched.status, 200);
+      assert.deepEqual(untouched.body.data.map(show => show.name), ['Bravo']);
+    });
+
+    test('GET /shows/:id returns the seat layout and prices', async () => {
+      const show = await api.createShow({
+        total_seats: undefined,
+        currency: 'GBP',
+        price_tiers: [
+          { code: 'standard', name: 'Standard', amount_minor: 2000 },
+          { code: 'premium', name: 'Premium', amount_minor: 3500 }
+        ],
+        default_price_tier: 'standard',
+        seat_map: {
+          sections: [
+            { name: 'Stalls', price_tier: 'premium', rows: [{ label: 'A', seats: [{}, { attributes: ['aisle'] }] }] },
+            { name: 'Circle', rows: [{ label: 'B', seats: [{}] }] }
+          ]
+        }
+      });
+
+      const response = await api.request('GET', `/shows/${show.id}`);
+
+      assert.equal(response.status, 200);
+      const { data } = response.body;
+      assert.equal(data.seats.length, 3);
+      assert.deepEqual(data.seats.map(seat => seat.price_minor), [3500, 3500, 2000]);
+      assert.deepEqual(data.seats[1].attributes, ['aisle']);
+      assert.deepEqual(data.price_tiers.map(tier => tier.code).sort(), ['premium', 'standard']);
+      assert.deepEqual(data.layout.sections.map(section => section.name), ['Stalls', 'Circle']);
+    });
+
+    test('GET /shows/:id is a 404 for unknown shows and a 400 for bad IDs', async () => {
+      const missing = await api.request('GET', '/shows/424242');
+      assert.equal(missing.status, 404);
+      assert.equal(missing.body.code, 'SHOW_NOT_FOUND');
+
+      const invalid = await api.request('GET', '/shows/abc');
+      assert.equal(invalid.status, 400);
+    });
+
+    test('GET /shows/:id/events streams seat changes', async () => {
+      const show = await api.createShow();
+      const [seat] = await seatIdsOf(api, show.id);
+      const controller = new AbortController();
+
+      try {
+        const response = await fetch(api.url(`/shows/${show.id}/events`), { signal: controller.signal });
+        assert.equal(response.status, 200);
+        assert.match(response.headers.get('content-type'), /text\/event-stream/);
+
+        const reader = response.body.getReader();
+        const event = nextEvent(reader, 'seats');
+        await api.request('POST', `/booking/${show.id}/hold`, { body: { seat_ids: [seat] } });
+
+        assert.deepEqual(await event, { show_id: show.id, seats: [{ id: seat, status: 'RESERVED' }] });
+      } finally {
+        controller.abort();
+      }
+    });
+
+    test('the waitlist gets released seats as an offer to confirm', async () => {
+      const show = await api.createShow({ total_seats: 2 });
+      const seats = await seatIdsOf(api, show.id);
+
+      const notNeeded = await api.request('POST', `/shows/${show.id}/waitlist`, {
+        body: { email: 'early@example.com', quantity: 1 }
+      });
+      assert.equal(notNeeded.status, 409);
+      assert.equal(notNeeded.body.code, 'WAITLIST_NOT_NEEDED');
+
+      const booking = await api.request('POST', `/booking/${show.id}`, { body: { seat_ids: seats } });
+
+      const joined = await api.request('POST', `/shows/${show.id}/waitlist`, {
+        body: { email: 'wait@example.com', quantity: 1 }
+      });
+      assert.equal(joined.status, 201);
+      assert.equal(joined.body.data.status, 'WAITING');
+      assert.equal(joined.body.data.position, 1);
+      assert.equal(joined.body.data.offer, null);
+      assert.equal(typeof joined.body.data.token, 'string');
+
+      const twice = await api.request('POST', `/shows/${show.id}/waitlist`, {
+        body: { email: 'WAIT@example.com', quantity: 2 }
+      });
+      assert.equal(twice.status, 409);
+      assert.equal(twice.body.code, 'ALREADY_ON_WAITLIST');
+
+      await api.request('POST', `/booking/${booking.body.data.booking_id}/cancel`, { key: api.adminKey, body: { seat_ids: [seats[1]] } });
+
+      const entryPath = `/shows/${show.id}/waitlist/${joined.body.data.entry_id}`;
+      const { token } = joined.body.data;
+
+      // Without the entry's token the offer doesn't say which hold it is
+      const seen = await api.request('GET', entryPath);
+      assert.equal(seen.body.data.status, 'OFFERED');
+      assert.deepEqual(seen.body.data.offer.seat_ids, [seats[1]]);
+      assert.equal(seen.body.data.offer.booking_id, undefined);
+
+      const offered = await api.request('GET', entryPath, { headers: { 'Waitlist-Token': token } });
+      const bookingId = offered.body.data.offer.booking_id;
+      assert.ok(bookingId);
+
+      const tokenless = await api.request('POST', `/booking/${bookingId}/confirm`);
+      assert.equal(tokenless.status, 404);
+
+      const confirm = await api.request('POST', `/booking/${bookingId}/confirm`, { body: { hold_token: token } });
+      assert.equal(confirm.status, 200);
+
+      const accepted = await api.request('GET', entryPath);
+      assert.equal(accepted.body.data.status, 'ACCEPTED');
+
+      const unknown = await api.request('GET', `/shows/${show.id}/waitlist/999`);
+      assert.equal(unknown.status, 404);
+    });
+  });
+}
@@ -9,20 +9,75 @@ export interface Show {
   name: string;
   start_time: string;
   total_seats: number;
+  status: 'SCHEDULED' | 'CANCELLED';
+  cancellation_reason?: string | null;
   available_seats?: number;
   booked_seats?: number;
   created_at: string;
 }
 
+export type SeatAttribute =
+  | 'wheelchair'
+  | 'companion'
+  | 'restricted_view'
+  | 'aisle'
+  | 'limited_legroom';
+
 export interface Seat {
   id: number;
   seat_number: number;
   status: 'AVAILABLE' | 'RESERVED' | 'BOOKED';
+  // Set only for shows created from a seat map
+  section_id?: number | null;
+  row_label?: string | null;
+  seat_label?: string | null;
+  grid_row?: number | null;
+  grid_col?: number | null;
+  attributes?: SeatAttribute[];
+  // Set only for priced shows; amounts are in minor units (e.g. cents)
+  price_tier_id?: number | null;
+  price_minor?: number | null;
+  currency?: string | null;
+}
+
+export interface PriceTier {
+  id: number;
+  code: string;
+  name: string;
+  amount_minor: number;
+  currency: string;
+}
+
+export interface BookingItem {
+  seat_id: number;
+  price_tier_name: string;
+  amount_minor: number;
+  currency: string;
+  cancelled_at: string | null;
+}
+
+export interface SeatSection {
+  id: number;
+  name: string;
+  sort_order: number;
+}
+
+export interface SeatLayout {
+  sections: SeatSection[];
+  rows: number;
+  cols: number;
+}
+
+export interface SeatStatusChange {
+  id: number;
+  status: Seat['status'];
 }
 
 export interface ShowDetails {
   show: Show;
   seats: Seat[];
+  layout?: SeatLayout | null;
+  price_tiers?: PriceTier[];
 }
 
 export interface Booking {
@@ -30,22 +85,139 @@ export interface Booking {
   show_id: number;
   seat_ids: number[];
   user_email: string | null;
-  status: 'PENDING' | 'CONFIRMED' | 'FAILED';
+  status: 'PENDING' | 'CONFIRMED' | 'FAILED' | 'CANCELLED';
   created_at: string;
   confirmed_at: string | null;
   expires_at: string | null;
+  cancelled_at: string | null;
+  cancellation_reason?: string | null;
+  total_amount_minor: number | null;
+  currency: string | null;
+  items?: BookingItem[];
+}
+
+export interface Hold {
+  booking_id: number;
+  status: Booking['status'];
+  show_id: number;
+  seat_ids: number[];
+  user_email: string | null;
+  expires_at: string;
+  confirmed_at: string | null;
+  total_amount_minor: number | null;
+  currency: string | null;
+  items: BookingItem[];
+  hold_ttl_seconds?: number;
+  hold_token?: string; // only when the hold is placed; confirms or releases it
+}
+
+export interface WaitlistEntry {
+  entry_id: number;
+  show_id: number;
+  quantity: number;
+  // OFFERED: seats are held for you in `offer` until offer.expires_at
+  status: 'WAITING' | 'OFFERED' | 'ACCEPTED' | 'EXPIRED';
+  position: number | null; // 1 = next in line (WAITING only)
+  created_at: string;
+  offered_at: string | null;
+  offer: {
+    booking_id?: number; // only when fetched with the entry's token
+    expires_at: string;
+    seat_ids: number[];
+  } | null;
+  token?: string; // only when joining; keep it to see and confirm the offer
+}
+
+/**
+ * Error codes the backend answers with (see backend/src/utils/errors.js).
+ * Branch on these rather than on the error message, which may change.
+ * NETWORK_ERROR is the client's own, for requests that got no response.
+ */
+export type ApiErrorCode =
+  | 'VALIDATION_FAILED'
+  | 'INVALID_JSON'
+  | 'INVALID_REQUEST_BODY'
+  | 'PAYLOAD_TOO_LARGE'
+  | 'IDEMPOTENCY_KEY_REUSED'
+  | 'AUTHENTICATION_REQUIRED'
+  | 'INVALID_API_KEY'
+  | 'FORBIDDEN'
+  | 'ROUTE_NOT_FOUND'
+  | 'SHOW_NOT_FOUND'
+  | 'BOOKING_NOT_FOUND'
+  | 'SEAT_NOT_FOUND'
+  | 'WAITLIST_ENTRY_NOT_FOUND'
+  | 'NOTIFICATION_NOT_FOUND'
+  | 'SEAT_UNAVAILABLE'
+  | 'SHOW_CANCELLED'
+  | 'SHOW_STARTED'
+  | 'BOOKING_STATE_CONFLICT'
+  | 'CANCELLATION_CUTOFF_PASSED'
+  | 'WAITLIST_NOT_NEEDED'
+  | 'ALREADY_ON_WAITLIST'
+  | 'IDEMPOTENCY_KEY_IN_PROGRESS'
+  | 'NOTIFICATION_STATE_CONFLICT'
+  | 'HOLD_EXPIRED'
+  | 'INTERNAL_ERROR'
+  | 'SYSTEM_BUSY'
+  | 'SERVICE_UNAVAILABLE'
+  | 'NETWORK_ERROR';
+
+// One invalid field of a VALIDATION_FAILED response
+export interface ValidationErrorDetail {
+  field: string | null; // null when the problem isn't with one field
+  location: 'params' | 'query' | 'body' | 'header';
+  message: string;
+  row?: number; // Shows import: the show the problem is in, counted from 1
 }
 
 export interface ApiResponse<T> {
   success: boolean;
   data?: T;
   error?: string;
+  code?: ApiErrorCode;
+  details?: ValidationErrorDetail[];
   unavailable_seats?: number[];
+  meta?: {
+    retries?: number; // Times the server re-ran the transaction after a serialization failure
+    next_cursor?: string | null; // Pass as `cursor` to get the next page; null on the last page
+  };
 }
 
 // Get the API base URL from environment variables
 const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:4000';
 
+// Admin and customer endpoints need an API key; it's kept in localStorage
+// and sent as a Bearer token with every request once set.
+const API_KEY_STORAGE_KEY = 'modex.apiKey';
+
+export function getApiKey(): string | null {
+  return localStorage.getItem(API_KEY_STORAGE_KEY);
+}
+
+export function setApiKey(apiKey: string | null) {
+  if (apiKey) {
+    localStorage.setItem(API_KEY_STORAGE_KEY, apiKey);
+  } else {
+    localStorage.removeItem(API_KEY_STORAGE_KEY);
+  }
+}
+
+/**
+ * Build a query string from the parameters that are set ('' when none are).
+ */
+function toQueryString(params: Record<string, string | number | boolean | undefined>): string {
+  const search = new URLSearchParams();
+  for (const [key, value] of Object.entries(params)) {
+    if (value !== undefined && value !== '') {
+      search.set(key, String(value));
+    }
+  }
+
+  const queryString = search.toString();
+  return queryString ? `?${queryString}` : '';
+}
+
 /**
  * Generic fetch wrapper with error handling
  */
@@ -53,11 +225,14 @@ async function apiFetch<T>(
   endpoint: string,
   options?: RequestInit
 ): Promise<ApiResponse<T>> {
+  const apiKey = getApiKey();
+
   try {
     const response = await fetch(`${API_BASE_URL}${endpoint}`, {
       ...options,
       headers: {
         'Content-Type': 'application/json',
+        ...(apiKey && { Authorization: `Bearer ${apiKey}` }),
         ...options?.headers,
       },
     });
@@ -68,6 +243,8 @@ async function apiFetch<T>(
       return {
         success: false,
         error: data.error || `HTTP error ${response.status}`,
+        code: data.code,
+        details: data.details,
         unavailable_seats: data.unavailable_seats,
       };
     }
@@ -78,15 +255,27 @@ async function apiFetch<T>(
     return {
       success: false,
       error: error instanceof Error ? error.message : 'Network error',
+      code: 'NETWORK_ERROR',
     };
   }
 }
 
+export interface ShowListParams {
+  q?: string;
+  from?: string;
+  to?: string;
+  available?: boolean;
+  sort?: 'start_time' | '-start_time' | 'name' | '-name';
+  limit?: number;
+  cursor?: string;
+}
+
 /**
- * Fetch all shows
+ * Fetch a page of upcoming shows.
+ * meta.next_cursor is the `cursor` for the following page.
  */
-export async function fetchShows(): Promise<ApiResponse<Show[]>> {
-  return apiFetch<Show[]>('/shows');
+export async function fetchShows(params: ShowListParams = {}): Promise<ApiResponse<Show[]>> {
+  return apiFetch<Show[]>(`/shows${toQueryString({ ...params })}`);
 }
 
 /**
@@ -97,12 +286,42 @@ export async function fetchShowDetails(showId: number): Promise<ApiResponse<Show
 }
 
 /**
- * Create a new show (admin endpoint)
+ * Subscribe to live seat status changes for a show (Server-Sent Events).
+ * EventSource reconnects on its own if the connection drops.
+ *
+ * Changes made while the stream wasn't connected (before it first opened,
+ * or during a reconnect) are never sent, so `onOpen` is called every time
+ * it (re)connects: reload the seats there to catch up.
+ * Returns a function that closes the stream.
+ */
+export function subscribeToSeatEvents(
+  showId: number,
+  onChange: (changes: SeatStatusChange[]) => void,
+  onOpen?: () => void
+): () => void {
+  const source = new EventSource(`${API_BASE_URL}/shows/${showId}/events`);
+
+  source.addEventListener('seats', (event) => {
+    const payload = JSON.parse((event as MessageEvent<string>).data);
+    onChange(payload.seats);
+  });
+
+  if (onOpen) {
+    source.addEventListener('open', onOpen);
+  }
+
+  return () => source.close();
+}
+
+/**
+ * Create a new show (admin endpoint).
+ * Pass a price (in minor units) and currency to sell every seat at one price.
  */
 export async function createShow(
   name: string,
   startTime: string,
-  totalSeats: number
+  totalSeats: number,
+  price?: { amountMinor: number; currency: string }
 ): Promise<ApiResponse<Show>> {
   return apiFetch<Show>('/admin/shows', {
     method: 'POST',
@@ -110,19 +329,140 @@ export async function createShow(
       name,
       start_time: startTime,
       total_seats: totalSeats,
+      ...(price && {
+        currency: price.currency,
+        price_tiers: [{ code: 'standard', name: 'Standard', amount_minor: price.amountMinor }],
+      }),
     }),
   });
 }
 
+export interface ShowChanges {
+  name?: string;
+  start_time?: string;
+  total_seats?: number;
+}
+
+export interface ShowCancellation {
+  id: number;
+  name: string;
+  start_time: string;
+  status: 'CANCELLED';
+  cancelled_at: string;
+  cancellation_reason: string;
+  cancelled_bookings: number;
+  cancelled_holds: number;
+  refund_amount_minor: number | null;
+  currency: string | null;
+}
+
+/**
+ * Rename, reschedule or resize a show (admin endpoint).
+ * Resizing only works for shows without a seat map.
+ */
+export async function updateShow(showId: number, changes: ShowChanges): Promise<ApiResponse<Show>> {
+  return apiFetch<Show>(`/admin/shows/${showId}`, {
+    method: 'PATCH',
+    body: JSON.stringify(changes),
+  });
+}
+
+/**
+ * Cancel a show and every booking for it (admin endpoint).
+ */
+export async function cancelShow(showId: number, reason: string): Promise<ApiResponse<ShowCancellation>> {
+  return apiFetch<ShowCancellation>(`/admin/shows/${showId}/cancel`, {
+    method: 'POST',
+    body: JSON.stringify({ reason }),
+  });
+}
+
 /**
- * Book seats for a show
+ * Book seats for a show.
+ * Pass the same idempotencyKey when retrying an attempt whose outcome is
+ * unknown (e.g. a timeout) to get the original result instead of a 409.
  */
 export async function bookSeats(
   showId: number,
   seatIds: number[],
-  userEmail: string
-): Promise<ApiResponse<{ booking_id: number; status: string; confirmed_at: string }>> {
+  userEmail: string,
+  idempotencyKey?: string
+): Promise<ApiResponse<{
+  booking_id: number;
+  status: string;
+  confirmed_at: string;
+  total_amount_minor: number | null;
+  currency: string | null;
+  items: BookingItem[];
+}>> {
+  return apiFetch(`/booking/${showId}`, {
+    method: 'POST',
+    headers: idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : undefined,
+    body: JSON.stringify({
+      seat_ids: seatIds,
+      user_email: userEmail,
+    }),
+  });
+}
+
+export interface AssignedSeat {
+  id: number;
+  seat_number: number;
+  section: string | null;
+  row_label: string | null;
+  seat_label: string | null;
+}
+
+export interface BestAvailableOptions {
+  section?: string; // Section name
+  priceTier?: string; // Price tier code
+  allowSplit?: boolean; // Accept seats that aren't next to each other
+}
+
+/**
+ * Book `quantity` seats and let the server pick the best available ones.
+ * Fails with a 409 when no suitable block is free (unless allowSplit).
+ */
+export async function bookBestAvailable(
+  showId: number,
+  quantity: number,
+  userEmail: string,
+  options: BestAvailableOptions = {},
+  idempotencyKey?: string
+): Promise<ApiResponse<{
+  booking_id: number;
+  status: string;
+  seat_ids: number[];
+  confirmed_at: string;
+  total_amount_minor: number | null;
+  currency: string | null;
+  items: BookingItem[];
+  adjacent: boolean;
+  assigned_seats: AssignedSeat[];
+}>> {
   return apiFetch(`/booking/${showId}`, {
+    method: 'POST',
+    headers: idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : undefined,
+    body: JSON.stringify({
+      quantity,
+      section: options.section,
+      price_tier: options.priceTier,
+      allow_split: options.allowSplit,
+      user_email: userEmail,
+    }),
+  });
+}
+
+/**
+ * Place a time-limited hold on seats. Confirm it with confirmHold()
+ * before expires_at or the seats are released again.
+ */
+export async function holdSeats(
+  showId: number,
+  seatIds: number[],
+  userEmail: string
+): Promise<ApiResponse<Hold>> {
+  return apiFetch<Hold>(`/booking/${showId}/hold`, {
     method: 'POST',
     body: JSON.stringify({
       seat_ids: seatIds,
@@ -132,8 +472,172 @@ export async function bookSeats(
 }
 
 /**
- * Fetch booking details
+ * Confirm a previously placed hold with the hold_token it came with (or,
+ * for a waitlist offer, the entry's token). Without a token the stored
+ * API key has to own the hold.
+ */
+export async function confirmHold(bookingId: number, holdToken?: string): Promise<ApiResponse<Hold>> {
+  return apiFetch<Hold>(`/booking/${bookingId}/confirm`, {
+    method: 'POST',
+    body: JSON.stringify({ hold_token: holdToken }),
+  });
+}
+
+/**
+ * Release a hold early so its seats become available again. Takes the
+ * same token as confirmHold().
+ */
+export async function releaseHold(
+  bookingId: number,
+  holdToken?: string
+): Promise<ApiResponse<{ booking_id: number; status: string; released_seat_ids: number[] }>> {
+  return apiFetch(`/booking/${bookingId}/release`, {
+    method: 'POST',
+    body: JSON.stringify({ hold_token: holdToken }),
+  });
+}
+
+/**
+ * Cancel a confirmed booking (needs the owning customer's key or an admin
+ * key). Pass seatIds to drop only some of its seats.
+ */
+export async function cancelBooking(
+  bookingId: number,
+  seatIds?: number[]
+): Promise<ApiResponse<{
+  booking_id: number;
+  status: Booking['status'];
+  seat_ids: number[];
+  released_seat_ids: number[];
+  cancelled_at: string | null;
+  total_amount_minor: number | null;
+  refund_amount_minor: number | null;
+  currency: string | null;
+}>> {
+  return apiFetch(`/booking/${bookingId}/cancel`, {
+    method: 'POST',
+    body: JSON.stringify(seatIds ? { seat_ids: seatIds } : {}),
+  });
+}
+
+/**
+ * Fetch the bookings of the customer whose API key is set
+ */
+export async function fetchMyBookings(): Promise<ApiResponse<Booking[]>> {
+  return apiFetch<Booking[]>('/booking/mine');
+}
+
+/**
+ * Fetch booking details (needs an admin key, or the owning customer's key)
  */
 export async function fetchBooking(bookingId: number): Promise<ApiResponse<Booking>> {
   return apiFetch<Booking>(`/booking/${bookingId}`);
 }
+
+/**
+ * Join the waitlist of a sold-out show
+ */
+export async function joinWaitlist(
+  showId: number,
+  email: string,
+  quantity: number
+): Promise<ApiResponse<WaitlistEntry>> {
+  return apiFetch<WaitlistEntry>(`/shows/${showId}/waitlist`, {
+    method: 'POST',
+    body: JSON.stringify({ email, quantity }),
+  });
+}
+
+/**
+ * Check a waitlist entry's position, or the seats offered to it. With the
+ * token from joinWaitlist() an offer also has its booking_id.
+ */
+export async function fetchWaitlistEntry(
+  showId: number,
+  entryId: number,
+  token?: string
+): Promise<ApiResponse<WaitlistEntry>> {
+  return apiFetch<WaitlistEntry>(`/shows/${showId}/waitlist/${entryId}`, {
+    headers: token ? { 'Waitlist-Token': token } : undefined,
+  });
+}
+
+export interface ReportRange {
+  from?: string;
+  to?: string;
+  show_id?: number;
+}
+
+// Revenue in minor units, keyed by currency code
+export type RevenueByCurrency = Record<string, number>;
+
+export interface SalesSummary {
+  from: string;
+  to: string;
+  show_id: number | null;
+  holds_started: number;
+  bookings_confirmed: number;
+  holds_failed: number;
+  holds_pending: number;
+  bookings_cancelled: number;
+  avg_seats_per_booking: number | null;
+  revenue_minor_by_currency: RevenueByCurrency;
+  failed_to_confirmed_ratio: number | null;
+}
+
+export interface BookingsBucket {
+  bucket_start: string;
+  holds_started: number;
+  holds_failed: number;
+  bookings_confirmed: number;
+  seats_confirmed: number;
+  bookings_cancelled: number;
+  revenue_minor_by_currency: RevenueByCurrency;
+}
+
+export interface BookingsOverTime {
+  from: string;
+  to: string;
+  show_id: number | null;
+  bucket: 'hour' | 'day';
+  buckets: BookingsBucket[];
+}
+
+export interface ShowOccupancy {
+  show_id: number;
+  name: string;
+  start_time: string;
+  status: Show['status'];
+  total_seats: number;
+  booked_seats: number;
+  reserved_seats: number;
+  available_seats: number;
+  occupancy_pct: number | null;
+  confirmed_bookings: number;
+  revenue_minor: number | null;
+  currency: string | null;
+}
+
+/**
+ * Booking funnel and revenue for bookings made in a date range (admin endpoint).
+ */
+export async function fetchSalesSummary(range: ReportRange = {}): Promise<ApiResponse<SalesSummary>> {
+  return apiFetch<SalesSummary>(`/admin/reports/summary${toQueryString({ ...range })}`);
+}
+
+/**
+ * Bookings in hourly or daily buckets (admin endpoint).
+ */
+export async function fetchBookingsOverTime(
+  range: ReportRange = {},
+  bucket: 'hour' | 'day' = 'day'
+): Promise<ApiResponse<BookingsOverTime>> {
+  return apiFetch<BookingsOverTime>(`/admin/reports/bookings-over-time${toQueryString({ ...range, bucket })}`);
+}
+
+/**
+ * Seats booked, held and free per show, with revenue (admin endpoint).
+ */
+export async function fetchOccupancy(range: ReportRange = {}): Promise<ApiResponse<ShowOccupancy[]>> {
+  return apiFetch<ShowOccupancy[]>(`/admin/reports/occupancy${toQueryString({ ...range })}`);
+}
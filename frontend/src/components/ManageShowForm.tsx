@@ -0,0 +1,160 @@
+import { useState } from 'react';
+import { cancelShow, ShowChanges, updateShow } from '../api/client';
+import { useAppContext } from '../context/AppContext';
+import { formatMoney } from '../utils/money';
+
+/**
+ * Admin form for an existing show: rename, reschedule or resize it, or
+ * cancel it along with all of its bookings. Fields left empty aren't
+ * changed.
+ */
+export default function ManageShowForm() {
+  const { shows, refreshShows } = useAppContext();
+  const [showId, setShowId] = useState('');
+  const [changes, setChanges] = useState({ name: '', start_time: '', total_seats: '' });
+  const [reason, setReason] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState<{ type: 'success' | 'error'; text: string } | null>(null);
+
+  function handleChange(e: React.ChangeEvent<HTMLInputElement>) {
+    const { name, value } = e.target;
+    setChanges((prev) => ({ ...prev, [name]: value }));
+  }
+
+  async function handleUpdate(e: React.FormEvent) {
+    e.preventDefault();
+
+    const body: ShowChanges = {};
+    if (changes.name) body.name = changes.name;
+    if (changes.start_time) body.start_time = new Date(changes.start_time).toISOString();
+    if (changes.total_seats) body.total_seats = parseInt(changes.total_seats);
+
+    if (!showId || Object.keys(body).length === 0) {
+      setMessage({ type: 'error', text: 'Pick a show and at least one thing to change' });
+      return;
+    }
+
+    setBusy(true);
+    setMessage(null);
+
+    const response = await updateShow(parseInt(showId), body);
+
+    if (response.success) {
+      setMessage({ type: 'success', text: 'Show updated' });
+      setChanges({ name: '', start_time: '', total_seats: '' });
+      refreshShows();
+    } else {
+      setMessage({ type: 'error', text: response.error || 'Failed to update show' });
+    }
+
+    setBusy(false);
+  }
+
+  async function handleCancel() {
+    if (!showId || !reason.trim()) {
+      setMessage({ type: 'error', text: 'Pick a show and give a reason for cancelling it' });
+      return;
+    }
+
+    if (!window.confirm('Cancel this show and every booking for it?')) {
+      return;
+    }
+
+    setBusy(true);
+    setMessage(null);
+
+    const response = await cancelShow(parseInt(showId), reason.trim());
+
+    if (response.success && response.data) {
+      const { cancelled_bookings, cancelled_holds, refund_amount_minor, currency } = response.data;
+      const refund = refund_amount_minor !== null && currency
+        ? `, ${formatMoney(refund_amount_minor, currency)} to refund`
+        : '';
+      setMessage({
+        type: 'success',
+        text: `Show cancelled: ${cancelled_bookings} booking(s) and ${cancelled_holds} hold(s) cancelled${refund}`,
+      });
+      setShowId('');
+      setReason('');
+      refreshShows();
+    } else {
+      setMessage({ type: 'error', text: response.error || 'Failed to cancel show' });
+    }
+
+    setBusy(false);
+  }
+
+  return (
+    <form onSubmit={handleUpdate} className="admin-form">
+      <h3>Manage a Show</h3>
+
+      <div className="form-group">
+        <label htmlFor="manage_show">Show *</label>
+        <select id="manage_show" value={showId} onChange={(e) => setShowId(e.target.value)}>
+          <option value="">Select a show</option>
+          {shows.map((show) => (
+            <option key={show.id} value={show.id}>
+              #{show.id} {show.name}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <div className="form-group">
+        <label htmlFor="manage_name">New Name</label>
+        <input type="text" id="manage_name" name="name" value={changes.name} onChange={handleChange} />
+      </div>
+
+      <div className="form-group">
+        <label htmlFor="manage_start_time">New Date & Time</label>
+        <input
+          type="datetime-local"
+          id="manage_start_time"
+          name="start_time"
+          value={changes.start_time}
+          onChange={handleChange}
+        />
+      </div>
+
+      <div className="form-group">
+        <label htmlFor="manage_total_seats">New Total Seats</label>
+        <input
+          type="number"
+          id="manage_total_seats"
+          name="total_seats"
+          value={changes.total_seats}
+          onChange={handleChange}
+          min="1"
+          max="1000"
+        />
+        <small>Shows without a seat map only; held or booked seats can't be removed</small>
+      </div>
+
+      <button type="submit" className="btn btn-primary btn-full" disabled={busy}>
+        {busy ? 'Saving...' : 'Save Changes'}
+      </button>
+
+      <div className="form-group">
+        <label htmlFor="manage_reason">Cancellation Reason</label>
+        <input
+          type="text"
+          id="manage_reason"
+          value={reason}
+          onChange={(e) => setReason(e.target.value)}
+          maxLength={500}
+          placeholder="e.g., Artist unwell"
+        />
+      </div>
+
+      <button type="button" onClick={handleCancel} className="btn btn-secondary btn-full" disabled={busy}>
+        Cancel Show
+      </button>
+
+      {message && (
+        <div className={`message ${message.type}`}>
+          {message.text}
+        </div>
+      )}
+    </form>
+  );
+}
@@ -0,0 +1,206 @@
+import { useState } from 'react';
+import {
+  BookingsOverTime,
+  fetchBookingsOverTime,
+  fetchOccupancy,
+  fetchSalesSummary,
+  RevenueByCurrency,
+  SalesSummary,
+  ShowOccupancy,
+} from '../api/client';
+import { formatMoney } from '../utils/money';
+
+function formatRevenue(revenue: RevenueByCurrency): string {
+  const entries = Object.entries(revenue);
+  return entries.length > 0
+    ? entries.map(([currency, amount]) => formatMoney(amount, currency)).join(' + ')
+    : '—';
+}
+
+function daysAgo(days: number): string {
+  return new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+/**
+ * Admin sales report: the booking funnel and revenue for a date range,
+ * bookings per hour or day, and occupancy of the shows in that range.
+ * Days with no activity are left out of the bookings table.
+ */
+export default function SalesReport() {
+  const [from, setFrom] = useState(daysAgo(30));
+  const [to, setTo] = useState(daysAgo(-1));
+  const [bucket, setBucket] = useState<'hour' | 'day'>('day');
+  const [summary, setSummary] = useState<SalesSummary | null>(null);
+  const [overTime, setOverTime] = useState<BookingsOverTime | null>(null);
+  const [occupancy, setOccupancy] = useState<ShowOccupancy[]>([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  async function loadReports(e: React.FormEvent) {
+    e.preventDefault();
+    setLoading(true);
+    setError(null);
+
+    const range = { from, to };
+    const [summaryResponse, overTimeResponse, occupancyResponse] = await Promise.all([
+      fetchSalesSummary(range),
+      fetchBookingsOverTime(range, bucket),
+      fetchOccupancy(range),
+    ]);
+
+    if (summaryResponse.success && overTimeResponse.success && occupancyResponse.success) {
+      setSummary(summaryResponse.data ?? null);
+      setOverTime(overTimeResponse.data ?? null);
+      setOccupancy(occupancyResponse.data ?? []);
+    } else {
+      setError(
+        summaryResponse.error || overTimeResponse.error || occupancyResponse.error || 'Failed to load reports'
+      );
+    }
+
+    setLoading(false);
+  }
+
+  const activeBuckets = overTime?.buckets.filter(
+    (row) => row.holds_started > 0 || row.bookings_confirmed > 0 || row.bookings_cancelled > 0
+  ) ?? [];
+
+  return (
+    <div className="sales-report">
+      <h2>Sales Report</h2>
+
+      <form onSubmit={loadReports} className="report-filters">
+        <div className="form-group">
+          <label htmlFor="report_from">From</label>
+          <input type="date" id="report_from" value={from} onChange={(e) => setFrom(e.target.value)} />
+        </div>
+        <div className="form-group">
+          <label htmlFor="report_to">To</label>
+          <input type="date" id="report_to" value={to} onChange={(e) => setTo(e.target.value)} />
+        </div>
+        <div className="form-group">
+          <label htmlFor="report_bucket">Group By</label>
+          <select id="report_bucket" value={bucket} onChange={(e) => setBucket(e.target.value as 'hour' | 'day')}>
+            <option value="day">Day</option>
+            <option value="hour">Hour</option>
+          </select>
+        </div>
+        <button type="submit" className="btn btn-primary" disabled={loading}>
+          {loading ? 'Loading...' : 'Show Report'}
+        </button>
+      </form>
+
+      {error && <div className="message error">{error}</div>}
+
+      {summary && (
+        <div className="report-figures">
+          <div className="report-figure">
+            <span className="label">Confirmed bookings</span>
+            <strong>{summary.bookings_confirmed}</strong>
+          </div>
+          <div className="report-figure">
+            <span className="label">Failed / expired holds</span>
+            <strong>{summary.holds_failed}</strong>
+          </div>
+          <div className="report-figure">
+            <span className="label">Failed per confirmed</span>
+            <strong>{summary.failed_to_confirmed_ratio ?? '—'}</strong>
+          </div>
+          <div className="report-figure">
+            <span className="label">Avg. seats per booking</span>
+            <strong>{summary.avg_seats_per_booking ?? '—'}</strong>
+          </div>
+          <div className="report-figure">
+            <span className="label">Cancelled</span>
+            <strong>{summary.bookings_cancelled}</strong>
+          </div>
+          <div className="report-figure">
+            <span className="label">Revenue</span>
+            <strong>{formatRevenue(summary.revenue_minor_by_currency)}</strong>
+          </div>
+        </div>
+      )}
+
+      {overTime && (
+        <>
+          <h3>Bookings per {overTime.bucket}</h3>
+          {activeBuckets.length === 0 ? (
+            <p>No bookings in this range.</p>
+          ) : (
+            <table className="report-table">
+              <thead>
+                <tr>
+                  <th>{overTime.bucket === 'day' ? 'Day' : 'Hour'}</th>
+                  <th>Holds</th>
+                  <th>Failed</th>
+                  <th>Confirmed</th>
+                  <th>Seats</th>
+                  <th>Cancelled</th>
+                  <th>Revenue</th>
+                </tr>
+              </thead>
+              <tbody>
+                {activeBuckets.map((row) => (
+                  <tr key={row.bucket_start}>
+                    <td>
+                      {overTime.bucket === 'day'
+                        ? new Date(row.bucket_start).toLocaleDateString()
+                        : new Date(row.bucket_start).toLocaleString()}
+                    </td>
+                    <td>{row.holds_started}</td>
+                    <td>{row.holds_failed}</td>
+                    <td>{row.bookings_confirmed}</td>
+                    <td>{row.seats_confirmed}</td>
+                    <td>{row.bookings_cancelled}</td>
+                    <td>{formatRevenue(row.revenue_minor_by_currency)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </>
+      )}
+
+      {summary && (
+        <>
+          <h3>Occupancy</h3>
+          {occupancy.length === 0 ? (
+            <p>No shows start in this range.</p>
+          ) : (
+            <table className="report-table">
+              <thead>
+                <tr>
+                  <th>Show</th>
+                  <th>Starts</th>
+                  <th>Booked</th>
+                  <th>Held</th>
+                  <th>Occupancy</th>
+                  <th>Revenue</th>
+                </tr>
+              </thead>
+              <tbody>
+                {occupancy.map((show) => (
+                  <tr key={show.show_id}>
+                    <td>
+                      {show.name}
+                      {show.status === 'CANCELLED' && ' (cancelled)'}
+                    </td>
+                    <td>{new Date(show.start_time).toLocaleString()}</td>
+                    <td>{show.booked_seats} / {show.total_seats}</td>
+                    <td>{show.reserved_seats}</td>
+                    <td>{show.occupancy_pct ?? 0}%</td>
+                    <td>
+                      {show.revenue_minor !== null && show.currency
+                        ? formatMoney(show.revenue_minor, show.currency)
+                        : '—'}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
@@ -1,10 +1,21 @@
-import { useState } from 'react';
-import { Seat, bookSeats } from '../api/client';
+import { CSSProperties, useEffect, useRef, useState } from 'react';
+import {
+  Seat,
+  SeatAttribute,
+  SeatLayout,
+  SeatStatusChange,
+  bookSeats,
+  fetchShowDetails,
+  subscribeToSeatEvents,
+} from '../api/client';
+import { formatMoney } from '../utils/money';
 
 interface SeatGridProps {
   showId: number;
   seats: Seat[];
+  layout?: SeatLayout | null;
   onBookingComplete: () => void;
+  onSeatsChange?: (seats: Seat[]) => void;
 }
 
 /**
@@ -15,31 +26,106 @@ interface SeatGridProps {
  * - Select multiple seats by clicking them
  * - Submit a booking request
  * - See real-time feedback on booking status
+ *
+ * Shows created from a seat map are drawn section by section on the
+ * layout grid (with row labels, aisles and gaps); other shows get a
+ * roughly square grid of seat numbers.
+ *
+ * Seat statuses are kept live through the show's event stream, so seats
+ * other users take change colour in place, and any of them the user had
+ * selected are deselected straight away. Each time the stream connects,
+ * the statuses are reloaded to pick up changes it missed.
  */
-export default function SeatGrid({ showId, seats, onBookingComplete }: SeatGridProps) {
+const ATTRIBUTE_LABELS: Record<SeatAttribute, string> = {
+  wheelchair: 'wheelchair space',
+  companion: 'companion seat',
+  restricted_view: 'restricted view',
+  aisle: 'aisle',
+  limited_legroom: 'limited legroom',
+};
+
+export default function SeatGrid({ showId, seats: initialSeats, layout, onBookingComplete, onSeatsChange }: SeatGridProps) {
+  const [seats, setSeats] = useState<Seat[]>(initialSeats);
   const [selectedSeats, setSelectedSeats] = useState<number[]>([]);
   const [userEmail, setUserEmail] = useState('');
   const [booking, setBooking] = useState(false);
   const [message, setMessage] = useState<{ type: 'success' | 'error'; text: string } | null>(null);
 
+  // Our own booking request also triggers seat events; while it's in flight
+  // those changes are ours, not someone else taking the seats.
+  const bookingRef = useRef(false);
+
+  // The seat event handler is subscribed once per show, so it reads the
+  // current selection from here rather than from a stale closure
+  const selectedSeatsRef = useRef<number[]>([]);
+  selectedSeatsRef.current = selectedSeats;
+
+  useEffect(() => {
+    setSeats(initialSeats);
+  }, [initialSeats]);
+
+  useEffect(() => {
+    return subscribeToSeatEvents(showId, applySeatChanges, refreshSeats);
+  }, [showId]);
+
+  useEffect(() => {
+    onSeatsChange?.(seats);
+  }, [seats]);
+
+  // The stream has (re)connected: anything that changed while it was down
+  // was never pushed, so I reload the statuses and apply them as changes
+  async function refreshSeats() {
+    const response = await fetchShowDetails(showId);
+    if (response.success && response.data) {
+      applySeatChanges(response.data.seats.map(({ id, status }) => ({ id, status })));
+    }
+  }
+
+  function applySeatChanges(changes: SeatStatusChange[]) {
+    const statusById = new Map(changes.map((change) => [change.id, change.status]));
+
+    setSeats((prev) =>
+      prev.map((seat) =>
+        statusById.has(seat.id) ? { ...seat, status: statusById.get(seat.id)! } : seat
+      )
+    );
+
+    if (bookingRef.current) {
+      return;
+    }
+
+    const taken = changes.filter((change) => change.status !== 'AVAILABLE').map((change) => change.id);
+
+    const lost = selectedSeatsRef.current.filter((id) => taken.includes(id));
+    if (lost.length === 0) {
+      return;
+    }
+
+    setSelectedSeats((prev) => prev.filter((id) => !taken.includes(id)));
+    setMessage({
+      type: 'error',
+      text: `${lost.length === 1 ? 'A seat you selected was' : `${lost.length} seats you selected were`} just taken by someone else.`,
+    });
+  }
+
   function toggleSeat(seatId: number, status: string) {
     // Can only select AVAILABLE seats
     if (status !== 'AVAILABLE') {
       return;
     }
 
-    setSelectedSeats((prev) => {
-      if (prev.includes(seatId)) {
-        return prev.filter((id) => id !== seatId);
-      } else {
-        // Limit to 10 seats per booking
-        if (prev.length >= 10) {
-          setMessage({ type: 'error', text: 'Maximum 10 seats per booking' });
-          return prev;
-        }
-        return [...prev, seatId];
-      }
-    });
+    if (selectedSeats.includes(seatId)) {
+      setSelectedSeats(selectedSeats.filter((id) => id !== seatId));
+      return;
+    }
+
+    // Limit to 10 seats per booking
+    if (selectedSeats.length >= 10) {
+      setMessage({ type: 'error', text: 'Maximum 10 seats per booking' });
+      return;
+    }
+
+    setSelectedSeats([...selectedSeats, seatId]);
   }
 
   async function handleBooking() {
@@ -54,14 +140,17 @@ export default function SeatGrid({ showId, seats, onBookingComplete }: SeatGridP
     }
 
     setBooking(true);
+    bookingRef.current = true;
     setMessage(null);
 
     const response = await bookSeats(showId, selectedSeats, userEmail);
 
     if (response.success && response.data) {
+      const { total_amount_minor, currency } = response.data;
+      const total = total_amount_minor != null && currency ? ` Total: ${formatMoney(total_amount_minor, currency)}.` : '';
       setMessage({
         type: 'success',
-        text: `Booking confirmed! Booking ID: ${response.data.booking_id}. Check your email for details.`,
+        text: `Booking confirmed! Booking ID: ${response.data.booking_id}.${total} A confirmation email is on its way.`,
       });
       setSelectedSeats([]);
       setUserEmail('');
@@ -72,8 +161,8 @@ export default function SeatGrid({ showId, seats, onBookingComplete }: SeatGridP
     } else {
       let errorText = response.error || 'Booking failed';
       
-      // Show which seats were unavailable if the error is a conflict
-      if (response.unavailable_seats && response.unavailable_seats.length > 0) {
+      // Show which seats were taken
+      if (response.code === 'SEAT_UNAVAILABLE' && response.unavailable_seats && response.unavailable_seats.length > 0) {
         const unavailableNumbers = response.unavailable_seats
           .map((seatId) => {
             const seat = seats.find((s) => s.id === seatId);
@@ -90,27 +179,105 @@ export default function SeatGrid({ showId, seats, onBookingComplete }: SeatGridP
     }
 
     setBooking(false);
+    bookingRef.current = false;
   }
 
   function getSeatClass(seat: Seat): string {
+    const attributeClasses = (seat.attributes ?? []).map((attr) => ` seat-${attr.replace('_', '-')}`).join('');
+
     if (selectedSeats.includes(seat.id)) {
-      return 'seat selected';
+      return 'seat selected' + attributeClasses;
     }
     switch (seat.status) {
       case 'AVAILABLE':
-        return 'seat available';
+        return 'seat available' + attributeClasses;
       case 'RESERVED':
-        return 'seat reserved';
+        return 'seat reserved' + attributeClasses;
       case 'BOOKED':
-        return 'seat booked';
+        return 'seat booked' + attributeClasses;
       default:
-        return 'seat';
+        return 'seat' + attributeClasses;
+    }
+  }
+
+  // e.g. "Balcony, Row C, Seat 12 (wheelchair space) - AVAILABLE"
+  function describeSeat(seat: Seat): string {
+    const section = layout?.sections.find((s) => s.id === seat.section_id);
+    const name = section
+      ? `${section.name}, Row ${seat.row_label}, Seat ${seat.seat_label}`
+      : `Seat ${seat.seat_number}`;
+    const notes = (seat.attributes ?? []).map((attr) => ATTRIBUTE_LABELS[attr]);
+    const price = seat.price_minor != null && seat.currency ? ` - ${formatMoney(seat.price_minor, seat.currency)}` : '';
+
+    return `${name}${notes.length > 0 ? ` (${notes.join(', ')})` : ''}${price} - ${seat.status}`;
+  }
+
+  function renderSeat(seat: Seat, style?: CSSProperties) {
+    return (
+      <button
+        key={seat.id}
+        className={getSeatClass(seat)}
+        style={style}
+        onClick={() => toggleSeat(seat.id, seat.status)}
+        disabled={seat.status !== 'AVAILABLE' || booking}
+        title={describeSeat(seat)}
+      >
+        {seat.seat_label ?? seat.seat_number}
+      </button>
+    );
+  }
+
+  // One grid per section, keeping the show-wide columns so aisles line up
+  // across sections. Column 1 holds the row labels.
+  function renderSection(sectionId: number, sectionName: string, cols: number) {
+    const sectionSeats = seats.filter((seat) => seat.section_id === sectionId);
+    if (sectionSeats.length === 0) {
+      return null;
     }
+
+    const firstRow = Math.min(...sectionSeats.map((seat) => seat.grid_row!));
+    const lastRow = Math.max(...sectionSeats.map((seat) => seat.grid_row!));
+    const rowLabels = new Map<number, string>();
+    sectionSeats.forEach((seat) => rowLabels.set(seat.grid_row!, seat.row_label!));
+
+    return (
+      <div key={sectionId} className="seat-section">
+        <h3 className="seat-section-name">{sectionName}</h3>
+        <div
+          className="seat-grid"
+          style={{
+            gridTemplateColumns: `auto repeat(${cols}, 1fr)`,
+            gridTemplateRows: `repeat(${lastRow - firstRow + 1}, minmax(2.5rem, auto))`,
+          }}
+        >
+          {[...rowLabels.entries()].map(([gridRow, label]) => (
+            <span
+              key={`row-${gridRow}`}
+              className="seat-row-label"
+              style={{ gridRow: gridRow - firstRow + 1, gridColumn: 1 }}
+            >
+              {label}
+            </span>
+          ))}
+          {sectionSeats.map((seat) =>
+            renderSeat(seat, { gridRow: seat.grid_row! - firstRow + 1, gridColumn: seat.grid_col! + 1 })
+          )}
+        </div>
+      </div>
+    );
   }
 
   // Calculate grid dimensions (try to make it roughly square)
   const totalSeats = seats.length;
   const seatsPerRow = Math.ceil(Math.sqrt(totalSeats));
+  const hasWheelchairSeats = seats.some((seat) => seat.attributes?.includes('wheelchair'));
+
+  // Running total of the selection for priced shows (one currency per show)
+  const selected = seats.filter((seat) => selectedSeats.includes(seat.id));
+  const currency = selected.find((seat) => seat.currency)?.currency;
+  const selectedTotal = currency
+    ? formatMoney(selected.reduce((sum, seat) => sum + (seat.price_minor ?? 0), 0), currency)
+    : null;
 
   return (
     <div className="seat-grid-container">
@@ -131,26 +298,33 @@ export default function SeatGrid({ showId, seats, onBookingComplete }: SeatGridP
           <div className="seat booked"></div>
           <span>Booked</span>
         </div>
+        {hasWheelchairSeats && (
+          <div className="legend-item">
+            <div className="seat available seat-wheelchair"></div>
+            <span>Wheelchair space</span>
+          </div>
+        )}
       </div>
 
-      <div className="seat-grid" style={{ gridTemplateColumns: `repeat(${seatsPerRow}, 1fr)` }}>
-        {seats.map((seat) => (
-          <button
-            key={seat.id}
-            className={getSeatClass(seat)}
-            onClick={() => toggleSeat(seat.id, seat.status)}
-            disabled={seat.status !== 'AVAILABLE' || booking}
-            title={`Seat ${seat.seat_number} - ${seat.status}`}
-          >
-            {seat.seat_number}
-          </button>
-        ))}
-      </div>
+      {layout ? (
+        <div className="seat-map">
+          {layout.sections.map((section) => renderSection(section.id, section.name, layout.cols))}
+        </div>
+      ) : (
+        <div className="seat-grid" style={{ gridTemplateColumns: `repeat(${seatsPerRow}, 1fr)` }}>
+          {seats.map((seat) => renderSeat(seat))}
+        </div>
+      )}
 
       {selectedSeats.length > 0 && (
         <div className="booking-form">
           <p className="selected-seats-info">
             Selected seats: <strong>{selectedSeats.length}</strong>
+            {selectedTotal && (
+              <>
+                {' '}&middot; Total: <strong>{selectedTotal}</strong>
+              </>
+            )}
           </p>
 
           <div className="form-group">
@@ -0,0 +1,154 @@
+import { useEffect, useState } from 'react';
+import { confirmHold, fetchWaitlistEntry, joinWaitlist, WaitlistEntry } from '../api/client';
+
+interface WaitlistFormProps {
+  showId: number;
+  onBookingComplete: () => void;
+}
+
+// How often I re-check the entry while waiting for an offer
+const POLL_INTERVAL_MS = 15000;
+
+/**
+ * Lets users join the waitlist of a sold-out show, then shows their place
+ * in line. When released seats are offered to them, they can confirm the
+ * hold right here before it expires.
+ */
+export default function WaitlistForm({ showId, onBookingComplete }: WaitlistFormProps) {
+  const [email, setEmail] = useState('');
+  const [quantity, setQuantity] = useState(1);
+  const [entry, setEntry] = useState<WaitlistEntry | null>(null);
+  // Only returned when joining; it shows and confirms the offered hold
+  const [token, setToken] = useState<string | null>(null);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState<{ type: 'success' | 'error'; text: string } | null>(null);
+
+  // Poll while waiting or holding an offer; other statuses are final
+  useEffect(() => {
+    if (!entry || (entry.status !== 'WAITING' && entry.status !== 'OFFERED')) {
+      return;
+    }
+
+    const timer = setInterval(async () => {
+      const response = await fetchWaitlistEntry(showId, entry.entry_id, token ?? undefined);
+      if (response.success && response.data) {
+        setEntry(response.data);
+      }
+    }, POLL_INTERVAL_MS);
+
+    return () => clearInterval(timer);
+  }, [showId, entry, token]);
+
+  async function handleJoin(e: React.FormEvent) {
+    e.preventDefault();
+
+    if (!email) {
+      setMessage({ type: 'error', text: 'Please enter your email' });
+      return;
+    }
+
+    setBusy(true);
+    setMessage(null);
+
+    const response = await joinWaitlist(showId, email, quantity);
+
+    if (response.success && response.data) {
+      setEntry(response.data);
+      setToken(response.data.token ?? null);
+    } else {
+      setMessage({ type: 'error', text: response.error || 'Failed to join the waitlist' });
+    }
+
+    setBusy(false);
+  }
+
+  async function handleConfirm() {
+    const bookingId = entry?.offer?.booking_id;
+    if (!entry || !bookingId || !token) {
+      return;
+    }
+
+    setBusy(true);
+    setMessage(null);
+
+    const response = await confirmHold(bookingId, token);
+
+    if (response.success) {
+      setEntry({ ...entry, status: 'ACCEPTED' });
+      setMessage({ type: 'success', text: `Booking confirmed! Booking ID: ${bookingId}` });
+      onBookingComplete();
+    } else if (response.code === 'HOLD_EXPIRED') {
+      setEntry({ ...entry, status: 'EXPIRED' });
+    } else {
+      setMessage({ type: 'error', text: response.error || 'Failed to confirm the offered seats' });
+    }
+
+    setBusy(false);
+  }
+
+  return (
+    <div className="booking-form waitlist-form">
+      <h3>Sold out</h3>
+
+      {!entry && (
+        <form onSubmit={handleJoin}>
+          <p>Join the waitlist and we'll hold seats for you as soon as some are released.</p>
+
+          <div className="form-group">
+            <label htmlFor="waitlist-email">Your Email</label>
+            <input
+              type="email"
+              id="waitlist-email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              placeholder="your-email@example.com"
+              required
+            />
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="waitlist-quantity">Seats Wanted</label>
+            <input
+              type="number"
+              id="waitlist-quantity"
+              min={1}
+              max={10}
+              value={quantity}
+              onChange={(e) => setQuantity(parseInt(e.target.value) || 1)}
+            />
+          </div>
+
+          <button type="submit" className="btn btn-primary btn-full" disabled={busy}>
+            {busy ? 'Joining...' : 'Join Waitlist'}
+          </button>
+        </form>
+      )}
+
+      {entry?.status === 'WAITING' && (
+        <p>You're <strong>#{entry.position}</strong> in line for {entry.quantity} seat(s).</p>
+      )}
+
+      {entry?.status === 'OFFERED' && entry.offer && (
+        <>
+          <p>
+            {entry.offer.seat_ids.length} seat(s) are being held for you until{' '}
+            <strong>{new Date(entry.offer.expires_at).toLocaleTimeString()}</strong>.
+          </p>
+          <button onClick={handleConfirm} className="btn btn-primary btn-full" disabled={busy}>
+            {busy ? 'Confirming...' : 'Confirm Seats'}
+          </button>
+        </>
+      )}
+
+      {entry?.status === 'EXPIRED' && (
+        <p>The seats offered to you were not confirmed in time and have been released.</p>
+      )}
+
+      {message && (
+        <div className={`message ${message.type}`}>
+          {message.text}
+        </div>
+      )}
+    </div>
+  );
+}
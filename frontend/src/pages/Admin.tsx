@@ -1,9 +1,13 @@
 import { useState } from 'react';
-import { createShow } from '../api/client';
+import { createShow, getApiKey, setApiKey } from '../api/client';
 import { useAppContext } from '../context/AppContext';
+import { toMinorUnits } from '../utils/money';
+import ManageShowForm from '../components/ManageShowForm';
+import SalesReport from '../components/SalesReport';
 
 /**
- * Admin page for creating new shows.
+ * Admin page for creating new shows, managing existing ones and seeing
+ * how they sell.
  * I'm keeping the form simple but functional with basic validation.
  */
 export default function Admin() {
@@ -12,7 +16,10 @@ export default function Admin() {
     name: '',
     start_time: '',
     total_seats: 40,
+    ticket_price: '',
+    currency: 'USD',
   });
+  const [apiKey, setApiKeyInput] = useState(getApiKey() ?? '');
   const [loading, setLoading] = useState(false);
   const [message, setMessage] = useState<{ type: 'success' | 'error'; text: string } | null>(null);
 
@@ -34,10 +41,23 @@ export default function Admin() {
       return;
     }
 
+    // Ticket price is optional; leaving it empty creates an unpriced show
+    let price: { amountMinor: number; currency: string } | undefined;
+    if (formData.ticket_price !== '') {
+      const amount = parseFloat(formData.ticket_price);
+      if (isNaN(amount) || amount < 0 || !/^[A-Z]{3}$/.test(formData.currency)) {
+        setMessage({ type: 'error', text: 'Enter a valid ticket price and a 3-letter currency code' });
+        setLoading(false);
+        return;
+      }
+      price = { amountMinor: toMinorUnits(amount, formData.currency), currency: formData.currency };
+    }
+
     const response = await createShow(
       formData.name,
       formData.start_time,
-      formData.total_seats
+      formData.total_seats,
+      price
     );
 
     if (response.success && response.data) {
@@ -50,6 +70,8 @@ export default function Admin() {
         name: '',
         start_time: '',
         total_seats: 40,
+        ticket_price: '',
+        currency: 'USD',
       });
       // Refresh shows list in context
       refreshShows();
@@ -63,11 +85,16 @@ export default function Admin() {
     setLoading(false);
   }
 
+  function handleApiKeyChange(e: React.ChangeEvent<HTMLInputElement>) {
+    setApiKeyInput(e.target.value);
+    setApiKey(e.target.value.trim() || null);
+  }
+
   function handleChange(e: React.ChangeEvent<HTMLInputElement>) {
-    const { name, value, type } = e.target;
+    const { name, value } = e.target;
     setFormData((prev) => ({
       ...prev,
-      [name]: type === 'number' ? parseInt(value) : value,
+      [name]: name === 'total_seats' ? parseInt(value) : name === 'currency' ? value.toUpperCase() : value,
     }));
   }
 
@@ -75,11 +102,25 @@ export default function Admin() {
     <div className="container">
       <div className="page-header">
         <h1>Admin Panel</h1>
-        <p>Create new shows for booking</p>
+        <p>Create new shows for booking, or change and cancel existing ones</p>
       </div>
 
       <div className="admin-form-container">
         <form onSubmit={handleSubmit} className="admin-form">
+          <div className="form-group">
+            <label htmlFor="api_key">Admin API Key *</label>
+            <input
+              type="password"
+              id="api_key"
+              name="api_key"
+              value={apiKey}
+              onChange={handleApiKeyChange}
+              placeholder="mdx_..."
+              autoComplete="off"
+            />
+            <small>Create one with <code>npm run create-api-key -- --role=admin</code> in backend/</small>
+          </div>
+
           <div className="form-group">
             <label htmlFor="name">Show Name *</label>
             <input
@@ -120,6 +161,34 @@ export default function Admin() {
             <small>Choose between 1 and 1000 seats</small>
           </div>
 
+          <div className="form-group">
+            <label htmlFor="ticket_price">Ticket Price</label>
+            <input
+              type="number"
+              id="ticket_price"
+              name="ticket_price"
+              value={formData.ticket_price}
+              onChange={handleChange}
+              min="0"
+              step="0.01"
+              placeholder="e.g., 25.00"
+            />
+            <small>Optional - every seat is sold at this price</small>
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="currency">Currency</label>
+            <input
+              type="text"
+              id="currency"
+              name="currency"
+              value={formData.currency}
+              onChange={handleChange}
+              maxLength={3}
+              placeholder="USD"
+            />
+          </div>
+
           {message && (
             <div className={`message ${message.type}`}>
               {message.text}
@@ -149,6 +218,12 @@ export default function Admin() {
           </p>
         </div>
       </div>
+
+      <div className="admin-form-container">
+        <ManageShowForm />
+      </div>
+
+      <SalesReport />
     </div>
   );
 }
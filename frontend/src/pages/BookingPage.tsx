@@ -1,7 +1,8 @@
 import { useEffect, useState } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
-import { fetchShowDetails, ShowDetails } from '../api/client';
+import { fetchShowDetails, Seat, ShowDetails } from '../api/client';
 import SeatGrid from '../components/SeatGrid';
+import WaitlistForm from '../components/WaitlistForm';
 
 /**
  * Booking page where users can view and select seats for a show.
@@ -13,6 +14,8 @@ export default function BookingPage() {
   const [showDetails, setShowDetails] = useState<ShowDetails | null>(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
+  // Seat statuses as last pushed by SeatGrid's live updates
+  const [liveSeats, setLiveSeats] = useState<Seat[] | null>(null);
 
   useEffect(() => {
     if (!showId) {
@@ -32,6 +35,7 @@ export default function BookingPage() {
 
     if (response.success && response.data) {
       setShowDetails(response.data);
+      setLiveSeats(null);
     } else {
       setError(response.error || 'Failed to load show details');
     }
@@ -71,7 +75,7 @@ export default function BookingPage() {
     );
   }
 
-  const availableSeats = showDetails.seats.filter(s => s.status === 'AVAILABLE').length;
+  const availableSeats = (liveSeats ?? showDetails.seats).filter(s => s.status === 'AVAILABLE').length;
 
   return (
     <div className="container">
@@ -88,11 +92,29 @@ export default function BookingPage() {
         </div>
       </div>
 
-      <SeatGrid
-        showId={showDetails.show.id}
-        seats={showDetails.seats}
-        onBookingComplete={() => loadShowDetails(showDetails.show.id)}
-      />
+      {showDetails.show.status === 'CANCELLED' ? (
+        <div className="message error">
+          This show has been cancelled
+          {showDetails.show.cancellation_reason && `: ${showDetails.show.cancellation_reason}`}
+        </div>
+      ) : (
+        <>
+          <SeatGrid
+            showId={showDetails.show.id}
+            seats={showDetails.seats}
+            layout={showDetails.layout}
+            onBookingComplete={() => loadShowDetails(showDetails.show.id)}
+            onSeatsChange={(seats) => setLiveSeats(seats)}
+          />
+
+          {availableSeats === 0 && (
+            <WaitlistForm
+              showId={showDetails.show.id}
+              onBookingComplete={() => loadShowDetails(showDetails.show.id)}
+            />
+          )}
+        </>
+      )}
     </div>
   );
 }
@@ -1,30 +1,68 @@
-import { useEffect, useState } from 'react';
+import { useEffect, useRef, useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { fetchShows } from '../api/client';
 import { useAppContext } from '../context/AppContext';
 
+// Shows fetched per page, and how long typing has to pause before searching
+const PAGE_SIZE = 20;
+const SEARCH_DEBOUNCE_MS = 300;
+
 /**
  * Shows list page - the main landing page.
  * Users can browse available shows and click to book seats.
+ * Shows load a page at a time as the user scrolls, filtered by the search
+ * box and the "seats left" toggle.
  */
 export default function ShowsList() {
   const navigate = useNavigate();
   const { shows, setShows } = useAppContext();
+  const [search, setSearch] = useState('');
+  const [onlyAvailable, setOnlyAvailable] = useState(false);
+  const [nextCursor, setNextCursor] = useState<string | null>(null);
   const [loading, setLoading] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
   const [error, setError] = useState<string | null>(null);
+  const sentinelRef = useRef<HTMLDivElement>(null);
+  // Responses to an older search are dropped when they arrive late
+  const requestIdRef = useRef(0);
+
+  useEffect(() => {
+    const timer = setTimeout(loadShows, search ? SEARCH_DEBOUNCE_MS : 0);
+    return () => clearTimeout(timer);
+  }, [search, onlyAvailable]);
 
+  // Fetch the next page when the bottom of the list scrolls into view
   useEffect(() => {
-    loadShows();
-  }, []);
+    const sentinel = sentinelRef.current;
+    if (!sentinel || !nextCursor) {
+      return;
+    }
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting && !loadingMore) {
+        loadMore(nextCursor);
+      }
+    });
+    observer.observe(sentinel);
+
+    return () => observer.disconnect();
+  }, [nextCursor, loadingMore]);
 
   async function loadShows() {
+    const requestId = ++requestIdRef.current;
     setLoading(true);
+    setLoadingMore(false);
     setError(null);
 
-    const response = await fetchShows();
+    const response = await fetchShows({ q: search.trim(), available: onlyAvailable || undefined, limit: PAGE_SIZE });
+
+    if (requestId !== requestIdRef.current) {
+      return;
+    }
 
     if (response.success && response.data) {
       setShows(response.data);
+      setNextCursor(response.meta?.next_cursor ?? null);
     } else {
       setError(response.error || 'Failed to load shows');
     }
@@ -32,6 +70,33 @@ export default function ShowsList() {
     setLoading(false);
   }
 
+  async function loadMore(cursor: string) {
+    const requestId = requestIdRef.current;
+    setLoadingMore(true);
+
+    const response = await fetchShows({
+      q: search.trim(),
+      available: onlyAvailable || undefined,
+      limit: PAGE_SIZE,
+      cursor,
+    });
+
+    if (requestId !== requestIdRef.current) {
+      return;
+    }
+
+    if (response.success && response.data) {
+      setShows([...shows, ...response.data]);
+      setNextCursor(response.meta?.next_cursor ?? null);
+    } else {
+      // Stop scrolling for more until the list is refreshed
+      setError(response.error || 'Failed to load more shows');
+      setNextCursor(null);
+    }
+
+    setLoadingMore(false);
+  }
+
   function handleBookClick(showId: number) {
     navigate(`/booking/${showId}`);
   }
@@ -47,7 +112,7 @@ export default function ShowsList() {
     });
   }
 
-  if (loading) {
+  if (loading && shows.length === 0 && !search && !onlyAvailable) {
     return (
       <div className="container">
         <div className="loading">Loading shows...</div>
@@ -55,7 +120,7 @@ export default function ShowsList() {
     );
   }
 
-  if (error) {
+  if (error && shows.length === 0) {
     return (
       <div className="container">
         <div className="error-message">
@@ -77,7 +142,30 @@ export default function ShowsList() {
         </button>
       </div>
 
-      {shows.length === 0 ? (
+      <div className="shows-filters">
+        <input
+          type="search"
+          className="search-input"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          placeholder="Search shows by name..."
+          maxLength={100}
+        />
+        <label>
+          <input
+            type="checkbox"
+            checked={onlyAvailable}
+            onChange={(e) => setOnlyAvailable(e.target.checked)}
+          />
+          Only shows with seats left
+        </label>
+      </div>
+
+      {shows.length === 0 && (search || onlyAvailable) ? (
+        <div className="empty-state">
+          <p>{loading ? 'Searching...' : 'No shows match your search.'}</p>
+        </div>
+      ) : shows.length === 0 ? (
         <div className="empty-state">
           <p>No shows available yet.</p>
           <p>
@@ -130,6 +218,16 @@ export default function ShowsList() {
           ))}
         </div>
       )}
+
+      {nextCursor && (
+        <div ref={sentinelRef} className="load-more">
+          {loadingMore ? 'Loading more shows...' : ''}
+        </div>
+      )}
+
+      {error && shows.length > 0 && (
+        <div className="message error">{error}</div>
+      )}
     </div>
   );
 }
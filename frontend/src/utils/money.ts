@@ -0,0 +1,18 @@
+/**
+ * Format an amount in minor units (e.g. cents) for display.
+ * Intl knows how many minor units each currency has (2 for USD, 0 for JPY).
+ */
+export function formatMoney(amountMinor: number, currency: string): string {
+  const formatter = new Intl.NumberFormat('en-US', { style: 'currency', currency });
+  const digits = formatter.resolvedOptions().maximumFractionDigits ?? 2;
+  return formatter.format(amountMinor / 10 ** digits);
+}
+
+/**
+ * Convert a decimal amount typed by a user (e.g. "25.50") to minor units.
+ */
+export function toMinorUnits(amount: number, currency: string): number {
+  const formatter = new Intl.NumberFormat('en-US', { style: 'currency', currency });
+  const digits = formatter.resolvedOptions().maximumFractionDigits ?? 2;
+  return Math.round(amount * 10 ** digits);
+}